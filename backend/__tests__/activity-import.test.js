@@ -0,0 +1,81 @@
+import { test, expect, describe } from 'bun:test';
+import { parseTrackFile } from '../utils/trackImport.js';
+import { summarizeTrack, encodePolyline, decodePolyline } from '../utils/trackMetrics.js';
+
+// Points heading north 0.001° (~111 m) every 30 s, climbing 5 m each time
+const gpx = (count) => `<?xml version="1.0"?>
+<gpx version="1.1" xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1">
+  <trk><name>Morning Run</name><type>running</type><trkseg>
+  ${Array.from({ length: count }, (_, i) => `
+    <trkpt lat="${(52 + i * 0.001).toFixed(3)}" lon="13.000">
+      <ele>${100 + i * 5}</ele>
+      <time>${new Date(Date.UTC(2026, 4, 1, 7, 0, i * 30)).toISOString()}</time>
+      <extensions><gpxtpx:TrackPointExtension><gpxtpx:hr>${140 + i}</gpxtpx:hr></gpxtpx:TrackPointExtension></extensions>
+    </trkpt>`).join('')}
+  </trkseg></trk>
+</gpx>`;
+
+const fitFile = (records) => {
+  const definition = [0x40, 0, 0, 20, 0, 4, 253, 4, 0x86, 0, 4, 0x85, 1, 4, 0x85, 3, 1, 0x02];
+  const data = records.flatMap(({ timestamp, lat, lon, hr }) => {
+    const bytes = Buffer.alloc(14);
+    bytes.writeUInt8(0, 0);
+    bytes.writeUInt32LE(timestamp, 1);
+    bytes.writeInt32LE(Math.round(lat / (180 / 2 ** 31)), 5);
+    bytes.writeInt32LE(Math.round(lon / (180 / 2 ** 31)), 9);
+    bytes.writeUInt8(hr, 13);
+    return [...bytes];
+  });
+  const body = Buffer.from([...definition, ...data]);
+  const header = Buffer.alloc(14);
+  header.writeUInt8(14, 0);
+  header.writeUInt8(0x10, 1);
+  header.writeUInt32LE(body.length, 4);
+  header.write('.FIT', 8, 'ascii');
+  return Buffer.concat([header, body, Buffer.alloc(2)]);
+};
+
+describe('parseTrackFile', () => {
+  test('reads GPX points with elevation and heart rate extensions', () => {
+    const { format, sport, points } = parseTrackFile(Buffer.from(gpx(3)), 'run.gpx');
+
+    expect(format).toBe('gpx');
+    expect(sport).toBe('running');
+    expect(points[2]).toMatchObject({ lat: 52.002, lon: 13, elevation: 110, heartRate: 142 });
+  });
+
+  test('decodes FIT record messages', () => {
+    const { format, points } = parseTrackFile(fitFile([
+      { timestamp: 1000000000, lat: 52, lon: 13, hr: 150 },
+      { timestamp: 1000000010, lat: 52.001, lon: 13, hr: 152 }
+    ]), 'ride.fit');
+
+    expect(format).toBe('fit');
+    expect(points).toHaveLength(2);
+    expect(points[1].lat).toBeCloseTo(52.001, 5);
+    expect(points[1].heartRate).toBe(152);
+    expect(points[1].time - points[0].time).toBe(10000);
+  });
+});
+
+describe('summarizeTrack', () => {
+  test('computes distance, climb, heart rate and per-km splits', () => {
+    const { points } = parseTrackFile(Buffer.from(gpx(21)), 'run.gpx');
+    const summary = summarizeTrack(points);
+
+    expect(summary.distanceKm).toBeCloseTo(2.224, 2);
+    expect(summary.durationSeconds).toBe(600);
+    expect(summary.elevationGain).toBe(100);
+    expect(summary.maxHeartRate).toBe(160);
+    expect(summary.splits).toHaveLength(3);
+    expect(summary.splits[0].distance).toBe(1);
+    expect(summary.splits[0].pace).toBeCloseTo(270, -1);
+    expect(decodePolyline(summary.polyline)).toHaveLength(21);
+  });
+
+  test('round-trips encoded polylines', () => {
+    const coordinates = [[38.5, -120.2], [40.7, -120.95], [43.252, -126.453]];
+    expect(encodePolyline(coordinates)).toBe('_p~iF~ps|U_ulLnnqC_mqNvxq`@');
+    expect(decodePolyline(encodePolyline(coordinates))).toEqual(coordinates);
+  });
+});
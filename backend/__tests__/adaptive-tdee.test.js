@@ -0,0 +1,91 @@
+import { test, expect, describe } from 'bun:test';
+import mongoose from 'mongoose';
+import { Goal } from '../models/index.js';
+import { smoothWeights, estimateTdee, recommendCalories } from '../utils/adaptiveTdee.js';
+
+const day = (n) => new Date(Date.UTC(2026, 0, 1 + n));
+const intakeFor = (days, calories) => Array.from({ length: days }, (_, n) => ({ date: day(n), calories }));
+const weighIns = (days, kgAt) => Array.from({ length: days }, (_, n) => ({ date: day(n), kg: kgAt(n) }));
+
+describe('smoothWeights', () => {
+  test('follows weigh-ins in date order without their day-to-day noise', () => {
+    const trend = smoothWeights([{ date: day(2), kg: 80 }, { date: day(0), kg: 80 }, { date: day(1), kg: 84 }]);
+    expect(trend.map(point => point.trend)).toEqual([80, 81, 80.75]);
+  });
+});
+
+describe('estimateTdee', () => {
+  test('equals intake when weight is stable', () => {
+    const estimate = estimateTdee({ intake: intakeFor(28, 2400), weights: weighIns(28, () => 75), windowDays: 28 });
+    expect(estimate).toMatchObject({ tdee: 2400, averageIntake: 2400, weightTrend: { kgPerWeek: 0 } });
+    expect(estimate.confidence.level).toBe('high');
+  });
+
+  test('adds the energy released by weight loss', () => {
+    const estimate = estimateTdee({ intake: intakeFor(28, 2000), weights: weighIns(28, n => 80 - n * 0.07), windowDays: 28 });
+    expect(estimate.weightTrend.kgPerWeek).toBeLessThan(-0.3);
+    expect(estimate.tdee).toBeGreaterThan(2400);
+  });
+
+  test('counts only logged days and lowers confidence for sparse logs', () => {
+    const intake = [...intakeFor(8, 2200), { date: day(9), calories: 0 }];
+    const estimate = estimateTdee({ intake, weights: weighIns(4, () => 70).map((w, n) => ({ ...w, date: day(n * 3) })), windowDays: 28 });
+    expect(estimate.averageIntake).toBe(2200);
+    expect(estimate.confidence).toMatchObject({ level: 'low', loggedDays: 8, weighIns: 4 });
+  });
+
+  test('needs enough intake and weight data', () => {
+    expect(estimateTdee({ intake: intakeFor(5, 2000), weights: weighIns(14, () => 70) }).error).toContain('food');
+    expect(estimateTdee({ intake: intakeFor(14, 2000), weights: weighIns(2, () => 70) }).error).toContain('weight');
+  });
+});
+
+describe('recommendCalories', () => {
+  const estimate = { tdee: 2500, weightTrend: { endKg: 80 } };
+
+  test('sets intake to reach the goal by its target date', () => {
+    const goal = { type: 'weight-loss', targetValue: 6, currentValue: 2, unit: 'kg', targetDate: new Date('2026-02-26') };
+    const recommendation = recommendCalories({ estimate, goal, gender: 'male', currentCalories: 2200, now: new Date('2026-01-01') });
+    expect(recommendation).toEqual({ calories: 1950, weeklyWeightChange: -0.5, adjustment: -250 });
+  });
+
+  test('paces a stored goal on the weight it has left, not its target value', () => {
+    // Lose 8 kg by the end of February, 4 kg lost so far
+    const goal = new Goal({
+      user: new mongoose.Types.ObjectId(),
+      title: 'Lose 8 kg before spring',
+      type: 'weight-loss',
+      targetValue: 8,
+      currentValue: 4,
+      unit: 'kg',
+      targetDate: new Date('2026-02-26'),
+      priority: 'high'
+    });
+
+    const recommendation = recommendCalories({ estimate, goal, gender: 'male', currentCalories: 2200, now: new Date('2026-01-01') });
+    expect(recommendation).toEqual({ calories: 1950, weeklyWeightChange: -0.5, adjustment: -250 });
+
+    goal.currentValue = 8;
+    expect(recommendCalories({ estimate, goal, gender: 'male', now: new Date('2026-01-01') })).toMatchObject({ calories: 2500, weeklyWeightChange: 0 });
+  });
+
+  test('converts goals counted in pounds', () => {
+    const goal = new Goal({
+      user: new mongoose.Types.ObjectId(),
+      title: 'Gain 10 lbs',
+      type: 'weight-gain',
+      targetValue: 10,
+      currentValue: 5,
+      unit: 'lbs',
+      targetDate: new Date('2026-03-12')
+    });
+
+    // 5 lbs (2.27 kg) over ten weeks
+    const recommendation = recommendCalories({ estimate, goal, gender: 'female', now: new Date('2026-01-01') });
+    expect(recommendation).toMatchObject({ calories: 2749, weeklyWeightChange: 0.23 });
+  });
+
+  test('keeps maintenance calories without a goal', () => {
+    expect(recommendCalories({ estimate, goal: null, gender: 'female' })).toEqual({ calories: 2500, weeklyWeightChange: 0, adjustment: null });
+  });
+});
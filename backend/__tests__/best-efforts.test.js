@@ -0,0 +1,92 @@
+import { test, expect, describe } from 'bun:test';
+import {
+  bestEffortFromSamples,
+  setEffort,
+  sessionBestEfforts,
+  predictRaceTime,
+  predictRaceTimes,
+  paceTrend
+} from '../utils/bestEfforts.js';
+import { extractSetCandidates } from '../utils/personalRecords.js';
+
+const exercise = 'a'.repeat(24);
+
+// 6 km at 5:00/km with a 4:00 km between 2 and 3 km, one sample per 100 m
+const trackSamples = () => {
+  const samples = [];
+  let time = 0;
+  for (let meters = 0; meters <= 6000; meters += 100) {
+    samples.push({ time, distance: meters });
+    time += meters >= 2000 && meters < 3000 ? 24 : 30;
+  }
+  return samples;
+};
+
+describe('bestEffortFromSamples', () => {
+  test('finds the fastest window anywhere in the track', () => {
+    expect(bestEffortFromSamples(trackSamples(), 1000)).toBe(240);
+    expect(bestEffortFromSamples(trackSamples(), 5000)).toBe(1440);
+  });
+
+  test('interpolates between samples and returns null when the track is too short', () => {
+    const samples = [{ time: 0, distance: 0 }, { time: 400, distance: 1200 }];
+    expect(bestEffortFromSamples(samples, 1000)).toBe(333);
+    expect(bestEffortFromSamples(samples, 5000)).toBeNull();
+  });
+});
+
+describe('set efforts', () => {
+  test('scales near-standard distances and ignores others', () => {
+    expect(setEffort({ duration: 1520, distance: { value: 5.05, unit: 'km' } }, 5)).toBe(1505);
+    expect(setEffort({ duration: 1800, distance: { value: 6, unit: 'km' } }, 5)).toBeNull();
+  });
+
+  test('records best-time only at standard distances', () => {
+    const candidates = extractSetCandidates({ duration: 2400, distance: { value: 7, unit: 'km' } });
+    expect(candidates.map(c => c.metric)).toEqual(['distance']);
+
+    const fiveK = extractSetCandidates({ duration: 1500, distance: { value: 3.1, unit: 'miles' } });
+    expect(fiveK.find(c => c.metric === 'best-time')).toMatchObject({ reference: { value: 5, unit: 'km' } });
+  });
+
+  test('combines set and track efforts per session', () => {
+    const efforts = sessionBestEfforts({
+      actualExercises: [{ exercise, sets: [{ completed: true, duration: 1740, distance: { value: 6, unit: 'km' } }] }],
+      track: { samples: trackSamples() }
+    });
+    expect(efforts.map(e => [e.distance, e.seconds])).toEqual([['1k', 240], ['5k', 1440]]);
+  });
+});
+
+describe('race predictor', () => {
+  test('applies the Riegel formula', () => {
+    expect(predictRaceTime(1200, 5, 10)).toBe(2502);
+  });
+
+  test('predicts from the closest best effort', () => {
+    const predictions = predictRaceTimes([
+      { distance: '1k', km: 1, seconds: 200 },
+      { distance: '10k', km: 10, seconds: 2500 }
+    ]);
+    const byKey = Object.fromEntries(predictions.map(p => [p.distance, p]));
+
+    expect(byKey['1k'].basedOn.distance).toBe('1k');
+    expect(byKey.marathon.basedOn.distance).toBe('10k');
+    expect(byKey['10k'].predictedSeconds).toBe(2500);
+  });
+});
+
+describe('paceTrend', () => {
+  test('averages pace per week and flags improvement', () => {
+    const session = (date, duration) => ({
+      _id: date,
+      startTime: new Date(date),
+      actualExercises: [{ exercise, sets: [{ completed: true, duration, distance: { value: 5, unit: 'km' } }] }]
+    });
+    const trend = paceTrend([session('2026-03-02', 1650), session('2026-03-16', 1500)], exercise);
+
+    expect(trend.weekly.map(w => w.pace)).toEqual([330, 300]);
+    expect(trend.trend).toBe('improving');
+    expect(trend.paceChange).toBe(-30);
+  });
+});
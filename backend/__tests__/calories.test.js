@@ -0,0 +1,34 @@
+import { test, expect, describe } from 'bun:test';
+import { estimateSessionCalories, metCalories } from '../utils/calories.js';
+
+const run = 'a'.repeat(24);
+const squat = 'b'.repeat(24);
+
+describe('estimateSessionCalories', () => {
+  test('uses MET × weight × hours', () => {
+    expect(metCalories(8, 75, 3600)).toBe(600);
+  });
+
+  test('counts timed sets at their MET and the rest of the session at the untimed average', () => {
+    const session = {
+      totalDuration: 60,
+      actualExercises: [
+        { exercise: run, sets: [{ duration: 1200, distance: { value: 4, unit: 'km' } }] },
+        { exercise: squat, sets: [{ reps: 5 }, { reps: 5 }] }
+      ]
+    };
+    const metByExercise = new Map([[run, 9], [squat, 5]]);
+
+    const estimate = estimateSessionCalories(session, metByExercise, 80);
+
+    // 20 min at MET 9 plus 40 min at MET 5
+    expect(estimate.calories).toBe(Math.round(9 * 80 / 3 + 5 * 80 * 2 / 3));
+    expect(estimate.remainingSeconds).toBe(2400);
+  });
+
+  test('falls back to a moderate MET when nothing was logged', () => {
+    const estimate = estimateSessionCalories({ totalDuration: 30, actualExercises: [] }, new Map(), 70);
+
+    expect(estimate.calories).toBe(Math.round(3.5 * 70 * 0.5));
+  });
+});
@@ -0,0 +1,37 @@
+import { test, expect, describe } from 'bun:test';
+import { resolveAvailableEquipment, flagEquipment } from '../utils/equipment.js';
+
+const user = {
+  equipmentProfile: {
+    equipment: ['dumbbell'],
+    locations: [
+      { name: 'home', equipment: ['dumbbell', 'resistance-band'] },
+      { name: 'gym', equipment: ['barbell', 'cable', 'machine'] }
+    ],
+    defaultLocation: 'home'
+  }
+};
+
+describe('resolveAvailableEquipment', () => {
+  test('uses the named location, then the default location', () => {
+    expect(resolveAvailableEquipment(user, 'Gym')).toEqual(['barbell', 'cable', 'machine']);
+    expect(resolveAvailableEquipment(user)).toEqual(['dumbbell', 'resistance-band']);
+  });
+
+  test('distinguishes unknown locations from missing profiles', () => {
+    expect(resolveAvailableEquipment(user, 'office')).toBeUndefined();
+    expect(resolveAvailableEquipment({ equipmentProfile: { equipment: [], locations: [] } })).toBeNull();
+  });
+});
+
+describe('flagEquipment', () => {
+  test('treats bodyweight exercises as always doable', () => {
+    const [pushUp, legPress] = flagEquipment([
+      { name: 'Push-up', equipment: ['bodyweight'] },
+      { name: 'Leg Press', equipment: ['machine'] }
+    ], ['dumbbell']);
+
+    expect(pushUp.hasEquipment).toBe(true);
+    expect(legPress).toMatchObject({ hasEquipment: false, missingEquipment: ['machine'] });
+  });
+});
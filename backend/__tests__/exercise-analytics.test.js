@@ -0,0 +1,47 @@
+import { test, expect, describe } from 'bun:test';
+import { buildExerciseAnalytics, weekStart } from '../utils/exerciseAnalytics.js';
+import { estimateOneRepMax } from '../utils/oneRepMax.js';
+
+describe('estimateOneRepMax', () => {
+  test('supports the Epley, Brzycki and Lombardi formulas', () => {
+    expect(estimateOneRepMax(100, 10, 'epley')).toBeCloseTo(133.33, 2);
+    expect(estimateOneRepMax(100, 10, 'brzycki')).toBeCloseTo(133.33, 2);
+    expect(estimateOneRepMax(100, 10, 'lombardi')).toBeCloseTo(125.89, 2);
+    expect(estimateOneRepMax(100, 20)).toBeNull();
+  });
+});
+
+describe('buildExerciseAnalytics', () => {
+  const bench = { _id: 'b'.repeat(24), name: 'Bench Press', muscleGroups: ['chest', 'triceps'] };
+
+  const sessions = [
+    {
+      _id: '1'.repeat(24),
+      startTime: new Date('2026-03-04T10:00:00Z'),
+      actualExercises: [{
+        exercise: bench,
+        sets: [
+          { reps: 5, weight: { value: 100, unit: 'kg' } },
+          { reps: 5, weight: { value: 220.462, unit: 'lbs' } }
+        ]
+      }]
+    }
+  ];
+
+  test('normalizes units and totals tonnage', () => {
+    const { exercises } = buildExerciseAnalytics(sessions);
+
+    expect(exercises[0].tonnage).toBeCloseTo(1000, 0);
+    expect(exercises[0].oneRepMax.history).toHaveLength(1);
+    expect(exercises[0].oneRepMax.best).toBeCloseTo(116.67, 1);
+  });
+
+  test('counts weekly sets per muscle group', () => {
+    const { weeklySetsPerMuscleGroup } = buildExerciseAnalytics(sessions);
+
+    expect(weeklySetsPerMuscleGroup).toEqual([
+      { week: '2026-03-02', muscleGroups: { chest: 2, triceps: 2 } }
+    ]);
+    expect(weekStart(new Date('2026-03-08T23:00:00Z'))).toBe('2026-03-02');
+  });
+});
@@ -0,0 +1,45 @@
+import { test, expect, describe } from 'bun:test';
+import { rankAlternatives, formatFacets, substringSearchFilter } from '../utils/exerciseSearch.js';
+
+describe('rankAlternatives', () => {
+  test('prefers exercises sharing more muscle groups and the same category', () => {
+    const legPress = {
+      name: 'Leg Press',
+      category: 'strength',
+      difficulty: 'beginner',
+      muscleGroups: ['quadriceps', 'glutes']
+    };
+    const candidates = [
+      { name: 'Calf Raise', category: 'strength', difficulty: 'beginner', muscleGroups: ['calves'] },
+      { name: 'Lunge', category: 'strength', difficulty: 'beginner', muscleGroups: ['quadriceps', 'glutes', 'hamstrings'] },
+      { name: 'Goblet Squat', category: 'strength', difficulty: 'beginner', muscleGroups: ['quadriceps', 'glutes'] }
+    ];
+
+    const ranked = rankAlternatives(legPress, candidates);
+
+    expect(ranked.map(a => a.exercise.name)).toEqual(['Goblet Squat', 'Lunge']);
+    expect(ranked[0].score).toBe(1);
+  });
+});
+
+describe('formatFacets', () => {
+  test('maps aggregation buckets to value/count pairs', () => {
+    expect(formatFacets({ category: [{ _id: 'strength', count: 3 }, { _id: null, count: 1 }] }))
+      .toEqual({ category: [{ value: 'strength', count: 3 }] });
+  });
+});
+
+describe('substringSearchFilter', () => {
+  test('matches partial words in name or description', () => {
+    const filter = substringSearchFilter('bench');
+    const matches = (text) => new RegExp(filter.$or[0].name.$regex, filter.$or[0].name.$options).test(text);
+
+    expect(matches('Benchpress')).toBe(true);
+    expect(matches('Incline bench press')).toBe(true);
+    expect(filter.$or[1]).toHaveProperty('description');
+  });
+
+  test('escapes regex characters in the search', () => {
+    expect(substringSearchFilter('t-bar (row)').$or[0].name.$regex).toBe('t-bar \\(row\\)');
+  });
+});
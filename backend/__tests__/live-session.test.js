@@ -0,0 +1,61 @@
+import { test, expect, describe } from 'bun:test';
+import { buildLiveState } from '../utils/liveSession.js';
+
+const squat = 'a'.repeat(24);
+const row = 'b'.repeat(24);
+const start = new Date('2026-03-02T10:00:00Z');
+const at = (seconds) => new Date(start.getTime() + seconds * 1000);
+
+const routine = {
+  exercises: [
+    { exercise: squat, sets: 2, reps: 5, restTime: 180 },
+    { exercise: row, sets: 1, reps: 10, restTime: 60 }
+  ]
+};
+
+const session = (sets, extra = {}) => ({
+  _id: 'session',
+  status: 'in-progress',
+  startTime: start,
+  pauses: [],
+  actualExercises: [{ exercise: squat, sets }],
+  ...extra
+});
+
+describe('buildLiveState', () => {
+  test('points at the first unfinished set before anything is logged', () => {
+    const state = buildLiveState(session([]), routine, [], at(30));
+
+    expect(state.current).toMatchObject({ exerciseIndex: 0, setNumber: 1, totalSets: 2 });
+    expect(state.nextSet).toMatchObject({ reps: 5 });
+    expect(state.rest).toBeNull();
+    expect(state.progress).toMatchObject({ completedSets: 0, totalSets: 3 });
+  });
+
+  test('counts rest down from the last logged set', () => {
+    const state = buildLiveState(session([{ reps: 5, loggedAt: at(60) }]), routine, [], at(100));
+
+    expect(state.current).toMatchObject({ exerciseIndex: 0, setNumber: 2 });
+    expect(state.rest).toMatchObject({ duration: 180, elapsed: 40, remaining: 140, isResting: true });
+  });
+
+  test('freezes the countdown while paused and honours a rest override', () => {
+    const paused = session([{ reps: 5, loggedAt: at(60) }], {
+      status: 'paused',
+      pauses: [{ startedAt: at(90) }],
+      liveState: { restSeconds: 120 }
+    });
+    const state = buildLiveState(paused, routine, [], at(600));
+
+    expect(state.rest).toMatchObject({ duration: 120, elapsed: 30, remaining: 90 });
+    expect(state.elapsedSeconds).toBe(90);
+  });
+
+  test('moves on to the next exercise once all sets are done', () => {
+    const sets = [{ reps: 5, loggedAt: at(60) }, { reps: 5, loggedAt: at(300) }];
+    const state = buildLiveState(session(sets), routine, [], at(320));
+
+    expect(state.current).toMatchObject({ exerciseIndex: 1, setNumber: 1 });
+    expect(state.progress.completedSets).toBe(2);
+  });
+});
@@ -0,0 +1,82 @@
+import { test, expect, describe } from 'bun:test';
+import { Food } from '../models/index.js';
+import {
+  foodMicronutrients,
+  sumMicronutrients,
+  recommendedIntakes,
+  micronutrientReport
+} from '../utils/micronutrients.js';
+
+const spinach = {
+  nutritionPer100g: {
+    calories: 23, protein: 2.9, carbohydrates: 3.6, fat: 0.4,
+    sodium: 79, potassium: 558, vitamins: { c: 28 }, minerals: { iron: 2.7 }
+  }
+};
+
+describe('food micronutrients', () => {
+  test('scales recorded nutrients and leaves out unknown ones', () => {
+    expect(foodMicronutrients(spinach, 200)).toEqual({ sodium: 158, potassium: 1116, vitaminC: 56, iron: 5.4 });
+  });
+
+  test('does not count unrecorded fiber, sugar or sodium as 0', () => {
+    const oats = new Food({
+      name: 'Oats',
+      category: 'grains',
+      nutritionPer100g: { calories: 380, protein: 13, carbohydrates: 67, fat: 7, fiber: 10 }
+    });
+    expect(foodMicronutrients(oats, 50)).toEqual({ fiber: 5 });
+  });
+
+  test('sums items, including Mongoose maps', () => {
+    const totals = sumMicronutrients([
+      { micronutrients: new Map([['iron', 5.4], ['vitaminC', 56]]) },
+      { micronutrients: { iron: 1.1 } },
+      {}
+    ]);
+    expect(totals).toEqual({ iron: 6.5, vitaminC: 56 });
+  });
+});
+
+describe('recommended intakes', () => {
+  const at = new Date('2026-06-01');
+
+  test('depend on age and gender', () => {
+    expect(recommendedIntakes({ gender: 'female', dateOfBirth: '1996-01-01' }, { at }).iron.amount).toBe(18);
+    expect(recommendedIntakes({ gender: 'female', dateOfBirth: '1966-01-01' }, { at }).iron.amount).toBe(8);
+    expect(recommendedIntakes({ gender: 'male', dateOfBirth: '1996-01-01' }, { at }).vitaminC.amount).toBe(90);
+    expect(recommendedIntakes({}, { at }).vitaminC.amount).toBe(82.5);
+  });
+
+  test('sets fat limits from energy intake', () => {
+    const intakes = recommendedIntakes({ gender: 'male' }, { calories: 2700 });
+    expect(intakes.saturatedFat).toEqual({ amount: 30, type: 'limit' });
+    expect(intakes.sodium.type).toBe('limit');
+  });
+});
+
+describe('micronutrientReport', () => {
+  test('averages daily intake against recommendations', () => {
+    const report = micronutrientReport([
+      { calories: 2000, micronutrients: { iron: 12, sodium: 3000 } },
+      { calories: 2000, micronutrients: { iron: 6, sodium: 2000 } }
+    ], { gender: 'female', dateOfBirth: '1996-01-01' }, { at: new Date('2026-06-01') });
+
+    const byKey = Object.fromEntries(report.map(row => [row.key, row]));
+    expect(byKey.iron).toMatchObject({ averageDaily: 9, recommended: 18, percentOfRecommended: 50, status: 'low' });
+    expect(byKey.sodium).toMatchObject({ averageDaily: 2500, status: 'over' });
+    expect(byKey.vitaminC).toBeUndefined();
+  });
+
+  test('averages each nutrient over the days that have data for it', () => {
+    const report = micronutrientReport([
+      { calories: 2000, micronutrients: { iron: 12, vitaminC: 90 } },
+      { calories: 2000, micronutrients: { iron: 6 } },
+      { calories: 2000 }
+    ], { gender: 'male' });
+
+    const byKey = Object.fromEntries(report.map(row => [row.key, row]));
+    expect(byKey.iron).toMatchObject({ averageDaily: 9, daysWithData: 2 });
+    expect(byKey.vitaminC).toMatchObject({ averageDaily: 90, daysWithData: 1 });
+  });
+});
@@ -0,0 +1,79 @@
+import { test, expect, describe, afterEach, spyOn, mock } from 'bun:test';
+import mongoose from 'mongoose';
+import { Food, NutritionEntry } from '../models/index.js';
+import { mergeDuplicateNutritionDays, unsetDefaultFoodMicronutrients } from '../models/migrations.js';
+
+const userId = new mongoose.Types.ObjectId();
+const oatsId = new mongoose.Types.ObjectId();
+
+const storedEntry = (date, meals, waterIntake) => {
+  const entry = new NutritionEntry({ user: userId, date, meals, waterIntake });
+  entry.isNew = false;
+  return entry;
+};
+
+afterEach(() => mock.restore());
+
+describe('mergeDuplicateNutritionDays', () => {
+  test('merges a day\'s entries into the oldest and moves it to the start of the day', async () => {
+    const day = new Date('2026-05-01T00:00:00Z');
+    const first = storedEntry(new Date('2026-05-01T08:15:00Z'), [
+      { type: 'breakfast', foods: [{ food: oatsId, quantity: 50, grams: 50, calories: 190 }] }
+    ], { amount: 500, unit: 'ml' });
+    const second = storedEntry(new Date('2026-05-01T19:40:00Z'), [
+      { type: 'breakfast', foods: [{ food: oatsId, quantity: 30, grams: 30, calories: 114 }] },
+      { type: 'dinner', foods: [{ food: oatsId, quantity: 100, grams: 100, calories: 380 }] }
+    ], { amount: 250, unit: 'ml' });
+
+    spyOn(NutritionEntry, 'aggregate').mockResolvedValue([
+      { _id: { user: userId, day }, ids: [first._id, second._id], misplaced: 2 }
+    ]);
+    spyOn(NutritionEntry, 'find').mockReturnValue({ sort: async () => [first, second] });
+    const saved = [];
+    spyOn(NutritionEntry.prototype, 'save').mockImplementation(async function () {
+      saved.push(this.date);
+      return this;
+    });
+    const deleteMany = spyOn(NutritionEntry, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+    spyOn(NutritionEntry, 'createIndexes').mockResolvedValue();
+
+    const result = await mergeDuplicateNutritionDays();
+
+    expect(result).toEqual({ days: 1, removed: 1 });
+    expect(deleteMany.mock.calls[0][0]._id.$in).toEqual([second._id]);
+    expect(saved).toEqual([new Date('2026-05-01T08:15:00Z'), day]);
+    expect(first.meals.map(meal => [meal.type, meal.foods.length])).toEqual([['breakfast', 2], ['dinner', 1]]);
+    expect(first.dailyTotals.calories).toBe(684);
+    expect(first.waterIntake.amount).toBe(750);
+  });
+
+  test('only moves the date of a day with a single entry', async () => {
+    const entry = storedEntry(new Date('2026-05-02T12:00:00Z'), []);
+    spyOn(NutritionEntry, 'aggregate').mockResolvedValue([
+      { _id: { user: userId, day: new Date('2026-05-02T00:00:00Z') }, ids: [entry._id], misplaced: 1 }
+    ]);
+    spyOn(NutritionEntry, 'find').mockReturnValue({ sort: async () => [entry] });
+    spyOn(NutritionEntry.prototype, 'save').mockImplementation(async function () { return this; });
+    const deleteMany = spyOn(NutritionEntry, 'deleteMany');
+    spyOn(NutritionEntry, 'createIndexes').mockResolvedValue();
+
+    const result = await mergeDuplicateNutritionDays();
+
+    expect(result).toEqual({ days: 1, removed: 0 });
+    expect(deleteMany).not.toHaveBeenCalled();
+    expect(entry.date).toEqual(new Date('2026-05-02T00:00:00Z'));
+  });
+});
+
+describe('unsetDefaultFoodMicronutrients', () => {
+  test('removes fiber, sugar and sodium from foods where all three were defaulted to 0', async () => {
+    const updateMany = spyOn(Food, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+
+    const result = await unsetDefaultFoodMicronutrients();
+
+    const [filter, update] = updateMany.mock.calls[0];
+    expect(filter).toEqual({ 'nutritionPer100g.fiber': 0, 'nutritionPer100g.sugar': 0, 'nutritionPer100g.sodium': 0 });
+    expect(Object.keys(update.$unset)).toEqual(['nutritionPer100g.fiber', 'nutritionPer100g.sugar', 'nutritionPer100g.sodium']);
+    expect(result).toEqual({ foods: 3 });
+  });
+});
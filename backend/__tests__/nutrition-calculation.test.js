@@ -0,0 +1,70 @@
+import { test, expect, describe } from 'bun:test';
+import {
+  gramsPerUnit,
+  calculateFoodItem,
+  sumNutrition,
+  unresolvedUnitMessage,
+  applyEntryTotals
+} from '../utils/nutritionCalculation.js';
+
+const bread = {
+  _id: 'bread',
+  name: 'Wholemeal bread',
+  category: 'grains',
+  nutritionPer100g: { calories: 250, protein: 10, carbohydrates: 42, fat: 3 },
+  servingSizes: [{ name: 'Slice', weight: 38, unit: 'g' }]
+};
+
+const milk = {
+  _id: 'milk',
+  name: 'Milk',
+  category: 'dairy',
+  nutritionPer100g: { calories: 64, protein: 3.4, carbohydrates: 4.8, fat: 3.6 },
+  servingSizes: []
+};
+
+describe('gramsPerUnit', () => {
+  test('converts weights and serving sizes', () => {
+    expect(gramsPerUnit(bread, 'g')).toBe(1);
+    expect(gramsPerUnit(bread, 'oz')).toBeCloseTo(28.35, 2);
+    expect(gramsPerUnit(bread, 'piece')).toBe(38);
+  });
+
+  test('converts volumes through density', () => {
+    expect(gramsPerUnit(milk, 'ml')).toBe(1.03);
+    expect(gramsPerUnit(milk, 'cup')).toBeCloseTo(243.69, 2);
+    expect(gramsPerUnit({ ...milk, density: 1.1 }, 'ml')).toBe(1.1);
+    expect(gramsPerUnit({ ...milk, servingSizes: [{ name: '1 cup', weight: 250, unit: 'ml' }] }, 'cup')).toBeCloseTo(257.5, 5);
+  });
+
+  test('returns null for units the food cannot resolve', () => {
+    expect(gramsPerUnit(bread, 'ml')).toBeNull();
+    expect(gramsPerUnit(milk, 'piece')).toBeNull();
+    expect(unresolvedUnitMessage(milk, 'piece')).toContain('no piece serving size');
+  });
+});
+
+describe('calculateFoodItem', () => {
+  test('calculates nutrition from the converted weight', () => {
+    const item = calculateFoodItem(bread, 2, 'piece');
+    expect(item).toMatchObject({ grams: 76, calories: 190, protein: 7.6 });
+    expect(calculateFoodItem(bread, 1, 'ml')).toBeNull();
+  });
+
+  test('sums items into totals', () => {
+    const items = [calculateFoodItem(bread, 1, 'piece'), calculateFoodItem(milk, 200, 'ml')];
+    expect(sumNutrition(items)).toEqual({ calories: 226.8, protein: 10.8, carbohydrates: 25.9, fat: 8.5 });
+  });
+
+  test('recomputes meal and daily totals of an entry', () => {
+    const entry = {
+      meals: [
+        { type: 'breakfast', foods: [calculateFoodItem(bread, 2, 'piece')] },
+        { type: 'snack', foods: [calculateFoodItem(milk, 1, 'cup')] }
+      ]
+    };
+
+    expect(applyEntryTotals(entry).calories).toBe(346);
+    expect(entry.meals.map(meal => meal.totalCalories)).toEqual([190, 156]);
+  });
+});
@@ -0,0 +1,223 @@
+import { test, expect, describe, beforeAll, afterAll, beforeEach, afterEach, spyOn, mock } from 'bun:test';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import nutritionRoutes from '../routes/nutrition/nutrition.js';
+import { User, Food, NutritionEntry, ActivityLog } from '../models/index.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const userId = new mongoose.Types.ObjectId();
+const token = jwt.sign({ userId }, process.env.JWT_SECRET);
+
+const oats = new Food({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Oats',
+  category: 'grains',
+  nutritionPer100g: { calories: 380, protein: 13, carbohydrates: 67, fat: 7 }
+});
+const banana = new Food({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Banana',
+  category: 'fruits',
+  nutritionPer100g: { calories: 89, protein: 1.1, carbohydrates: 23, fat: 0.3 },
+  servingSizes: [{ name: '1 piece', weight: 120, unit: 'g' }]
+});
+const foods = new Map([oats, banana].map(food => [food._id.toString(), food]));
+
+let server;
+let baseUrl;
+// The stored day entry, standing in for the collection and its unique index
+let stored;
+let loadDelay;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const request = (method, path, body) => fetch(`${baseUrl}/nutrition${path}`, {
+  method,
+  headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+  body: body && JSON.stringify(body)
+});
+
+const storeEntry = (entry) => {
+  stored = JSON.parse(JSON.stringify(entry.toObject({ flattenMaps: true })));
+};
+
+const seedEntry = (meals) => {
+  const entry = new NutritionEntry({ user: userId, date: new Date('2026-05-01'), meals });
+  entry.meals.forEach(meal => meal.foods.forEach(item => {
+    Object.assign(item, { grams: item.quantity, calories: item.quantity * 3.8 });
+  }));
+  storeEntry(entry);
+  stored.__v = 0;
+  return NutritionEntry.hydrate(stored);
+};
+
+beforeAll(() => {
+  const app = express();
+  app.use(express.json());
+  app.use('/nutrition', nutritionRoutes);
+  server = app.listen(0);
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+afterAll(() => server.close());
+
+beforeEach(() => {
+  stored = null;
+  loadDelay = 0;
+
+  spyOn(User, 'findById').mockResolvedValue({ _id: userId, isActive: true });
+  spyOn(ActivityLog, 'create').mockResolvedValue({});
+  spyOn(Food, 'findById').mockImplementation(async (id) => foods.get(id.toString()) || null);
+  spyOn(NutritionEntry, 'findOne').mockImplementation(async () => {
+    const snapshot = stored && JSON.parse(JSON.stringify(stored));
+    await delay(loadDelay);
+    return snapshot && NutritionEntry.hydrate(snapshot);
+  });
+  spyOn(NutritionEntry.prototype, 'populate').mockImplementation(async function () { return this; });
+  spyOn(NutritionEntry.prototype, 'save').mockImplementation(async function () {
+    if (this.isNew && stored) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    if (!this.isNew && this.__v !== stored.__v) {
+      throw new mongoose.Error.VersionError(this, this.__v, []);
+    }
+    await this.validate();
+    const version = this.isNew ? 0 : this.__v + 1;
+    this.__v = version;
+    this.isNew = false;
+    storeEntry(this);
+    return this;
+  });
+});
+
+afterEach(() => mock.restore());
+
+const mealOf = (type) => stored.meals.find(meal => meal.type === type);
+
+describe('POST /nutrition/entries', () => {
+  test('adds posted meals to the day instead of replacing it', async () => {
+    seedEntry([{ type: 'breakfast', foods: [{ food: oats._id, quantity: 50, unit: 'g' }] }]);
+
+    const response = await request('POST', '/entries', {
+      date: '2026-05-01',
+      meals: [{ type: 'snack', foods: [{ food: banana._id, quantity: 1, unit: 'piece' }] }]
+    });
+
+    expect(response.status).toBe(201);
+    expect(mealOf('breakfast').foods).toHaveLength(1);
+    expect(mealOf('snack').foods[0]).toMatchObject({ grams: 120, calories: 106.8 });
+    expect(stored.dailyTotals.calories).toBe(296.8);
+  });
+
+  test('appends foods to a meal already logged', async () => {
+    seedEntry([{ type: 'breakfast', foods: [{ food: oats._id, quantity: 50, unit: 'g' }] }]);
+
+    await request('POST', '/entries', {
+      date: '2026-05-01',
+      meals: [{ type: 'breakfast', foods: [{ food: oats._id, quantity: 30, unit: 'g' }] }]
+    });
+
+    expect(stored.meals).toHaveLength(1);
+    expect(mealOf('breakfast').foods.map(item => item.grams)).toEqual([50, 30]);
+  });
+});
+
+describe('food item routes', () => {
+  test('add a food to a new day', async () => {
+    const response = await request('POST', '/entries/2026-05-01/foods', { meal: 'lunch', food: oats._id, quantity: 80 });
+    const body = await response.json();
+
+    expect(response.status).toBe(201);
+    expect(body.item).toMatchObject({ grams: 80, calories: 304 });
+    expect(stored.date).toBe('2026-05-01T00:00:00.000Z');
+    expect(stored.dailyTotals.calories).toBe(304);
+  });
+
+  test('edit recalculates the item and the totals', async () => {
+    const entry = seedEntry([{ type: 'breakfast', foods: [{ food: banana._id, quantity: 1, unit: 'piece' }] }]);
+    const itemId = entry.meals[0].foods[0]._id;
+
+    const response = await request('PUT', `/entries/2026-05-01/foods/${itemId}`, { quantity: 2 });
+
+    expect(response.status).toBe(200);
+    expect(mealOf('breakfast').foods[0]).toMatchObject({ quantity: 2, grams: 240, calories: 213.6 });
+    expect(stored.dailyTotals.calories).toBe(213.6);
+  });
+
+  test('move a food to another meal', async () => {
+    const entry = seedEntry([{ type: 'breakfast', foods: [{ food: oats._id, quantity: 50, unit: 'g' }] }]);
+    const itemId = entry.meals[0].foods[0]._id.toString();
+
+    await request('POST', `/entries/2026-05-01/foods/${itemId}/move`, { meal: 'dinner' });
+
+    expect(mealOf('breakfast').foods).toHaveLength(0);
+    expect(mealOf('dinner').foods[0]._id).toBe(itemId);
+  });
+
+  test('delete a food and update the totals', async () => {
+    const entry = seedEntry([{
+      type: 'breakfast',
+      foods: [{ food: oats._id, quantity: 50, unit: 'g' }, { food: oats._id, quantity: 30, unit: 'g' }]
+    }]);
+
+    await request('DELETE', `/entries/2026-05-01/foods/${entry.meals[0].foods[0]._id}`);
+
+    expect(mealOf('breakfast').foods.map(item => item.grams)).toEqual([30]);
+    expect(stored.dailyTotals.calories).toBe(114);
+  });
+
+  test('reports a missing item', async () => {
+    seedEntry([{ type: 'breakfast', foods: [] }]);
+    const response = await request('DELETE', `/entries/2026-05-01/foods/${new mongoose.Types.ObjectId()}`);
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('concurrent saves', () => {
+  test('two devices creating the same day share one entry', async () => {
+    loadDelay = 20;
+
+    const responses = await Promise.all([
+      request('POST', '/entries/2026-05-01/foods', { meal: 'breakfast', food: oats._id, quantity: 50 }),
+      request('POST', '/entries/2026-05-01/foods', { meal: 'snack', food: banana._id, quantity: 1, unit: 'piece' })
+    ]);
+
+    expect(responses.map(response => response.status)).toEqual([201, 201]);
+    expect(mealOf('breakfast').foods).toHaveLength(1);
+    expect(mealOf('snack').foods).toHaveLength(1);
+  });
+
+  test('an edit saved meanwhile by another device is kept', async () => {
+    seedEntry([{ type: 'breakfast', foods: [{ food: oats._id, quantity: 50, unit: 'g' }] }]);
+    loadDelay = 20;
+
+    await Promise.all([
+      request('POST', '/entries', {
+        date: '2026-05-01',
+        meals: [{ type: 'lunch', foods: [{ food: oats._id, quantity: 40, unit: 'g' }] }]
+      }),
+      request('POST', '/entries/2026-05-01/foods', { meal: 'dinner', food: banana._id, quantity: 1, unit: 'piece' })
+    ]);
+
+    expect(stored.meals.map(meal => meal.type).sort()).toEqual(['breakfast', 'dinner', 'lunch']);
+    expect(stored.__v).toBe(2);
+  });
+
+  test('a save that keeps losing to other devices ends in a conflict', async () => {
+    const entry = seedEntry([{ type: 'breakfast', foods: [{ food: oats._id, quantity: 50, unit: 'g' }] }]);
+    const save = NutritionEntry.prototype.save.mockImplementation(async function () {
+      throw new mongoose.Error.VersionError(this, this.__v, []);
+    });
+
+    const responses = [
+      await request('DELETE', `/entries/2026-05-01/foods/${entry.meals[0].foods[0]._id}`),
+      await request('POST', '/entries/2026-05-01/meals', { type: 'dinner' })
+    ];
+
+    expect(responses.map(response => response.status)).toEqual([409, 409]);
+    expect(save).toHaveBeenCalledTimes(6);
+    expect(stored.meals).toHaveLength(1);
+  });
+});
@@ -0,0 +1,111 @@
+import { test, expect, describe } from 'bun:test';
+import mongoose from 'mongoose';
+import { Goal } from '../models/index.js';
+import {
+  mifflinStJeor,
+  katchMcArdle,
+  calculateBmr,
+  goalCalorieAdjustment,
+  remainingGoalKg,
+  calculateTargets,
+  pickTargetGoal,
+  remainingTargets,
+  targetsAge
+} from '../utils/nutritionTargets.js';
+
+const profile = { weightKg: 80, heightCm: 180, age: 30, gender: 'male' };
+
+describe('BMR', () => {
+  test('uses Mifflin-St Jeor from weight, height, age and gender', () => {
+    expect(mifflinStJeor(profile)).toBe(1780);
+    expect(mifflinStJeor({ ...profile, gender: 'female' })).toBe(1614);
+  });
+
+  test('uses Katch-McArdle from lean mass', () => {
+    expect(katchMcArdle({ weightKg: 80, bodyFatPercentage: 20 })).toBe(1752);
+  });
+
+  test('prefers Katch-McArdle when body fat is known', () => {
+    expect(calculateBmr({ ...profile, bodyFatPercentage: 20 }).formula).toBe('katch-mcardle');
+    expect(calculateBmr({ ...profile, bodyFatPercentage: 20 }, 'mifflin-st-jeor').bmr).toBe(1780);
+  });
+
+  test('reports missing measurements', () => {
+    expect(calculateBmr({ ...profile, weightKg: null }).error).toContain('body weight');
+    expect(calculateBmr({ ...profile, age: null }).error).toContain('date of birth');
+    expect(calculateBmr(profile, 'katch-mcardle').error).toContain('body fat');
+  });
+});
+
+describe('goal adjustment', () => {
+  const now = new Date('2026-01-01');
+  const tenWeeks = new Date('2026-03-12');
+  // As stored by the goals routes: lose 10 kg, 7 kg lost so far
+  const goal = (fields) => new Goal({
+    user: new mongoose.Types.ObjectId(),
+    title: 'Lose 10 kg',
+    type: 'weight-loss',
+    targetValue: 10,
+    currentValue: 7,
+    unit: 'kg',
+    targetDate: tenWeeks,
+    ...fields
+  });
+
+  test('uses the default pace without a target date', () => {
+    expect(goalCalorieAdjustment(goal({ targetDate: undefined }), now)).toEqual({ kgPerWeek: -0.5, calories: -550 });
+    expect(goalCalorieAdjustment(null, now).calories).toBe(0);
+  });
+
+  test('paces the weight still to change by the target date', () => {
+    expect(remainingGoalKg(goal())).toBe(3);
+    expect(goalCalorieAdjustment(goal(), now).kgPerWeek).toBe(-0.3);
+    expect(goalCalorieAdjustment(goal({ type: 'weight-gain', title: 'Gain 10 lbs', unit: 'lbs', currentValue: 4 }), now).kgPerWeek).toBe(0.27);
+  });
+
+  test('caps the pace at a safe rate', () => {
+    expect(goalCalorieAdjustment(goal({ targetValue: 20, currentValue: 0 }), now).kgPerWeek).toBe(-1);
+  });
+
+  test('stops adjusting once the goal is reached', () => {
+    expect(goalCalorieAdjustment(goal({ currentValue: 10 }), now)).toEqual({ kgPerWeek: 0, calories: 0 });
+    expect(goalCalorieAdjustment(goal({ currentValue: 12 }), now)).toEqual({ kgPerWeek: 0, calories: 0 });
+  });
+
+  test('keeps the default pace for goals not measured in weight', () => {
+    expect(goalCalorieAdjustment(goal({ unit: '%', targetValue: 5 }), now).kgPerWeek).toBe(-0.5);
+  });
+});
+
+describe('targetsAge', () => {
+  test('reports how old stored targets are', () => {
+    const now = new Date('2026-01-31T12:00:00Z');
+    expect(targetsAge({ calculatedAt: new Date('2026-01-01T00:00:00Z') }, now)).toMatchObject({ ageDays: 30, stale: true });
+    expect(targetsAge({ calculatedAt: new Date('2026-01-25T00:00:00Z') }, now)).toMatchObject({ ageDays: 6, stale: false });
+    expect(targetsAge({}, now)).toBeNull();
+  });
+});
+
+describe('calculateTargets', () => {
+  test('derives calories and macros from TDEE and goal', () => {
+    const targets = calculateTargets({ bmr: 1780, activityLevel: 'moderate', weightKg: 80, gender: 'male', goal: { type: 'weight-loss' } });
+    expect(targets).toMatchObject({ tdee: 2759, calories: 2209, protein: 160, fat: 61 });
+    expect(targets.protein * 4 + targets.carbohydrates * 4 + targets.fat * 9).toBeCloseTo(2209, -1);
+  });
+
+  test('never drops below the calorie floor', () => {
+    const targets = calculateTargets({ bmr: 1200, activityLevel: 'sedentary', weightKg: 55, gender: 'female', goal: { type: 'weight-loss' } });
+    expect(targets.calories).toBe(1200);
+  });
+
+  test('picks the highest-priority active goal and reports what remains', () => {
+    const goal = pickTargetGoal([
+      { type: 'weight-loss', status: 'active', priority: 'low' },
+      { type: 'muscle-gain', status: 'active', priority: 'high' },
+      { type: 'endurance', status: 'active', priority: 'high' }
+    ]);
+    expect(goal.type).toBe('muscle-gain');
+    expect(remainingTargets({ calories: 2000, protein: 150, carbohydrates: 200, fat: 60 }, { calories: 1250.5, protein: 90 }))
+      .toEqual({ calories: 749.5, protein: 60, carbohydrates: 200, fat: 60 });
+  });
+});
@@ -0,0 +1,102 @@
+import { test, expect, describe, spyOn, mock } from 'bun:test';
+import { Progress } from '../models/index.js';
+import {
+  checkPersonalRecords,
+  extractSetCandidates,
+  bestCandidates,
+  recordFilter,
+  staleSessionRecords
+} from '../utils/personalRecords.js';
+
+describe('extractSetCandidates', () => {
+  test('derives strength records from a weighted set', () => {
+    const candidates = extractSetCandidates({ reps: 5, weight: { value: 100, unit: 'kg' } });
+    const metrics = Object.fromEntries(candidates.map(c => [c.metric, c]));
+
+    expect(metrics['max-weight'].value).toBe(100);
+    expect(metrics['estimated-1rm'].value).toBeCloseTo(116.67, 2);
+    expect(metrics['max-reps']).toMatchObject({ value: 5, reference: { value: 100, unit: 'kg' } });
+  });
+
+  test('derives cardio records from distance and duration', () => {
+    const candidates = extractSetCandidates({ duration: 1500, distance: { value: 5, unit: 'km' } });
+    const metrics = candidates.map(c => c.metric);
+
+    expect(metrics).toEqual(['distance', 'best-time']);
+  });
+});
+
+describe('bestCandidates', () => {
+  test('keeps the best value per exercise and metric', () => {
+    const exercise = 'a'.repeat(24);
+    const best = bestCandidates([
+      { exercise, set: { reps: 5, weight: { value: 100, unit: 'kg' } } },
+      { exercise, set: { reps: 3, weight: { value: 110, unit: 'kg' } } }
+    ]);
+
+    expect(best.find(c => c.metric === 'max-weight').value).toBe(110);
+    expect(best.filter(c => c.metric === 'max-reps')).toHaveLength(2);
+  });
+
+  test('ignores warm-up sets', () => {
+    const exercise = 'a'.repeat(24);
+    const best = bestCandidates([
+      { exercise, set: { reps: 1, weight: { value: 120, unit: 'kg' }, setType: 'warm-up' } },
+      { exercise, set: { reps: 5, weight: { value: 100, unit: 'kg' }, setType: 'working' } }
+    ]);
+
+    expect(best.find(c => c.metric === 'max-weight').value).toBe(100);
+  });
+});
+
+describe('recordFilter', () => {
+  test('only compares records in the same unit', () => {
+    const filter = recordFilter('user', { exercise: 'squat', metric: 'max-weight', unit: 'kg' });
+    expect(filter['performance.unit']).toBe('kg');
+  });
+});
+
+describe('staleSessionRecords', () => {
+  const exercise = 'a'.repeat(24);
+  const record = (metric, value, unit = 'kg', reference) => ({
+    performance: { exercise, metric, value, unit, reference }
+  });
+
+  test('lowers edited records and drops ones no set supports', () => {
+    const typo = record('max-weight', 500);
+    const oneRepMax = record('estimated-1rm', 583.33);
+    const reps = record('max-reps', 5, 'reps', { value: 500, unit: 'kg' });
+
+    const candidates = bestCandidates([{ exercise, set: { reps: 5, weight: { value: 50, unit: 'kg' } } }]);
+    const { changed, removed } = staleSessionRecords([typo, oneRepMax, reps], candidates);
+
+    expect(changed.map(({ entry, candidate }) => [entry.performance.metric, candidate.value]))
+      .toEqual([['max-weight', 50], ['estimated-1rm', 58.33]]);
+    expect(removed).toEqual([reps]);
+  });
+
+  test('keeps records the sets still hold', () => {
+    const candidates = bestCandidates([{ exercise, set: { reps: 1, weight: { value: 100, unit: 'kg' } } }]);
+    expect(staleSessionRecords([record('max-weight', 100)], candidates)).toEqual({ changed: [], removed: [] });
+    expect(staleSessionRecords([record('max-weight', 100)], []).removed).toHaveLength(1);
+  });
+});
+
+describe('checkPersonalRecords', () => {
+  test('never fails the request that logged the work', async () => {
+    spyOn(Progress, 'findOne').mockImplementation(() => {
+      throw new Error('Connection lost');
+    });
+    spyOn(console, 'error').mockImplementation(() => {});
+
+    const records = await checkPersonalRecords({
+      userId: 'user',
+      session: { _id: 'session' },
+      loggedSets: [{ exercise: 'a'.repeat(24), set: { reps: 5, weight: { value: 100, unit: 'kg' } } }]
+    });
+
+    expect(records).toEqual([]);
+    expect(console.error).toHaveBeenCalled();
+    mock.restore();
+  });
+});
@@ -0,0 +1,56 @@
+import { test, expect, describe } from 'bun:test';
+import { programStatus, scheduledWorkouts, enrollmentStatus, invalidProgramWeeks } from '../utils/programSchedule.js';
+
+const push = 'a'.repeat(24);
+const pull = 'b'.repeat(24);
+
+// 2026-03-02 is a Monday
+const program = {
+  durationWeeks: 2,
+  days: [
+    { dayOfWeek: 'monday', routine: push },
+    { dayOfWeek: 'thursday', routine: pull }
+  ],
+  weeks: [{ weekNumber: 2, label: 'Deload', intensity: 60, days: [] }],
+  enrollment: { startDate: new Date('2026-03-02T00:00:00Z') }
+};
+
+describe('scheduledWorkouts', () => {
+  test('repeats the weekly schedule and applies week overrides', () => {
+    const workouts = scheduledWorkouts(program, '2026-03-01', '2026-03-31');
+
+    expect(workouts.map(w => w.date)).toEqual(['2026-03-02', '2026-03-05', '2026-03-09', '2026-03-12']);
+    expect(workouts[2]).toMatchObject({ week: 2, weekLabel: 'Deload', intensity: 60 });
+  });
+});
+
+describe('programStatus', () => {
+  test('reports today, missed workouts and adherence', () => {
+    const sessions = [{ routine: push, startTime: new Date('2026-03-02T18:00:00Z') }];
+    const status = programStatus(program, sessions, new Date('2026-03-09T08:00:00Z'));
+
+    expect(status.currentWeek).toBe(2);
+    expect(status.today).toHaveLength(1);
+    expect(status.today[0].routine).toBe(push);
+    expect(status.missed.map(w => w.date)).toEqual(['2026-03-05']);
+    expect(status.adherence).toEqual({ scheduled: 2, completed: 1, percentage: 50 });
+  });
+});
+
+describe('enrollmentStatus', () => {
+  test('counts an active enrollment as completed after the last program day', () => {
+    const active = { ...program, enrollment: { ...program.enrollment, status: 'active' } };
+
+    expect(enrollmentStatus(active, new Date('2026-03-15T20:00:00Z'))).toBe('active');
+    expect(enrollmentStatus(active, new Date('2026-03-16T08:00:00Z'))).toBe('completed');
+    expect(enrollmentStatus({ ...program, enrollment: { status: 'abandoned' } })).toBe('abandoned');
+  });
+});
+
+describe('invalidProgramWeeks', () => {
+  test('rejects weeks beyond the program and repeated week numbers', () => {
+    expect(invalidProgramWeeks([{ weekNumber: 1 }, { weekNumber: 2 }], 2)).toBeNull();
+    expect(invalidProgramWeeks([{ weekNumber: 3 }], 2)).toBe("Week 3 is beyond the program's 2 weeks");
+    expect(invalidProgramWeeks([{ weekNumber: 2 }, { weekNumber: 2 }], 4)).toBe('Week 2 is listed more than once');
+  });
+});
@@ -0,0 +1,84 @@
+import { test, expect, describe } from 'bun:test';
+import { nextTarget, applyProgressionTarget } from '../utils/progressiveOverload.js';
+
+const squat = 'a'.repeat(24);
+const prescribed = { exercise: squat, sets: 3, reps: 5, weight: { value: 100, unit: 'kg' } };
+
+const sessionWith = (reps, weight = 100) => ({
+  actualExercises: [{
+    exercise: squat,
+    sets: Array.from({ length: 3 }, () => ({ reps, weight: { value: weight, unit: 'kg' } }))
+  }]
+});
+
+const linear = {
+  strategy: 'linear',
+  increment: { value: 2.5, unit: 'kg' },
+  deloadAfterMisses: 3,
+  deloadPercentage: 10
+};
+
+describe('nextTarget', () => {
+  test('linear progression adds the increment after a successful session', () => {
+    const target = nextTarget(prescribed, [sessionWith(5)], linear);
+
+    expect(target.action).toBe('increase');
+    expect(target.next.weight).toBe(102.5);
+  });
+
+  test('holds after a miss and deloads after repeated misses', () => {
+    const held = nextTarget(prescribed, [sessionWith(4)], linear);
+    expect(held.action).toBe('hold');
+    expect(held.consecutiveMisses).toBe(1);
+
+    const deloaded = nextTarget({ ...prescribed, consecutiveMisses: 2 }, [sessionWith(4)], linear);
+    expect(deloaded.action).toBe('deload');
+    expect(deloaded.next.weight).toBe(90);
+    expect(deloaded.consecutiveMisses).toBe(0);
+  });
+
+  test('double progression adds reps before adding weight', () => {
+    const settings = { ...linear, strategy: 'double-progression', repRange: { min: 5, max: 8 } };
+
+    const moreReps = nextTarget(prescribed, [sessionWith(6)], settings);
+    expect(moreReps.action).toBe('increase-reps');
+    expect(moreReps.next.reps).toBe(6);
+
+    const heavier = nextTarget({ ...prescribed, reps: 8 }, [sessionWith(8)], settings);
+    expect(heavier.action).toBe('increase');
+    expect(heavier.next).toMatchObject({ weight: 102.5, reps: 5 });
+  });
+
+  test('warm-up and drop sets neither meet nor miss the target', () => {
+    const session = sessionWith(5);
+    session.actualExercises[0].sets.push(
+      { reps: 3, weight: { value: 60, unit: 'kg' }, setType: 'warm-up' },
+      { reps: 2, weight: { value: 70, unit: 'kg' }, setType: 'drop' }
+    );
+
+    expect(nextTarget(prescribed, [session], linear).action).toBe('increase');
+  });
+});
+
+describe('applyProgressionTarget', () => {
+  test('moves fixed set prescriptions with the new target', () => {
+    const entry = {
+      ...prescribed,
+      setPrescriptions: [
+        { setType: 'warm-up', reps: 5, weight: { value: 60, unit: 'kg' } },
+        { setType: 'working', reps: 5, weight: { value: 100, unit: 'kg' } },
+        { setType: 'drop', reps: 8, weight: { value: 80, unit: 'kg' } },
+        { setType: 'working', percentOfTrainingMax: 85 }
+      ]
+    };
+
+    applyProgressionTarget(entry, { next: { weight: 110, unit: 'kg', reps: 6 }, consecutiveMisses: 0 });
+
+    expect(entry.weight).toEqual({ value: 110, unit: 'kg' });
+    expect(entry.reps).toBe(6);
+    expect(entry.setPrescriptions[0]).toEqual({ setType: 'warm-up', reps: 5, weight: { value: 60, unit: 'kg' } });
+    expect(entry.setPrescriptions[1]).toMatchObject({ reps: 6, weight: { value: 110, unit: 'kg' } });
+    expect(entry.setPrescriptions[2]).toMatchObject({ reps: 8, weight: { value: 88, unit: 'kg' } });
+    expect(entry.setPrescriptions[3]).toEqual({ setType: 'working', percentOfTrainingMax: 85 });
+  });
+});
@@ -0,0 +1,88 @@
+import { test, expect, describe, beforeAll, afterAll, beforeEach, afterEach, spyOn, mock } from 'bun:test';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import scheduleRoutes from '../routes/workouts/schedule.js';
+import { User, WorkoutRoutine, WorkoutSession, Reminder, ActivityLog } from '../models/index.js';
+import { deactivateExpiredReminders } from '../utils/reminderJobs.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const userId = new mongoose.Types.ObjectId();
+const routineId = new mongoose.Types.ObjectId();
+const token = jwt.sign({ userId }, process.env.JWT_SECRET);
+
+let server;
+let baseUrl;
+
+const request = (method, path, body) => fetch(`${baseUrl}/schedule${path}`, {
+  method,
+  headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+  body: body && JSON.stringify(body)
+});
+
+beforeAll(() => {
+  const app = express();
+  app.use(express.json());
+  app.use('/schedule', scheduleRoutes);
+  server = app.listen(0);
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+afterAll(() => server.close());
+
+beforeEach(() => {
+  spyOn(User, 'findById').mockResolvedValue({ _id: userId, isActive: true });
+  spyOn(ActivityLog, 'create').mockResolvedValue({});
+  spyOn(WorkoutRoutine, 'findOne').mockResolvedValue({ _id: routineId, name: 'Push day' });
+  spyOn(Reminder, 'create').mockImplementation(async (data) => new Reminder(data));
+  spyOn(Reminder, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+});
+
+afterEach(() => mock.restore());
+
+describe('POST /schedule', () => {
+  test('removes the reminder and any sessions when the sessions fail to save', async () => {
+    spyOn(WorkoutSession, 'insertMany').mockRejectedValue(new Error('Connection lost'));
+    const deleteSessions = spyOn(WorkoutSession, 'deleteMany').mockResolvedValue({});
+    const deleteReminder = spyOn(Reminder, 'deleteOne').mockResolvedValue({});
+
+    const response = await request('POST', '/', {
+      routine: routineId,
+      daysOfWeek: ['monday', 'thursday'],
+      startDate: '2099-05-04',
+      endDate: '2099-05-31',
+      time: '07:30'
+    });
+
+    expect(response.status).toBe(500);
+    const [planned] = WorkoutSession.insertMany.mock.calls[0];
+    const reminder = await Reminder.create.mock.results[0].value;
+    expect(deleteReminder).toHaveBeenCalledWith({ _id: reminder._id });
+    expect(deleteSessions.mock.calls[0][0]._id.$in).toEqual(planned.map(session => session._id));
+  });
+});
+
+describe('GET /schedule/calendar', () => {
+  test('reads the calendar without updating reminders', async () => {
+    spyOn(WorkoutSession, 'find').mockReturnValue({ populate: () => ({ select: async () => [] }) });
+
+    const response = await request('GET', '/calendar?startDate=2026-05-01&endDate=2026-05-31');
+
+    expect(response.status).toBe(200);
+    expect(Reminder.updateMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('deactivateExpiredReminders', () => {
+  test('switches off active reminders whose schedule has ended', async () => {
+    const now = new Date('2026-06-01T00:00:00Z');
+
+    await deactivateExpiredReminders(now);
+
+    expect(Reminder.updateMany).toHaveBeenCalledWith(
+      { isActive: true, 'schedule.endDate': { $lt: now } },
+      { isActive: false }
+    );
+  });
+});
@@ -0,0 +1,71 @@
+import { test, expect, describe } from 'bun:test';
+import { compareSessionToRoutine } from '../utils/sessionComparison.js';
+
+const squat = 'a'.repeat(24);
+const bench = 'b'.repeat(24);
+const curl = 'c'.repeat(24);
+
+const routine = {
+  exercises: [
+    { exercise: squat, sets: 3, reps: 5, weight: { value: 100, unit: 'kg' } },
+    { exercise: bench, sets: 3, reps: 8, weight: { value: 60, unit: 'kg' } }
+  ]
+};
+
+describe('compareSessionToRoutine', () => {
+  test('reports completion, skipped exercises and extra volume', () => {
+    const session = {
+      actualExercises: [
+        {
+          exercise: squat,
+          sets: [
+            { reps: 5, weight: { value: 100, unit: 'kg' } },
+            { reps: 5, weight: { value: 100, unit: 'kg' } },
+            { reps: 5, weight: { value: 100, unit: 'kg' } },
+            { reps: 5, weight: { value: 100, unit: 'kg' } }
+          ]
+        },
+        { exercise: curl, sets: [{ reps: 10, weight: { value: 22, unit: 'lbs' } }] }
+      ]
+    };
+
+    const result = compareSessionToRoutine(session, routine);
+
+    expect(result.completionPercentage).toBe(50);
+    expect(result.skippedExercises).toEqual([bench]);
+    expect(result.exercises[0].status).toBe('exceeded');
+    expect(result.exercises[0].deviation.volume).toBe(500);
+    expect(result.extraExercises).toHaveLength(1);
+    expect(result.summary.extraVolume).toBeCloseTo(500 + 10 * 22 * 0.45359237, 1);
+  });
+
+  test('ignores logged sets with no recorded work', () => {
+    const session = {
+      actualExercises: [{ exercise: squat, sets: [{ completed: false }] }]
+    };
+
+    const result = compareSessionToRoutine(session, routine);
+
+    expect(result.completionPercentage).toBe(0);
+    expect(result.skippedExercises).toEqual([squat, bench]);
+  });
+
+  test('leaves warm-up sets and prescriptions out of the comparison', () => {
+    const warmUp = { reps: 5, weight: { value: 60, unit: 'kg' }, setType: 'warm-up' };
+    const work = { reps: 5, weight: { value: 100, unit: 'kg' } };
+    const withWarmUps = {
+      exercises: [{
+        ...routine.exercises[0],
+        sets: 4,
+        setPrescriptions: [{ setType: 'warm-up' }, {}, {}, {}]
+      }]
+    };
+    const session = { actualExercises: [{ exercise: squat, sets: [warmUp, warmUp, work, work, work] }] };
+
+    const result = compareSessionToRoutine(session, withWarmUps);
+
+    expect(result.exercises[0].planned.sets).toBe(3);
+    expect(result.exercises[0].actual.sets).toBe(3);
+    expect(result.exercises[0].status).toBe('completed');
+  });
+});
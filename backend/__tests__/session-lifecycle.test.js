@@ -0,0 +1,103 @@
+import { test, expect, describe } from 'bun:test';
+import {
+  canTransition,
+  calculateActiveMinutes,
+  transitionSession,
+  pickSetFields,
+  logSessionSet
+} from '../utils/sessionLifecycle.js';
+
+const start = new Date('2026-03-02T10:00:00Z');
+const at = (minutes) => new Date(start.getTime() + minutes * 60 * 1000);
+const session = (extra = {}) => ({
+  status: 'in-progress',
+  startTime: start,
+  pauses: [],
+  actualExercises: [],
+  liveState: { restSeconds: 90 },
+  ...extra
+});
+
+describe('canTransition', () => {
+  test('allows the session lifecycle', () => {
+    expect(canTransition('planned', 'in-progress')).toBe(true);
+    expect(canTransition('in-progress', 'paused')).toBe(true);
+    expect(canTransition('paused', 'in-progress')).toBe(true);
+    expect(canTransition('paused', 'completed')).toBe(true);
+    expect(canTransition('in-progress', 'cancelled')).toBe(true);
+  });
+
+  test('rejects leaving a finished session or skipping the start', () => {
+    expect(canTransition('completed', 'in-progress')).toBe(false);
+    expect(canTransition('cancelled', 'paused')).toBe(false);
+    expect(canTransition('planned', 'completed')).toBe(false);
+    expect(canTransition('unknown', 'paused')).toBe(false);
+  });
+});
+
+describe('calculateActiveMinutes', () => {
+  test('excludes closed and open pauses', () => {
+    const pauses = [{ startedAt: at(10), endedAt: at(15) }, { startedAt: at(50) }];
+    expect(calculateActiveMinutes(session({ pauses }), at(60))).toBe(45);
+  });
+
+  test('never goes negative', () => {
+    expect(calculateActiveMinutes(session(), at(-5))).toBe(0);
+  });
+});
+
+describe('transitionSession', () => {
+  test('pauses, resumes and completes with the active duration', () => {
+    const workout = session();
+    expect(transitionSession(workout, 'paused', at(20))).toBeNull();
+    expect(workout.pauses).toEqual([{ startedAt: at(20) }]);
+
+    transitionSession(workout, 'in-progress', at(30));
+    expect(workout.pauses[0].endedAt).toEqual(at(30));
+
+    transitionSession(workout, 'completed', at(70));
+    expect(workout).toMatchObject({ status: 'completed', endTime: at(70), totalDuration: 60 });
+  });
+
+  test('closes an open pause on completion or cancellation', () => {
+    const workout = session({ status: 'paused', pauses: [{ startedAt: at(40) }] });
+    transitionSession(workout, 'cancelled', at(45));
+    expect(workout.status).toBe('cancelled');
+    expect(workout.pauses[0].endedAt).toEqual(at(45));
+  });
+
+  test('starts a planned session now', () => {
+    const workout = session({ status: 'planned', startTime: at(-600) });
+    transitionSession(workout, 'in-progress', at(0));
+    expect(workout.startTime).toEqual(at(0));
+  });
+
+  test('rejects transitions the lifecycle does not allow', () => {
+    const workout = session({ status: 'completed' });
+    expect(transitionSession(workout, 'paused')).toEqual({ status: 409, error: 'Cannot pause a completed session' });
+    expect(workout.status).toBe('completed');
+  });
+});
+
+describe('set logging', () => {
+  test('keeps only loggable set fields', () => {
+    expect(pickSetFields({ reps: 5, weight: { value: 100, unit: 'kg' }, user: 'x', rpe: undefined }))
+      .toEqual({ reps: 5, weight: { value: 100, unit: 'kg' } });
+  });
+
+  test('adds the exercise entry on its first set and clears the rest timer', () => {
+    const workout = session();
+    logSessionSet(workout, 'squat', { reps: 5 }, at(5));
+    const { entry, set } = logSessionSet(workout, 'squat', { reps: 3, setType: 'drop' }, at(8));
+
+    expect(workout.actualExercises).toHaveLength(1);
+    expect(entry.sets).toHaveLength(2);
+    expect(set).toEqual({ reps: 3, setType: 'drop', loggedAt: at(8) });
+    expect(workout.liveState.restSeconds).toBeUndefined();
+  });
+
+  test('rejects sets outside a running session', () => {
+    expect(logSessionSet(session({ status: 'planned' }), 'squat', { reps: 5 }).error)
+      .toBe('Cannot log sets in a planned session');
+  });
+});
@@ -0,0 +1,49 @@
+import { test, expect, describe } from 'bun:test';
+import { expandPrescription, roundToIncrement, TEMPO_PATTERN } from '../utils/setPrescription.js';
+
+const squat = 'a'.repeat(24);
+
+describe('expandPrescription', () => {
+  test('repeats the exercise targets when there are no set prescriptions', () => {
+    const sets = expandPrescription({ exercise: squat, sets: 3, reps: 5, weight: { value: 100, unit: 'kg' }, restTime: 120 });
+
+    expect(sets).toHaveLength(3);
+    expect(sets[2]).toMatchObject({ setNumber: 3, setType: 'working', reps: 5, weight: { value: 100, unit: 'kg' }, restTime: 120 });
+  });
+
+  test('resolves percentages against the training max and rounds to plate increments', () => {
+    const entry = {
+      exercise: squat,
+      sets: 2,
+      reps: 5,
+      setPrescriptions: [
+        { setType: 'warm-up', percentOfTrainingMax: 50, reps: 5 },
+        { setType: 'working', percentOfTrainingMax: 85, reps: 3, targetRpe: 8, tempo: '3-1-X-0' }
+      ]
+    };
+    const sets = expandPrescription(entry, [{ exercise: squat, value: 183, unit: 'kg' }]);
+
+    expect(sets[0].weight).toEqual({ value: 92.5, unit: 'kg' });
+    expect(sets[1]).toMatchObject({ setType: 'working', reps: 3, targetRpe: 8, tempo: '3-1-X-0', weight: { value: 155, unit: 'kg' } });
+  });
+
+  test('flags percentage sets when the training max is missing', () => {
+    const sets = expandPrescription({ exercise: squat, sets: 1, setPrescriptions: [{ percentOfTrainingMax: 70 }] });
+
+    expect(sets[0].weight).toBeUndefined();
+    expect(sets[0].missingTrainingMax).toBe(true);
+  });
+});
+
+describe('helpers', () => {
+  test('rounds loads to 2.5 kg or 5 lbs', () => {
+    expect(roundToIncrement(101.2, 'kg')).toBe(100);
+    expect(roundToIncrement(228, 'lbs')).toBe(230);
+  });
+
+  test('accepts common tempo notations', () => {
+    expect(TEMPO_PATTERN.test('31X0')).toBe(true);
+    expect(TEMPO_PATTERN.test('3-1-x-0')).toBe(true);
+    expect(TEMPO_PATTERN.test('3-1-1')).toBe(false);
+  });
+});
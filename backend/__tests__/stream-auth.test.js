@@ -0,0 +1,49 @@
+import { test, expect, describe } from 'bun:test';
+import jwt from 'jsonwebtoken';
+import { issueStreamToken, authenticateStreamToken } from '../middleware/auth.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const sessionId = 'a'.repeat(24);
+const userId = 'b'.repeat(24);
+
+const respond = async (req) => {
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  let nextCalled = false;
+  await authenticateStreamToken({ headers: {}, params: { id: sessionId }, ...req }, res, () => { nextCalled = true; });
+  return { ...res, nextCalled };
+};
+
+describe('authenticateStreamToken', () => {
+  test('issues tokens scoped to one session', () => {
+    const decoded = jwt.verify(issueStreamToken(userId, sessionId), process.env.JWT_SECRET);
+    expect(decoded).toMatchObject({ userId, sessionId, scope: 'live-stream' });
+    expect(decoded.exp - decoded.iat).toBe(300);
+  });
+
+  test('requires a token', async () => {
+    const res = await respond({ query: {} });
+    expect(res.statusCode).toBe(401);
+    expect(res.nextCalled).toBe(false);
+  });
+
+  test('rejects a token for another session', async () => {
+    const res = await respond({ query: { token: issueStreamToken(userId, 'c'.repeat(24)) } });
+    expect(res.statusCode).toBe(403);
+  });
+
+  test('rejects a regular access token in the query string', async () => {
+    const token = jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
+    const res = await respond({ query: { token } });
+    expect(res.statusCode).toBe(403);
+  });
+});
@@ -0,0 +1,304 @@
+import { test, expect, describe, beforeAll, afterAll, beforeEach, afterEach, spyOn, mock } from 'bun:test';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import syncRoutes from '../routes/sync/sync.js';
+import { User, WorkoutSession, NutritionEntry, Progress, SyncOperation, SyncTombstone, Exercise, Food } from '../models/index.js';
+import { encodeSyncToken } from '../utils/sync.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const userId = new mongoose.Types.ObjectId();
+const sessionId = new mongoose.Types.ObjectId();
+const exerciseId = new mongoose.Types.ObjectId().toString();
+const token = jwt.sign({ userId }, process.env.JWT_SECRET);
+
+let server;
+let baseUrl;
+// SyncOperation records by clientId, standing in for the unique index
+let operations;
+
+const chain = (result) => ({ sort: () => ({ limit: async () => result }) });
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const sync = (ops, syncToken) => fetch(`${baseUrl}/sync`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+  body: JSON.stringify({ operations: ops, syncToken })
+});
+
+const addSet = (clientId, reps = 5) => ({
+  clientId,
+  entityType: 'workout-session',
+  operation: 'add-set',
+  entityId: sessionId.toString(),
+  timestamp: '2026-05-01T12:10:00Z',
+  data: { exercise: exerciseId, reps }
+});
+
+const sessionDoc = (status = 'in-progress') => new WorkoutSession({
+  _id: sessionId,
+  user: userId,
+  routine: new mongoose.Types.ObjectId(),
+  status,
+  startTime: new Date('2026-05-01T12:00:00Z')
+});
+
+beforeAll(() => {
+  const app = express();
+  app.use(express.json());
+  app.use('/sync', syncRoutes);
+  server = app.listen(0);
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+afterAll(() => server.close());
+
+beforeEach(() => {
+  operations = new Map();
+
+  spyOn(User, 'findById').mockResolvedValue({ _id: userId, isActive: true });
+  spyOn(Exercise, 'exists').mockResolvedValue({ _id: exerciseId });
+  for (const Model of [WorkoutSession, NutritionEntry, Progress]) {
+    spyOn(Model, 'find').mockReturnValue(chain([]));
+  }
+  spyOn(WorkoutSession.prototype, 'save').mockImplementation(async function () { return this; });
+  // No earlier records or body weight
+  spyOn(Progress, 'findOne').mockImplementation(() => Object.assign(Promise.resolve(null), { sort: async () => null }));
+  spyOn(Progress, 'create').mockImplementation(async (data) => new Progress(data));
+
+  spyOn(SyncOperation, 'create').mockImplementation(async (data) => {
+    if (operations.has(data.clientId)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    const record = new SyncOperation(data);
+    record.updatedAt = new Date();
+    operations.set(data.clientId, record);
+    return record;
+  });
+  spyOn(SyncOperation, 'findOne').mockImplementation(async ({ clientId }) => operations.get(clientId) || null);
+  spyOn(SyncOperation, 'deleteOne').mockImplementation(async ({ _id }) => {
+    for (const [clientId, record] of operations) {
+      if (record._id.equals(_id)) operations.delete(clientId);
+    }
+  });
+  spyOn(SyncOperation.prototype, 'save').mockImplementation(async function () { return this; });
+});
+
+afterEach(() => mock.restore());
+
+describe('POST /sync', () => {
+  test('answers a retried operation with the stored result', async () => {
+    const session = sessionDoc();
+    spyOn(WorkoutSession, 'findOne').mockResolvedValue(session);
+
+    const first = await (await sync([addSet('op-1')])).json();
+    const retry = await (await sync([addSet('op-1')])).json();
+
+    expect(first.results[0]).toMatchObject({ clientId: 'op-1', status: 'applied' });
+    expect(retry.results[0]).toMatchObject({ status: 'applied', setId: first.results[0].setId, duplicate: true });
+    expect(session.actualExercises[0].sets).toHaveLength(1);
+    expect(operations.get('op-1').status).toBe('applied');
+  });
+
+  test('applies an operation sent by two requests at once only once', async () => {
+    const session = sessionDoc();
+    spyOn(WorkoutSession, 'findOne').mockImplementation(async () => {
+      await delay(20);
+      return session;
+    });
+
+    const responses = await Promise.all([sync([addSet('op-2')]), sync([addSet('op-2')])]);
+    const results = await Promise.all(responses.map(async response => (await response.json()).results[0]));
+
+    expect(results.map(result => result.status).sort()).toEqual(['applied', 'pending']);
+    expect(session.actualExercises[0].sets).toHaveLength(1);
+  });
+
+  test('releases the operation when the database fails so a retry applies it', async () => {
+    const findOne = spyOn(WorkoutSession, 'findOne').mockRejectedValueOnce(new Error('Operation timed out'));
+
+    const failed = await sync([addSet('op-3')]);
+    expect(failed.status).toBe(500);
+    expect(operations.has('op-3')).toBe(false);
+
+    const session = sessionDoc();
+    findOne.mockResolvedValue(session);
+    const retry = await (await sync([addSet('op-3')])).json();
+
+    expect(retry.results[0]).toMatchObject({ status: 'applied' });
+    expect(retry.results[0].duplicate).toBeUndefined();
+  });
+
+  test('remembers validation failures as rejections', async () => {
+    const session = sessionDoc();
+    spyOn(WorkoutSession, 'findOne').mockResolvedValue(session);
+    WorkoutSession.prototype.save.mockImplementation(async () => {
+      throw new mongoose.Error.ValidationError();
+    });
+
+    const body = await (await sync([addSet('op-4')])).json();
+
+    expect(body.results[0].status).toBe('rejected');
+    expect(operations.get('op-4').status).toBe('rejected');
+  });
+
+  test('applies the session lifecycle to synced sets and status changes', async () => {
+    spyOn(WorkoutSession, 'findOne').mockResolvedValue(sessionDoc('completed'));
+
+    const body = await (await sync([
+      addSet('op-5'),
+      {
+        clientId: 'op-6',
+        entityType: 'workout-session',
+        operation: 'edit',
+        entityId: sessionId.toString(),
+        timestamp: '2026-05-01T12:30:00Z',
+        force: true,
+        data: { status: 'paused' }
+      }
+    ])).json();
+
+    expect(body.results[0]).toMatchObject({ status: 'rejected', error: 'Cannot log sets in a completed session' });
+    expect(body.results[1]).toMatchObject({ status: 'rejected', error: 'Cannot pause a completed session' });
+  });
+
+  test('checks synced sets for personal records', async () => {
+    spyOn(WorkoutSession, 'findOne').mockResolvedValue(sessionDoc());
+
+    const body = await (await sync([{ ...addSet('op-8'), data: { exercise: exerciseId, reps: 5, weight: 100 } }])).json();
+
+    expect(body.results[0].status).toBe('applied');
+    expect(body.results[0].personalRecords.length).toBeGreaterThan(0);
+    expect(Progress.create.mock.calls[0][0].performance.session.toString()).toBe(sessionId.toString());
+  });
+
+  test('estimates calories and checks records when a session is completed through sync', async () => {
+    const session = sessionDoc();
+    session.actualExercises.push({ exercise: exerciseId, sets: [{ reps: 5, weight: 100 }] });
+    spyOn(WorkoutSession, 'findOne').mockResolvedValue(session);
+    spyOn(Exercise, 'find').mockReturnValue({ select: async () => [{ _id: exerciseId, met: 6 }] });
+
+    const body = await (await sync([{
+      clientId: 'op-9',
+      entityType: 'workout-session',
+      operation: 'edit',
+      entityId: sessionId.toString(),
+      timestamp: '2026-05-01T12:30:00Z',
+      force: true,
+      data: { status: 'completed' }
+    }])).json();
+
+    expect(body.results[0].status).toBe('applied');
+    expect(body.results[0].personalRecords.length).toBeGreaterThan(0);
+    expect(session.caloriesSource).toBe('estimated');
+    expect(session.caloriesBurned).toBeGreaterThan(0);
+  });
+
+  test('keeps calories the client reported when completing through sync', async () => {
+    const session = sessionDoc();
+    spyOn(WorkoutSession, 'findOne').mockResolvedValue(session);
+
+    const body = await (await sync([{
+      clientId: 'op-10',
+      entityType: 'workout-session',
+      operation: 'edit',
+      entityId: sessionId.toString(),
+      timestamp: '2026-05-01T12:30:00Z',
+      force: true,
+      data: { status: 'completed', caloriesBurned: 250 }
+    }])).json();
+
+    expect(body.results[0].status).toBe('applied');
+    expect(session.caloriesBurned).toBe(250);
+    expect(session.caloriesSource).toBe('manual');
+  });
+
+  test('calculates synced nutrition entries from their foods', async () => {
+    const oats = new Food({
+      _id: new mongoose.Types.ObjectId(),
+      name: 'Oats',
+      category: 'grains',
+      nutritionPer100g: { calories: 380, protein: 13, carbohydrates: 67, fat: 7 },
+      servingSizes: [{ name: 'cup', weight: 80, unit: 'cup' }]
+    });
+    spyOn(Food, 'findById').mockResolvedValue(oats);
+    spyOn(NutritionEntry, 'findOne').mockResolvedValue(null);
+    spyOn(NutritionEntry.prototype, 'save').mockImplementation(async function () { return this; });
+
+    const body = await (await sync([{
+      clientId: 'op-7',
+      entityType: 'nutrition-entry',
+      operation: 'create',
+      timestamp: '2026-05-01T08:00:00Z',
+      data: {
+        date: '2026-05-01',
+        meals: [{ type: 'breakfast', foods: [{ food: oats._id.toString(), quantity: 1, unit: 'cup' }] }],
+        dailyTotals: { calories: 5 }
+      }
+    }])).json();
+
+    expect(body.results[0].status).toBe('applied');
+    const entry = NutritionEntry.prototype.save.mock.contexts[0];
+    expect(entry.meals[0].foods[0]).toMatchObject({ grams: 80, calories: 304 });
+    expect(entry.dailyTotals.calories).toBe(304);
+  });
+
+  test('merges a synced nutrition entry into the day\'s existing entry', async () => {
+    const oats = new Food({
+      _id: new mongoose.Types.ObjectId(),
+      name: 'Oats',
+      category: 'grains',
+      nutritionPer100g: { calories: 380, protein: 13, carbohydrates: 67, fat: 7 }
+    });
+    const existing = new NutritionEntry({
+      user: userId,
+      date: new Date('2026-05-01T00:00:00Z'),
+      meals: [{ type: 'breakfast', foods: [{ food: oats._id, quantity: 50, unit: 'g', grams: 50, calories: 190 }] }]
+    });
+    existing.isNew = false;
+    spyOn(Food, 'findById').mockResolvedValue(oats);
+    spyOn(NutritionEntry, 'findById').mockReturnValue({ select: async () => null });
+    const findOne = spyOn(NutritionEntry, 'findOne').mockResolvedValue(existing);
+    spyOn(NutritionEntry.prototype, 'save').mockImplementation(async function () { return this; });
+
+    const body = await (await sync([{
+      clientId: 'op-11',
+      entityType: 'nutrition-entry',
+      operation: 'create',
+      entityId: new mongoose.Types.ObjectId().toString(),
+      timestamp: '2026-05-01T18:00:00Z',
+      data: {
+        date: '2026-05-01T18:00:00Z',
+        meals: [{ type: 'breakfast', foods: [{ food: oats._id.toString(), quantity: 100, unit: 'g' }] }]
+      }
+    }])).json();
+
+    expect(body.results[0]).toMatchObject({ status: 'applied', entityId: existing._id.toString(), merged: true });
+    expect(findOne.mock.calls.at(-1)[0].date.$gte).toEqual(new Date('2026-05-01T00:00:00Z'));
+    expect(existing.meals).toHaveLength(1);
+    expect(existing.meals[0].foods).toHaveLength(2);
+    expect(existing.dailyTotals.calories).toBe(570);
+  });
+
+  test('asks for a full resync when the token is older than the kept deletions', async () => {
+    const tombstones = spyOn(SyncTombstone, 'find');
+    const since = new Date(Date.now() - 100 * 24 * 60 * 60 * 1000);
+
+    const body = await (await sync([], encodeSyncToken(since))).json();
+
+    expect(body.reset).toBe(true);
+    expect(tombstones).not.toHaveBeenCalled();
+    expect(WorkoutSession.find.mock.calls[0][0].updatedAt).toBeUndefined();
+  });
+
+  test('answers a recent token with a delta', async () => {
+    spyOn(SyncTombstone, 'find').mockReturnValue({ select: () => ({ sort: async () => [] }) });
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+    const body = await (await sync([], encodeSyncToken(since))).json();
+
+    expect(body.reset).toBe(false);
+    expect(WorkoutSession.find.mock.calls[0][0].updatedAt).toEqual({ $gt: since });
+  });
+});
@@ -0,0 +1,96 @@
+import { test, expect, describe } from 'bun:test';
+import mongoose from 'mongoose';
+import {
+  decodeSyncToken,
+  encodeSyncToken,
+  isSyncTokenExpired,
+  hasConflict,
+  sanitizeSyncData,
+  isPermanentFailure,
+  isStalePending,
+  applySessionCreate,
+  applySessionEdit
+} from '../utils/sync.js';
+
+describe('sync tokens', () => {
+  test('round-trip the sync time', () => {
+    const date = new Date('2026-05-01T12:30:00.123Z');
+    expect(decodeSyncToken(encodeSyncToken(date))).toEqual(date);
+  });
+
+  test('reject malformed tokens', () => {
+    expect(decodeSyncToken('not-a-token')).toBeNull();
+    expect(decodeSyncToken(Buffer.from('{"v":2,"t":1}').toString('base64url'))).toBeNull();
+  });
+
+  test('expire once deletions older than the token may be gone', () => {
+    const now = new Date('2026-08-01T00:00:00Z');
+    expect(isSyncTokenExpired(new Date('2026-05-10T00:00:00Z'), now)).toBe(false);
+    expect(isSyncTokenExpired(new Date('2026-04-01T00:00:00Z'), now)).toBe(true);
+  });
+});
+
+describe('hasConflict', () => {
+  const doc = { updatedAt: new Date('2026-05-01T12:00:00Z') };
+
+  test('compares against the version the client last saw', () => {
+    expect(hasConflict(doc, { baseUpdatedAt: '2026-05-01T11:00:00Z', timestamp: '2026-05-01T13:00:00Z' })).toBe(true);
+    expect(hasConflict(doc, { baseUpdatedAt: '2026-05-01T12:00:00Z', timestamp: '2026-05-01T11:00:00Z' })).toBe(false);
+  });
+
+  test('falls back to the operation timestamp and can be forced', () => {
+    expect(hasConflict(doc, { timestamp: '2026-05-01T11:59:00Z' })).toBe(true);
+    expect(hasConflict(doc, { timestamp: '2026-05-01T11:59:00Z', force: true })).toBe(false);
+  });
+});
+
+test('sanitizeSyncData strips ownership and server-managed fields', () => {
+  expect(sanitizeSyncData({ _id: 'x', user: 'y', updatedAt: 1, notes: 'ok' })).toEqual({ notes: 'ok' });
+});
+
+describe('isPermanentFailure', () => {
+  test('remembers validation failures but not connection errors', () => {
+    expect(isPermanentFailure(new mongoose.Error.ValidationError())).toBe(true);
+    expect(isPermanentFailure(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }))).toBe(true);
+    expect(isPermanentFailure(new Error('Operation timed out'))).toBe(false);
+  });
+});
+
+test('isStalePending only takes over old reservations', () => {
+  const now = new Date('2026-05-01T12:10:00Z');
+  expect(isStalePending({ status: 'pending', updatedAt: new Date('2026-05-01T12:00:00Z') }, now)).toBe(true);
+  expect(isStalePending({ status: 'pending', updatedAt: new Date('2026-05-01T12:08:00Z') }, now)).toBe(false);
+  expect(isStalePending({ status: 'applied', updatedAt: new Date('2026-05-01T12:00:00Z') }, now)).toBe(false);
+});
+
+describe('synced sessions', () => {
+  const at = new Date('2026-05-01T12:00:00Z');
+  const later = new Date('2026-05-01T12:45:00Z');
+
+  test('created sessions start when they were created', () => {
+    const session = { pauses: [] };
+    expect(applySessionCreate(session, { routine: 'r', status: 'completed', startTime: later, notes: 'x' }, at)).toBeNull();
+    expect(session).toMatchObject({ routine: 'r', notes: 'x', status: 'completed', startTime: at, totalDuration: 0 });
+  });
+
+  test('planned sessions keep their scheduled start', () => {
+    const session = { pauses: [] };
+    applySessionCreate(session, { status: 'planned', startTime: later }, at);
+    expect(session).toMatchObject({ status: 'planned', startTime: later });
+  });
+
+  test('edits change status through the session lifecycle', () => {
+    const session = { status: 'in-progress', startTime: at, pauses: [] };
+    expect(applySessionEdit(session, { status: 'completed', totalDuration: 999 }, later)).toBeNull();
+    expect(session).toMatchObject({ status: 'completed', endTime: later, totalDuration: 45 });
+
+    expect(applySessionEdit(session, { status: 'in-progress' }, later))
+      .toEqual({ status: 409, error: 'Cannot start a completed session' });
+  });
+
+  test('edits cannot change the sets of a finished session', () => {
+    const session = { status: 'cancelled', pauses: [], actualExercises: [] };
+    expect(applySessionEdit(session, { actualExercises: [{ exercise: 'x', sets: [] }] }, at).error)
+      .toBe('Cannot edit sets in a cancelled session');
+  });
+});
@@ -0,0 +1,120 @@
+import { test, expect, describe } from 'bun:test';
+import mongoose from 'mongoose';
+import { WorkoutTemplate, WorkoutRoutine } from '../models/index.js';
+import {
+  deriveTemplateMetadata,
+  estimateRoutineMinutes,
+  templateContent,
+  diffTemplateVersions,
+  routineFromTemplate,
+  customExercises
+} from '../utils/templatePublishing.js';
+
+const squat = { _id: 'a'.repeat(24), category: 'strength', difficulty: 'intermediate', equipment: ['barbell'], muscleGroups: ['quadriceps', 'glutes'] };
+const lunge = { _id: 'b'.repeat(24), category: 'strength', difficulty: 'beginner', equipment: ['dumbbell'], muscleGroups: ['quadriceps'] };
+const bike = { _id: 'c'.repeat(24), category: 'cardio', difficulty: 'advanced', equipment: ['cardio-equipment'], muscleGroups: ['cardio'] };
+
+describe('deriveTemplateMetadata', () => {
+  test('derives category, hardest difficulty, equipment and muscle tags', () => {
+    const metadata = deriveTemplateMetadata({
+      tags: ['legs'],
+      exercises: [{ exercise: squat }, { exercise: lunge }]
+    });
+
+    expect(metadata).toEqual({
+      category: 'strength',
+      difficulty: 'intermediate',
+      equipment: ['barbell', 'dumbbell'],
+      tags: ['legs', 'quadriceps', 'glutes']
+    });
+  });
+
+  test('mixes categories and maps sports', () => {
+    expect(deriveTemplateMetadata({ exercises: [{ exercise: squat }, { exercise: bike }] }).category).toBe('mixed');
+    expect(deriveTemplateMetadata({ exercises: [{ exercise: { category: 'sports' } }] }).category).toBe('sport-specific');
+  });
+});
+
+describe('template content', () => {
+  test('estimates duration and takes reps from set prescriptions', () => {
+    const routine = {
+      exercises: [{ exercise: squat, sets: 4, setPrescriptions: [{ reps: 5 }], restTime: 120 }],
+      blocks: []
+    };
+
+    expect(estimateRoutineMinutes({ exercises: [{ sets: 4, reps: 5, restTime: 120 }] })).toBe(9);
+    expect(templateContent(routine).exercises[0]).toMatchObject({ exercise: squat._id, sets: 4, reps: 5 });
+  });
+});
+
+describe('diffTemplateVersions', () => {
+  const version = (exercises, blocks = []) => ({ name: 'Legs', exercises, blocks });
+
+  test('reports added, removed and changed exercises and blocks', () => {
+    const diff = diffTemplateVersions(
+      version([{ exercise: squat._id, sets: 3, reps: 5 }, { exercise: lunge._id, sets: 3, reps: 10 }]),
+      version(
+        [{ exercise: bike._id, sets: 1, duration: 600 }, { exercise: squat._id, sets: 5, reps: 5 }],
+        [{ key: 'A', type: 'superset' }]
+      )
+    );
+
+    expect(diff.hasChanges).toBe(true);
+    expect(diff.exercises.added).toEqual([{ exercise: bike._id, position: 0 }]);
+    expect(diff.exercises.removed).toEqual([{ exercise: lunge._id, position: 1 }]);
+    expect(diff.exercises.changed).toEqual([
+      { exercise: squat._id, position: 1, previousPosition: 0, changes: { sets: { from: 3, to: 5 } } }
+    ]);
+    expect(diff.blocks.added).toEqual(['A']);
+  });
+
+  test('finds no changes between identical versions', () => {
+    const exercises = [{ exercise: squat._id, sets: 3, reps: 5 }];
+    expect(diffTemplateVersions(version(exercises), version(exercises)).hasChanges).toBe(false);
+  });
+});
+
+describe('customExercises', () => {
+  test('finds the custom exercises a public template could not use', () => {
+    const sledPush = { _id: 'd'.repeat(24), name: 'Sled push', category: 'strength', isCustom: true };
+    const routine = { exercises: [{ exercise: squat }, { exercise: sledPush }, { exercise: null }] };
+
+    expect(customExercises(routine)).toEqual([sledPush]);
+  });
+});
+
+describe('routineFromTemplate', () => {
+  const template = new WorkoutTemplate({
+    creator: new mongoose.Types.ObjectId(),
+    name: 'Full Body Circuit',
+    description: 'Three rounds, little rest',
+    category: 'sport-specific',
+    difficulty: 'intermediate',
+    estimatedDuration: 30,
+    tags: ['conditioning'],
+    version: 3,
+    exercises: [
+      { exercise: squat._id, sets: 3, reps: 12, restTime: 0, block: 'A' },
+      { exercise: bike._id, sets: 3, duration: 60, block: 'A' }
+    ],
+    blocks: [{ key: 'A', type: 'circuit', rounds: 3, restBetweenRounds: 90 }]
+  });
+  const userId = new mongoose.Types.ObjectId();
+  const at = new Date('2026-05-01T12:00:00Z');
+
+  test('copies exercises and blocks into a valid routine for the user', async () => {
+    const data = routineFromTemplate(template, userId, at);
+
+    expect(data.user).toBe(userId);
+    expect(data.exercises[1]).toMatchObject({ sets: 3, duration: 60, block: 'A' });
+    expect(data.blocks).toEqual([expect.objectContaining({ key: 'A', type: 'circuit', rounds: 3, restBetweenRounds: 90 })]);
+    expect(data.blocks[0]._id).toBeUndefined();
+    expect(data.sourceTemplate).toEqual({ template: template._id, version: 3, copiedAt: at });
+
+    await new WorkoutRoutine(data).validate();
+  });
+
+  test('maps template-only categories to other', () => {
+    expect(routineFromTemplate(template, userId).category).toBe('other');
+  });
+});
@@ -0,0 +1,64 @@
+import { test, expect, describe } from 'bun:test';
+import { estimateMaxHeartRate, heartRateZones, resolveHeartRateProfile, sampleTrimp, timeInZones } from '../utils/heartRate.js';
+import { acuteChronicRatio, readinessTrend, weeklyLoad } from '../utils/trainingLoad.js';
+
+describe('heart rate zones', () => {
+  test('estimates max HR from age and prefers a manual value', () => {
+    expect(estimateMaxHeartRate('1986-06-01', new Date('2026-05-31'))).toBe(181);
+    const profile = resolveHeartRateProfile({ dateOfBirth: '1986-01-01', heartRateProfile: { maxHeartRate: 190 } });
+    expect(profile).toMatchObject({ maxHeartRate: 190, maxHeartRateSource: 'manual', restingHeartRate: 60 });
+    expect(resolveHeartRateProfile({})).toBeNull();
+  });
+
+  test('builds zones from max HR or HR reserve', () => {
+    expect(heartRateZones({ maxHeartRate: 200, restingHeartRate: 50, method: 'max-hr' })[0]).toMatchObject({ min: 100, max: 120 });
+    expect(heartRateZones({ maxHeartRate: 200, restingHeartRate: 50, method: 'hr-reserve' })[4]).toMatchObject({ min: 185, max: 200 });
+  });
+
+  test('counts time in zone between samples and skips long gaps', () => {
+    const zones = heartRateZones({ maxHeartRate: 200, restingHeartRate: 60, method: 'max-hr' });
+    const samples = [
+      { time: 0, heartRate: 90 },
+      { time: 30, heartRate: 130 },
+      { time: 90, heartRate: 170 },
+      { time: 600, heartRate: 150 },
+      { time: 610 }
+    ];
+    const result = timeInZones(samples, zones);
+
+    expect(result.below).toBe(30);
+    expect(result.zones[1].seconds).toBe(60);
+    expect(result.zones[3].seconds).toBe(0);
+  });
+
+  test('weights TRIMP exponentially by heart-rate reserve', () => {
+    const profile = { maxHeartRate: 190, restingHeartRate: 60 };
+    const easy = sampleTrimp([{ time: 0, heartRate: 125 }, { time: 60, heartRate: 125 }], profile, 'male');
+    expect(easy).toBeCloseTo(0.5 * 0.64 * Math.exp(0.96), 1);
+  });
+});
+
+describe('training load', () => {
+  const today = new Date('2026-05-28T12:00:00Z');
+  const daysAgo = (days, load) => ({ date: new Date(today.getTime() - days * 86400000), load });
+
+  test('compares the last week with the 4-week average', () => {
+    const loads = [daysAgo(1, 100), daysAgo(3, 100), daysAgo(10, 50), daysAgo(17, 50), daysAgo(24, 50)];
+    expect(acuteChronicRatio(loads, today)).toEqual({ acute: 200, chronic: 87.5, ratio: 2.29, status: 'high-risk' });
+  });
+
+  test('groups loads by training week', () => {
+    expect(weeklyLoad([daysAgo(0, 10), daysAgo(1, 20), daysAgo(7, 5)])).toEqual([
+      { weekStart: '2026-05-18', load: 5, sessions: 1 },
+      { weekStart: '2026-05-25', load: 30, sessions: 2 }
+    ]);
+  });
+
+  test('fatigue reacts faster than fitness', () => {
+    const trend = readinessTrend([daysAgo(2, 100)], new Date('2026-05-25'), today);
+    const peak = trend.find(day => day.load === 100);
+
+    expect(peak.fatigue).toBeGreaterThan(peak.fitness);
+    expect(trend[trend.length - 1].form).toBeLessThan(0);
+  });
+});
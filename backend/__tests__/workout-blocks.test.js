@@ -0,0 +1,86 @@
+import { test, expect, describe } from 'bun:test';
+import mongoose from 'mongoose';
+import { WorkoutRoutine, WorkoutTemplate } from '../models/index.js';
+import { validateWorkoutBlocks } from '../models/schemas/workoutBlock.js';
+import { logBlockRound } from '../utils/sessionLifecycle.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Minimal stand-in for a document's invalidate()
+const fakeDoc = (blocks, exercises = []) => {
+  const errors = {};
+  return { blocks, exercises, errors, invalidate: (path, message) => { errors[path] = message; } };
+};
+
+describe('validateWorkoutBlocks', () => {
+  test('applies tabata and EMOM defaults only where not given', () => {
+    const doc = fakeDoc([
+      { key: 'A', type: 'tabata' },
+      { key: 'B', type: 'tabata', rounds: 1 },
+      { key: 'C', type: 'emom' },
+      { key: 'D', type: 'superset' }
+    ]);
+    validateWorkoutBlocks(doc);
+
+    expect(doc.blocks.map(block => block.rounds)).toEqual([8, 1, 1, 1]);
+    expect(doc.blocks[0]).toMatchObject({ workSeconds: 20, restSeconds: 10 });
+    expect(doc.blocks[2].workSeconds).toBe(60);
+    expect(doc.errors).toEqual({});
+  });
+
+  test('rejects duplicate keys, missing settings and unknown blocks', () => {
+    const doc = fakeDoc(
+      [{ key: 'A', type: 'amrap' }, { key: 'A', type: 'interval' }],
+      [{ block: 'Z' }]
+    );
+    validateWorkoutBlocks(doc);
+
+    expect(Object.keys(doc.errors).sort()).toEqual([
+      'blocks', 'blocks.0.timeCapSeconds', 'blocks.1.workSeconds', 'exercises.0.block'
+    ]);
+  });
+});
+
+describe('block schema', () => {
+  test('routines and templates share the block rules', async () => {
+    const exercises = [{ exercise: id(), sets: 3, reps: 10, block: 'A' }];
+    const blocks = [{ key: 'A', type: 'tabata', rounds: 1 }];
+
+    const routine = new WorkoutRoutine({ user: id(), name: 'Finisher', exercises, blocks });
+    await routine.validate();
+    expect(routine.blocks[0].rounds).toBe(1);
+
+    const template = new WorkoutTemplate({
+      creator: id(),
+      name: 'Finisher',
+      category: 'strength',
+      difficulty: 'beginner',
+      estimatedDuration: 20,
+      exercises,
+      blocks: [{ key: 'A', type: 'tabata' }, { key: 'B', type: 'amrap' }]
+    });
+    const error = await template.validate().catch(err => err);
+    expect(template.blocks[0].rounds).toBe(8);
+    expect(Object.keys(error.errors)).toEqual(['blocks.1.timeCapSeconds']);
+  });
+});
+
+describe('logBlockRound', () => {
+  test('appends rounds in order', () => {
+    const result = { rounds: [] };
+    logBlockRound(result, { roundNumber: 2, reps: 10 });
+    logBlockRound(result, { roundNumber: 1, reps: 12 });
+    logBlockRound(result, { reps: 8 });
+
+    expect(result.rounds.map(round => round.roundNumber)).toEqual([1, 2, 3]);
+  });
+
+  test('updates only the fields sent when a round is logged again', () => {
+    const at = new Date('2026-03-02T10:00:00Z');
+    const result = { rounds: [{ roundNumber: 1, duration: 45, reps: 12, completed: true, notes: 'strong' }] };
+    const round = logBlockRound(result, { roundNumber: 1, reps: 11 }, at);
+
+    expect(round).toEqual({ roundNumber: 1, duration: 45, reps: 11, completed: true, notes: 'strong', loggedAt: at });
+    expect(result.rounds).toHaveLength(1);
+  });
+});
@@ -0,0 +1,98 @@
+import { test, expect, beforeAll, afterAll, afterEach, spyOn, mock } from 'bun:test';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import importRoutes from '../routes/workouts/imports.js';
+import { User, Exercise, WorkoutRoutine, WorkoutSession, ActivityLog } from '../models/index.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const userId = new mongoose.Types.ObjectId();
+const token = jwt.sign({ userId }, process.env.JWT_SECRET);
+
+const CSV = [
+  'Date,Workout Name,Duration,Exercise Name,Set Order,Weight,Reps,Distance,Seconds,Notes,Workout Notes,RPE',
+  '2024-03-15 07:30:00,Push Day,1h,Zercher Carry,1,60,0,0,40,,,',
+  '2024-03-17 18:00:00,Legs,45m,Sissy Squat,1,0,12,0,0,,,'
+].join('\n');
+
+let server;
+let baseUrl;
+
+const select = (result) => ({ select: async () => result });
+
+beforeAll(() => {
+  const app = express();
+  app.use('/imports', importRoutes);
+  server = app.listen(0);
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+afterAll(() => server.close());
+
+afterEach(() => mock.restore());
+
+const importCsv = (csv) => {
+  const form = new FormData();
+  form.append('file', new Blob([csv], { type: 'text/csv' }), 'strong.csv');
+
+  return fetch(`${baseUrl}/imports/csv`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}` },
+    body: form
+  });
+};
+
+// No matching exercises or routines; `existingSessions` were imported before
+const mockImport = (existingSessions = []) => {
+  spyOn(User, 'findById').mockResolvedValue({ _id: userId, isActive: true });
+  spyOn(ActivityLog, 'create').mockResolvedValue({});
+  spyOn(Exercise, 'find').mockReturnValue(select([]));
+  spyOn(WorkoutSession, 'find').mockReturnValue(select(existingSessions));
+  spyOn(WorkoutRoutine, 'find').mockReturnValue({
+    collation: () => ({ where: () => ({ in: () => select([]) }) })
+  });
+  spyOn(Exercise, 'insertMany').mockImplementation(async (docs) => docs);
+  spyOn(WorkoutRoutine, 'create').mockImplementation(async (doc) => ({ ...doc, _id: new mongoose.Types.ObjectId() }));
+  spyOn(WorkoutSession, 'insertMany').mockImplementation(async (docs) => docs);
+};
+
+test('only creates exercises for workouts that are imported', async () => {
+  // The Push Day workout was imported before
+  mockImport([{ _id: new mongoose.Types.ObjectId(), startTime: new Date('2024-03-15T07:30:00Z') }]);
+
+  const response = await importCsv(CSV);
+  const body = await response.json();
+  const insertExercises = Exercise.insertMany;
+
+  expect(response.status).toBe(201);
+  expect(body.summary).toMatchObject({ workouts: 2, toImport: 1, duplicates: 1 });
+  expect(body.unmatchedExercises).toEqual(['Sissy Squat']);
+  expect(insertExercises.mock.calls[0][0].map(exercise => exercise.name)).toEqual(['Sissy Squat']);
+  expect(body.routinesToCreate).toEqual(['Legs']);
+});
+
+test('removes what was created when a later step of the import fails', async () => {
+  mockImport();
+  WorkoutSession.insertMany.mockRejectedValue(new Error('Connection lost'));
+  const deleteSessions = spyOn(WorkoutSession, 'deleteMany').mockResolvedValue({});
+  const deleteRoutines = spyOn(WorkoutRoutine, 'deleteMany').mockResolvedValue({});
+  const deleteExercises = spyOn(Exercise, 'deleteMany').mockResolvedValue({});
+
+  // Workout names differing only in case share one routine
+  const response = await importCsv([
+    CSV.split('\n')[0],
+    '2024-03-15 07:30:00,Legs,1h,Sissy Squat,1,0,12,0,0,,,',
+    '2024-03-17 18:00:00,legs,45m,Sissy Squat,1,0,10,0,0,,,'
+  ].join('\n'));
+
+  expect(response.status).toBe(500);
+  expect(WorkoutRoutine.create).toHaveBeenCalledTimes(1);
+
+  const routine = await WorkoutRoutine.create.mock.results[0].value;
+  const [exercises] = Exercise.insertMany.mock.calls[0];
+  const [sessions] = WorkoutSession.insertMany.mock.calls[0];
+  expect(deleteRoutines.mock.calls[0][0]._id.$in).toEqual([routine._id]);
+  expect(deleteExercises.mock.calls[0][0]._id.$in).toEqual(exercises.map(exercise => exercise._id));
+  expect(deleteSessions.mock.calls[0][0]._id.$in).toEqual(sessions.map(session => session._id));
+});
@@ -0,0 +1,67 @@
+import { test, expect, describe } from 'bun:test';
+import { parseWorkoutCsv, parseDurationText } from '../utils/workoutImport.js';
+import { matchExercise, normalizeExerciseName } from '../utils/exerciseMatching.js';
+import { parseCsvRows } from '../utils/csv.js';
+
+const STRONG = [
+  'Date,Workout Name,Duration,Exercise Name,Set Order,Weight,Reps,Distance,Seconds,Notes,Workout Notes,RPE',
+  '2024-03-15 07:30:00,Push Day,1h 5m,Bench Press (Barbell),W,40,10,0,0,,,',
+  '2024-03-15 07:30:00,Push Day,1h 5m,Bench Press (Barbell),1,80,5,0,0,"felt strong, paused",,8',
+  '2024-03-15 07:30:00,Push Day,1h 5m,Running,1,0,0,3.2,1200,,,',
+  '2024-03-17 18:00:00,Legs,45m,Squat (Barbell),1,100,5,0,0,,,'
+].join('\n');
+
+const HEVY = [
+  '"title","start_time","end_time","description","exercise_title","superset_id","exercise_notes","set_index","set_type","weight_kg","reps","distance_km","duration_seconds","rpe"',
+  '"Pull","15 Mar 2024, 07:30","15 Mar 2024, 08:20","","Pull Up","","","0","normal","","8","","",""',
+  '"Pull","15 Mar 2024, 07:30","15 Mar 2024, 08:20","","Pull Up","","","1","dropset","","5","","",""'
+].join('\n');
+
+describe('parseWorkoutCsv', () => {
+  test('groups Strong rows into workouts, exercises and typed sets', () => {
+    const { format, workouts } = parseWorkoutCsv(STRONG, { weightUnit: 'lbs', utcOffset: 60 });
+
+    expect(format).toBe('strong');
+    expect(workouts).toHaveLength(2);
+    expect(workouts[0].startTime.toISOString()).toBe('2024-03-15T06:30:00.000Z');
+    expect(workouts[0].endTime - workouts[0].startTime).toBe(65 * 60 * 1000);
+
+    const [bench, running] = workouts[0].exercises;
+    expect(bench.sets[0]).toMatchObject({ setType: 'warm-up', reps: 10, weight: { value: 40, unit: 'lbs' } });
+    expect(bench.sets[1]).toMatchObject({ setType: 'working', rpe: 8 });
+    expect(bench.notes).toBeUndefined();
+    expect(running.sets[0]).toMatchObject({ distance: { value: 3.2, unit: 'km' }, duration: 1200 });
+  });
+
+  test('parses Hevy exports with their own date and set type formats', () => {
+    const { format, workouts } = parseWorkoutCsv(HEVY);
+
+    expect(format).toBe('hevy');
+    expect(workouts[0].endTime.toISOString()).toBe('2024-03-15T08:20:00.000Z');
+    expect(workouts[0].exercises[0].sets.map(set => set.setType)).toEqual(['working', 'drop']);
+  });
+
+  test('rejects unknown formats', () => {
+    expect(() => parseWorkoutCsv('a,b\n1,2')).toThrow('Unrecognized CSV format');
+  });
+});
+
+describe('helpers', () => {
+  test('parses quoted CSV cells', () => {
+    expect(parseCsvRows('a;"b;""c"""\r\n1;2', ';')).toEqual([['a', 'b;"c"'], ['1', '2']]);
+  });
+
+  test('parses duration text', () => {
+    expect(parseDurationText('1h 5m')).toBe(3900);
+    expect(parseDurationText('30s')).toBe(30);
+  });
+
+  test('matches exercise names regardless of word order and plurals', () => {
+    expect(normalizeExerciseName('Bench Press (Barbell)')).toBe(normalizeExerciseName('Barbell Bench Press'));
+
+    const library = [{ name: 'Barbell Bench Press' }, { name: 'Barbell Squat' }, { name: 'Pull-up' }];
+    expect(matchExercise('Bench Press (Barbell)', library).exercise.name).toBe('Barbell Bench Press');
+    expect(matchExercise('Pull Ups', library).exercise.name).toBe('Pull-up');
+    expect(matchExercise('Face Pull (Cable)', library)).toBeNull();
+  });
+});
@@ -0,0 +1,55 @@
+import { test, expect, describe } from 'bun:test';
+import {
+  MAX_SCHEDULED_SESSIONS,
+  dateAtTime,
+  recurringDates,
+  scheduledDates,
+  reminderSchedule
+} from '../utils/workoutSchedule.js';
+
+describe('scheduledDates', () => {
+  test('applies the time to a single date', () => {
+    expect(scheduledDates({ date: '2026-03-02', time: '18:30' })).toEqual([new Date('2026-03-02T18:30:00Z')]);
+    expect(scheduledDates({ date: '2026-03-02T07:15:00Z' })).toEqual([new Date('2026-03-02T07:15:00Z')]);
+  });
+
+  test('lists recurring weekdays at the time', () => {
+    const dates = scheduledDates({
+      daysOfWeek: ['monday', 'thursday'],
+      startDate: '2026-03-02',
+      endDate: '2026-03-09',
+      time: '07:00'
+    });
+    expect(dates).toEqual([
+      new Date('2026-03-02T07:00:00Z'),
+      new Date('2026-03-05T07:00:00Z'),
+      new Date('2026-03-09T07:00:00Z')
+    ]);
+  });
+
+  test('stops one past the session limit', () => {
+    const everyDay = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+    expect(recurringDates(everyDay, '2026-01-01', '2027-01-01')).toHaveLength(MAX_SCHEDULED_SESSIONS + 1);
+  });
+
+  test('sets the time on the day of a timestamp', () => {
+    expect(dateAtTime('2026-03-02T23:10:00Z', '06:05')).toEqual(new Date('2026-03-02T06:05:00Z'));
+  });
+});
+
+describe('reminderSchedule', () => {
+  const dates = [new Date('2026-03-02T07:00:00Z'), new Date('2026-03-09T07:00:00Z')];
+
+  test('ends weekly reminders with the series', () => {
+    expect(reminderSchedule(dates, ['monday'])).toEqual({
+      frequency: 'weekly',
+      time: '07:00',
+      daysOfWeek: ['monday'],
+      endDate: dates[1]
+    });
+  });
+
+  test('lists the dates of one-off reminders', () => {
+    expect(reminderSchedule(dates.slice(0, 1))).toEqual({ frequency: 'once', time: '07:00', customDates: dates.slice(0, 1) });
+  });
+});
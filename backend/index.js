@@ -5,6 +5,7 @@ import helmet from 'helmet';
 import morgan from 'morgan';
 import dotenv from 'dotenv';
 import routes from './routes/index.js';
+import { startReminderExpiry } from './utils/reminderJobs.js';
 
 // Load environment variables
 dotenv.config();
@@ -67,6 +68,7 @@ const connectDB = async () => {
 // Start server
 const startServer = async () => {
   await connectDB();
+  startReminderExpiry();
   
   app.listen(PORT, () => {
     console.log(`🚀 Fitness API Server running on port ${PORT}`);
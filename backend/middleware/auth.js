@@ -23,6 +23,45 @@ export const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Live stream tokens are scoped to one session and expire quickly, since
+// they travel in the URL (EventSource can't send an Authorization header)
+const STREAM_TOKEN_SCOPE = 'live-stream';
+export const STREAM_TOKEN_TTL_SECONDS = 300;
+
+export const issueStreamToken = (userId, sessionId) => {
+  return jwt.sign(
+    { userId, sessionId, scope: STREAM_TOKEN_SCOPE },
+    process.env.JWT_SECRET,
+    { expiresIn: STREAM_TOKEN_TTL_SECONDS }
+  );
+};
+
+// Authenticate with the Authorization header, or with a stream token for
+// the session in `req.params.id` passed as the `token` query parameter
+export const authenticateStreamToken = async (req, res, next) => {
+  if (req.headers['authorization']) return authenticateToken(req, res, next);
+
+  const token = req.query.token;
+  if (!token) {
+    return res.status(401).json({ error: 'Access token required' });
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.scope !== STREAM_TOKEN_SCOPE || decoded.sessionId !== req.params.id) {
+      return res.status(403).json({ error: 'Invalid token' });
+    }
+    const user = await User.findById(decoded.userId);
+    if (!user || !user.isActive) {
+      return res.status(401).json({ error: 'Invalid or inactive user' });
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(403).json({ error: 'Invalid token' });
+  }
+};
+
 // Optional authentication (for routes that work with or without auth)
 export const optionalAuth = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -15,6 +15,9 @@ import Reminder from './schemas/Reminder.js';
 import ActivityLog from './schemas/ActivityLog.js';
 import MealPlan from './schemas/MealPlan.js';
 import WorkoutTemplate from './schemas/WorkoutTemplate.js';
+import Program from './schemas/Program.js';
+import SyncOperation from './schemas/SyncOperation.js';
+import SyncTombstone from './schemas/SyncTombstone.js';
 
 // Export all models
 export {
@@ -33,7 +36,10 @@ export {
   Reminder,
   ActivityLog,
   MealPlan,
-  WorkoutTemplate
+  WorkoutTemplate,
+  Program,
+  SyncOperation,
+  SyncTombstone
 };
 
 // Default export object for convenience
@@ -53,5 +59,8 @@ export default {
   Reminder,
   ActivityLog,
   MealPlan,
-  WorkoutTemplate
+  WorkoutTemplate,
+  Program,
+  SyncOperation,
+  SyncTombstone
 };
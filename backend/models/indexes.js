@@ -17,7 +17,10 @@ import {
   Reminder,
   ActivityLog,
   MealPlan,
-  WorkoutTemplate
+  WorkoutTemplate,
+  Program,
+  SyncOperation,
+  SyncTombstone
 } from './index.js';
 
 export const createIndexes = async () => {
@@ -48,6 +51,7 @@ export const createIndexes = async () => {
     // WorkoutSession indexes
     await WorkoutSession.createIndexes([
       { user: 1, startTime: -1 },
+      { user: 1, status: 1, scheduledFor: 1 },
       { routine: 1 }
     ]);
 
@@ -58,14 +62,15 @@ export const createIndexes = async () => {
       { category: 1 }
     ]);
 
-    // NutritionEntry indexes
+    // NutritionEntry indexes (the unique user and day index lives on the schema)
     await NutritionEntry.createIndexes([
       { user: 1, date: -1 }
     ]);
 
     // Progress indexes
     await Progress.createIndexes([
-      { user: 1, date: -1, type: 1 }
+      { user: 1, date: -1, type: 1 },
+      { user: 1, 'performance.exercise': 1, 'performance.metric': 1 }
     ]);
 
     // Goal indexes
@@ -106,6 +111,20 @@ export const createIndexes = async () => {
       { tags: 1, equipment: 1 }
     ]);
 
+    // Program indexes
+    await Program.createIndexes([
+      { user: 1, createdAt: -1 },
+      { user: 1, 'enrollment.status': 1 }
+    ]);
+
+    // Offline sync indexes (the unique clientId and TTL indexes live on the schemas)
+    await SyncOperation.createIndexes([
+      { user: 1, createdAt: -1 }
+    ]);
+    await SyncTombstone.createIndexes([
+      { user: 1, deletedAt: 1 }
+    ]);
+
     // Report indexes
     await Report.createIndexes([
       { user: 1, createdAt: -1 }
@@ -113,7 +132,8 @@ export const createIndexes = async () => {
 
     // Reminder indexes
     await Reminder.createIndexes([
-      { user: 1, 'schedule.frequency': 1 }
+      { user: 1, 'schedule.frequency': 1 },
+      { isActive: 1, 'schedule.endDate': 1 }
     ]);
 
     // ActivityLog indexes
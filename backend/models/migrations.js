@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+/**
+ * Data migrations for schema changes that existing documents don't meet yet.
+ * Each migration is safe to run again.
+ *
+ * Usage: bun run migrate (uses MONGODB_URI)
+ */
+
+import mongoose from 'mongoose';
+import { Food, NutritionEntry } from './index.js';
+import { mergeDayEntries } from '../utils/nutritionEntries.js';
+import { applyEntryTotals } from '../utils/nutritionCalculation.js';
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/fitness-app';
+
+// Entries saved before there was one entry per day: entries for the same user
+// and UTC day are merged into the oldest one, and dates move to the start of
+// the day, so the unique user and day index can be built
+export const mergeDuplicateNutritionDays = async () => {
+  const groups = await NutritionEntry.aggregate([
+    { $addFields: { day: { $dateTrunc: { date: '$date', unit: 'day', timezone: 'UTC' } } } },
+    {
+      $group: {
+        _id: { user: '$user', day: '$day' },
+        ids: { $push: '$_id' },
+        misplaced: { $sum: { $cond: [{ $eq: ['$date', '$day'] }, 0, 1] } }
+      }
+    },
+    { $match: { $or: [{ 'ids.1': { $exists: true } }, { misplaced: { $gt: 0 } }] } }
+  ]);
+
+  let removed = 0;
+  for (const group of groups) {
+    const [entry, ...duplicates] = await NutritionEntry.find({ _id: { $in: group.ids } }).sort({ createdAt: 1 });
+
+    // Save the merged foods before the duplicates are deleted, then move the
+    // date once its day is free
+    if (duplicates.length) {
+      mergeDayEntries(entry, duplicates);
+      applyEntryTotals(entry);
+      await entry.save();
+      await NutritionEntry.deleteMany({ _id: { $in: duplicates.map(duplicate => duplicate._id) } });
+      removed += duplicates.length;
+    }
+
+    entry.date = group._id.day;
+    await entry.save();
+  }
+
+  await NutritionEntry.createIndexes();
+  return { days: groups.length, removed };
+};
+
+// Foods saved while fiber, sugar and sodium defaulted to 0 store 0 for all
+// three when none was given. Those zeros are removed so the foods count as not
+// recording them. A recorded 0 can't be told apart, so foods that really have
+// none of the three (oils, for example) are treated as not recording them too.
+export const unsetDefaultFoodMicronutrients = async () => {
+  const result = await Food.updateMany(
+    { 'nutritionPer100g.fiber': 0, 'nutritionPer100g.sugar': 0, 'nutritionPer100g.sodium': 0 },
+    { $unset: { 'nutritionPer100g.fiber': 1, 'nutritionPer100g.sugar': 1, 'nutritionPer100g.sodium': 1 } }
+  );
+  return { foods: result.modifiedCount };
+};
+
+export const runMigrations = async () => {
+  console.log('🔄 Running data migrations...');
+
+  const nutritionDays = await mergeDuplicateNutritionDays();
+  console.log(`   ✓ Nutrition entries: ${nutritionDays.days} days fixed, ${nutritionDays.removed} duplicates merged`);
+
+  const foodMicronutrients = await unsetDefaultFoodMicronutrients();
+  console.log(`   ✓ Foods: default fiber, sugar and sodium removed from ${foodMicronutrients.foods} foods`);
+
+  console.log('✅ Data migrations complete');
+};
+
+// Run migrations if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    await mongoose.connect(MONGODB_URI);
+    await runMigrations();
+    await mongoose.disconnect();
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  }
+}
+
+export default runMigrations;
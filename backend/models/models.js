@@ -25,5 +25,8 @@ export {
   Reminder,
   ActivityLog,
   MealPlan,
-  WorkoutTemplate
+  WorkoutTemplate,
+  Program,
+  SyncOperation,
+  SyncTombstone
 } from './index.js';
\ No newline at end of file
@@ -1,7 +1,18 @@
 import mongoose from 'mongoose';
+import { EQUIPMENT_TYPES } from './constants.js';
 
 const { Schema } = mongoose;
 
+// Typical metabolic equivalents when an exercise doesn't specify its own
+const DEFAULT_MET_BY_CATEGORY = {
+  strength: 5.0,
+  cardio: 7.0,
+  flexibility: 2.5,
+  balance: 2.5,
+  sports: 6.5,
+  other: 4.0
+};
+
 const exerciseSchema = new Schema({
   name: {
     type: String,
@@ -25,10 +36,7 @@ const exerciseSchema = new Schema({
   }],
   equipment: [{
     type: String,
-    enum: [
-      'barbell', 'dumbbell', 'kettlebell', 'resistance-band', 'cable',
-      'bodyweight', 'machine', 'cardio-equipment', 'other', 'none'
-    ]
+    enum: EQUIPMENT_TYPES
   }],
   description: {
     type: String,
@@ -43,6 +51,14 @@ const exerciseSchema = new Schema({
     enum: ['beginner', 'intermediate', 'advanced'],
     default: 'beginner'
   },
+  met: {
+    type: Number,
+    min: [1, 'MET value must be at least 1'],
+    max: [25, 'MET value cannot exceed 25'],
+    default: function() {
+      return DEFAULT_MET_BY_CATEGORY[this.category] ?? DEFAULT_MET_BY_CATEGORY.other;
+    }
+  },
   isCustom: {
     type: Boolean,
     default: false
@@ -58,4 +74,10 @@ const exerciseSchema = new Schema({
   timestamps: true
 });
 
+// Full-text search across the exercise library
+exerciseSchema.index(
+  { name: 'text', description: 'text', instructions: 'text' },
+  { name: 'exercise_text_search', weights: { name: 10, description: 3, instructions: 1 } }
+);
+
 export default mongoose.model('Exercise', exerciseSchema);
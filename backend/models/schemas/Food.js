@@ -41,20 +41,47 @@ const foodSchema = new Schema({
       required: [true, 'Fat per 100g is required'],
       min: [0, 'Fat cannot be negative']
     },
+    // No defaults: an unset amount means the food doesn't record it, which
+    // micronutrient totals must tell apart from a recorded 0
     fiber: {
       type: Number,
-      min: [0, 'Fiber cannot be negative'],
-      default: 0
+      min: [0, 'Fiber cannot be negative']
     },
     sugar: {
       type: Number,
-      min: [0, 'Sugar cannot be negative'],
-      default: 0
+      min: [0, 'Sugar cannot be negative']
     },
     sodium: {
       type: Number,
-      min: [0, 'Sodium cannot be negative'],
-      default: 0
+      min: [0, 'Sodium cannot be negative']
+    },
+    // Optional detail: fats in g, cholesterol and potassium in mg
+    saturatedFat: { type: Number, min: [0, 'Saturated fat cannot be negative'] },
+    transFat: { type: Number, min: [0, 'Trans fat cannot be negative'] },
+    cholesterol: { type: Number, min: [0, 'Cholesterol cannot be negative'] },
+    potassium: { type: Number, min: [0, 'Potassium cannot be negative'] },
+    // A, D, K, folate and B12 in µg; the rest in mg
+    vitamins: {
+      a: { type: Number, min: 0 },
+      c: { type: Number, min: 0 },
+      d: { type: Number, min: 0 },
+      e: { type: Number, min: 0 },
+      k: { type: Number, min: 0 },
+      thiamin: { type: Number, min: 0 },
+      riboflavin: { type: Number, min: 0 },
+      niacin: { type: Number, min: 0 },
+      b6: { type: Number, min: 0 },
+      folate: { type: Number, min: 0 },
+      b12: { type: Number, min: 0 }
+    },
+    // Selenium in µg; the rest in mg
+    minerals: {
+      calcium: { type: Number, min: 0 },
+      iron: { type: Number, min: 0 },
+      magnesium: { type: Number, min: 0 },
+      zinc: { type: Number, min: 0 },
+      phosphorus: { type: Number, min: 0 },
+      selenium: { type: Number, min: 0 }
     }
   },
   category: {
@@ -65,6 +92,12 @@ const foodSchema = new Schema({
     ],
     default: 'other'
   },
+  // Grams per millilitre, for converting volumes (ml, cups) to weight
+  density: {
+    type: Number,
+    min: [0.1, 'Density must be at least 0.1 g/ml'],
+    max: [5, 'Density cannot exceed 5 g/ml']
+  },
   servingSizes: [{
     name: { type: String, required: true },
     weight: { type: Number, required: true, min: 0 },
@@ -12,7 +12,7 @@ const notificationSchema = new Schema({
     type: String,
     enum: [
       'workout-reminder', 'meal-reminder', 'goal-achievement', 'milestone-reached',
-      'new-follower', 'workout-shared', 'system-update', 'other'
+      'personal-record', 'new-follower', 'workout-shared', 'system-update', 'other'
     ],
     required: [true, 'Notification type is required']
   },
@@ -35,6 +35,11 @@ const nutritionEntrySchema = new Schema({
         enum: ['g', 'ml', 'oz', 'cup', 'piece'],
         default: 'g'
       },
+      // Quantity converted to grams, which nutrition is calculated from
+      grams: {
+        type: Number,
+        min: [0, 'Grams cannot be negative']
+      },
       calories: {
         type: Number,
         min: [0, 'Calories cannot be negative']
@@ -50,12 +55,22 @@ const nutritionEntrySchema = new Schema({
       fat: {
         type: Number,
         min: [0, 'Fat cannot be negative']
+      },
+      // Amounts keyed by nutrient (fiber, sodium, vitaminC, iron, ...), only
+      // for nutrients the food records
+      micronutrients: {
+        type: Map,
+        of: Number
       }
     }],
     totalCalories: {
       type: Number,
       min: [0, 'Total calories cannot be negative']
     },
+    micronutrients: {
+      type: Map,
+      of: Number
+    },
     notes: {
       type: String,
       maxlength: [200, 'Notes cannot exceed 200 characters']
@@ -77,6 +92,10 @@ const nutritionEntrySchema = new Schema({
     fat: {
       type: Number,
       min: [0, 'Total fat cannot be negative']
+    },
+    micronutrients: {
+      type: Map,
+      of: Number
     }
   },
   waterIntake: {
@@ -92,7 +111,20 @@ const nutritionEntrySchema = new Schema({
     }
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Saves fail instead of overwriting when another device changed the entry
+  optimisticConcurrency: true
+});
+
+// One entry per user and day; dates are stored at the start of the UTC day
+nutritionEntrySchema.index({ user: 1, date: 1 }, { unique: true });
+
+nutritionEntrySchema.pre('validate', function() {
+  if (this.date && this.isModified('date')) {
+    const day = new Date(this.date);
+    day.setUTCHours(0, 0, 0, 0);
+    this.date = day;
+  }
 });
 
 export default mongoose.model('NutritionEntry', nutritionEntrySchema);
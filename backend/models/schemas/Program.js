@@ -0,0 +1,98 @@
+import mongoose from 'mongoose';
+import { DAYS_OF_WEEK } from './constants.js';
+
+const { Schema } = mongoose;
+
+const programDaySchema = new Schema({
+  dayOfWeek: {
+    type: String,
+    enum: DAYS_OF_WEEK,
+    required: [true, 'Day of week is required']
+  },
+  routine: {
+    type: Schema.Types.ObjectId,
+    ref: 'WorkoutRoutine',
+    required: [true, 'Workout routine is required']
+  }
+});
+
+const programSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Program name is required'],
+    trim: true,
+    maxlength: [100, 'Program name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  durationWeeks: {
+    type: Number,
+    required: [true, 'Duration is required'],
+    min: [1, 'Program must be at least 1 week long'],
+    max: [52, 'Program cannot exceed 52 weeks']
+  },
+  // Weekly schedule repeated for every week without an override
+  days: {
+    type: [programDaySchema],
+    validate: {
+      validator: function(value) {
+        return value.length > 0;
+      },
+      message: 'Program must schedule at least one day'
+    }
+  },
+  // Per-week changes such as heavier blocks or deloads
+  weeks: [{
+    weekNumber: {
+      type: Number,
+      required: [true, 'Week number is required'],
+      min: [1, 'Week number must be at least 1']
+    },
+    label: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Label cannot exceed 50 characters']
+    },
+    intensity: {
+      type: Number,
+      min: [0, 'Intensity cannot be negative'],
+      max: [200, 'Intensity cannot exceed 200%'],
+      default: 100
+    },
+    days: [programDaySchema]
+  }],
+  category: {
+    type: String,
+    enum: ['strength', 'cardio', 'flexibility', 'mixed', 'other'],
+    default: 'mixed'
+  },
+  difficulty: {
+    type: String,
+    enum: ['beginner', 'intermediate', 'advanced'],
+    default: 'beginner'
+  },
+  enrollment: {
+    startDate: {
+      type: Date
+    },
+    enrolledAt: {
+      type: Date
+    },
+    status: {
+      type: String,
+      enum: ['not-enrolled', 'active', 'completed', 'abandoned'],
+      default: 'not-enrolled'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('Program', programSchema);
@@ -55,7 +55,7 @@ const progressSchema = new Schema({
     },
     metric: {
       type: String,
-      enum: ['max-weight', 'max-reps', 'best-time', 'distance', 'other']
+      enum: ['max-weight', 'max-reps', 'estimated-1rm', 'best-time', 'distance', 'other']
     },
     value: {
       type: Number,
@@ -64,6 +64,15 @@ const progressSchema = new Schema({
     unit: {
       type: String,
       enum: ['kg', 'lbs', 'seconds', 'minutes', 'km', 'miles', 'reps']
+    },
+    // Weight (for max-reps) or distance (for best-time) the record was set at
+    reference: {
+      value: { type: Number, min: 0 },
+      unit: { type: String, enum: ['kg', 'km'] }
+    },
+    session: {
+      type: Schema.Types.ObjectId,
+      ref: 'WorkoutSession'
     }
   },
   photos: [{
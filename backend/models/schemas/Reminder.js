@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { DAYS_OF_WEEK } from './constants.js';
 
 const { Schema } = mongoose;
 
@@ -36,11 +37,15 @@ const reminderSchema = new Schema({
     },
     daysOfWeek: [{
       type: String,
-      enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+      enum: DAYS_OF_WEEK
     }],
     customDates: [{
       type: Date
-    }]
+    }],
+    // Recurring reminders stop after this date
+    endDate: {
+      type: Date
+    }
   },
   isActive: {
     type: Boolean,
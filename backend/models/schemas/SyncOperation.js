@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Client operations already applied by offline sync, so retried batches are
+// answered with the original result instead of being applied twice. A
+// 'pending' record reserves the clientId while the operation is applied.
+const syncOperationSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  clientId: {
+    type: String,
+    required: [true, 'Client operation ID is required'],
+    trim: true,
+    maxlength: [100, 'Client operation ID cannot exceed 100 characters']
+  },
+  entityType: {
+    type: String,
+    enum: ['workout-session', 'nutrition-entry', 'progress'],
+    required: [true, 'Entity type is required']
+  },
+  operation: {
+    type: String,
+    enum: ['create', 'add-set', 'edit', 'delete'],
+    required: [true, 'Operation is required']
+  },
+  entityId: {
+    type: Schema.Types.ObjectId
+  },
+  clientTimestamp: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'applied', 'conflict', 'rejected'],
+    required: true
+  },
+  result: {
+    type: Schema.Types.Mixed
+  }
+}, {
+  timestamps: true
+});
+
+syncOperationSchema.index({ user: 1, clientId: 1 }, { unique: true });
+
+export default mongoose.model('SyncOperation', syncOperationSchema);
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+import { SYNC_TOMBSTONE_TTL_SECONDS } from './constants.js';
+
+const { Schema } = mongoose;
+
+// Deleted records reported to offline clients in their next sync delta
+const syncTombstoneSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  entityType: {
+    type: String,
+    enum: ['workout-session', 'nutrition-entry', 'progress'],
+    required: [true, 'Entity type is required']
+  },
+  entityId: {
+    type: Schema.Types.ObjectId,
+    required: [true, 'Entity ID is required']
+  },
+  deletedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Clients that haven't synced within the TTL do a full resync instead
+syncTombstoneSchema.index({ deletedAt: 1 }, { expireAfterSeconds: SYNC_TOMBSTONE_TTL_SECONDS });
+
+export default mongoose.model('SyncTombstone', syncTombstoneSchema);
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { EQUIPMENT_TYPES } from './constants.js';
 
 const { Schema } = mongoose;
 
@@ -90,6 +91,103 @@ const userSchema = new Schema({
       default: 'auto'
     }
   },
+  equipmentProfile: {
+    equipment: [{
+      type: String,
+      enum: EQUIPMENT_TYPES
+    }],
+    locations: [{
+      name: {
+        type: String,
+        required: [true, 'Location name is required'],
+        trim: true,
+        lowercase: true,
+        maxlength: [30, 'Location name cannot exceed 30 characters']
+      },
+      equipment: [{
+        type: String,
+        enum: EQUIPMENT_TYPES
+      }]
+    }],
+    defaultLocation: {
+      type: String,
+      trim: true,
+      lowercase: true
+    }
+  },
+  // Overrides for heart-rate zones; max HR is otherwise estimated from age
+  heartRateProfile: {
+    maxHeartRate: {
+      type: Number,
+      min: [100, 'Max heart rate must be at least 100 bpm'],
+      max: [230, 'Max heart rate cannot exceed 230 bpm']
+    },
+    restingHeartRate: {
+      type: Number,
+      min: [25, 'Resting heart rate must be at least 25 bpm'],
+      max: [120, 'Resting heart rate cannot exceed 120 bpm']
+    },
+    zoneMethod: {
+      type: String,
+      enum: ['max-hr', 'hr-reserve'],
+      default: 'max-hr'
+    }
+  },
+  // Reference loads for percentage-based set prescriptions
+  trainingMaxes: [{
+    exercise: {
+      type: Schema.Types.ObjectId,
+      ref: 'Exercise',
+      required: [true, 'Exercise is required']
+    },
+    value: {
+      type: Number,
+      required: [true, 'Training max is required'],
+      min: [0, 'Training max cannot be negative']
+    },
+    unit: {
+      type: String,
+      enum: ['kg', 'lbs'],
+      default: 'kg'
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Daily calorie and macro targets from BMR, activity level and goal
+  nutritionTargets: {
+    activityLevel: {
+      type: String,
+      enum: ['sedentary', 'light', 'moderate', 'active', 'very-active']
+    },
+    formula: {
+      type: String,
+      enum: ['mifflin-st-jeor', 'katch-mcardle']
+    },
+    bmr: Number,
+    tdee: Number,
+    calories: {
+      type: Number,
+      min: [0, 'Calorie target cannot be negative']
+    },
+    protein: Number,
+    carbohydrates: Number,
+    fat: Number,
+    weeklyWeightChange: Number,
+    goal: {
+      type: Schema.Types.ObjectId,
+      ref: 'Goal'
+    },
+    // Measurements the targets were calculated from
+    basis: {
+      weightKg: Number,
+      bodyFatPercentage: Number,
+      heightCm: Number,
+      age: Number
+    },
+    calculatedAt: Date
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -1,7 +1,10 @@
 import mongoose from 'mongoose';
+import { workoutBlock, validateWorkoutBlocks } from './workoutBlock.js';
 
 const { Schema } = mongoose;
 
+const SET_TYPES = ['warm-up', 'working', 'drop', 'failure'];
+
 const workoutRoutineSchema = new Schema({
   user: {
     type: Schema.Types.ObjectId,
@@ -69,8 +72,109 @@ const workoutRoutineSchema = new Schema({
     notes: {
       type: String,
       maxlength: [300, 'Notes cannot exceed 300 characters']
+    },
+    block: {
+      type: String,
+      trim: true
+    },
+    // Individual set targets; when present they define the number of sets
+    setPrescriptions: [{
+      setType: {
+        type: String,
+        enum: SET_TYPES,
+        default: 'working'
+      },
+      reps: {
+        type: Number,
+        min: [1, 'Must have at least 1 rep'],
+        max: [1000, 'Cannot exceed 1000 reps']
+      },
+      weight: {
+        value: {
+          type: Number,
+          min: [0, 'Weight cannot be negative']
+        },
+        unit: {
+          type: String,
+          enum: ['kg', 'lbs'],
+          default: 'kg'
+        }
+      },
+      percentOfTrainingMax: {
+        type: Number,
+        min: [0, 'Percentage cannot be negative'],
+        max: [150, 'Percentage cannot exceed 150']
+      },
+      targetRpe: {
+        type: Number,
+        min: [1, 'RPE must be between 1 and 10'],
+        max: [10, 'RPE must be between 1 and 10']
+      },
+      targetRir: {
+        type: Number,
+        min: [0, 'RIR cannot be negative'],
+        max: [10, 'RIR cannot exceed 10']
+      },
+      tempo: {
+        type: String,
+        uppercase: true,
+        match: [/^[0-9X](-?[0-9X]){3}$/i, 'Tempo must have four digits or X, e.g. 3-1-X-0']
+      },
+      restTime: {
+        type: Number,
+        min: [0, 'Rest time cannot be negative']
+      }
+    }],
+    consecutiveMisses: {
+      type: Number,
+      min: [0, 'Consecutive misses cannot be negative'],
+      default: 0
     }
   }],
+  blocks: [workoutBlock],
+  progression: {
+    strategy: {
+      type: String,
+      enum: ['none', 'linear', 'double-progression'],
+      default: 'none'
+    },
+    increment: {
+      value: {
+        type: Number,
+        min: [0, 'Increment cannot be negative'],
+        default: 2.5
+      },
+      unit: {
+        type: String,
+        enum: ['kg', 'lbs'],
+        default: 'kg'
+      }
+    },
+    repRange: {
+      min: {
+        type: Number,
+        min: [1, 'Must have at least 1 rep']
+      },
+      max: {
+        type: Number,
+        min: [1, 'Must have at least 1 rep']
+      }
+    },
+    deloadAfterMisses: {
+      type: Number,
+      min: [1, 'Deload threshold must be at least 1'],
+      default: 3
+    },
+    deloadPercentage: {
+      type: Number,
+      min: [0, 'Deload percentage cannot be negative'],
+      max: [50, 'Deload percentage cannot exceed 50'],
+      default: 10
+    },
+    lastAppliedAt: {
+      type: Date
+    }
+  },
   category: {
     type: String,
     enum: ['strength', 'cardio', 'flexibility', 'mixed', 'other'],
@@ -94,9 +198,44 @@ const workoutRoutineSchema = new Schema({
   isPublic: {
     type: Boolean,
     default: false
+  },
+  // Public template this routine was copied from
+  sourceTemplate: {
+    template: {
+      type: Schema.Types.ObjectId,
+      ref: 'WorkoutTemplate'
+    },
+    version: {
+      type: Number
+    },
+    copiedAt: {
+      type: Date
+    }
   }
 }, {
   timestamps: true
 });
 
+// Apply interval defaults, check block references and keep set counts in
+// line with per-set prescriptions
+workoutRoutineSchema.pre('validate', function(next) {
+  validateWorkoutBlocks(this);
+
+  this.exercises.forEach((entry, index) => {
+    if (entry.setPrescriptions.length) entry.sets = entry.setPrescriptions.length;
+
+    entry.setPrescriptions.forEach((prescription, setIndex) => {
+      const path = `exercises.${index}.setPrescriptions.${setIndex}`;
+      if (prescription.targetRpe !== undefined && prescription.targetRir !== undefined) {
+        this.invalidate(path, 'Use either a target RPE or a target RIR, not both');
+      }
+      if (prescription.percentOfTrainingMax !== undefined && prescription.weight?.value !== undefined) {
+        this.invalidate(path, 'Use either a weight or a percentage of training max, not both');
+      }
+    });
+  });
+
+  next();
+});
+
 export default mongoose.model('WorkoutRoutine', workoutRoutineSchema);
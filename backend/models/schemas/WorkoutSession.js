@@ -15,7 +15,29 @@ const workoutSessionSchema = new Schema({
   },
   startTime: {
     type: Date,
-    required: [true, 'Start time is required']
+    required: [
+      function() {
+        return this.status !== 'planned';
+      },
+      'Start time is required'
+    ]
+  },
+  scheduledFor: {
+    type: Date,
+    required: [
+      function() {
+        return this.status === 'planned';
+      },
+      'Scheduled date is required for planned sessions'
+    ]
+  },
+  // Groups sessions created together by a recurring schedule
+  series: {
+    type: Schema.Types.ObjectId
+  },
+  reminder: {
+    type: Schema.Types.ObjectId,
+    ref: 'Reminder'
   },
   endTime: {
     type: Date,
@@ -38,18 +60,105 @@ const workoutSessionSchema = new Schema({
         value: { type: Number, min: 0 },
         unit: { type: String, enum: ['kg', 'lbs'], default: 'kg' }
       },
-      duration: { type: Number, min: 0 },
+      duration: { type: Number, min: 0 }, // seconds
       distance: {
         value: { type: Number, min: 0 },
         unit: { type: String, enum: ['km', 'miles', 'm', 'ft'], default: 'km' }
       },
-      completed: { type: Boolean, default: false }
+      completed: { type: Boolean, default: false },
+      setType: {
+        type: String,
+        enum: ['warm-up', 'working', 'drop', 'failure'],
+        default: 'working'
+      },
+      rpe: { type: Number, min: 1, max: 10 },
+      rir: { type: Number, min: 0, max: 10 },
+      tempo: {
+        type: String,
+        uppercase: true,
+        match: [/^[0-9X](-?[0-9X]){3}$/i, 'Tempo must have four digits or X, e.g. 3-1-X-0']
+      },
+      block: { type: String, trim: true },
+      round: { type: Number, min: 1 },
+      loggedAt: { type: Date, default: Date.now }
     }],
     notes: {
       type: String,
       maxlength: [300, 'Notes cannot exceed 300 characters']
     }
   }],
+  // Per-round results for the routine's supersets, circuits and intervals
+  blockResults: [{
+    block: {
+      type: String,
+      required: [true, 'Block key is required'],
+      trim: true
+    },
+    rounds: [{
+      roundNumber: { type: Number, required: true, min: 1 },
+      duration: { type: Number, min: 0 }, // seconds
+      reps: { type: Number, min: 0 },
+      completed: { type: Boolean, default: true },
+      notes: {
+        type: String,
+        maxlength: [200, 'Notes cannot exceed 200 characters']
+      },
+      loggedAt: { type: Date, default: Date.now }
+    }],
+    // Reps into an unfinished round, e.g. at the end of an AMRAP
+    partialReps: {
+      type: Number,
+      min: [0, 'Partial reps cannot be negative'],
+      default: 0
+    }
+  }],
+  // Client-controlled part of the live session view; everything else is
+  // derived from the logged sets
+  liveState: {
+    exerciseIndex: { type: Number, min: 0 },
+    restSeconds: { type: Number, min: 0 }, // overrides the prescribed rest until the next set
+    updatedAt: { type: Date }
+  },
+  // GPS track summary for imported cardio activities. The heavy series and
+  // polyline are excluded from queries unless selected explicitly.
+  track: {
+    sport: { type: String, trim: true },
+    distanceKm: { type: Number, min: 0 },
+    durationSeconds: { type: Number, min: 0 },
+    elevationGain: { type: Number, min: 0 },
+    elevationLoss: { type: Number, min: 0 },
+    averagePace: { type: Number, min: 0 }, // seconds per split unit
+    averageHeartRate: { type: Number, min: 0 },
+    maxHeartRate: { type: Number, min: 0 },
+    splitUnit: { type: String, enum: ['km', 'miles'] },
+    splits: [{
+      _id: false,
+      number: Number,
+      distance: Number, // in split units; the last split may be partial
+      duration: Number, // seconds
+      pace: Number,
+      elevationGain: Number,
+      averageHeartRate: Number
+    }],
+    samples: {
+      type: [{
+        _id: false,
+        time: Number, // seconds from start
+        distance: Number, // metres from start
+        lat: Number,
+        lon: Number,
+        elevation: Number,
+        heartRate: Number,
+        pace: Number
+      }],
+      select: false
+    },
+    polyline: { type: String, select: false }
+  },
+  pauses: [{
+    startedAt: { type: Date, required: true },
+    endedAt: { type: Date }
+  }],
   totalDuration: {
     type: Number,
     min: [0, 'Duration cannot be negative']
@@ -58,14 +167,24 @@ const workoutSessionSchema = new Schema({
     type: Number,
     min: [0, 'Calories burned cannot be negative']
   },
+  caloriesSource: {
+    type: String,
+    enum: ['estimated', 'manual']
+  },
   notes: {
     type: String,
     maxlength: [500, 'Notes cannot exceed 500 characters']
   },
   status: {
     type: String,
-    enum: ['planned', 'in-progress', 'completed', 'cancelled'],
+    enum: ['planned', 'in-progress', 'paused', 'completed', 'cancelled'],
     default: 'planned'
+  },
+  // Where the session was recorded; imported sessions keep their origin
+  source: {
+    type: String,
+    enum: ['app', 'strong', 'hevy', 'gpx', 'tcx', 'fit'],
+    default: 'app'
   }
 }, {
   timestamps: true
@@ -1,7 +1,45 @@
 import mongoose from 'mongoose';
+import { EQUIPMENT_TYPES } from './constants.js';
+import { workoutBlock, validateWorkoutBlocks } from './workoutBlock.js';
 
 const { Schema } = mongoose;
 
+const templateExercise = {
+  exercise: {
+    type: Schema.Types.ObjectId,
+    ref: 'Exercise',
+    required: [true, 'Exercise is required']
+  },
+  sets: {
+    type: Number,
+    required: [true, 'Number of sets is required'],
+    min: [1, 'Must have at least 1 set'],
+    max: [50, 'Cannot exceed 50 sets']
+  },
+  reps: {
+    type: Number,
+    min: [1, 'Must have at least 1 rep'],
+    max: [1000, 'Cannot exceed 1000 reps']
+  },
+  duration: {
+    type: Number,
+    min: [0, 'Duration cannot be negative']
+  },
+  restTime: {
+    type: Number,
+    min: [0, 'Rest time cannot be negative'],
+    default: 60
+  },
+  notes: {
+    type: String,
+    maxlength: [200, 'Notes cannot exceed 200 characters']
+  },
+  block: {
+    type: String,
+    trim: true
+  }
+};
+
 const workoutTemplateSchema = new Schema({
   creator: {
     type: Schema.Types.ObjectId,
@@ -34,37 +72,8 @@ const workoutTemplateSchema = new Schema({
     min: [5, 'Duration must be at least 5 minutes'],
     max: [600, 'Duration cannot exceed 600 minutes']
   },
-  exercises: [{
-    exercise: {
-      type: Schema.Types.ObjectId,
-      ref: 'Exercise',
-      required: [true, 'Exercise is required']
-    },
-    sets: {
-      type: Number,
-      required: [true, 'Number of sets is required'],
-      min: [1, 'Must have at least 1 set'],
-      max: [50, 'Cannot exceed 50 sets']
-    },
-    reps: {
-      type: Number,
-      min: [1, 'Must have at least 1 rep'],
-      max: [1000, 'Cannot exceed 1000 reps']
-    },
-    duration: {
-      type: Number,
-      min: [0, 'Duration cannot be negative']
-    },
-    restTime: {
-      type: Number,
-      min: [0, 'Rest time cannot be negative'],
-      default: 60
-    },
-    notes: {
-      type: String,
-      maxlength: [200, 'Notes cannot exceed 200 characters']
-    }
-  }],
+  exercises: [templateExercise],
+  blocks: [workoutBlock],
   tags: [{
     type: String,
     trim: true,
@@ -72,10 +81,7 @@ const workoutTemplateSchema = new Schema({
   }],
   equipment: [{
     type: String,
-    enum: [
-      'barbell', 'dumbbell', 'kettlebell', 'resistance-band', 'cable',
-      'bodyweight', 'machine', 'cardio-equipment', 'other', 'none'
-    ]
+    enum: EQUIPMENT_TYPES
   }],
   ratings: [{
     user: { type: Schema.Types.ObjectId, ref: 'User' },
@@ -113,9 +119,44 @@ const workoutTemplateSchema = new Schema({
   isFeatured: {
     type: Boolean,
     default: false
-  }
+  },
+  // Routine the template was published from
+  sourceRoutine: {
+    type: Schema.Types.ObjectId,
+    ref: 'WorkoutRoutine'
+  },
+  version: {
+    type: Number,
+    min: [1, 'Version must be at least 1'],
+    default: 1
+  },
+  // Snapshot of every published version, oldest first, for changelogs
+  versions: [{
+    version: {
+      type: Number,
+      required: [true, 'Version number is required']
+    },
+    name: String,
+    description: String,
+    exercises: [templateExercise],
+    blocks: [workoutBlock],
+    changelog: {
+      type: String,
+      maxlength: [1000, 'Changelog cannot exceed 1000 characters']
+    },
+    publishedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
 
+// Apply interval defaults and check that exercises reference existing blocks
+workoutTemplateSchema.pre('validate', function(next) {
+  validateWorkoutBlocks(this);
+  next();
+});
+
 export default mongoose.model('WorkoutTemplate', workoutTemplateSchema);
@@ -0,0 +1,14 @@
+// Enum values and limits shared by several schemas, routes and utils
+
+export const EQUIPMENT_TYPES = [
+  'barbell', 'dumbbell', 'kettlebell', 'resistance-band', 'cable',
+  'bodyweight', 'machine', 'cardio-equipment', 'other', 'none'
+];
+
+export const BLOCK_TYPES = ['superset', 'circuit', 'emom', 'amrap', 'tabata', 'interval'];
+
+export const DAYS_OF_WEEK = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// How long deletions are kept for offline sync. Sync tokens older than this
+// can't be answered with a delta, so those clients resync in full.
+export const SYNC_TOMBSTONE_TTL_SECONDS = 90 * 24 * 60 * 60;
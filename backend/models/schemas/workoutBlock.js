@@ -0,0 +1,83 @@
+// Superset, circuit and interval blocks shared by routines and templates
+import { BLOCK_TYPES } from './constants.js';
+
+// Rounds when a block doesn't set its own
+const DEFAULT_ROUNDS = { tabata: 8 };
+
+// Exercises sharing a block key are performed together as a superset,
+// circuit or timed interval
+export const workoutBlock = {
+  key: {
+    type: String,
+    required: [true, 'Block key is required'],
+    trim: true,
+    maxlength: [10, 'Block key cannot exceed 10 characters']
+  },
+  type: {
+    type: String,
+    enum: BLOCK_TYPES,
+    required: [true, 'Block type is required']
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Block name cannot exceed 50 characters']
+  },
+  // Defaults by block type in validateWorkoutBlocks
+  rounds: {
+    type: Number,
+    min: [1, 'Must have at least 1 round'],
+    max: [100, 'Cannot exceed 100 rounds']
+  },
+  workSeconds: {
+    type: Number,
+    min: [0, 'Work interval cannot be negative']
+  },
+  restSeconds: {
+    type: Number,
+    min: [0, 'Rest interval cannot be negative']
+  },
+  timeCapSeconds: {
+    type: Number,
+    min: [0, 'Time cap cannot be negative']
+  },
+  restBetweenRounds: {
+    type: Number,
+    min: [0, 'Rest between rounds cannot be negative'],
+    default: 0
+  }
+};
+
+// For pre('validate') hooks: apply interval defaults, require the settings
+// timed blocks need and check that exercises reference existing blocks
+export const validateWorkoutBlocks = (doc) => {
+  const keys = doc.blocks.map(block => block.key);
+  if (new Set(keys).size !== keys.length) {
+    doc.invalidate('blocks', 'Block keys must be unique');
+  }
+
+  doc.blocks.forEach((block, index) => {
+    if (block.rounds === undefined || block.rounds === null) {
+      block.rounds = DEFAULT_ROUNDS[block.type] || 1;
+    }
+    if (block.type === 'tabata') {
+      if (block.workSeconds === undefined) block.workSeconds = 20;
+      if (block.restSeconds === undefined) block.restSeconds = 10;
+    }
+    if (block.type === 'emom' && block.workSeconds === undefined) {
+      block.workSeconds = 60;
+    }
+    if (block.type === 'amrap' && !block.timeCapSeconds) {
+      doc.invalidate(`blocks.${index}.timeCapSeconds`, 'AMRAP blocks require a time cap');
+    }
+    if (block.type === 'interval' && !block.workSeconds) {
+      doc.invalidate(`blocks.${index}.workSeconds`, 'Interval blocks require a work interval');
+    }
+  });
+
+  doc.exercises.forEach((entry, index) => {
+    if (entry.block && !keys.includes(entry.block)) {
+      doc.invalidate(`exercises.${index}.block`, `Unknown block '${entry.block}'`);
+    }
+  });
+};
@@ -12,6 +12,9 @@ import {
 } from '../../models/index.js';
 import { authenticateToken } from '../../middleware/auth.js';
 import { handleValidationErrors } from '../../middleware/common.js';
+import { resolveHeartRateProfile, sessionTrimp } from '../../utils/heartRate.js';
+import { acuteChronicRatio, weeklyLoad, readinessTrend, readinessStatus } from '../../utils/trainingLoad.js';
+import { dailyTargetProgress, targetsAge } from '../../utils/nutritionTargets.js';
 
 const router = express.Router();
 
@@ -38,7 +41,8 @@ router.get('/', async (req, res) => {
       recentProgress,
       weeklyStats,
       achievements,
-      upcomingReminders
+      upcomingReminders,
+      nutritionToday
     ] = await Promise.all([
       // Recent workouts (last 7 days)
       WorkoutSession.find({
@@ -89,7 +93,10 @@ router.get('/', async (req, res) => {
       getRecentAchievements(userId, thirtyDaysAgo),
 
       // Upcoming reminders/notifications
-      getUpcomingReminders(userId)
+      getUpcomingReminders(userId),
+
+      // Today's remaining calories and macros
+      dailyTargetProgress(req.user, now)
     ]);
 
     // Calculate goal progress percentages
@@ -121,6 +128,7 @@ router.get('/', async (req, res) => {
         nutrition: weeklyNutrition[0] || null,
         progress: recentProgress
       },
+      nutritionToday,
       goals: goalsWithProgress,
       stats: weeklyStats,
       achievements: achievements,
@@ -155,7 +163,7 @@ router.get('/workouts', [
     const days = period === '7d' ? 7 : period === '30d' ? 30 : period === '90d' ? 90 : 365;
     const startDate = new Date(Date.now() - (days * 24 * 60 * 60 * 1000));
 
-    const [workoutStats, categoryStats, frequencyStats, volumeStats] = await Promise.all([
+    const [workoutStats, categoryStats, frequencyStats, volumeStats, trainingLoad] = await Promise.all([
       // Overall workout statistics
       WorkoutSession.aggregate([
         { $match: { user: userId, date: { $gte: startDate } } },
@@ -214,7 +222,10 @@ router.get('/workouts', [
           }
         },
         { $sort: { '_id.year': 1, '_id.month': 1, '_id.week': 1 } }
-      ])
+      ]),
+
+      // Heart-rate based training load
+      calculateTrainingLoad(req.user, startDate)
     ]);
 
     res.json({
@@ -222,7 +233,8 @@ router.get('/workouts', [
       overview: workoutStats[0] || {},
       byCategory: categoryStats,
       frequency: frequencyStats,
-      volumeProgression: volumeStats
+      volumeProgression: volumeStats,
+      trainingLoad
     });
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch workout analytics', details: error.message });
@@ -245,7 +257,7 @@ router.get('/nutrition', [
     const days = period === '7d' ? 7 : period === '30d' ? 30 : 90;
     const startDate = new Date(Date.now() - (days * 24 * 60 * 60 * 1000));
 
-    const [nutritionStats, dailyTrends, macroDistribution, calorieGoalsComparison] = await Promise.all([
+    const [nutritionStats, dailyTrends, macroDistribution, calorieGoalsComparison, today] = await Promise.all([
       // Overall nutrition statistics
       NutritionEntry.aggregate([
         { $match: { user: userId, date: { $gte: startDate } } },
@@ -300,7 +312,10 @@ router.get('/nutrition', [
         user: userId,
         category: { $in: ['weight-loss', 'weight-gain', 'general-fitness'] },
         status: 'active'
-      })
+      }),
+
+      // Today's intake against the stored targets
+      dailyTargetProgress(req.user)
     ]);
 
     res.json({
@@ -308,7 +323,10 @@ router.get('/nutrition', [
       overview: nutritionStats[0] || {},
       dailyTrends,
       macroDistribution: macroDistribution[0] || {},
-      goals: calorieGoalsComparison
+      goals: calorieGoalsComparison,
+      targets: req.user.nutritionTargets?.calories ? req.user.nutritionTargets : null,
+      targetsAge: targetsAge(req.user.nutritionTargets),
+      today
     });
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch nutrition analytics', details: error.message });
@@ -498,4 +516,51 @@ async function generateInsights(userId, data) {
   return insights;
 }
 
+// TRIMP per session with heart-rate data, weekly load, acute:chronic ratio and
+// fitness/fatigue trend. Sessions from the 42 days before the period are
+// loaded too so the chronic averages are warmed up.
+async function calculateTrainingLoad(user, startDate) {
+  const profile = resolveHeartRateProfile(user);
+  if (!profile) {
+    return { available: false, reason: 'Set a max heart rate or date of birth to calculate training load' };
+  }
+
+  const sessions = await WorkoutSession.find({
+    user: user._id,
+    status: 'completed',
+    startTime: { $gte: new Date(startDate.getTime() - 42 * 24 * 60 * 60 * 1000) },
+    $or: [
+      { 'track.samples.heartRate': { $exists: true } },
+      { 'track.averageHeartRate': { $exists: true } }
+    ]
+  })
+    .select('startTime totalDuration track.durationSeconds track.averageHeartRate track.samples.time track.samples.heartRate')
+    .sort({ startTime: 1 });
+
+  const loads = sessions
+    .map(session => ({ session, result: sessionTrimp(session, profile, user.gender) }))
+    .filter(({ result }) => result)
+    .map(({ session, result }) => ({
+      session: session._id,
+      date: session.startTime,
+      load: result.trimp,
+      source: result.source
+    }));
+
+  const trend = readinessTrend(loads, startDate);
+  const periodLoads = loads.filter(load => load.date >= startDate);
+
+  return {
+    available: true,
+    profile,
+    sessions: periodLoads,
+    weeklyLoad: weeklyLoad(periodLoads),
+    acuteChronicRatio: acuteChronicRatio(loads),
+    readiness: {
+      status: readinessStatus(trend[trend.length - 1]),
+      trend
+    }
+  };
+}
+
 export default router;
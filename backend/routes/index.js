@@ -2,11 +2,13 @@ import express from 'express';
 
 // Import route modules
 import authRoutes from './auth/auth.js';
+import workoutRoutes from './workouts/workouts.js';
 import nutritionRoutes from './nutrition/nutrition.js';
 import socialRoutes from './social/social.js';
 import progressRoutes from './progress/progress.js';
 import goalRoutes from './goals/goals.js';
 import dashboardRoutes from './dashboard/dashboard.js';
+import syncRoutes from './sync/sync.js';
 
 const router = express.Router();
 
@@ -18,21 +20,25 @@ router.get('/health', (req, res) => {
     version: '1.0.0',
     routes: {
       auth: '/api/v1/auth',
+      workouts: '/api/v1/workouts',
       nutrition: '/api/v1/nutrition',
       social: '/api/v1/social',
       progress: '/api/v1/progress',
       goals: '/api/v1/goals',
-      dashboard: '/api/v1/dashboard'
+      dashboard: '/api/v1/dashboard',
+      sync: '/api/v1/sync'
     }
   });
 });
 
 // Mount route modules
 router.use('/auth', authRoutes);
+router.use('/workouts', workoutRoutes);
 router.use('/nutrition', nutritionRoutes);
 router.use('/social', socialRoutes);
 router.use('/progress', progressRoutes);
 router.use('/goals', goalRoutes);
 router.use('/dashboard', dashboardRoutes);
+router.use('/sync', syncRoutes);
 
 export default router;
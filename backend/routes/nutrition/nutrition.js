@@ -1,11 +1,48 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import { body, param, query } from 'express-validator';
-import { Food, NutritionEntry, MealPlan, User } from '../../models/index.js';
+import { Food, NutritionEntry, MealPlan, User, Goal, Progress } from '../../models/index.js';
 import { authenticateToken } from '../../middleware/auth.js';
 import { handleValidationErrors, logActivity } from '../../middleware/common.js';
+import {
+  NUTRIENT_FIELDS,
+  calculateFoodItem,
+  unresolvedUnitMessage,
+  applyEntryTotals
+} from '../../utils/nutritionCalculation.js';
+import {
+  resolveFoodItem,
+  resolveMeals,
+  updateDayEntry,
+  findOrAddMeal,
+  mergeMeals
+} from '../../utils/nutritionEntries.js';
+import { micronutrientReport } from '../../utils/micronutrients.js';
+import {
+  ACTIVITY_MULTIPLIERS,
+  BMR_FORMULAS,
+  TARGET_GOAL_TYPES,
+  calculateBmr,
+  calculateTargets,
+  pickTargetGoal,
+  targetProfile,
+  targetsAge,
+  remainingGoalKg,
+  dailyTargetProgress
+} from '../../utils/nutritionTargets.js';
+import {
+  MIN_WINDOW_DAYS,
+  MAX_WINDOW_DAYS,
+  estimateTdee,
+  recommendCalories
+} from '../../utils/adaptiveTdee.js';
+import { toKg } from '../../utils/units.js';
 
 const router = express.Router();
 
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snack'];
+const FOOD_UNITS = ['g', 'ml', 'oz', 'cup', 'piece'];
+
 // All routes require authentication
 router.use(authenticateToken);
 
@@ -111,11 +148,21 @@ router.post('/foods', [
   body('nutritionPer100g.fiber').optional().isNumeric().isFloat({ min: 0 }),
   body('nutritionPer100g.sugar').optional().isNumeric().isFloat({ min: 0 }),
   body('nutritionPer100g.sodium').optional().isNumeric().isFloat({ min: 0 }),
+  body('nutritionPer100g.saturatedFat').optional().isNumeric().isFloat({ min: 0 }),
+  body('nutritionPer100g.transFat').optional().isNumeric().isFloat({ min: 0 }),
+  body('nutritionPer100g.cholesterol').optional().isNumeric().isFloat({ min: 0 }),
+  body('nutritionPer100g.potassium').optional().isNumeric().isFloat({ min: 0 }),
+  body('nutritionPer100g.vitamins.*').optional().isNumeric().isFloat({ min: 0 }),
+  body('nutritionPer100g.minerals.*').optional().isNumeric().isFloat({ min: 0 }),
   body('category').isIn([
     'vegetables', 'fruits', 'grains', 'protein', 'dairy', 
     'fats-oils', 'beverages', 'snacks', 'condiments', 'supplements', 'other'
   ]),
+  body('density').optional().isFloat({ min: 0.1, max: 5 }),
   body('servingSizes').optional().isArray(),
+  body('servingSizes.*.name').optional().isString().trim().isLength({ min: 1, max: 50 }),
+  body('servingSizes.*.weight').optional().isFloat({ min: 0 }),
+  body('servingSizes.*.unit').optional().isIn(['g', 'ml', 'oz', 'cup', 'piece']),
   handleValidationErrors
 ], logActivity('food-created', 'Created custom food'), async (req, res) => {
   try {
@@ -211,7 +258,7 @@ router.get('/entries/:date', [
   }
 });
 
-// Create or update nutrition entry
+// Log meals for a day, creating the day's entry if needed
 router.post('/entries', [
   body('date').isISO8601(),
   body('meals').isArray(),
@@ -226,83 +273,264 @@ router.post('/entries', [
 ], logActivity('nutrition-logged', 'Logged nutrition entry'), async (req, res) => {
   try {
     const { date, meals, waterIntake } = req.body;
-    const entryDate = new Date(date);
 
-    // Calculate nutrition for each meal and food item
-    const processedMeals = [];
-    let dailyTotals = { calories: 0, protein: 0, carbohydrates: 0, fat: 0 };
+    // Calculate nutrition for each meal and food item from its weight in grams
+    const resolved = await resolveMeals(meals);
+    if (resolved.error) return sendEntryResult(res, resolved);
 
-    for (const meal of meals) {
-      const processedFoods = [];
-      let mealCalories = 0;
+    // Posted foods are added to the day's meals of the same type, so logging a
+    // snack keeps what was already logged for the day
+    const result = await updateDayEntry(req.user._id, date, { create: true }, (entry) => {
+      mergeMeals(entry, resolved.meals);
+      if (waterIntake) entry.waterIntake = waterIntake;
+      return {};
+    });
 
-      for (const foodItem of meal.foods) {
-        const food = await Food.findById(foodItem.food);
-        if (!food) {
-          return res.status(400).json({ error: `Food with ID ${foodItem.food} not found` });
-        }
+    const { entry } = result;
+    await entry.populate('meals.foods.food', 'name brand nutritionPer100g');
+    res.status(201).json(entry);
+  } catch (error) {
+    sendEntryError(res, error, 'Failed to create nutrition entry');
+  }
+});
 
-        // Calculate nutrition based on quantity
-        const multiplier = foodItem.quantity / 100; // nutrition is per 100g
-        const nutrition = {
-          calories: food.nutritionPer100g.calories * multiplier,
-          protein: food.nutritionPer100g.protein * multiplier,
-          carbohydrates: food.nutritionPer100g.carbohydrates * multiplier,
-          fat: food.nutritionPer100g.fat * multiplier
-        };
-
-        processedFoods.push({
-          food: foodItem.food,
-          quantity: foodItem.quantity,
-          unit: foodItem.unit,
-          ...nutrition
-        });
+// Recalculate logged foods from their units, e.g. for entries saved when every
+// unit was treated as grams
+router.post('/entries/recalculate', [
+  body('startDate').optional().isISO8601(),
+  body('endDate').optional().isISO8601(),
+  body('dryRun').optional().isBoolean(),
+  handleValidationErrors
+], logActivity('nutrition-recalculated', 'Recalculated nutrition entries'), async (req, res) => {
+  try {
+    const { startDate, endDate, dryRun = false } = req.body;
 
-        mealCalories += nutrition.calories;
-        dailyTotals.calories += nutrition.calories;
-        dailyTotals.protein += nutrition.protein;
-        dailyTotals.carbohydrates += nutrition.carbohydrates;
-        dailyTotals.fat += nutrition.fat;
-      }
+    const filter = { user: req.user._id };
+    if (startDate || endDate) {
+      filter.date = {};
+      if (startDate) filter.date.$gte = new Date(startDate);
+      if (endDate) filter.date.$lte = new Date(endDate);
+    }
+
+    const entries = await NutritionEntry.find(filter)
+      .populate('meals.foods.food', 'name category nutritionPer100g servingSizes density')
+      .sort({ date: 1 });
 
-      processedMeals.push({
-        type: meal.type,
-        foods: processedFoods,
-        totalCalories: mealCalories,
-        notes: meal.notes
+    const updated = [];
+    const unresolved = [];
+
+    for (const entry of entries) {
+      const before = entry.dailyTotals?.calories || 0;
+      const changed = recalculateEntry(entry, unresolved);
+      if (!changed) continue;
+
+      updated.push({
+        entry: entry._id,
+        date: entry.date,
+        caloriesBefore: before,
+        caloriesAfter: entry.dailyTotals.calories
       });
+      if (!dryRun) await entry.save();
     }
 
-    // Find or create nutrition entry for the date
-    const existingEntry = await NutritionEntry.findOne({
-      user: req.user._id,
-      date: {
-        $gte: entryDate,
-        $lt: new Date(entryDate.getTime() + 24 * 60 * 60 * 1000)
-      }
+    res.json({
+      message: dryRun ? 'Recalculation preview' : 'Nutrition entries recalculated',
+      dryRun,
+      entriesChecked: entries.length,
+      entriesUpdated: updated.length,
+      updated,
+      unresolved
     });
+  } catch (error) {
+    sendEntryError(res, error, 'Failed to recalculate nutrition entries');
+  }
+});
 
-    let entry;
-    if (existingEntry) {
-      existingEntry.meals = processedMeals;
-      existingEntry.dailyTotals = dailyTotals;
-      if (waterIntake) existingEntry.waterIntake = waterIntake;
-      entry = await existingEntry.save();
-    } else {
-      entry = new NutritionEntry({
-        user: req.user._id,
-        date: entryDate,
-        meals: processedMeals,
-        dailyTotals,
-        waterIntake: waterIntake || { amount: 0, unit: 'ml' }
-      });
-      await entry.save();
+// Add a food to a meal of the day, creating the day's entry and the meal if needed
+router.post('/entries/:date/foods', [
+  param('date').isISO8601(),
+  body('meal').isIn(MEAL_TYPES),
+  body('mealId').optional().isMongoId(),
+  body('food').isMongoId(),
+  body('quantity').isFloat({ min: 0.1 }),
+  body('unit').optional().isIn(FOOD_UNITS),
+  handleValidationErrors
+], logActivity('nutrition-logged', 'Logged food item'), async (req, res) => {
+  try {
+    const { meal: mealType, mealId, quantity, unit = 'g' } = req.body;
+
+    const resolved = await resolveFoodItem(req.body.food, quantity, unit);
+    if (resolved.error) return sendEntryResult(res, resolved);
+
+    const result = await updateDayEntry(req.user._id, req.params.date, { create: true }, (entry) => {
+      const meal = mealId ? entry.meals.id(mealId) : findOrAddMeal(entry, mealType);
+      if (!meal) return { status: 404, error: 'Meal not found' };
+
+      meal.foods.push(resolved.item);
+      return { item: meal.foods[meal.foods.length - 1] };
+    });
+
+    sendEntryResult(res, result, 201);
+  } catch (error) {
+    sendEntryError(res, error, 'Failed to log food');
+  }
+});
+
+// Change the quantity or unit of a logged food
+router.put('/entries/:date/foods/:itemId', [
+  param('date').isISO8601(),
+  param('itemId').isMongoId(),
+  body('quantity').optional().isFloat({ min: 0.1 }),
+  body('unit').optional().isIn(FOOD_UNITS),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const result = await updateDayEntry(req.user._id, req.params.date, {}, async (entry) => {
+      const found = findFoodItem(entry, req.params.itemId);
+      if (!found) return { status: 404, error: 'Food item not found' };
+
+      const { item } = found;
+      const resolved = await resolveFoodItem(
+        item.food,
+        req.body.quantity ?? item.quantity,
+        req.body.unit ?? item.unit
+      );
+      if (resolved.error) return resolved;
+
+      item.set(resolved.item);
+      return { item };
+    });
+
+    sendEntryResult(res, result);
+  } catch (error) {
+    sendEntryError(res, error, 'Failed to update food');
+  }
+});
+
+// Move a logged food to another meal of the same day
+router.post('/entries/:date/foods/:itemId/move', [
+  param('date').isISO8601(),
+  param('itemId').isMongoId(),
+  body('meal').optional().isIn(MEAL_TYPES),
+  body('mealId').optional().isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { meal: mealType, mealId } = req.body;
+    if (!mealType && !mealId) {
+      return res.status(400).json({ error: 'meal or mealId is required' });
     }
 
-    await entry.populate('meals.foods.food', 'name brand nutritionPer100g');
-    res.status(201).json(entry);
+    const result = await updateDayEntry(req.user._id, req.params.date, {}, (entry) => {
+      const found = findFoodItem(entry, req.params.itemId);
+      if (!found) return { status: 404, error: 'Food item not found' };
+
+      const target = mealId ? entry.meals.id(mealId) : findOrAddMeal(entry, mealType);
+      if (!target) return { status: 404, error: 'Meal not found' };
+      if (target === found.meal) return { item: found.item };
+
+      const item = found.item.toObject();
+      found.item.deleteOne();
+      target.foods.push(item);
+      return { item: target.foods[target.foods.length - 1] };
+    });
+
+    sendEntryResult(res, result);
+  } catch (error) {
+    sendEntryError(res, error, 'Failed to move food');
+  }
+});
+
+// Remove a logged food
+router.delete('/entries/:date/foods/:itemId', [
+  param('date').isISO8601(),
+  param('itemId').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const result = await updateDayEntry(req.user._id, req.params.date, {}, (entry) => {
+      const found = findFoodItem(entry, req.params.itemId);
+      if (!found) return { status: 404, error: 'Food item not found' };
+
+      found.item.deleteOne();
+      return {};
+    });
+
+    sendEntryResult(res, result);
+  } catch (error) {
+    sendEntryError(res, error, 'Failed to delete food');
+  }
+});
+
+// Add a meal to the day
+router.post('/entries/:date/meals', [
+  param('date').isISO8601(),
+  body('type').isIn(MEAL_TYPES),
+  body('notes').optional().isString().isLength({ max: 200 }),
+  body('foods').optional().isArray(),
+  body('foods.*.food').isMongoId(),
+  body('foods.*.quantity').isFloat({ min: 0.1 }),
+  body('foods.*.unit').optional().isIn(FOOD_UNITS),
+  handleValidationErrors
+], logActivity('nutrition-logged', 'Logged meal'), async (req, res) => {
+  try {
+    const resolved = await resolveMeals([{ foods: req.body.foods }]);
+    if (resolved.error) return sendEntryResult(res, resolved);
+    const { foods } = resolved.meals[0];
+
+    const result = await updateDayEntry(req.user._id, req.params.date, { create: true }, (entry) => {
+      entry.meals.push({ type: req.body.type, notes: req.body.notes, foods });
+      return { meal: entry.meals[entry.meals.length - 1] };
+    });
+
+    sendEntryResult(res, result, 201);
+  } catch (error) {
+    sendEntryError(res, error, 'Failed to add meal');
+  }
+});
+
+// Change a meal's type or notes
+router.put('/entries/:date/meals/:mealId', [
+  param('date').isISO8601(),
+  param('mealId').isMongoId(),
+  body('type').optional().isIn(MEAL_TYPES),
+  body('notes').optional().isString().isLength({ max: 200 }),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const result = await updateDayEntry(req.user._id, req.params.date, {}, (entry) => {
+      const meal = entry.meals.id(req.params.mealId);
+      if (!meal) return { status: 404, error: 'Meal not found' };
+
+      if (req.body.type !== undefined) meal.type = req.body.type;
+      if (req.body.notes !== undefined) meal.notes = req.body.notes;
+      return { meal };
+    });
+
+    sendEntryResult(res, result);
+  } catch (error) {
+    sendEntryError(res, error, 'Failed to update meal');
+  }
+});
+
+// Remove a meal and its foods
+router.delete('/entries/:date/meals/:mealId', [
+  param('date').isISO8601(),
+  param('mealId').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const result = await updateDayEntry(req.user._id, req.params.date, {}, (entry) => {
+      const meal = entry.meals.id(req.params.mealId);
+      if (!meal) return { status: 404, error: 'Meal not found' };
+
+      meal.deleteOne();
+      return {};
+    });
+
+    sendEntryResult(res, result);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to create nutrition entry', details: error.message });
+    sendEntryError(res, error, 'Failed to delete meal');
   }
 });
 
@@ -464,6 +692,163 @@ router.delete('/meal-plans/:id', [
   }
 });
 
+// ======================
+// NUTRITION TARGETS
+// ======================
+
+// Get the stored daily targets and what remains of them today
+router.get('/targets', [
+  query('date').optional().isISO8601(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    if (!req.user.nutritionTargets?.calories) {
+      return res.status(404).json({ error: 'No nutrition targets set' });
+    }
+
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    res.json({
+      nutritionTargets: req.user.nutritionTargets,
+      age: targetsAge(req.user.nutritionTargets),
+      today: await dailyTargetProgress(req.user, date)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch nutrition targets', details: error.message });
+  }
+});
+
+// Calculate and store daily targets from BMR, activity level and the
+// user's active weight or muscle goal
+router.put('/targets', [
+  body('activityLevel').optional().isIn(Object.keys(ACTIVITY_MULTIPLIERS)),
+  body('formula').optional().isIn(BMR_FORMULAS),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const activityLevel = req.body.activityLevel || req.user.nutritionTargets?.activityLevel;
+    if (!activityLevel) {
+      return res.status(400).json({ error: 'Activity level is required' });
+    }
+
+    const profile = await targetProfile(req.user);
+    const bmr = calculateBmr(profile, req.body.formula);
+    if (bmr.error) {
+      return res.status(400).json({ error: bmr.error });
+    }
+
+    const goals = await Goal.find({
+      user: req.user._id,
+      status: 'active',
+      type: { $in: TARGET_GOAL_TYPES }
+    });
+    const goal = pickTargetGoal(goals);
+
+    const targets = calculateTargets({
+      bmr: bmr.bmr,
+      activityLevel,
+      weightKg: profile.weightKg,
+      gender: profile.gender,
+      goal
+    });
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      {
+        nutritionTargets: {
+          activityLevel,
+          formula: bmr.formula,
+          ...targets,
+          goal: goal?._id,
+          basis: {
+            weightKg: profile.weightKg,
+            bodyFatPercentage: profile.bodyFatPercentage ?? undefined,
+            heightCm: profile.heightCm ?? undefined,
+            age: profile.age ?? undefined
+          },
+          calculatedAt: new Date()
+        }
+      },
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      message: 'Nutrition targets updated successfully',
+      nutritionTargets: user.nutritionTargets,
+      goal: goal ? { _id: goal._id, title: goal.title, type: goal.type } : null,
+      today: await dailyTargetProgress(user)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update nutrition targets', details: error.message });
+  }
+});
+
+// Estimate actual energy expenditure from logged intake and the smoothed
+// weight trend, and the calories that keep the weight goal on pace
+router.get('/targets/adaptive', [
+  query('days').optional().isInt({ min: MIN_WINDOW_DAYS, max: MAX_WINDOW_DAYS }).toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const windowDays = req.query.days || MAX_WINDOW_DAYS;
+    const end = new Date();
+    const start = new Date(end.getTime() - windowDays * 24 * 60 * 60 * 1000);
+
+    const [entries, weighIns, goals] = await Promise.all([
+      NutritionEntry.find({
+        user: req.user._id,
+        date: { $gte: start, $lte: end }
+      }).select('date dailyTotals.calories'),
+      Progress.find({
+        user: req.user._id,
+        type: 'weight',
+        'weight.value': { $exists: true },
+        date: { $gte: start, $lte: end }
+      }).select('date weight'),
+      Goal.find({
+        user: req.user._id,
+        status: 'active',
+        type: { $in: TARGET_GOAL_TYPES }
+      })
+    ]);
+
+    const estimate = estimateTdee({
+      intake: entries.map(entry => ({ date: entry.date, calories: entry.dailyTotals?.calories })),
+      weights: weighIns.map(entry => ({ date: entry.date, kg: toKg(entry.weight) })),
+      windowDays
+    });
+    if (estimate.error) {
+      return res.status(400).json({ error: estimate.error });
+    }
+
+    const goal = pickTargetGoal(goals);
+    const targets = req.user.nutritionTargets;
+
+    res.json({
+      period: { start, end, days: windowDays },
+      estimate,
+      formulaTdee: targets?.tdee ?? null,
+      goal: goal ? {
+        _id: goal._id,
+        title: goal.title,
+        type: goal.type,
+        targetValue: goal.targetValue,
+        currentValue: goal.currentValue,
+        unit: goal.unit,
+        targetDate: goal.targetDate,
+        remainingKg: remainingGoalKg(goal)
+      } : null,
+      recommendation: recommendCalories({
+        estimate,
+        goal,
+        gender: req.user.gender,
+        currentCalories: targets?.calories
+      })
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to estimate energy expenditure', details: error.message });
+  }
+});
+
 // ======================
 // NUTRITION ANALYTICS
 // ======================
@@ -518,6 +903,8 @@ router.get('/analytics', [
       },
       trends: [],
       topFoods: [],
+      micronutrients: [],
+      targets: null,
       mealDistribution: {
         breakfast: 0,
         lunch: 0,
@@ -564,6 +951,13 @@ router.get('/analytics', [
       analytics.summary.averageFat = Math.round(totalFat / entries.length);
       analytics.summary.totalWaterIntake = totalWater;
 
+      // Average daily micronutrients against intakes for the user's age and gender
+      analytics.micronutrients = micronutrientReport(
+        entries.map(entry => entry.dailyTotals || {}),
+        req.user,
+        { at: end }
+      );
+
       // Get top foods
       const topFoodIds = Object.entries(foodFrequency)
         .sort(([,a], [,b]) => b - a)
@@ -581,10 +975,101 @@ router.get('/analytics', [
       }
     }
 
+    // Today's remaining calories and macros against the stored targets
+    analytics.targets = await dailyTargetProgress(req.user);
+
     res.json(analytics);
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch nutrition analytics', details: error.message });
   }
 });
 
+// ======================
+// HELPER FUNCTIONS
+// ======================
+
+async function sendEntryResult(res, result, successStatus = 200) {
+  if (result.error) {
+    const { status, ...body } = result;
+    return res.status(status).json(body);
+  }
+
+  const { entry, ...rest } = result;
+  await entry.populate('meals.foods.food', 'name brand nutritionPer100g');
+  res.status(successStatus).json({ ...rest, entry });
+}
+
+// A save that kept losing to another device's edits is a conflict the client
+// resolves by reloading; anything else is a server error
+function sendEntryError(res, error, failure) {
+  if (error instanceof mongoose.Error.VersionError) {
+    return res.status(409).json({ error: 'The entry for this date was changed by another device; reload and try again' });
+  }
+  res.status(500).json({ error: failure, details: error.message });
+}
+
+function findFoodItem(entry, itemId) {
+  for (const meal of entry.meals) {
+    const item = meal.foods.id(itemId);
+    if (item) return { meal, item };
+  }
+  return null;
+}
+
+// Ignore differences from rounding
+const differs = (stored, calculated) => stored === undefined || Math.abs(stored - calculated) > 0.05;
+
+const sameAmounts = (stored, calculated) => {
+  const keys = new Set([...Object.keys(stored), ...Object.keys(calculated)]);
+  return [...keys].every(key => calculated[key] !== undefined && !differs(stored[key], calculated[key]));
+};
+
+// Recalculate an entry's foods and totals in place. Foods whose unit can't be
+// converted (or that no longer exist) keep their stored values and are added
+// to `unresolved`. Returns whether any value changed.
+function recalculateEntry(entry, unresolved) {
+  let changed = false;
+
+  for (const meal of entry.meals) {
+    for (const item of meal.foods) {
+      if (!item.food) {
+        unresolved.push({ entry: entry._id, date: entry.date, meal: meal.type, error: 'Food no longer exists' });
+        continue;
+      }
+
+      const calculated = calculateFoodItem(item.food, item.quantity, item.unit);
+      if (!calculated) {
+        unresolved.push({
+          entry: entry._id,
+          date: entry.date,
+          meal: meal.type,
+          food: item.food._id,
+          unit: item.unit,
+          error: unresolvedUnitMessage(item.food, item.unit)
+        });
+        continue;
+      }
+
+      for (const field of ['grams', ...NUTRIENT_FIELDS]) {
+        if (differs(item[field], calculated[field])) {
+          item[field] = calculated[field];
+          changed = true;
+        }
+      }
+
+      const stored = item.micronutrients ? Object.fromEntries(item.micronutrients) : {};
+      if (!sameAmounts(stored, calculated.micronutrients)) {
+        item.micronutrients = calculated.micronutrients;
+        changed = true;
+      }
+    }
+  }
+
+  const before = NUTRIENT_FIELDS.map(field => entry.dailyTotals?.[field]);
+  const totals = applyEntryTotals(entry);
+  if (NUTRIENT_FIELDS.some((field, index) => differs(before[index], totals[field]))) changed = true;
+
+  return changed;
+}
+
 export default router;
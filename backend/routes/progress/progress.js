@@ -1,8 +1,17 @@
 import express from 'express';
 import { body, param, query } from 'express-validator';
-import { Progress, User, Goal, ActivityLog } from '../../models/index.js';
+import { Progress, User, Goal, ActivityLog, WorkoutSession, Exercise } from '../../models/index.js';
 import { authenticateToken } from '../../middleware/auth.js';
 import { handleValidationErrors, logActivity } from '../../middleware/common.js';
+import { buildExerciseAnalytics } from '../../utils/exerciseAnalytics.js';
+import { recordDeletion } from '../../utils/sync.js';
+import {
+  STANDARD_DISTANCES,
+  RIEGEL_EXPONENT,
+  sessionBestEfforts,
+  predictRaceTimes,
+  paceTrend
+} from '../../utils/bestEfforts.js';
 
 const router = express.Router();
 
@@ -177,6 +186,8 @@ router.delete('/entries/:id', [
       return res.status(404).json({ error: 'Progress entry not found' });
     }
 
+    await recordDeletion(req.user._id, 'progress', entry._id);
+
     res.json({ message: 'Progress entry deleted successfully' });
   } catch (error) {
     res.status(500).json({ error: 'Failed to delete progress entry', details: error.message });
@@ -343,65 +354,82 @@ router.get('/analytics/measurements', [
 
 // Get performance progress
 router.get('/analytics/performance', [
-  query('exercise').optional().isString(),
+  query('exercise').optional().isMongoId(),
+  query('metric').optional().isIn(['max-weight', 'max-reps', 'estimated-1rm', 'best-time', 'distance', 'other']),
   query('period').optional().isIn(['7d', '30d', '90d', '1y']),
   handleValidationErrors
 ], async (req, res) => {
   try {
-    const { exercise, period = '90d' } = req.query;
+    const { exercise, metric, period = '90d' } = req.query;
 
     const now = new Date();
     const days = period === '7d' ? 7 : period === '30d' ? 30 : period === '90d' ? 90 : 365;
     const startOfPeriod = new Date(now.getTime() - (days * 24 * 60 * 60 * 1000));
 
-    let query = {
+    const query = {
       user: req.user._id,
       type: 'performance',
       date: { $gte: startOfPeriod, $lte: now }
     };
 
-    if (exercise) {
-      query['data.exercise'] = { $regex: exercise, $options: 'i' };
-    }
+    if (exercise) query['performance.exercise'] = exercise;
+    if (metric) query['performance.metric'] = metric;
 
-    const performanceEntries = await Progress.find(query).sort({ date: 1 });
+    const performanceEntries = await Progress.find(query)
+      .populate('performance.exercise', 'name category')
+      .sort({ date: 1 });
 
-    // Group by exercise
-    const exerciseGroups = {};
+    // Group by exercise, metric and reference (load for reps, distance for times)
+    const groups = {};
     performanceEntries.forEach(entry => {
-      const exerciseName = entry.data.exercise;
-      if (!exerciseGroups[exerciseName]) {
-        exerciseGroups[exerciseName] = [];
+      const { performance } = entry;
+      const exerciseName = performance.exercise?.name || 'Unknown exercise';
+      const reference = performance.reference?.value !== undefined
+        ? ` @ ${performance.reference.value} ${performance.reference.unit}`
+        : '';
+      const key = `${exerciseName} - ${performance.metric}${reference}`;
+
+      if (!groups[key]) {
+        groups[key] = {
+          exercise: performance.exercise,
+          metric: performance.metric,
+          reference: performance.reference,
+          entries: []
+        };
       }
-      exerciseGroups[exerciseName].push({
+      groups[key].entries.push({
         date: entry.date,
-        value: entry.data.value,
-        unit: entry.data.unit || 'reps',
+        value: performance.value,
+        unit: performance.unit || 'reps',
+        session: performance.session,
         notes: entry.notes
       });
     });
 
-    // Calculate progress for each exercise
+    // Calculate progress for each group; for times, lower is better
     const analytics = {};
-    Object.keys(exerciseGroups).forEach(exerciseName => {
-      const entries = exerciseGroups[exerciseName];
-      const values = entries.map(e => e.value);
+    Object.entries(groups).forEach(([key, group]) => {
+      const lowerIsBetter = group.metric === 'best-time';
+      const values = group.entries.map(e => e.value);
       const firstValue = values[0];
       const lastValue = values[values.length - 1];
-      const improvement = lastValue - firstValue;
-      const improvementPercentage = ((improvement / firstValue) * 100).toFixed(2);
-
-      analytics[exerciseName] = {
-        entries,
+      const improvement = lowerIsBetter ? firstValue - lastValue : lastValue - firstValue;
+      const improvementPercentage = firstValue ? ((improvement / firstValue) * 100).toFixed(2) : '0.00';
+
+      analytics[key] = {
+        exercise: group.exercise,
+        metric: group.metric,
+        reference: group.reference,
+        entries: group.entries,
         progress: {
           improvement: improvement.toFixed(2),
           improvementPercentage,
           trend: improvement > 0 ? 'improving' : improvement < 0 ? 'declining' : 'stable'
         },
         statistics: {
-          best: Math.max(...values),
+          best: lowerIsBetter ? Math.min(...values) : Math.max(...values),
           average: (values.reduce((sum, v) => sum + v, 0) / values.length).toFixed(2),
-          totalEntries: entries.length
+          totalEntries: group.entries.length
         }
       };
     });
@@ -412,6 +440,151 @@ router.get('/analytics/performance', [
   }
 });
 
+// Get estimated 1RM, tonnage and training volume from logged workout sessions
+router.get('/analytics/exercises', [
+  query('exercise').optional().isMongoId(),
+  query('period').optional().isIn(['7d', '30d', '90d', '1y']),
+  query('formula').optional().isIn(['epley', 'brzycki', 'lombardi']),
+  query('unit').optional().isIn(['kg', 'lbs']),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { exercise, period = '90d', formula = 'epley' } = req.query;
+    const unit = req.query.unit || req.user.preferences?.units?.weight || 'kg';
+
+    const now = new Date();
+    const days = period === '7d' ? 7 : period === '30d' ? 30 : period === '90d' ? 90 : 365;
+    const startOfPeriod = new Date(now.getTime() - (days * 24 * 60 * 60 * 1000));
+
+    const query = {
+      user: req.user._id,
+      status: 'completed',
+      startTime: { $gte: startOfPeriod, $lte: now }
+    };
+
+    if (exercise) {
+      query['actualExercises.exercise'] = exercise;
+    }
+
+    const sessions = await WorkoutSession.find(query)
+      .populate('actualExercises.exercise', 'name category muscleGroups')
+      .sort({ startTime: 1 });
+
+    const analytics = buildExerciseAnalytics(sessions, { formula, unit });
+
+    if (exercise) {
+      analytics.exercises = analytics.exercises.filter(e =>
+        e.exercise?._id?.toString() === exercise
+      );
+    }
+
+    res.json({
+      period,
+      formula,
+      unit,
+      totalSessions: sessions.length,
+      ...analytics
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch exercise analytics', details: error.message });
+  }
+});
+
+// Get pace per session and per week for a distance exercise
+router.get('/analytics/pace', [
+  query('exercise').isMongoId(),
+  query('period').optional().isIn(['30d', '90d', '1y']),
+  query('unit').optional().isIn(['km', 'miles']),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { exercise, period = '90d' } = req.query;
+    const unit = req.query.unit || req.user.preferences?.units?.distance || 'km';
+
+    const now = new Date();
+    const days = period === '30d' ? 30 : period === '90d' ? 90 : 365;
+    const startOfPeriod = new Date(now.getTime() - (days * 24 * 60 * 60 * 1000));
+
+    const sessions = await WorkoutSession.find({
+      user: req.user._id,
+      status: 'completed',
+      startTime: { $gte: startOfPeriod, $lte: now },
+      'actualExercises.exercise': exercise
+    })
+      .select('startTime actualExercises')
+      .sort({ startTime: 1 })
+      .lean();
+
+    res.json({ exercise, period, ...paceTrend(sessions, exercise, unit) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch pace analytics', details: error.message });
+  }
+});
+
+// ======================
+// CARDIO BEST EFFORT ROUTES
+// ======================
+
+// Get fastest times at standard distances (1 km, 5 km, 10 km, half marathon)
+router.get('/best-efforts', [
+  query('exercise').optional().isMongoId(),
+  query('period').optional().isIn(['90d', '1y', 'all']),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { exercise, period = 'all' } = req.query;
+    const efforts = await findBestEfforts(req.user._id, { exercise, period });
+
+    res.json({
+      period,
+      distances: STANDARD_DISTANCES,
+      bestEfforts: efforts.map(effort => ({ ...effort, pacePerKm: Math.round(effort.seconds / effort.km) }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch best efforts', details: error.message });
+  }
+});
+
+// Predict race times with the Riegel formula, from a given result or from the
+// user's best efforts at an exercise over the last 90 days. Best efforts need
+// the exercise, so a bike ride never predicts running times.
+router.get('/race-predictor', [
+  query('exercise').optional().isMongoId(),
+  query('distanceKm').optional().isFloat({ min: 0.4, max: 100 }),
+  query('seconds').optional().isInt({ min: 60 }),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { exercise } = req.query;
+    const distanceKm = req.query.distanceKm !== undefined ? Number(req.query.distanceKm) : undefined;
+    const seconds = req.query.seconds !== undefined ? Number(req.query.seconds) : undefined;
+
+    if ((distanceKm === undefined) !== (seconds === undefined)) {
+      return res.status(400).json({ error: 'distanceKm and seconds must be given together' });
+    }
+
+    if (distanceKm === undefined && !exercise) {
+      return res.status(400).json({ error: 'exercise is required to predict from best efforts; or pass distanceKm and seconds' });
+    }
+
+    const basis = distanceKm !== undefined
+      ? [{ distance: 'custom', km: distanceKm, seconds }]
+      : await findBestEfforts(req.user._id, { exercise, period: '90d' });
+
+    if (!basis.length) {
+      return res.status(404).json({ error: 'No recent best efforts to predict from; log a run of at least 1 km or pass distanceKm and seconds' });
+    }
+
+    res.json({
+      formula: 'riegel',
+      exponent: RIEGEL_EXPONENT,
+      predictions: predictRaceTimes(basis)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to predict race times', details: error.message });
+  }
+});
+
 // Get progress summary/dashboard
 router.get('/summary', async (req, res) => {
   try {
@@ -536,4 +709,47 @@ router.get('/photos/compare', [
   }
 });
 
+// ======================
+// HELPER FUNCTIONS
+// ======================
+
+// Fastest effort per exercise and standard distance across completed sessions
+async function findBestEfforts(userId, { exercise, period }) {
+  const query = {
+    user: userId,
+    status: 'completed',
+    $or: [
+      { 'track.distanceKm': { $gt: 0 } },
+      { 'actualExercises.sets.distance.value': { $gt: 0 } }
+    ]
+  };
+  if (period !== 'all') {
+    const days = period === '90d' ? 90 : 365;
+    query.startTime = { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) };
+  }
+  if (exercise) query['actualExercises.exercise'] = exercise;
+
+  const sessions = await WorkoutSession.find(query)
+    .select('startTime actualExercises track.distanceKm +track.samples')
+    .lean();
+
+  const best = new Map();
+  for (const session of sessions) {
+    for (const effort of sessionBestEfforts(session)) {
+      if (exercise && effort.exercise !== exercise) continue;
+      const key = `${effort.exercise}:${effort.distance}`;
+      if (!best.has(key) || effort.seconds < best.get(key).seconds) {
+        best.set(key, { ...effort, date: session.startTime, session: session._id });
+      }
+    }
+  }
+
+  const names = await Exercise.find({ _id: { $in: [...best.values()].map(e => e.exercise) } }).select('name');
+  const nameById = new Map(names.map(e => [e._id.toString(), e.name]));
+
+  return [...best.values()]
+    .map(effort => ({ ...effort, exerciseName: nameById.get(effort.exercise) }))
+    .sort((a, b) => a.km - b.km || a.seconds - b.seconds);
+}
+
 export default router;
@@ -1,8 +1,17 @@
 import express from 'express';
 import { body, param, query } from 'express-validator';
-import { User, ForumPost, WorkoutTemplate, ActivityLog } from '../../models/index.js';
+import { User, ForumPost, WorkoutTemplate, WorkoutRoutine, ActivityLog } from '../../models/index.js';
 import { authenticateToken } from '../../middleware/auth.js';
 import { handleValidationErrors, logActivity } from '../../middleware/common.js';
+import { resolveAvailableEquipment, equipmentFilter, flagEquipment } from '../../utils/equipment.js';
+import {
+  deriveTemplateMetadata,
+  estimateRoutineMinutes,
+  templateContent,
+  diffTemplateVersions,
+  routineFromTemplate,
+  customExercises
+} from '../../utils/templatePublishing.js';
 
 const router = express.Router();
 
@@ -432,11 +441,13 @@ router.get('/workout-templates', [
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 50 }),
   query('sort').optional().isIn(['latest', 'popular', 'rating']),
+  query('location').optional().isString().trim(),
+  query('equipmentMode').optional().isIn(['filter', 'flag']),
   handleValidationErrors
 ], async (req, res) => {
   try {
     const { 
-      category, difficulty, equipment, tags, 
+      category, difficulty, equipment, tags, location, equipmentMode,
       page = 1, limit = 20, sort = 'latest' 
     } = req.query;
     const skip = (page - 1) * limit;
@@ -448,6 +459,18 @@ router.get('/workout-templates', [
     if (equipment) query.equipment = { $in: equipment.split(',') };
     if (tags) query.tags = { $in: tags.split(',') };
 
+    // Restrict to or flag templates doable with the user's equipment
+    let available = null;
+    if (equipmentMode) {
+      available = resolveAvailableEquipment(req.user, location);
+      if (available === undefined) {
+        return res.status(404).json({ error: `Equipment location '${location}' not found` });
+      }
+      if (available && equipmentMode === 'filter') {
+        query.$and = [equipmentFilter(available)];
+      }
+    }
+
     // Build sort
     let sortOption = {};
     switch (sort) {
@@ -462,6 +485,7 @@ router.get('/workout-templates', [
     }
 
     const templates = await WorkoutTemplate.find(query)
+      .select('-versions')
       .populate('creator', 'username name.firstName name.lastName profilePicture')
       .populate('exercises.exercise', 'name category muscleGroups')
       .sort(sortOption)
@@ -471,7 +495,8 @@ router.get('/workout-templates', [
     const total = await WorkoutTemplate.countDocuments(query);
 
     res.json({
-      templates,
+      templates: available && equipmentMode === 'flag' ? flagEquipment(templates, available) : templates,
+      availableEquipment: available,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -491,6 +516,7 @@ router.get('/workout-templates/:id', [
 ], async (req, res) => {
   try {
     const template = await WorkoutTemplate.findById(req.params.id)
+      .select('-versions.exercises -versions.blocks')
       .populate('creator', 'username name.firstName name.lastName profilePicture')
       .populate('exercises.exercise', 'name category muscleGroups equipment')
       .populate('ratings.user', 'username name.firstName name.lastName');
@@ -509,29 +535,192 @@ router.get('/workout-templates/:id', [
   }
 });
 
-// Download/copy workout template
+// Publish one of the user's routines as a workout template
+router.post('/workout-templates', [
+  body('routine').isMongoId(),
+  body('name').optional().trim().isLength({ min: 1, max: 100 }),
+  body('description').optional().isString().isLength({ max: 500 }),
+  body('tags').optional().isArray({ max: 10 }),
+  body('tags.*').optional().isString().trim().isLength({ min: 1, max: 30 }),
+  body('isPublic').optional().isBoolean(),
+  body('changelog').optional().isString().isLength({ max: 1000 }),
+  handleValidationErrors
+], logActivity('template-published', 'Published workout template'), async (req, res) => {
+  try {
+    const routine = await findPublishableRoutine(req.user._id, req.body.routine);
+    if (!routine) {
+      return res.status(404).json({ error: 'Workout routine not found' });
+    }
+
+    const isPublic = req.body.isPublic ?? true;
+    if (isPublic && customExercises(routine).length) {
+      return sendCustomExercisesError(res, routine);
+    }
+
+    const existing = await WorkoutTemplate.findOne({ creator: req.user._id, sourceRoutine: routine._id })
+      .select('_id version');
+    if (existing) {
+      return res.status(409).json({
+        error: 'This routine is already published; publish a new version instead',
+        template: existing._id,
+        version: existing.version
+      });
+    }
+
+    const template = new WorkoutTemplate({
+      creator: req.user._id,
+      sourceRoutine: routine._id,
+      isPublic
+    });
+    applyRoutineToTemplate(template, routine, req.body);
+    template.versions.push(versionSnapshot(template, req.body.changelog || 'Initial version'));
+
+    await template.save();
+
+    res.status(201).json({ message: 'Workout template published successfully', template });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to publish workout template', details: error.message });
+  }
+});
+
+// Publish an updated version of a template from its routine; ratings and
+// downloads carry over
+router.post('/workout-templates/:id/versions', [
+  param('id').isMongoId(),
+  body('routine').optional().isMongoId(),
+  body('name').optional().trim().isLength({ min: 1, max: 100 }),
+  body('description').optional().isString().isLength({ max: 500 }),
+  body('tags').optional().isArray({ max: 10 }),
+  body('tags.*').optional().isString().trim().isLength({ min: 1, max: 30 }),
+  body('changelog').optional().isString().isLength({ max: 1000 }),
+  handleValidationErrors
+], logActivity('template-published', 'Published workout template version'), async (req, res) => {
+  try {
+    const template = await WorkoutTemplate.findOne({ _id: req.params.id, creator: req.user._id });
+    if (!template) {
+      return res.status(404).json({ error: 'Workout template not found' });
+    }
+
+    const routineId = req.body.routine || template.sourceRoutine;
+    if (!routineId) {
+      return res.status(400).json({ error: 'Routine is required for templates not published from a routine' });
+    }
+
+    const routine = await findPublishableRoutine(req.user._id, routineId);
+    if (!routine) {
+      return res.status(404).json({ error: 'Workout routine not found' });
+    }
+
+    if (template.isPublic && customExercises(routine).length) {
+      return sendCustomExercisesError(res, routine);
+    }
+
+    // Templates created before versioning keep their original content as version 1
+    if (!template.versions.length) {
+      template.versions.push(versionSnapshot(template, 'Initial version', template.createdAt));
+    }
+
+    const previous = templateContentOf(template);
+    applyRoutineToTemplate(template, routine, req.body);
+
+    const diff = diffTemplateVersions(previous, templateContentOf(template));
+    if (!diff.hasChanges) {
+      return res.status(400).json({ error: 'Nothing has changed since the last published version' });
+    }
+
+    template.version += 1;
+    template.sourceRoutine = routine._id;
+    template.versions.push(versionSnapshot(template, req.body.changelog));
+
+    await template.save();
+
+    res.status(201).json({
+      message: `Version ${template.version} published successfully`,
+      template,
+      changes: diff
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to publish template version', details: error.message });
+  }
+});
+
+// Changes since a version, by default the one the user last downloaded
+router.get('/workout-templates/:id/changelog', [
+  param('id').isMongoId(),
+  query('from').optional().isInt({ min: 1 }),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const template = await WorkoutTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({ error: 'Workout template not found' });
+    }
+
+    if (!template.isPublic && template.creator.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const downloaded = await WorkoutRoutine.findOne({
+      user: req.user._id,
+      'sourceTemplate.template': template._id
+    }).sort({ 'sourceTemplate.copiedAt': -1 }).select('sourceTemplate');
+
+    const fromVersion = req.query.from !== undefined
+      ? parseInt(req.query.from)
+      : downloaded?.sourceTemplate?.version || 1;
+
+    if (fromVersion > template.version) {
+      return res.status(400).json({ error: `Template is only at version ${template.version}` });
+    }
+
+    const baseline = template.versions.find(version => version.version === fromVersion);
+
+    res.json({
+      template: template._id,
+      currentVersion: template.version,
+      fromVersion,
+      downloadedVersion: downloaded?.sourceTemplate?.version ?? null,
+      updateAvailable: fromVersion < template.version,
+      versions: template.versions
+        .filter(version => version.version > fromVersion)
+        .map(({ version, changelog, publishedAt }) => ({ version, changelog, publishedAt })),
+      // Versions published before history was kept can't be compared
+      changes: baseline ? diffTemplateVersions(baseline, templateContentOf(template)) : null
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch template changelog', details: error.message });
+  }
+});
+
+// Download/copy workout template into the user's routines
 router.post('/workout-templates/:id/download', [
   param('id').isMongoId(),
   handleValidationErrors
 ], logActivity('template-downloaded', 'Downloaded workout template'), async (req, res) => {
   try {
-    const template = await WorkoutTemplate.findById(req.params.id)
-      .populate('exercises.exercise');
+    const template = await WorkoutTemplate.findById(req.params.id);
 
     if (!template || !template.isPublic) {
       return res.status(404).json({ error: 'Workout template not found' });
     }
 
-    // Increment download count
-    template.downloads += 1;
-    await template.save();
+    const routine = await WorkoutRoutine.create(routineFromTemplate(template, req.user._id));
 
-    // This would typically create a copy of the template as a workout routine for the user
-    // Implementation would depend on your WorkoutRoutine model structure
+    // Count the download only once the copy exists; $inc keeps concurrent
+    // downloads from overwriting each other
+    const counted = await WorkoutTemplate.findByIdAndUpdate(
+      template._id,
+      { $inc: { downloads: 1 } },
+      { new: true }
+    ).select('downloads');
 
-    res.json({ 
+    await routine.populate('exercises.exercise', 'name category muscleGroups equipment');
+
+    res.status(201).json({
       message: 'Template downloaded successfully',
-      downloads: template.downloads
+      downloads: counted?.downloads ?? template.downloads + 1,
+      routine
     });
   } catch (error) {
     res.status(500).json({ error: 'Failed to download template', details: error.message });
@@ -640,4 +829,50 @@ router.get('/feed', [
   }
 });
 
+// ======================
+// HELPER FUNCTIONS
+// ======================
+
+// Routine owned by the user, with the exercise details templates derive from
+function findPublishableRoutine(userId, routineId) {
+  return WorkoutRoutine.findOne({ _id: routineId, user: userId })
+    .populate('exercises.exercise', 'name category difficulty equipment muscleGroups isCustom');
+}
+
+function sendCustomExercisesError(res, routine) {
+  return res.status(409).json({
+    error: 'Public templates cannot use custom exercises; replace them or publish the template privately',
+    customExercises: customExercises(routine).map(exercise => ({ _id: exercise._id, name: exercise.name }))
+  });
+}
+
+// Copy a routine's content and derived metadata onto a template
+function applyRoutineToTemplate(template, routine, { name, description, tags }) {
+  const metadata = deriveTemplateMetadata(routine);
+  const content = templateContent(routine);
+
+  template.name = name || routine.name;
+  template.description = description ?? routine.description;
+  template.exercises = content.exercises;
+  template.blocks = content.blocks;
+  template.category = metadata.category;
+  template.difficulty = metadata.difficulty;
+  template.equipment = metadata.equipment;
+  template.tags = tags || metadata.tags;
+  template.estimatedDuration = routine.estimatedDuration || estimateRoutineMinutes(routine);
+}
+
+function templateContentOf(template) {
+  return {
+    name: template.name,
+    description: template.description,
+    exercises: template.exercises.map(entry => entry.toObject()),
+    blocks: template.blocks.map(block => block.toObject())
+  };
+}
+
+function versionSnapshot(template, changelog, publishedAt = new Date()) {
+  return { version: template.version, changelog, publishedAt, ...templateContentOf(template) };
+}
+
 export default router;
@@ -0,0 +1,407 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body } from 'express-validator';
+import {
+  WorkoutSession,
+  WorkoutRoutine,
+  Exercise,
+  NutritionEntry,
+  Progress,
+  SyncOperation,
+  SyncTombstone
+} from '../../models/models.js';
+import { authenticateToken } from '../../middleware/auth.js';
+import { handleValidationErrors } from '../../middleware/common.js';
+import {
+  SYNC_ENTITY_TYPES,
+  SYNC_OPERATIONS,
+  sanitizeSyncData,
+  encodeSyncToken,
+  decodeSyncToken,
+  isSyncTokenExpired,
+  hasConflict,
+  recordDeletion,
+  isPermanentFailure,
+  isStalePending,
+  applySessionCreate,
+  applySessionEdit
+} from '../../utils/sync.js';
+import { logSessionSet, recordSessionCalories, detectSessionRecords } from '../../utils/sessionLifecycle.js';
+import { applyEntryTotals } from '../../utils/nutritionCalculation.js';
+import { resolveMeals, updateDayEntry, mergeMeals } from '../../utils/nutritionEntries.js';
+import { publishSessionUpdate } from '../../utils/sessionEvents.js';
+
+const router = express.Router();
+
+const SYNC_MODELS = {
+  'workout-session': WorkoutSession,
+  'nutrition-entry': NutritionEntry,
+  progress: Progress
+};
+
+const MAX_OPERATIONS = 200;
+const MAX_CHANGES_PER_TYPE = 500;
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// ======================
+// OFFLINE SYNC
+// ======================
+
+// Apply a queue of offline operations, then return server changes since the last sync
+router.post('/', [
+  body('syncToken').optional({ values: 'null' }).isString(),
+  body('operations').optional().isArray({ max: MAX_OPERATIONS }),
+  body('operations.*.clientId').isString().trim().isLength({ min: 1, max: 100 }),
+  body('operations.*.entityType').isIn(SYNC_ENTITY_TYPES),
+  body('operations.*.operation').isIn(SYNC_OPERATIONS),
+  body('operations.*.entityId').optional().isMongoId(),
+  body('operations.*.timestamp').isISO8601(),
+  body('operations.*.baseUpdatedAt').optional().isISO8601(),
+  body('operations.*.force').optional().isBoolean(),
+  body('operations.*.data').optional().isObject(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { syncToken, operations = [] } = req.body;
+
+    let since = syncToken ? decodeSyncToken(syncToken) : null;
+    if (syncToken && !since) {
+      return res.status(400).json({ error: 'Invalid sync token' });
+    }
+
+    // Too old for a delta: send everything and tell the client to replace its copy
+    const reset = Boolean(since) && isSyncTokenExpired(since);
+    if (reset) since = null;
+
+    const syncedAt = new Date();
+    const results = [];
+
+    // Operations are applied in queue order; later ones may depend on earlier creates
+    for (const operation of operations) {
+      results.push(await applyOnce(req.user._id, operation));
+    }
+
+    const { changes, deleted, hasMore, nextSince } = await collectChanges(req.user._id, since);
+
+    res.json({
+      results,
+      reset,
+      changes,
+      deleted,
+      hasMore,
+      syncToken: encodeSyncToken(hasMore ? nextSince : syncedAt)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to sync', details: error.message });
+  }
+});
+
+// ======================
+// HELPER FUNCTIONS
+// ======================
+
+// Apply an operation unless it was already applied, and remember the outcome.
+// The clientId is reserved first, so of two requests carrying the same
+// operation only the one that made the reservation applies it.
+async function applyOnce(userId, operation) {
+  const summary = {
+    clientId: operation.clientId,
+    entityType: operation.entityType,
+    operation: operation.operation
+  };
+
+  const { reservation, previous } = await reserveOperation(userId, operation);
+  if (!reservation) {
+    // Still being applied by another request; the client should retry later
+    if (!previous || previous.status === 'pending') return { ...summary, status: 'pending', duplicate: true };
+    return { ...previous.result, duplicate: true };
+  }
+
+  let result;
+  try {
+    result = await applyOperation(userId, operation);
+  } catch (error) {
+    if (!isPermanentFailure(error)) {
+      // Release the reservation so a retry applies the operation again. If
+      // that fails too, the reservation can be taken over once it's stale.
+      await SyncOperation.deleteOne({ _id: reservation._id }).catch(() => {});
+      throw error;
+    }
+    result = { status: 'rejected', error: error.message };
+  }
+
+  result = { ...summary, ...result };
+
+  reservation.set({ status: result.status, entityId: result.entityId, result });
+  await reservation.save();
+
+  return result;
+}
+
+// Returns { reservation } when this request should apply the operation,
+// otherwise { previous } with the stored record, if any
+async function reserveOperation(userId, operation) {
+  try {
+    const reservation = await SyncOperation.create({
+      user: userId,
+      clientId: operation.clientId,
+      entityType: operation.entityType,
+      operation: operation.operation,
+      entityId: operation.entityId,
+      clientTimestamp: operation.timestamp,
+      status: 'pending'
+    });
+    return { reservation };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const previous = await SyncOperation.findOne({ user: userId, clientId: operation.clientId });
+  if (!previous || !isStalePending(previous)) return { previous };
+
+  // Matching on updatedAt makes sure only one request takes it over
+  const reservation = await SyncOperation.findOneAndUpdate(
+    { _id: previous._id, status: 'pending', updatedAt: previous.updatedAt },
+    { $set: { clientTimestamp: operation.timestamp } },
+    { new: true }
+  );
+  return reservation ? { reservation } : { previous };
+}
+
+async function applyOperation(userId, operation) {
+  const Model = SYNC_MODELS[operation.entityType];
+  const data = sanitizeSyncData(operation.data);
+
+  if (operation.operation === 'create') {
+    return createEntity(userId, Model, operation, data);
+  }
+
+  if (!operation.entityId) {
+    return { status: 'rejected', error: 'entityId is required' };
+  }
+
+  const doc = await Model.findOne({ _id: operation.entityId, user: userId });
+
+  if (!doc) {
+    const tombstone = await SyncTombstone.exists({
+      user: userId,
+      entityType: operation.entityType,
+      entityId: operation.entityId
+    });
+
+    if (operation.operation === 'delete') {
+      return { status: 'applied', entityId: operation.entityId, alreadyDeleted: true };
+    }
+
+    return tombstone
+      ? { status: 'conflict', entityId: operation.entityId, reason: 'deleted' }
+      : { status: 'rejected', entityId: operation.entityId, error: 'Entity not found' };
+  }
+
+  if (operation.operation === 'add-set') {
+    return addSet(userId, doc, operation, data);
+  }
+
+  if (hasConflict(doc, operation)) {
+    return { status: 'conflict', entityId: doc._id, reason: 'modified', server: doc };
+  }
+
+  if (operation.operation === 'edit') {
+    const previousStatus = doc.status;
+    const rejection = await applyEdit(operation.entityType, doc, data, new Date(operation.timestamp));
+    if (rejection) return { status: 'rejected', entityId: doc._id, error: rejection.error };
+
+    return saveApplied(userId, operation.entityType, doc, data, previousStatus);
+  }
+
+  await doc.deleteOne();
+  await recordDeletion(userId, operation.entityType, doc._id);
+  return { status: 'applied', entityId: doc._id };
+}
+
+async function createEntity(userId, Model, operation, data) {
+  // Clients may generate the id so later queued operations can reference it
+  if (operation.entityId) {
+    const existing = await Model.findById(operation.entityId).select('user updatedAt');
+    if (existing) {
+      return existing.user.equals(userId)
+        ? { status: 'applied', entityId: existing._id, updatedAt: existing.updatedAt, alreadyExists: true }
+        : { status: 'rejected', error: 'Entity ID is already in use' };
+    }
+  }
+
+  if (operation.entityType === 'nutrition-entry') {
+    return createNutritionEntry(userId, operation, data);
+  }
+
+  if (operation.entityType === 'workout-session') {
+    const routineExists = await WorkoutRoutine.exists({ _id: data.routine, user: userId });
+    if (!routineExists) {
+      return { status: 'rejected', error: 'Workout routine not found' };
+    }
+  }
+
+  const doc = new Model({
+    _id: operation.entityId || new mongoose.Types.ObjectId(),
+    user: userId
+  });
+
+  const rejection = await applyCreate(operation.entityType, doc, data, new Date(operation.timestamp));
+  if (rejection) return { status: 'rejected', error: rejection.error };
+
+  return saveApplied(userId, operation.entityType, doc, data);
+}
+
+// Save a created or edited record. A session completed offline gets the same
+// calorie estimate and record check as POST /sessions/:id/complete.
+async function saveApplied(userId, entityType, doc, data, previousStatus) {
+  const completed = entityType === 'workout-session' &&
+    doc.status === 'completed' && previousStatus !== 'completed';
+
+  if (completed) await recordSessionCalories(userId, doc, data.caloriesBurned);
+
+  await doc.save();
+  notifyIfSession(entityType, doc);
+
+  const result = { status: 'applied', entityId: doc._id, updatedAt: doc.updatedAt };
+  if (completed) result.personalRecords = await detectSessionRecords(userId, doc);
+  return result;
+}
+
+// A day has a single entry, so as with POST /nutrition/entries the synced
+// meals are merged into the day's entry when there already is one. The
+// client then learns the entry's id from entityId.
+async function createNutritionEntry(userId, operation, data) {
+  const { date, meals = [], dailyTotals, ...fields } = data;
+  if (!date) {
+    return { status: 'rejected', error: 'date is required' };
+  }
+
+  const resolved = await resolveMeals(meals);
+  if (resolved.error) return { status: 'rejected', error: resolved.error };
+
+  let merged = false;
+  const { entry } = await updateDayEntry(userId, date, { create: true, id: operation.entityId }, (entry) => {
+    merged = !entry.isNew;
+    entry.set(fields);
+    mergeMeals(entry, resolved.meals);
+    return {};
+  });
+
+  const result = { status: 'applied', entityId: entry._id, updatedAt: entry.updatedAt };
+  if (merged) result.merged = true;
+  return result;
+}
+
+// New records go through the same rules as the REST routes: sessions start
+// and change status via the session lifecycle. Returns { error } when rejected.
+async function applyCreate(entityType, doc, data, at) {
+  if (entityType === 'workout-session') return applySessionCreate(doc, data, at);
+
+  doc.set(data);
+  return null;
+}
+
+async function applyEdit(entityType, doc, data, at) {
+  if (entityType === 'workout-session') return applySessionEdit(doc, data, at);
+  if (entityType === 'nutrition-entry') return applyNutritionData(doc, data);
+
+  doc.set(data);
+  return null;
+}
+
+// Foods are recalculated from the Food collection and totals are never taken
+// from the client
+async function applyNutritionData(entry, data) {
+  const { meals, dailyTotals, ...fields } = data;
+  entry.set(fields);
+
+  if (meals !== undefined) {
+    const resolved = await resolveMeals(meals);
+    if (resolved.error) return resolved;
+    entry.meals = resolved.meals;
+  }
+
+  applyEntryTotals(entry);
+  return null;
+}
+
+// Appending a set never conflicts; the set keeps the time it was logged offline
+async function addSet(userId, session, operation, data) {
+  if (operation.entityType !== 'workout-session') {
+    return { status: 'rejected', entityId: session._id, error: 'add-set only applies to workout sessions' };
+  }
+
+  const { exercise, ...set } = data;
+  if (!exercise || !mongoose.isValidObjectId(exercise)) {
+    return { status: 'rejected', entityId: session._id, error: 'A valid exercise is required' };
+  }
+
+  const exerciseExists = await Exercise.exists({ _id: exercise });
+  if (!exerciseExists) {
+    return { status: 'rejected', entityId: session._id, error: 'Exercise not found' };
+  }
+
+  const logged = logSessionSet(session, exercise, set, new Date(operation.timestamp));
+  if (logged.error) {
+    return { status: 'rejected', entityId: session._id, error: logged.error };
+  }
+
+  await session.save();
+  notifyIfSession(operation.entityType, session);
+
+  const personalRecords = await detectSessionRecords(userId, session, [
+    { exercise: logged.entry.exercise, set: logged.set }
+  ]);
+
+  return {
+    status: 'applied',
+    entityId: session._id,
+    setId: logged.set._id,
+    updatedAt: session.updatedAt,
+    personalRecords
+  };
+}
+
+function notifyIfSession(entityType, doc) {
+  if (entityType === 'workout-session') publishSessionUpdate(doc._id);
+}
+
+// Records changed or deleted since the last sync, oldest first. When a type
+// has more than a page of changes the token only advances to the last change
+// returned, and the client should sync again.
+async function collectChanges(userId, since) {
+  const changes = {};
+  let hasMore = false;
+  let nextSince = null;
+
+  for (const [entityType, Model] of Object.entries(SYNC_MODELS)) {
+    const filter = { user: userId };
+    if (since) filter.updatedAt = { $gt: since };
+
+    const docs = await Model.find(filter)
+      .sort({ updatedAt: 1 })
+      .limit(MAX_CHANGES_PER_TYPE + 1);
+
+    if (docs.length > MAX_CHANGES_PER_TYPE) {
+      docs.pop();
+      const lastUpdated = docs[docs.length - 1].updatedAt;
+      hasMore = true;
+      nextSince = !nextSince || lastUpdated < nextSince ? lastUpdated : nextSince;
+    }
+
+    changes[entityType] = docs;
+  }
+
+  const deleted = since
+    ? await SyncTombstone.find({ user: userId, deletedAt: { $gt: since } })
+      .select('entityType entityId deletedAt')
+      .sort({ deletedAt: 1 })
+    : [];
+
+  return { changes, deleted, hasMore, nextSince };
+}
+
+export default router;
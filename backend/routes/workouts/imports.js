@@ -0,0 +1,449 @@
+import express from 'express';
+import multer from 'multer';
+import mongoose from 'mongoose';
+import { body } from 'express-validator';
+import { Exercise, WorkoutRoutine, WorkoutSession } from '../../models/models.js';
+import { authenticateToken } from '../../middleware/auth.js';
+import { handleValidationErrors, logActivity } from '../../middleware/common.js';
+import { IMPORT_FORMATS, parseWorkoutCsv } from '../../utils/workoutImport.js';
+import { matchExercise, equipmentFromName } from '../../utils/exerciseMatching.js';
+import { TRACK_FORMATS, parseTrackFile } from '../../utils/trackImport.js';
+import { summarizeTrack } from '../../utils/trackMetrics.js';
+import { trackBestEfforts } from '../../utils/bestEfforts.js';
+import { checkPersonalRecords, sessionLoggedSets, effortCandidates } from '../../utils/personalRecords.js';
+
+const router = express.Router();
+
+const MAX_IMPORT_WORKOUTS = 2000;
+
+// Exercise names used for activity files, by the sport the file reports
+const SPORT_EXERCISE_NAMES = {
+  running: 'Running',
+  cycling: 'Cycling',
+  biking: 'Cycling',
+  walking: 'Walking',
+  hiking: 'Hiking',
+  swimming: 'Swimming',
+  rowing: 'Rowing'
+};
+
+// Sessions starting within this window of an existing one count as duplicates
+const DUPLICATE_WINDOW_MS = 60 * 1000;
+
+// In-memory uploads restricted to the given file extensions
+const createUpload = (extensions, maxBytes) => multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxBytes, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const extension = file.originalname.toLowerCase().split('.').pop();
+    const allowed = extensions.includes(extension);
+    cb(allowed ? null : new Error(`Only ${extensions.join(', ').toUpperCase()} files are supported`), allowed);
+  }
+});
+
+const csvUpload = createUpload(['csv'], 5 * 1024 * 1024);
+const activityUpload = createUpload(TRACK_FORMATS, 20 * 1024 * 1024);
+
+// Report upload problems as validation errors rather than server errors
+const uploadFile = (upload) => (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ error: 'Invalid upload', details: error.message });
+    }
+    next();
+  });
+};
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// ======================
+// WORKOUT HISTORY IMPORT
+// ======================
+
+// Import workouts from a Strong or Hevy CSV export; dryRun previews without saving
+router.post('/csv', [
+  uploadFile(csvUpload),
+  body('format').optional().isIn(['auto', ...IMPORT_FORMATS]),
+  body('weightUnit').optional().isIn(['kg', 'lbs']),
+  body('distanceUnit').optional().isIn(['km', 'miles', 'm']),
+  body('utcOffset').optional().isInt({ min: -840, max: 840 }).toInt(),
+  body('dryRun').optional().isBoolean().toBoolean(),
+  body('exerciseMap').optional().isJSON(),
+  handleValidationErrors,
+  logActivity('workouts-imported', 'User imported workout history')
+], async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'A CSV file is required' });
+    }
+
+    const { format, weightUnit, distanceUnit, utcOffset, dryRun = false } = req.body;
+
+    let parsed;
+    try {
+      parsed = parseWorkoutCsv(req.file.buffer.toString('utf8'), { format, weightUnit, distanceUnit, utcOffset });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const { workouts } = parsed;
+
+    if (workouts.length === 0) {
+      return res.status(400).json({ error: 'No workouts found in file' });
+    }
+
+    if (workouts.length > MAX_IMPORT_WORKOUTS) {
+      return res.status(400).json({ error: `Cannot import more than ${MAX_IMPORT_WORKOUTS} workouts at once` });
+    }
+
+    const duplicates = await findDuplicates(req.user._id, workouts);
+    const toImport = workouts.filter(workout => !duplicates.has(workout));
+
+    // Only exercises of workouts that will be imported are matched or created
+    const exerciseMatches = await matchExerciseNames(req.user._id, toImport, JSON.parse(req.body.exerciseMap || '{}'));
+    const routines = await findRoutinesByName(req.user._id, toImport);
+    const unmatched = [...exerciseMatches.entries()].filter(([, match]) => !match).map(([name]) => name);
+
+    const preview = {
+      format: parsed.format,
+      summary: {
+        workouts: workouts.length,
+        toImport: toImport.length,
+        duplicates: duplicates.size,
+        sets: toImport.reduce((sum, w) => sum + w.exercises.reduce((s, e) => s + e.sets.length, 0), 0),
+        exercisesMatched: exerciseMatches.size - unmatched.length,
+        exercisesUnmatched: unmatched.length
+      },
+      exerciseMatches: [...exerciseMatches.entries()]
+        .filter(([, match]) => match)
+        .map(([name, match]) => ({
+          name,
+          exercise: { _id: match.exercise._id, name: match.exercise.name },
+          score: match.score
+        })),
+      unmatchedExercises: unmatched,
+      duplicates: [...duplicates.entries()].map(([workout, session]) => ({
+        name: workout.name,
+        startTime: workout.startTime,
+        existingSession: session._id
+      })),
+      routinesToCreate: uniqueNames(toImport).filter(name => !routines.has(name.toLowerCase()))
+    };
+
+    if (dryRun) {
+      return res.json({ dryRun: true, ...preview });
+    }
+
+    // Everything written so far is removed if a later step fails, so a retry
+    // doesn't find half an import. Ids are assigned up front because
+    // insertMany can fail after writing some of the documents.
+    const created = { exercises: [], routines: [], sessions: [] };
+    let customExercises;
+    let sessions;
+    try {
+      // Unmatched names become the user's own custom exercises
+      const newExercises = unmatched.map(name => ({
+        _id: new mongoose.Types.ObjectId(),
+        name: name.slice(0, 100),
+        category: guessCategory(toImport, name),
+        equipment: equipmentFromName(name),
+        isCustom: true,
+        createdBy: req.user._id
+      }));
+      created.exercises = newExercises.map(exercise => exercise._id);
+      customExercises = await Exercise.insertMany(newExercises);
+      customExercises.forEach((exercise, index) => {
+        exerciseMatches.set(unmatched[index], { exercise, score: null });
+      });
+      const exerciseId = (name) => exerciseMatches.get(name).exercise._id;
+
+      for (const name of preview.routinesToCreate) {
+        const first = toImport.find(workout => workout.name.toLowerCase() === name.toLowerCase());
+        const routine = await WorkoutRoutine.create({
+          user: req.user._id,
+          name: name.slice(0, 100),
+          description: `Imported from ${parsed.format}`,
+          exercises: first.exercises.map(entry => ({
+            exercise: exerciseId(entry.name),
+            sets: Math.min(50, Math.max(1, entry.sets.filter(set => set.setType !== 'warm-up').length)),
+            reps: entry.sets.find(set => set.reps > 0)?.reps
+          }))
+        });
+        created.routines.push(routine._id);
+        routines.set(name.toLowerCase(), routine);
+      }
+
+      const newSessions = toImport.map(workout => ({
+        _id: new mongoose.Types.ObjectId(),
+        user: req.user._id,
+        routine: routines.get(workout.name.toLowerCase())._id,
+        startTime: workout.startTime,
+        endTime: workout.endTime > workout.startTime ? workout.endTime : undefined,
+        totalDuration: workout.endTime > workout.startTime
+          ? Math.round((workout.endTime - workout.startTime) / 60000)
+          : undefined,
+        actualExercises: workout.exercises.map(entry => ({
+          exercise: exerciseId(entry.name),
+          sets: entry.sets.map(set => ({ ...set, loggedAt: workout.startTime })),
+          notes: entry.notes?.slice(0, 300)
+        })),
+        notes: workout.notes?.slice(0, 500),
+        status: 'completed',
+        source: parsed.format
+      }));
+      created.sessions = newSessions.map(session => session._id);
+      sessions = await WorkoutSession.insertMany(newSessions);
+    } catch (error) {
+      await removeImported(req.user._id, created);
+      throw error;
+    }
+
+    res.status(201).json({
+      message: 'Workouts imported successfully',
+      ...preview,
+      imported: {
+        sessions: sessions.length,
+        customExercises: customExercises.map(exercise => ({ _id: exercise._id, name: exercise.name })),
+        routinesCreated: preview.routinesToCreate.length
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to import workouts', details: error.message });
+  }
+});
+
+// Import a GPX, TCX or FIT activity as a completed cardio session with its track
+router.post('/activity', [
+  uploadFile(activityUpload),
+  body('exercise').optional().isMongoId(),
+  body('routine').optional().isMongoId(),
+  body('splitUnit').optional().isIn(['km', 'miles']),
+  body('notes').optional().isString().isLength({ max: 500 }),
+  handleValidationErrors,
+  logActivity('activity-imported', 'User imported an activity file')
+], async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'An activity file is required' });
+    }
+
+    let parsed;
+    let summary;
+    try {
+      parsed = parseTrackFile(req.file.buffer, req.file.originalname);
+      summary = summarizeTrack(parsed.points, {
+        splitUnit: req.body.splitUnit || (req.user.preferences?.units?.distance === 'miles' ? 'miles' : 'km')
+      });
+    } catch (error) {
+      return res.status(400).json({ error: 'Could not read activity file', details: error.message });
+    }
+
+    if (summary.durationSeconds <= 0) {
+      return res.status(400).json({ error: 'Activity has no duration' });
+    }
+
+    const duplicate = await WorkoutSession.findOne({
+      user: req.user._id,
+      startTime: {
+        $gte: new Date(summary.startTime.getTime() - DUPLICATE_WINDOW_MS),
+        $lte: new Date(summary.startTime.getTime() + DUPLICATE_WINDOW_MS)
+      }
+    }).select('_id');
+
+    if (duplicate) {
+      return res.status(409).json({ error: 'A session already exists at this time', existingSession: duplicate._id });
+    }
+
+    const exercise = await resolveActivityExercise(req.user._id, req.body.exercise, parsed.sport);
+    if (!exercise) {
+      return res.status(404).json({ error: 'Exercise not found' });
+    }
+
+    const routine = await resolveActivityRoutine(req.user._id, req.body.routine, exercise);
+    if (!routine) {
+      return res.status(404).json({ error: 'Workout routine not found' });
+    }
+
+    const { startTime, endTime, splits, samples, polyline, ...trackSummary } = summary;
+
+    const session = await WorkoutSession.create({
+      user: req.user._id,
+      routine: routine._id,
+      startTime,
+      endTime,
+      totalDuration: Math.round(summary.durationSeconds / 60),
+      actualExercises: [{
+        exercise: exercise._id,
+        sets: [{
+          distance: { value: summary.distanceKm, unit: 'km' },
+          duration: summary.durationSeconds,
+          completed: true,
+          loggedAt: endTime
+        }]
+      }],
+      notes: req.body.notes,
+      status: 'completed',
+      source: parsed.format,
+      track: { sport: parsed.sport, ...trackSummary, splits, samples, polyline }
+    });
+
+    const bestEfforts = trackBestEfforts(session);
+    // Best times found anywhere in the track count as records too
+    const personalRecords = await checkPersonalRecords({
+      userId: req.user._id,
+      session,
+      loggedSets: sessionLoggedSets(session),
+      extraCandidates: effortCandidates(bestEfforts, session.endTime)
+    });
+
+    res.status(201).json({
+      message: 'Activity imported successfully',
+      session: {
+        _id: session._id,
+        routine: routine._id,
+        exercise: { _id: exercise._id, name: exercise.name },
+        startTime,
+        endTime,
+        totalDuration: session.totalDuration,
+        source: session.source
+      },
+      track: { sport: parsed.sport, ...trackSummary, splits, hasRoute: Boolean(polyline) },
+      bestEfforts,
+      personalRecords
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to import activity', details: error.message });
+  }
+});
+
+// ======================
+// HELPER FUNCTIONS
+// ======================
+
+// Exercise for an imported activity: the one given, a library match for the
+// file's sport, or a new custom cardio exercise
+async function resolveActivityExercise(userId, exerciseId, sport) {
+  const visible = { $or: [{ isCustom: false }, { createdBy: userId }] };
+
+  if (exerciseId) {
+    return Exercise.findOne({ _id: exerciseId, ...visible });
+  }
+
+  const name = SPORT_EXERCISE_NAMES[sport] || 'Cardio';
+  const library = await Exercise.find({ ...visible, category: 'cardio' }).select('name');
+  const match = matchExercise(name, library);
+  if (match) return match.exercise;
+
+  return Exercise.create({
+    name,
+    category: 'cardio',
+    equipment: ['none'],
+    isCustom: true,
+    createdBy: userId
+  });
+}
+
+// Routine for an imported activity: the one given, or the user's routine named
+// after the exercise, created on first import
+async function resolveActivityRoutine(userId, routineId, exercise) {
+  if (routineId) {
+    return WorkoutRoutine.findOne({ _id: routineId, user: userId });
+  }
+
+  const existing = await WorkoutRoutine.findOne({ user: userId, name: exercise.name })
+    .collation({ locale: 'en', strength: 2 });
+  if (existing) return existing;
+
+  return WorkoutRoutine.create({
+    user: userId,
+    name: exercise.name,
+    description: 'Imported activities',
+    category: 'cardio',
+    exercises: [{ exercise: exercise._id, sets: 1 }]
+  });
+}
+
+// Map each distinct exercise name to a library exercise, or null when unmatched.
+// `exerciseMap` lets the user pin names to exercise IDs after a dry run.
+async function matchExerciseNames(userId, workouts, exerciseMap) {
+  const library = await Exercise.find({
+    $or: [{ isCustom: false }, { createdBy: userId }]
+  }).select('name category equipment isCustom');
+  const byId = new Map(library.map(exercise => [exercise._id.toString(), exercise]));
+
+  const names = new Set(workouts.flatMap(workout => workout.exercises.map(entry => entry.name)));
+  const matches = new Map();
+
+  for (const name of names) {
+    const pinned = byId.get(String(exerciseMap[name]));
+    matches.set(name, pinned ? { exercise: pinned, score: 1, pinned: true } : matchExercise(name, library));
+  }
+
+  return matches;
+}
+
+// Imported workouts that already exist, mapped to the existing session
+async function findDuplicates(userId, workouts) {
+  const times = workouts.map(workout => workout.startTime.getTime());
+  const existing = await WorkoutSession.find({
+    user: userId,
+    startTime: {
+      $gte: new Date(Math.min(...times) - DUPLICATE_WINDOW_MS),
+      $lte: new Date(Math.max(...times) + DUPLICATE_WINDOW_MS)
+    }
+  }).select('startTime');
+
+  const duplicates = new Map();
+  for (const workout of workouts) {
+    const match = existing.find(session =>
+      Math.abs(session.startTime - workout.startTime) <= DUPLICATE_WINDOW_MS
+    );
+    if (match) duplicates.set(workout, match);
+  }
+
+  return duplicates;
+}
+
+// The user's routines keyed by lower-cased name, for attaching imported sessions
+async function findRoutinesByName(userId, workouts) {
+  const names = [...new Set(workouts.map(workout => workout.name))];
+  const routines = await WorkoutRoutine.find({ user: userId })
+    .collation({ locale: 'en', strength: 2 })
+    .where('name').in(names)
+    .select('name');
+
+  return new Map(routines.map(routine => [routine.name.toLowerCase(), routine]));
+}
+
+// Workout names once each, ignoring case; the first spelling is kept
+function uniqueNames(workouts) {
+  const names = new Map();
+  for (const { name } of workouts) {
+    if (!names.has(name.toLowerCase())) names.set(name.toLowerCase(), name);
+  }
+  return [...names.values()];
+}
+
+// Undo a failed import. Errors are logged so the import's own error is the
+// one reported.
+async function removeImported(userId, { exercises, routines, sessions }) {
+  try {
+    await WorkoutSession.deleteMany({ _id: { $in: sessions }, user: userId });
+    await WorkoutRoutine.deleteMany({ _id: { $in: routines }, user: userId });
+    await Exercise.deleteMany({ _id: { $in: exercises }, createdBy: userId });
+  } catch (error) {
+    console.error('Failed to remove a partial workout import:', error);
+  }
+}
+
+// Exercises logged only with distance or time are treated as cardio
+function guessCategory(workouts, name) {
+  const sets = workouts.flatMap(workout =>
+    workout.exercises.filter(entry => entry.name === name).flatMap(entry => entry.sets)
+  );
+  const isCardio = sets.length > 0 && sets.every(set => !set.reps && (set.distance || set.duration));
+  return isCardio ? 'cardio' : 'strength';
+}
+
+export default router;
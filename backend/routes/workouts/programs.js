@@ -0,0 +1,358 @@
+import express from 'express';
+import { body, query, param } from 'express-validator';
+import { Program, WorkoutRoutine, WorkoutSession } from '../../models/models.js';
+import { authenticateToken } from '../../middleware/auth.js';
+import { handleValidationErrors, logActivity, paginate } from '../../middleware/common.js';
+import {
+  DAYS_OF_WEEK,
+  programStatus,
+  enrollmentStatus,
+  invalidProgramWeeks,
+  startOfDay
+} from '../../utils/programSchedule.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// ======================
+// TRAINING PROGRAMS
+// ======================
+
+// Get user's training programs
+router.get('/', [
+  query('enrollment').optional().isIn(['not-enrolled', 'active', 'completed', 'abandoned']),
+  paginate,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { enrollment } = req.query;
+    const { page, limit, skip } = req.pagination;
+
+    const filter = { user: req.user._id };
+    if (enrollment) filter['enrollment.status'] = enrollment;
+
+    const programs = await Program.find(filter)
+      .populate('days.routine', 'name category')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Program.countDocuments(filter);
+
+    res.json({
+      programs,
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        count: programs.length,
+        totalRecords: total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch programs', details: error.message });
+  }
+});
+
+// Get single training program
+router.get('/:id', [
+  param('id').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const program = await Program.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    })
+      .populate('days.routine', 'name category estimatedDuration')
+      .populate('weeks.days.routine', 'name category estimatedDuration');
+
+    if (!program) {
+      return res.status(404).json({ error: 'Program not found' });
+    }
+
+    res.json({ program });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch program', details: error.message });
+  }
+});
+
+// Create training program
+router.post('/', [
+  body('name').trim().isLength({ min: 1, max: 100 }),
+  body('description').optional().isString().isLength({ max: 500 }),
+  body('durationWeeks').isInt({ min: 1, max: 52 }),
+  body('days').isArray({ min: 1 }),
+  body('days.*.dayOfWeek').isIn(DAYS_OF_WEEK),
+  body('days.*.routine').isMongoId(),
+  body('weeks').optional().isArray(),
+  body('weeks.*.weekNumber').isInt({ min: 1, max: 52 }),
+  body('weeks.*.intensity').optional().isFloat({ min: 0, max: 200 }),
+  body('weeks.*.days').optional().isArray(),
+  body('weeks.*.days.*.dayOfWeek').optional().isIn(DAYS_OF_WEEK),
+  body('weeks.*.days.*.routine').optional().isMongoId(),
+  body('category').optional().isIn(['strength', 'cardio', 'flexibility', 'mixed', 'other']),
+  body('difficulty').optional().isIn(['beginner', 'intermediate', 'advanced']),
+  handleValidationErrors,
+  logActivity('program-created', 'User created a training program')
+], async (req, res) => {
+  try {
+    const { name, description, durationWeeks, days, weeks = [], category, difficulty } = req.body;
+
+    const weekError = invalidProgramWeeks(weeks, durationWeeks);
+    if (weekError) {
+      return res.status(400).json({ error: weekError });
+    }
+
+    const invalidRoutine = await findInvalidRoutine(req.user._id, days, weeks);
+    if (invalidRoutine) {
+      return res.status(404).json({ error: `Workout routine ${invalidRoutine} not found` });
+    }
+
+    const program = new Program({
+      user: req.user._id,
+      name,
+      description,
+      durationWeeks,
+      days,
+      weeks,
+      category,
+      difficulty
+    });
+    await program.save();
+
+    await program.populate('days.routine', 'name category');
+
+    res.status(201).json({
+      message: 'Program created successfully',
+      program
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to create program', details: error.message });
+  }
+});
+
+// Update training program
+router.put('/:id', [
+  param('id').isMongoId(),
+  body('name').optional().trim().isLength({ min: 1, max: 100 }),
+  body('description').optional().isString().isLength({ max: 500 }),
+  body('durationWeeks').optional().isInt({ min: 1, max: 52 }),
+  body('days').optional().isArray({ min: 1 }),
+  body('days.*.dayOfWeek').optional().isIn(DAYS_OF_WEEK),
+  body('days.*.routine').optional().isMongoId(),
+  body('weeks').optional().isArray(),
+  body('weeks.*.weekNumber').optional().isInt({ min: 1, max: 52 }),
+  body('weeks.*.intensity').optional().isFloat({ min: 0, max: 200 }),
+  body('weeks.*.days').optional().isArray(),
+  body('weeks.*.days.*.dayOfWeek').optional().isIn(DAYS_OF_WEEK),
+  body('weeks.*.days.*.routine').optional().isMongoId(),
+  body('category').optional().isIn(['strength', 'cardio', 'flexibility', 'mixed', 'other']),
+  body('difficulty').optional().isIn(['beginner', 'intermediate', 'advanced']),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const program = await Program.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!program) {
+      return res.status(404).json({ error: 'Program not found' });
+    }
+
+    // Checked against the stored weeks or duration when only one of them changes
+    const weekError = invalidProgramWeeks(
+      req.body.weeks ?? program.weeks,
+      req.body.durationWeeks ?? program.durationWeeks
+    );
+    if (weekError) {
+      return res.status(400).json({ error: weekError });
+    }
+
+    const invalidRoutine = await findInvalidRoutine(req.user._id, req.body.days, req.body.weeks);
+    if (invalidRoutine) {
+      return res.status(404).json({ error: `Workout routine ${invalidRoutine} not found` });
+    }
+
+    const allowedUpdates = ['name', 'description', 'durationWeeks', 'days', 'weeks', 'category', 'difficulty'];
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) program[field] = req.body[field];
+    });
+
+    await program.save();
+    await program.populate('days.routine', 'name category');
+
+    res.json({ message: 'Program updated successfully', program });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update program', details: error.message });
+  }
+});
+
+// Delete training program
+router.delete('/:id', [
+  param('id').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const program = await Program.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!program) {
+      return res.status(404).json({ error: 'Program not found' });
+    }
+
+    res.json({ message: 'Program deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete program', details: error.message });
+  }
+});
+
+// ======================
+// ENROLLMENT
+// ======================
+
+// Enroll in a training program
+router.post('/:id/enroll', [
+  param('id').isMongoId(),
+  body('startDate').optional().isISO8601(),
+  handleValidationErrors,
+  logActivity('program-enrolled', 'User enrolled in a training program')
+], async (req, res) => {
+  try {
+    const program = await Program.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!program) {
+      return res.status(404).json({ error: 'Program not found' });
+    }
+
+    program.enrollment = {
+      startDate: startOfDay(req.body.startDate || new Date()),
+      enrolledAt: new Date(),
+      status: 'active'
+    };
+    await program.save();
+
+    res.json({ message: 'Enrolled in program successfully', enrollment: program.enrollment });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to enroll in program', details: error.message });
+  }
+});
+
+// Leave a training program
+router.delete('/:id/enroll', [
+  param('id').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const program = await Program.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!program) {
+      return res.status(404).json({ error: 'Program not found' });
+    }
+
+    if (enrollmentStatus(program) !== 'active') {
+      return res.status(409).json({ error: 'Not enrolled in this program' });
+    }
+
+    program.enrollment.status = 'abandoned';
+    await program.save();
+
+    res.json({ message: 'Left program successfully', enrollment: program.enrollment });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to leave program', details: error.message });
+  }
+});
+
+// Get today's scheduled workout, missed workouts and adherence
+router.get('/:id/status', [
+  param('id').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const program = await Program.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    })
+      .populate('days.routine', 'name category exercises estimatedDuration')
+      .populate('weeks.days.routine', 'name category exercises estimatedDuration');
+
+    if (!program) {
+      return res.status(404).json({ error: 'Program not found' });
+    }
+
+    if (!program.enrollment.startDate || program.enrollment.status === 'not-enrolled') {
+      return res.status(409).json({ error: 'Not enrolled in this program' });
+    }
+
+    const sessions = await WorkoutSession.find({
+      user: req.user._id,
+      status: 'completed',
+      startTime: { $gte: program.enrollment.startDate }
+    }).select('routine startTime');
+
+    const status = programStatus(program, sessions);
+
+    res.json({
+      program: {
+        _id: program._id,
+        name: program.name,
+        durationWeeks: program.durationWeeks,
+        enrollment: { ...program.enrollment.toObject(), status: enrollmentStatus(program) }
+      },
+      ...status,
+      today: status.today.map(workout => ({
+        ...workout,
+        targets: scaledTargets(workout.routine, workout.intensity)
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch program status', details: error.message });
+  }
+});
+
+// ======================
+// HELPER FUNCTIONS
+// ======================
+
+// Returns the first referenced routine that doesn't belong to the user
+async function findInvalidRoutine(userId, days = [], weeks = []) {
+  const routineIds = [
+    ...days.map(day => day.routine),
+    ...weeks.flatMap(week => (week.days || []).map(day => day.routine))
+  ];
+  const uniqueIds = [...new Set(routineIds.map(String))];
+
+  const owned = await WorkoutRoutine.find({ _id: { $in: uniqueIds }, user: userId }).select('_id');
+  const ownedIds = new Set(owned.map(routine => routine._id.toString()));
+
+  return uniqueIds.find(id => !ownedIds.has(id)) || null;
+}
+
+// Routine weights adjusted for the week's intensity
+function scaledTargets(routine, intensity) {
+  if (!routine?.exercises) return [];
+
+  return routine.exercises.map(entry => ({
+    exercise: entry.exercise,
+    sets: entry.sets,
+    reps: entry.reps,
+    weight: entry.weight?.value !== undefined
+      ? {
+        value: Math.round(entry.weight.value * intensity / 100 * 2) / 2,
+        unit: entry.weight.unit
+      }
+      : undefined
+  }));
+}
+
+export default router;
@@ -0,0 +1,333 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, query, param } from 'express-validator';
+import { WorkoutRoutine, WorkoutSession, Reminder } from '../../models/models.js';
+import { authenticateToken } from '../../middleware/auth.js';
+import { handleValidationErrors, logActivity } from '../../middleware/common.js';
+import { DAYS_OF_WEEK, dateKey, startOfDay } from '../../utils/programSchedule.js';
+import {
+  MAX_SCHEDULED_SESSIONS,
+  formatTime,
+  scheduledDates,
+  reminderSchedule
+} from '../../utils/workoutSchedule.js';
+import { recordDeletion } from '../../utils/sync.js';
+import { transitionSession } from '../../utils/sessionLifecycle.js';
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upper bound for a calendar request
+const MAX_CALENDAR_DAYS = 366;
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// ======================
+// WORKOUT SCHEDULING
+// ======================
+
+// Schedule a routine on a date or on recurring weekdays
+router.post('/', [
+  body('routine').isMongoId(),
+  body('date').optional().isISO8601(),
+  body('daysOfWeek').optional().isArray({ min: 1 }),
+  body('daysOfWeek.*').optional().isIn(DAYS_OF_WEEK),
+  body('startDate').optional().isISO8601(),
+  body('endDate').optional().isISO8601(),
+  body('time').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
+  body('reminder').optional().isBoolean(),
+  body('notes').optional().isString().isLength({ max: 500 }),
+  handleValidationErrors,
+  logActivity('workout-scheduled', 'User scheduled a workout')
+], async (req, res) => {
+  try {
+    const { routine, date, daysOfWeek, startDate, endDate, time, notes } = req.body;
+
+    if (!date && !daysOfWeek) {
+      return res.status(400).json({ error: 'Either date or daysOfWeek is required' });
+    }
+
+    if (daysOfWeek && !endDate) {
+      return res.status(400).json({ error: 'endDate is required for recurring schedules' });
+    }
+
+    const workoutRoutine = await WorkoutRoutine.findOne({
+      _id: routine,
+      user: req.user._id
+    });
+
+    if (!workoutRoutine) {
+      return res.status(404).json({ error: 'Workout routine not found' });
+    }
+
+    const dates = scheduledDates({ date, daysOfWeek, startDate, endDate, time });
+
+    if (dates.length === 0) {
+      return res.status(400).json({ error: 'No matching dates in the given range' });
+    }
+
+    if (dates.length > MAX_SCHEDULED_SESSIONS) {
+      return res.status(400).json({
+        error: `Cannot schedule more than ${MAX_SCHEDULED_SESSIONS} sessions at once`
+      });
+    }
+
+    const reminder = await createScheduleReminder(req, workoutRoutine, dates, daysOfWeek);
+    const series = daysOfWeek ? new mongoose.Types.ObjectId() : undefined;
+
+    const planned = dates.map(scheduledFor => ({
+      _id: new mongoose.Types.ObjectId(),
+      user: req.user._id,
+      routine,
+      status: 'planned',
+      scheduledFor,
+      series,
+      reminder: reminder?._id,
+      notes
+    }));
+
+    let sessions;
+    try {
+      sessions = await WorkoutSession.insertMany(planned);
+    } catch (error) {
+      // Leave nothing half-scheduled: no reminder without its sessions
+      await Promise.all([
+        WorkoutSession.deleteMany({ _id: { $in: planned.map(session => session._id) } }),
+        reminder && Reminder.deleteOne({ _id: reminder._id })
+      ]).catch(() => {});
+      throw error;
+    }
+
+    res.status(201).json({
+      message: 'Workout scheduled successfully',
+      sessions,
+      reminder
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to schedule workout', details: error.message });
+  }
+});
+
+// Get planned, completed and missed sessions for a date range
+router.get('/calendar', [
+  query('startDate').isISO8601(),
+  query('endDate').isISO8601(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const start = startOfDay(req.query.startDate);
+    const end = new Date(startOfDay(req.query.endDate).getTime() + DAY_MS - 1);
+
+    if (end < start) {
+      return res.status(400).json({ error: 'endDate must not be before startDate' });
+    }
+
+    if ((end - start) / DAY_MS > MAX_CALENDAR_DAYS) {
+      return res.status(400).json({ error: `Date range cannot exceed ${MAX_CALENDAR_DAYS} days` });
+    }
+
+    const sessions = await WorkoutSession.find({
+      user: req.user._id,
+      $or: [
+        { status: 'planned', scheduledFor: { $gte: start, $lte: end } },
+        { status: { $ne: 'planned' }, startTime: { $gte: start, $lte: end } }
+      ]
+    })
+      .populate('routine', 'name category estimatedDuration')
+      .select('routine status scheduledFor startTime endTime totalDuration caloriesBurned series notes');
+
+    const todayStart = startOfDay(new Date());
+    const days = {};
+    const summary = { planned: 0, missed: 0, 'in-progress': 0, paused: 0, completed: 0, cancelled: 0 };
+
+    for (const session of sessions) {
+      const date = session.status === 'planned' ? session.scheduledFor : session.startTime;
+      const calendarStatus = session.status === 'planned' && date < todayStart
+        ? 'missed'
+        : session.status;
+
+      const key = dateKey(date);
+      days[key] = days[key] || [];
+      days[key].push({ ...session.toObject(), calendarStatus });
+      summary[calendarStatus] += 1;
+    }
+
+    Object.values(days).forEach(entries => entries.sort((a, b) =>
+      new Date(a.scheduledFor || a.startTime) - new Date(b.scheduledFor || b.startTime)
+    ));
+
+    res.json({
+      range: { start, end },
+      summary,
+      days
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch calendar', details: error.message });
+  }
+});
+
+// Reschedule a planned session
+router.put('/:id', [
+  param('id').isMongoId(),
+  body('scheduledFor').isISO8601(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const session = await WorkoutSession.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Workout session not found' });
+    }
+
+    if (session.status !== 'planned') {
+      return res.status(409).json({ error: `Cannot reschedule a ${session.status} session` });
+    }
+
+    session.scheduledFor = new Date(req.body.scheduledFor);
+    await session.save();
+
+    // One-off reminders follow the session; recurring ones keep their weekly schedule
+    if (session.reminder) {
+      const reminder = await Reminder.findOne({ _id: session.reminder, user: req.user._id });
+      if (reminder?.schedule.frequency === 'once') {
+        reminder.schedule.customDates = [session.scheduledFor];
+        reminder.schedule.time = formatTime(session.scheduledFor);
+        await reminder.save();
+      }
+    }
+
+    res.json({ message: 'Workout rescheduled successfully', session });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to reschedule workout', details: error.message });
+  }
+});
+
+// Start a planned session
+router.post('/:id/start', [
+  param('id').isMongoId(),
+  handleValidationErrors,
+  logActivity('workout-started', 'User started a workout session')
+], async (req, res) => {
+  try {
+    const session = await WorkoutSession.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Workout session not found' });
+    }
+
+    if (session.status !== 'planned') {
+      return res.status(409).json({ error: `Cannot start a ${session.status} session` });
+    }
+
+    transitionSession(session, 'in-progress');
+    await session.save();
+
+    await releaseReminder(req.user._id, session.reminder);
+    await session.populate('routine', 'name exercises');
+
+    res.json({ message: 'Workout session started successfully', session });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to start session', details: error.message });
+  }
+});
+
+// Remove a planned session from the calendar
+router.delete('/:id', [
+  param('id').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const session = await WorkoutSession.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Workout session not found' });
+    }
+
+    if (session.status !== 'planned') {
+      return res.status(409).json({ error: `Cannot unschedule a ${session.status} session` });
+    }
+
+    await session.deleteOne();
+    await recordDeletion(req.user._id, 'workout-session', session._id);
+    await releaseReminder(req.user._id, session.reminder);
+
+    res.json({ message: 'Scheduled workout removed successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to remove scheduled workout', details: error.message });
+  }
+});
+
+// Cancel the remaining planned sessions of a recurring schedule
+router.delete('/series/:seriesId', [
+  param('seriesId').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const sessions = await WorkoutSession.find({
+      user: req.user._id,
+      series: req.params.seriesId,
+      status: 'planned'
+    }).select('_id reminder');
+
+    if (sessions.length === 0) {
+      return res.status(404).json({ error: 'No planned sessions found in this series' });
+    }
+
+    await WorkoutSession.deleteMany({ _id: { $in: sessions.map(session => session._id) } });
+    for (const session of sessions) {
+      await recordDeletion(req.user._id, 'workout-session', session._id);
+    }
+
+    const reminderIds = new Set(sessions.map(session => session.reminder?.toString()).filter(Boolean));
+    for (const reminderId of reminderIds) {
+      await releaseReminder(req.user._id, reminderId);
+    }
+
+    res.json({ message: 'Scheduled series cancelled successfully', removed: sessions.length });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to cancel scheduled series', details: error.message });
+  }
+});
+
+// ======================
+// HELPER FUNCTIONS
+// ======================
+
+async function createScheduleReminder(req, routine, dates, daysOfWeek) {
+  const wantsReminders = req.user.preferences?.notifications?.workoutReminders !== false;
+  if (req.body.reminder === false || !wantsReminders) return null;
+
+  return Reminder.create({
+    user: req.user._id,
+    type: 'workout',
+    title: `Workout: ${routine.name}`.slice(0, 100),
+    description: 'Scheduled workout',
+    schedule: reminderSchedule(dates, daysOfWeek),
+    relatedEntity: { type: 'workout-routine', id: routine._id }
+  });
+}
+
+// Deactivate a reminder once no planned session is left for it: a one-off
+// reminder when its session starts or is removed, a weekly one when its
+// series has been started, removed or cancelled
+async function releaseReminder(userId, reminderId) {
+  if (!reminderId) return;
+
+  const planned = await WorkoutSession.exists({ user: userId, reminder: reminderId, status: 'planned' });
+  if (planned) return;
+
+  await Reminder.updateOne({ _id: reminderId, user: userId }, { isActive: false });
+}
+
+export default router;
@@ -1,28 +1,269 @@
 import express from 'express';
 import { body, query, param } from 'express-validator';
-import { Exercise, WorkoutRoutine, WorkoutSession } from '../../models/models.js';
-import { authenticateToken } from '../../middleware/auth.js';
+import { Exercise, WorkoutRoutine, WorkoutSession, User } from '../../models/models.js';
+import { EQUIPMENT_TYPES, BLOCK_TYPES } from '../../models/schemas/constants.js';
+import {
+  authenticateToken,
+  authenticateStreamToken,
+  issueStreamToken,
+  STREAM_TOKEN_TTL_SECONDS
+} from '../../middleware/auth.js';
 import { handleValidationErrors, logActivity, paginate } from '../../middleware/common.js';
+import { compareSessionToRoutine } from '../../utils/sessionComparison.js';
+import { revisitSessionRecords } from '../../utils/personalRecords.js';
+import { calculateProgression, applyProgressionTarget } from '../../utils/progressiveOverload.js';
+import { SET_TYPES, TEMPO_PATTERN, routinePrescription } from '../../utils/setPrescription.js';
+import { buildLiveState } from '../../utils/liveSession.js';
+import { decodePolyline } from '../../utils/trackMetrics.js';
+import { resolveHeartRateProfile, heartRateZones, timeInZones, sessionTrimp } from '../../utils/heartRate.js';
+import { publishSessionUpdate, subscribeToSession } from '../../utils/sessionEvents.js';
+import {
+  EDITABLE_SESSION_STATUSES,
+  transitionSession,
+  pickSetFields,
+  logSessionSet,
+  logBlockRound,
+  recordSessionCalories,
+  detectSessionRecords
+} from '../../utils/sessionLifecycle.js';
+import {
+  exerciseFacetStage,
+  formatFacets,
+  rankAlternatives,
+  substringSearchFilter
+} from '../../utils/exerciseSearch.js';
+import {
+  resolveAvailableEquipment,
+  equipmentFilter,
+  flagEquipment,
+  missingEquipment
+} from '../../utils/equipment.js';
+import programRoutes from './programs.js';
+import scheduleRoutes from './schedule.js';
+import importRoutes from './imports.js';
 
 const router = express.Router();
 
+const LIVE_HEARTBEAT_MS = 25000;
+
+// Multi-week training programs
+router.use('/programs', programRoutes);
+
+// Calendar scheduling of planned sessions
+router.use('/schedule', scheduleRoutes);
+
+// Workout history and activity file imports
+router.use('/import', importRoutes);
+
+// ======================
+// EQUIPMENT PROFILE
+// ======================
+
+// Get user's equipment profile
+router.get('/equipment', authenticateToken, async (req, res) => {
+  try {
+    res.json({ equipmentProfile: req.user.equipmentProfile });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch equipment profile', details: error.message });
+  }
+});
+
+// Replace user's equipment profile
+router.put('/equipment', [
+  authenticateToken,
+  body('equipment').optional().isArray(),
+  body('equipment.*').isIn(EQUIPMENT_TYPES),
+  body('locations').optional().isArray(),
+  body('locations.*.name').trim().isLength({ min: 1, max: 30 }),
+  body('locations.*.equipment').isArray(),
+  body('locations.*.equipment.*').isIn(EQUIPMENT_TYPES),
+  body('defaultLocation').optional({ values: 'null' }).isString().trim(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { equipment = [], locations = [], defaultLocation } = req.body;
+
+    const names = locations.map(location => location.name.toLowerCase());
+    if (new Set(names).size !== names.length) {
+      return res.status(400).json({ error: 'Location names must be unique' });
+    }
+
+    if (defaultLocation && !names.includes(defaultLocation.toLowerCase())) {
+      return res.status(400).json({ error: `Default location '${defaultLocation}' not found` });
+    }
+
+    const equipmentProfile = {
+      equipment: [...new Set(equipment)],
+      locations: locations.map(location => ({
+        name: location.name,
+        equipment: [...new Set(location.equipment)]
+      })),
+      defaultLocation: defaultLocation || undefined
+    };
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { equipmentProfile },
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      message: 'Equipment profile updated successfully',
+      equipmentProfile: user.equipmentProfile
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update equipment profile', details: error.message });
+  }
+});
+
+// ======================
+// HEART RATE PROFILE
+// ======================
+
+// Get user's heart-rate settings and the zones they produce
+router.get('/heart-rate-profile', authenticateToken, async (req, res) => {
+  try {
+    const profile = resolveHeartRateProfile(req.user);
+
+    res.json({
+      heartRateProfile: req.user.heartRateProfile,
+      resolved: profile,
+      zones: profile ? heartRateZones(profile) : []
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch heart rate profile', details: error.message });
+  }
+});
+
+// Update user's heart-rate settings
+router.put('/heart-rate-profile', [
+  authenticateToken,
+  body('maxHeartRate').optional({ values: 'null' }).isInt({ min: 100, max: 230 }),
+  body('restingHeartRate').optional({ values: 'null' }).isInt({ min: 25, max: 120 }),
+  body('zoneMethod').optional().isIn(['max-hr', 'hr-reserve']),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const fields = ['maxHeartRate', 'restingHeartRate', 'zoneMethod'];
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) req.user.heartRateProfile[field] = req.body[field] ?? undefined;
+    });
+
+    const { maxHeartRate, restingHeartRate } = req.user.heartRateProfile;
+    if (maxHeartRate && restingHeartRate && restingHeartRate >= maxHeartRate) {
+      return res.status(400).json({ error: 'Resting heart rate must be below max heart rate' });
+    }
+
+    await req.user.save();
+
+    const profile = resolveHeartRateProfile(req.user);
+
+    res.json({
+      message: 'Heart rate profile updated successfully',
+      heartRateProfile: req.user.heartRateProfile,
+      resolved: profile,
+      zones: profile ? heartRateZones(profile) : []
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update heart rate profile', details: error.message });
+  }
+});
+
+// ======================
+// TRAINING MAXES
+// ======================
+
+// Get user's training maxes
+router.get('/training-maxes', authenticateToken, async (req, res) => {
+  try {
+    await req.user.populate('trainingMaxes.exercise', 'name category');
+    res.json({ trainingMaxes: req.user.trainingMaxes });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch training maxes', details: error.message });
+  }
+});
+
+// Set the training max for an exercise
+router.put('/training-maxes/:exerciseId', [
+  authenticateToken,
+  param('exerciseId').isMongoId(),
+  body('value').isFloat({ min: 0 }),
+  body('unit').optional().isIn(['kg', 'lbs']),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const exerciseExists = await Exercise.exists({ _id: req.params.exerciseId });
+    if (!exerciseExists) {
+      return res.status(404).json({ error: 'Exercise not found' });
+    }
+
+    const user = req.user;
+    const trainingMax = {
+      exercise: req.params.exerciseId,
+      value: req.body.value,
+      unit: req.body.unit || user.preferences?.units?.weight || 'kg',
+      updatedAt: new Date()
+    };
+
+    const existing = user.trainingMaxes.find(max => max.exercise.toString() === req.params.exerciseId);
+    if (existing) {
+      existing.set(trainingMax);
+    } else {
+      user.trainingMaxes.push(trainingMax);
+    }
+
+    await user.save();
+
+    res.json({
+      message: 'Training max updated successfully',
+      trainingMax: existing || user.trainingMaxes[user.trainingMaxes.length - 1]
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update training max', details: error.message });
+  }
+});
+
+// Remove the training max for an exercise
+router.delete('/training-maxes/:exerciseId', [
+  authenticateToken,
+  param('exerciseId').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const result = await User.updateOne(
+      { _id: req.user._id },
+      { $pull: { trainingMaxes: { exercise: req.params.exerciseId } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ error: 'Training max not found' });
+    }
+
+    res.json({ message: 'Training max removed successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to remove training max', details: error.message });
+  }
+});
+
 // ======================
 // EXERCISES
 // ======================
 
-// Get all exercises with filtering
+// Get all exercises with filtering, full-text search and facet counts
 router.get('/exercises', [
   authenticateToken,
   query('category').optional().isIn(['strength', 'cardio', 'flexibility', 'balance', 'sports', 'other']),
   query('muscleGroup').optional().isString(),
   query('equipment').optional().isString(),
   query('difficulty').optional().isIn(['beginner', 'intermediate', 'advanced']),
-  query('search').optional().isString(),
+  query('search').optional().isString().trim(),
+  query('location').optional().isString().trim(),
+  query('equipmentMode').optional().isIn(['filter', 'flag']),
   paginate,
   handleValidationErrors
 ], async (req, res) => {
   try {
-    const { category, muscleGroup, equipment, difficulty, search } = req.query;
+    const { category, muscleGroup, equipment, difficulty, search, location, equipmentMode } = req.query;
     const { page, limit, skip } = req.pagination;
     
     const filter = {};
@@ -31,23 +272,45 @@ router.get('/exercises', [
     if (muscleGroup) filter.muscleGroups = { $in: [muscleGroup] };
     if (equipment) filter.equipment = { $in: [equipment] };
     if (difficulty) filter.difficulty = difficulty;
+
+    // Restrict to or flag exercises doable with the user's equipment
+    let available = null;
+    if (equipmentMode) {
+      available = resolveAvailableEquipment(req.user, location);
+      if (available === undefined) {
+        return res.status(404).json({ error: `Equipment location '${location}' not found` });
+      }
+      if (available && equipmentMode === 'filter') {
+        filter.$and = [equipmentFilter(available)];
+      }
+    }
+
+    // Full-text search ranks whole-word matches; when it finds nothing, fall
+    // back to substring matching so prefixes and partial words still match
+    let textSearch = false;
     if (search) {
-      filter.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
+      textSearch = Boolean(await Exercise.exists({ ...filter, $text: { $search: search } }));
+      Object.assign(filter, textSearch ? { $text: { $search: search } } : substringSearchFilter(search));
     }
 
-    const exercises = await Exercise.find(filter)
-      .populate('createdBy', 'username name')
-      .sort({ name: 1 })
-      .skip(skip)
-      .limit(limit);
+    // Rank by text relevance when searching
+    const projection = textSearch ? { score: { $meta: 'textScore' } } : {};
+    const sort = textSearch ? { score: { $meta: 'textScore' }, name: 1 } : { name: 1 };
 
-    const total = await Exercise.countDocuments(filter);
+    const [exercises, total, facetResult] = await Promise.all([
+      Exercise.find(filter, projection)
+        .populate('createdBy', 'username name')
+        .sort(sort)
+        .skip(skip)
+        .limit(limit),
+      Exercise.countDocuments(filter),
+      Exercise.aggregate([{ $match: filter }, exerciseFacetStage()])
+    ]);
 
     res.json({
-      exercises,
+      exercises: available && equipmentMode === 'flag' ? flagEquipment(exercises, available) : exercises,
+      availableEquipment: available,
+      facets: formatFacets(facetResult[0]),
       pagination: {
         current: page,
         total: Math.ceil(total / limit),
@@ -60,6 +323,57 @@ router.get('/exercises', [
   }
 });
 
+// Suggest substitute exercises that work the same muscles
+router.get('/exercises/:id/alternatives', [
+  authenticateToken,
+  param('id').isMongoId(),
+  query('equipment').optional().isString(),
+  query('location').optional().isString().trim(),
+  query('limit').optional().isInt({ min: 1, max: 50 }),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const exercise = await Exercise.findById(req.params.id);
+
+    if (!exercise) {
+      return res.status(404).json({ error: 'Exercise not found' });
+    }
+
+    const filter = {
+      _id: { $ne: exercise._id },
+      muscleGroups: { $in: exercise.muscleGroups },
+      $or: [{ isCustom: false }, { createdBy: req.user._id }]
+    };
+
+    // Only suggest exercises the user can do with the equipment they have,
+    // falling back to their saved equipment profile
+    const available = req.query.equipment
+      ? req.query.equipment.split(',')
+      : resolveAvailableEquipment(req.user, req.query.location);
+    if (available === undefined) {
+      return res.status(404).json({ error: `Equipment location '${req.query.location}' not found` });
+    }
+    if (available) Object.assign(filter, equipmentFilter(available));
+
+    const candidates = await Exercise.find(filter)
+      .select('name category muscleGroups equipment difficulty description')
+      .limit(200);
+
+    res.json({
+      exercise: {
+        _id: exercise._id,
+        name: exercise.name,
+        muscleGroups: exercise.muscleGroups,
+        equipment: exercise.equipment
+      },
+      availableEquipment: available,
+      alternatives: rankAlternatives(exercise, candidates, parseInt(req.query.limit) || 10)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch alternatives', details: error.message });
+  }
+});
+
 // Get single exercise
 router.get('/exercises/:id', [
   authenticateToken,
@@ -86,6 +400,7 @@ router.post('/exercises', [
   body('name').trim().isLength({ min: 1, max: 100 }),
   body('category').isIn(['strength', 'cardio', 'flexibility', 'balance', 'sports', 'other']),
   body('difficulty').optional().isIn(['beginner', 'intermediate', 'advanced']),
+  body('met').optional().isFloat({ min: 1, max: 25 }),
   handleValidationErrors,
   logActivity('exercise-created', 'User created a custom exercise')
 ], async (req, res) => {
@@ -158,30 +473,202 @@ router.post('/routines', [
   body('name').trim().isLength({ min: 1, max: 100 }),
   body('exercises').isArray({ min: 1 }),
   body('exercises.*.exercise').isMongoId(),
-  body('exercises.*.sets').isInt({ min: 1, max: 50 }),
+  body('exercises.*').custom(entry => entry.sets !== undefined || entry.setPrescriptions?.length > 0)
+    .withMessage('Each exercise needs sets or setPrescriptions'),
+  body('exercises.*.sets').optional().isInt({ min: 1, max: 50 }),
+  body('exercises.*.block').optional().isString().trim(),
+  body('exercises.*.setPrescriptions').optional().isArray({ max: 50 }),
+  body('exercises.*.setPrescriptions.*.setType').optional().isIn(SET_TYPES),
+  body('exercises.*.setPrescriptions.*.reps').optional().isInt({ min: 1, max: 1000 }),
+  body('exercises.*.setPrescriptions.*.percentOfTrainingMax').optional().isFloat({ min: 0, max: 150 }),
+  body('exercises.*.setPrescriptions.*.targetRpe').optional().isFloat({ min: 1, max: 10 }),
+  body('exercises.*.setPrescriptions.*.targetRir').optional().isInt({ min: 0, max: 10 }),
+  body('exercises.*.setPrescriptions.*.tempo').optional().matches(TEMPO_PATTERN),
+  body('blocks').optional().isArray(),
+  body('blocks.*.key').isString().trim().isLength({ min: 1, max: 10 }),
+  body('blocks.*.type').isIn(BLOCK_TYPES),
+  body('blocks.*.rounds').optional().isInt({ min: 1, max: 100 }),
+  body('location').optional().isString().trim(),
   handleValidationErrors,
   logActivity('routine-created', 'User created a workout routine')
 ], async (req, res) => {
   try {
+    const { location, ...routineFields } = req.body;
     const routineData = {
       user: req.user._id,
-      ...req.body
+      ...routineFields
     };
 
     const routine = new WorkoutRoutine(routineData);
     await routine.save();
 
-    await routine.populate('exercises.exercise', 'name category');
+    await routine.populate('exercises.exercise', 'name category equipment');
+
+    // Flag exercises the user can't do with their equipment at the location
+    const available = resolveAvailableEquipment(req.user, location);
+    const equipmentWarnings = available
+      ? routine.exercises
+        .map(entry => ({
+          exercise: entry.exercise._id,
+          name: entry.exercise.name,
+          missingEquipment: missingEquipment(entry.exercise.equipment, available)
+        }))
+        .filter(warning => warning.missingEquipment.length > 0)
+      : [];
 
     res.status(201).json({ 
       message: 'Workout routine created successfully', 
-      routine 
+      routine,
+      equipmentWarnings
     });
   } catch (error) {
     res.status(500).json({ error: 'Failed to create routine', details: error.message });
   }
 });
 
+// Get per-set targets for a routine with percentages resolved against training maxes
+router.get('/routines/:id/prescription', [
+  authenticateToken,
+  param('id').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const routine = await WorkoutRoutine.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    }).populate('exercises.exercise', 'name category');
+
+    if (!routine) {
+      return res.status(404).json({ error: 'Workout routine not found' });
+    }
+
+    res.json({
+      routine: { _id: routine._id, name: routine.name },
+      exercises: routinePrescription(routine, req.user.trainingMaxes)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch routine prescription', details: error.message });
+  }
+});
+
+// Set the progressive overload strategy for a routine
+router.put('/routines/:id/progression', [
+  authenticateToken,
+  param('id').isMongoId(),
+  body('strategy').isIn(['none', 'linear', 'double-progression']),
+  body('increment.value').optional().isFloat({ min: 0 }),
+  body('increment.unit').optional().isIn(['kg', 'lbs']),
+  body('repRange.min').optional().isInt({ min: 1, max: 1000 }),
+  body('repRange.max').optional().isInt({ min: 1, max: 1000 }),
+  body('deloadAfterMisses').optional().isInt({ min: 1, max: 10 }),
+  body('deloadPercentage').optional().isFloat({ min: 0, max: 50 }),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const routine = await WorkoutRoutine.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!routine) {
+      return res.status(404).json({ error: 'Workout routine not found' });
+    }
+
+    const { repRange } = req.body;
+    if (repRange?.min && repRange?.max && repRange.min > repRange.max) {
+      return res.status(400).json({ error: 'Rep range minimum cannot exceed maximum' });
+    }
+
+    const fields = ['strategy', 'increment', 'repRange', 'deloadAfterMisses', 'deloadPercentage'];
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) routine.progression[field] = req.body[field];
+    });
+
+    await routine.save();
+
+    res.json({
+      message: 'Progression settings updated successfully',
+      progression: routine.progression
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update progression settings', details: error.message });
+  }
+});
+
+// Preview next-session targets for a routine
+router.get('/routines/:id/progression', [
+  authenticateToken,
+  param('id').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const routine = await WorkoutRoutine.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    }).populate('exercises.exercise', 'name category');
+
+    if (!routine) {
+      return res.status(404).json({ error: 'Workout routine not found' });
+    }
+
+    if (routine.progression.strategy === 'none') {
+      return res.status(400).json({ error: 'Routine has no progression strategy' });
+    }
+
+    const sessions = await findSessionsSinceProgression(routine);
+
+    res.json({
+      progression: routine.progression,
+      sessionsConsidered: sessions.length,
+      targets: calculateProgression(routine, sessions)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to calculate progression', details: error.message });
+  }
+});
+
+// Apply next-session targets to the routine's exercises
+router.post('/routines/:id/progression/apply', [
+  authenticateToken,
+  param('id').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const routine = await WorkoutRoutine.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!routine) {
+      return res.status(404).json({ error: 'Workout routine not found' });
+    }
+
+    if (routine.progression.strategy === 'none') {
+      return res.status(400).json({ error: 'Routine has no progression strategy' });
+    }
+
+    const sessions = await findSessionsSinceProgression(routine);
+    const targets = calculateProgression(routine, sessions);
+
+    targets.forEach(target => {
+      applyProgressionTarget(routine.exercises.id(target.entryId), target);
+    });
+
+    routine.progression.lastAppliedAt = new Date();
+    await routine.save();
+
+    await routine.populate('exercises.exercise', 'name category');
+
+    res.json({
+      message: 'Progression applied successfully',
+      targets,
+      routine
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to apply progression', details: error.message });
+  }
+});
+
 // ======================
 // WORKOUT SESSIONS
 // ======================
@@ -220,7 +707,8 @@ router.post('/sessions/start', [
 
     res.status(201).json({ 
       message: 'Workout session started successfully', 
-      session 
+      session,
+      prescription: routinePrescription(workoutRoutine, req.user.trainingMaxes)
     });
   } catch (error) {
     res.status(500).json({ error: 'Failed to start session', details: error.message });
@@ -230,7 +718,7 @@ router.post('/sessions/start', [
 // Get workout sessions
 router.get('/sessions', [
   authenticateToken,
-  query('status').optional().isIn(['planned', 'in-progress', 'completed', 'cancelled']),
+  query('status').optional().isIn(['planned', 'in-progress', 'paused', 'completed', 'cancelled']),
   paginate,
   handleValidationErrors
 ], async (req, res) => {
@@ -264,4 +752,713 @@ router.get('/sessions', [
   }
 });
 
+// Get single workout session
+router.get('/sessions/:id', [
+  authenticateToken,
+  param('id').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const session = await WorkoutSession.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    })
+      .populate('routine', 'name category exercises')
+      .populate('actualExercises.exercise', 'name category muscleGroups');
+
+    if (!session) {
+      return res.status(404).json({ error: 'Workout session not found' });
+    }
+
+    res.json({ session });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch session', details: error.message });
+  }
+});
+
+// Compare a completed session with its routine's prescription
+router.get('/sessions/:id/comparison', [
+  authenticateToken,
+  param('id').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const session = await WorkoutSession.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    })
+      .populate({
+        path: 'routine',
+        populate: { path: 'exercises.exercise', select: 'name category' }
+      })
+      .populate('actualExercises.exercise', 'name category');
+
+    if (!session) {
+      return res.status(404).json({ error: 'Workout session not found' });
+    }
+
+    if (session.status !== 'completed') {
+      return res.status(409).json({ error: 'Only completed sessions can be compared' });
+    }
+
+    if (!session.routine) {
+      return res.status(404).json({ error: 'Workout routine not found' });
+    }
+
+    res.json({
+      session: {
+        _id: session._id,
+        startTime: session.startTime,
+        endTime: session.endTime,
+        totalDuration: session.totalDuration
+      },
+      routine: {
+        _id: session.routine._id,
+        name: session.routine.name
+      },
+      comparison: compareSessionToRoutine(session, session.routine)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to compare session', details: error.message });
+  }
+});
+
+// Get the GPS route of an imported activity as a GeoJSON Feature
+router.get('/sessions/:id/route', [
+  authenticateToken,
+  param('id').isMongoId(),
+  query('samples').optional().isBoolean().toBoolean(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const session = await WorkoutSession.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    }).select(req.query.samples ? '+track.polyline +track.samples' : '+track.polyline');
+
+    if (!session) {
+      return res.status(404).json({ error: 'Workout session not found' });
+    }
+
+    if (!session.track?.polyline) {
+      return res.status(404).json({ error: 'Session has no route' });
+    }
+
+    const { polyline, samples, ...track } = session.track.toObject();
+
+    res.json({
+      type: 'Feature',
+      geometry: {
+        type: 'LineString',
+        // GeoJSON positions are [longitude, latitude]
+        coordinates: decodePolyline(polyline).map(([lat, lon]) => [lon, lat])
+      },
+      properties: {
+        session: session._id,
+        startTime: session.startTime,
+        endTime: session.endTime,
+        source: session.source,
+        ...track,
+        ...(req.query.samples && { samples })
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch session route', details: error.message });
+  }
+});
+
+// Get time in heart-rate zones and TRIMP training load for a session
+router.get('/sessions/:id/heart-rate', [
+  authenticateToken,
+  param('id').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const session = await WorkoutSession.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    }).select('+track.samples');
+
+    if (!session) {
+      return res.status(404).json({ error: 'Workout session not found' });
+    }
+
+    const profile = resolveHeartRateProfile(req.user, session.startTime);
+    if (!profile) {
+      return res.status(409).json({ error: 'Set a max heart rate or date of birth to calculate zones' });
+    }
+
+    const load = sessionTrimp(session, profile, req.user.gender);
+    if (!load) {
+      return res.status(404).json({ error: 'Session has no heart rate data' });
+    }
+
+    const zones = heartRateZones(profile);
+
+    res.json({
+      session: session._id,
+      profile,
+      zones,
+      timeInZones: load.source === 'samples' ? timeInZones(session.track.samples, zones) : null,
+      averageHeartRate: session.track.averageHeartRate,
+      maxHeartRate: session.track.maxHeartRate,
+      trimp: load.trimp,
+      trimpSource: load.source
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch heart rate analysis', details: error.message });
+  }
+});
+
+// Get live state: current set, next prescribed set and rest countdown
+router.get('/sessions/:id/live', [
+  authenticateToken,
+  param('id').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const state = await loadLiveState(req.user, req.params.id);
+
+    if (!state) {
+      return res.status(404).json({ error: 'Workout session not found' });
+    }
+
+    res.json({ state });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch live session state', details: error.message });
+  }
+});
+
+// Move to another exercise, or skip or extend the current rest
+router.put('/sessions/:id/live', [
+  authenticateToken,
+  param('id').isMongoId(),
+  body('exerciseIndex').optional({ values: 'null' }).isInt({ min: 0 }),
+  body('restSeconds').optional({ values: 'null' }).isInt({ min: 0, max: 3600 }),
+  body('skipRest').optional().isBoolean(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const session = await WorkoutSession.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    }).populate('routine', 'exercises blocks');
+
+    if (!session) {
+      return res.status(404).json({ error: 'Workout session not found' });
+    }
+
+    if (!EDITABLE_SESSION_STATUSES.includes(session.status)) {
+      return res.status(409).json({ error: `Cannot update a ${session.status} session` });
+    }
+
+    const { exerciseIndex, restSeconds, skipRest } = req.body;
+
+    if (exerciseIndex !== undefined && exerciseIndex !== null &&
+      exerciseIndex >= (session.routine?.exercises.length || 0)) {
+      return res.status(400).json({ error: 'Exercise index is out of range' });
+    }
+
+    if (exerciseIndex !== undefined) session.liveState.exerciseIndex = exerciseIndex ?? undefined;
+    if (restSeconds !== undefined) session.liveState.restSeconds = restSeconds ?? undefined;
+    if (skipRest) session.liveState.restSeconds = 0;
+    session.liveState.updatedAt = new Date();
+
+    await session.save();
+    publishSessionUpdate(session._id);
+
+    res.json({
+      message: 'Live session state updated',
+      state: buildLiveState(session, session.routine, req.user.trainingMaxes)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update live session state', details: error.message });
+  }
+});
+
+// Short-lived token for opening the live stream from a browser EventSource,
+// which can't send an Authorization header
+router.post('/sessions/:id/live/token', [
+  authenticateToken,
+  param('id').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const session = await WorkoutSession.exists({ _id: req.params.id, user: req.user._id });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Workout session not found' });
+    }
+
+    res.json({
+      token: issueStreamToken(req.user._id.toString(), req.params.id),
+      expiresIn: STREAM_TOKEN_TTL_SECONDS
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to create live stream token', details: error.message });
+  }
+});
+
+// Stream live state as Server-Sent Events; a new event is sent on every change.
+// Authenticates with the Authorization header or a `token` query parameter
+// from POST /sessions/:id/live/token.
+router.get('/sessions/:id/live/stream', [
+  param('id').isMongoId(),
+  handleValidationErrors,
+  authenticateStreamToken
+], async (req, res) => {
+  try {
+    const initial = await loadLiveState(req.user, req.params.id);
+
+    if (!initial) {
+      return res.status(404).json({ error: 'Workout session not found' });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    let heartbeat;
+    let unsubscribe = () => {};
+    let closed = false;
+
+    // Updates can still arrive while a state is loading, so nothing is
+    // written once the stream has ended or the client has gone
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+      if (!res.writableEnded) res.end();
+    };
+
+    const write = (chunk) => {
+      if (!closed) res.write(chunk);
+    };
+
+    const send = (state) => {
+      write(`event: state\ndata: ${JSON.stringify(state)}\n\n`);
+      if (!EDITABLE_SESSION_STATUSES.includes(state.status)) close();
+    };
+
+    res.on('close', close);
+
+    unsubscribe = subscribeToSession(req.params.id, async () => {
+      try {
+        const state = await loadLiveState(req.user, req.params.id);
+        if (state) send(state);
+      } catch (error) {
+        write(`event: error\ndata: ${JSON.stringify({ error: error.message })}\n\n`);
+      }
+    });
+
+    // Keep proxies from closing an idle connection
+    heartbeat = setInterval(() => write(': heartbeat\n\n'), LIVE_HEARTBEAT_MS);
+
+    send(initial);
+  } catch (error) {
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: 'Failed to stream live session state', details: error.message });
+  }
+});
+
+// Log a set in a workout session
+router.post('/sessions/:id/sets', [
+  authenticateToken,
+  param('id').isMongoId(),
+  body('exercise').isMongoId(),
+  body('reps').optional().isInt({ min: 0 }),
+  body('weight.value').optional().isFloat({ min: 0 }),
+  body('weight.unit').optional().isIn(['kg', 'lbs']),
+  body('duration').optional().isFloat({ min: 0 }),
+  body('distance.value').optional().isFloat({ min: 0 }),
+  body('distance.unit').optional().isIn(['km', 'miles', 'm', 'ft']),
+  body('completed').optional().isBoolean(),
+  body('setType').optional().isIn(SET_TYPES),
+  body('rpe').optional().isFloat({ min: 1, max: 10 }),
+  body('rir').optional().isInt({ min: 0, max: 10 }),
+  body('tempo').optional().matches(TEMPO_PATTERN),
+  body('block').optional().isString().trim(),
+  body('round').optional().isInt({ min: 1 }),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const session = await WorkoutSession.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Workout session not found' });
+    }
+
+    if (!EDITABLE_SESSION_STATUSES.includes(session.status)) {
+      return res.status(409).json({ error: `Cannot log sets in a ${session.status} session` });
+    }
+
+    const exerciseExists = await Exercise.exists({ _id: req.body.exercise });
+    if (!exerciseExists) {
+      return res.status(404).json({ error: 'Exercise not found' });
+    }
+
+    const { entry: exerciseEntry, set } = logSessionSet(session, req.body.exercise, req.body);
+
+    await session.save();
+    publishSessionUpdate(session._id);
+
+    const personalRecords = await detectSessionRecords(req.user._id, session, [
+      { exercise: exerciseEntry.exercise, set }
+    ]);
+
+    res.status(201).json({
+      message: 'Set logged successfully',
+      set,
+      session,
+      personalRecords
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to log set', details: error.message });
+  }
+});
+
+// Edit a logged set
+router.put('/sessions/:id/sets/:setId', [
+  authenticateToken,
+  param('id').isMongoId(),
+  param('setId').isMongoId(),
+  body('reps').optional().isInt({ min: 0 }),
+  body('weight.value').optional().isFloat({ min: 0 }),
+  body('weight.unit').optional().isIn(['kg', 'lbs']),
+  body('duration').optional().isFloat({ min: 0 }),
+  body('distance.value').optional().isFloat({ min: 0 }),
+  body('distance.unit').optional().isIn(['km', 'miles', 'm', 'ft']),
+  body('completed').optional().isBoolean(),
+  body('setType').optional().isIn(SET_TYPES),
+  body('rpe').optional().isFloat({ min: 1, max: 10 }),
+  body('rir').optional().isInt({ min: 0, max: 10 }),
+  body('tempo').optional().matches(TEMPO_PATTERN),
+  body('block').optional().isString().trim(),
+  body('round').optional().isInt({ min: 1 }),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const session = await WorkoutSession.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Workout session not found' });
+    }
+
+    if (!EDITABLE_SESSION_STATUSES.includes(session.status)) {
+      return res.status(409).json({ error: `Cannot edit sets in a ${session.status} session` });
+    }
+
+    const set = findSessionSet(session, req.params.setId);
+    if (!set) {
+      return res.status(404).json({ error: 'Set not found' });
+    }
+
+    set.set(pickSetFields(req.body));
+    await session.save();
+    publishSessionUpdate(session._id);
+
+    // A lowered set may no longer hold the records it set
+    const revisedRecords = await revisitPersonalRecords(req.user._id, session);
+    const personalRecords = await detectSessionRecords(req.user._id, session, [
+      { exercise: set.parent().exercise, set }
+    ]);
+
+    res.json({
+      message: 'Set updated successfully',
+      set,
+      session,
+      personalRecords,
+      removedRecords: revisedRecords.removed
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update set', details: error.message });
+  }
+});
+
+// Delete a logged set
+router.delete('/sessions/:id/sets/:setId', [
+  authenticateToken,
+  param('id').isMongoId(),
+  param('setId').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const session = await WorkoutSession.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Workout session not found' });
+    }
+
+    if (!EDITABLE_SESSION_STATUSES.includes(session.status)) {
+      return res.status(409).json({ error: `Cannot delete sets in a ${session.status} session` });
+    }
+
+    const set = findSessionSet(session, req.params.setId);
+    if (!set) {
+      return res.status(404).json({ error: 'Set not found' });
+    }
+
+    set.deleteOne();
+    await session.save();
+    publishSessionUpdate(session._id);
+
+    const revisedRecords = await revisitPersonalRecords(req.user._id, session);
+
+    res.json({ message: 'Set deleted successfully', session, removedRecords: revisedRecords.removed });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete set', details: error.message });
+  }
+});
+
+// Log a round of a superset, circuit or interval block
+router.post('/sessions/:id/rounds', [
+  authenticateToken,
+  param('id').isMongoId(),
+  body('block').isString().trim().isLength({ min: 1, max: 10 }),
+  body('roundNumber').optional().isInt({ min: 1 }),
+  body('duration').optional().isFloat({ min: 0 }),
+  body('reps').optional().isInt({ min: 0 }),
+  body('completed').optional().isBoolean(),
+  body('partialReps').optional().isInt({ min: 0 }),
+  body('notes').optional().isString().isLength({ max: 200 }),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const session = await WorkoutSession.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    }).populate('routine', 'blocks');
+
+    if (!session) {
+      return res.status(404).json({ error: 'Workout session not found' });
+    }
+
+    if (!EDITABLE_SESSION_STATUSES.includes(session.status)) {
+      return res.status(409).json({ error: `Cannot log rounds in a ${session.status} session` });
+    }
+
+    const { block, partialReps } = req.body;
+    const routineBlock = session.routine?.blocks?.find(b => b.key === block);
+    if (!routineBlock) {
+      return res.status(404).json({ error: `Block ${block} not found in this routine` });
+    }
+
+    let result = session.blockResults.find(r => r.block === block);
+    if (!result) {
+      session.blockResults.push({ block, rounds: [] });
+      result = session.blockResults[session.blockResults.length - 1];
+    }
+
+    logBlockRound(result, req.body);
+    if (partialReps !== undefined) result.partialReps = partialReps;
+
+    await session.save();
+    publishSessionUpdate(session._id);
+
+    const roundsCompleted = result.rounds.filter(r => r.completed).length;
+
+    res.status(201).json({
+      message: 'Round logged successfully',
+      blockResult: result,
+      roundsCompleted,
+      roundsPlanned: routineBlock.rounds,
+      session
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to log round', details: error.message });
+  }
+});
+
+// Pause workout session
+router.post('/sessions/:id/pause', [
+  authenticateToken,
+  param('id').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const session = await WorkoutSession.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Workout session not found' });
+    }
+
+    const rejection = transitionSession(session, 'paused');
+    if (rejection) {
+      return res.status(rejection.status).json({ error: rejection.error });
+    }
+
+    await session.save();
+    publishSessionUpdate(session._id);
+
+    res.json({ message: 'Workout session paused', session });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to pause session', details: error.message });
+  }
+});
+
+// Resume paused workout session
+router.post('/sessions/:id/resume', [
+  authenticateToken,
+  param('id').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const session = await WorkoutSession.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Workout session not found' });
+    }
+
+    if (session.status !== 'paused') {
+      return res.status(409).json({ error: `Cannot resume a ${session.status} session` });
+    }
+
+    transitionSession(session, 'in-progress');
+    await session.save();
+    publishSessionUpdate(session._id);
+
+    res.json({ message: 'Workout session resumed', session });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to resume session', details: error.message });
+  }
+});
+
+// Complete workout session
+router.post('/sessions/:id/complete', [
+  authenticateToken,
+  param('id').isMongoId(),
+  body('caloriesBurned').optional().isFloat({ min: 0 }),
+  body('notes').optional().isString().isLength({ max: 500 }),
+  handleValidationErrors,
+  logActivity('workout-completed', 'User completed a workout session')
+], async (req, res) => {
+  try {
+    const session = await WorkoutSession.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Workout session not found' });
+    }
+
+    const rejection = transitionSession(session, 'completed');
+    if (rejection) {
+      return res.status(rejection.status).json({ error: rejection.error });
+    }
+
+    const caloriesEstimate = await recordSessionCalories(req.user._id, session, req.body.caloriesBurned);
+    if (req.body.notes !== undefined) session.notes = req.body.notes;
+
+    await session.save();
+    publishSessionUpdate(session._id);
+
+    const personalRecords = await detectSessionRecords(req.user._id, session);
+
+    res.json({ message: 'Workout session completed', session, caloriesEstimate, personalRecords });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to complete session', details: error.message });
+  }
+});
+
+// Cancel workout session
+router.post('/sessions/:id/cancel', [
+  authenticateToken,
+  param('id').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const session = await WorkoutSession.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Workout session not found' });
+    }
+
+    const rejection = transitionSession(session, 'cancelled');
+    if (rejection) {
+      return res.status(rejection.status).json({ error: rejection.error });
+    }
+
+    await session.save();
+    publishSessionUpdate(session._id);
+
+    res.json({ message: 'Workout session cancelled', session });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to cancel session', details: error.message });
+  }
+});
+
+// ======================
+// HELPER FUNCTIONS
+// ======================
+
+async function loadLiveState(user, sessionId) {
+  const session = await WorkoutSession.findOne({
+    _id: sessionId,
+    user: user._id
+  }).populate({
+    path: 'routine',
+    select: 'name exercises blocks',
+    populate: { path: 'exercises.exercise', select: 'name category' }
+  });
+
+  if (!session || !session.routine) return null;
+
+  return buildLiveState(session, session.routine, user.trainingMaxes);
+}
+
+function findSessionSet(session, setId) {
+  for (const entry of session.actualExercises) {
+    const set = entry.sets.id(setId);
+    if (set) return set;
+  }
+  return null;
+}
+
+// Completed sessions of a routine finished since progression was last applied
+async function findSessionsSinceProgression(routine) {
+  const filter = {
+    user: routine.user,
+    routine: routine._id,
+    status: 'completed'
+  };
+  if (routine.progression.lastAppliedAt) {
+    filter.endTime = { $gt: routine.progression.lastAppliedAt };
+  }
+
+  return WorkoutSession.find(filter).sort({ endTime: 1 });
+}
+
+// Record detection must never fail the request that logged the set
+async function revisitPersonalRecords(userId, session) {
+  try {
+    return await revisitSessionRecords({ userId, session });
+  } catch (error) {
+    console.error('Personal record revision failed:', error);
+    return { updated: [], removed: [] };
+  }
+}
+
 export default router;
@@ -0,0 +1,105 @@
+// Energy expenditure estimated from logged intake and the weight trend:
+// what was eaten, less the energy stored or released as body weight
+import { round } from './units.js';
+import { dateKey } from './programSchedule.js';
+import { KCAL_PER_KG, goalCalorieAdjustment, minimumCalories } from './nutritionTargets.js';
+
+export const MIN_WINDOW_DAYS = 14;
+export const MAX_WINDOW_DAYS = 28;
+
+// Share of each new weigh-in in the smoothed trend
+const TREND_SMOOTHING = 0.25;
+
+// Least data an estimate is made from
+const MIN_LOGGED_DAYS = 7;
+const MIN_WEIGH_INS = 3;
+const MIN_WEIGHT_SPAN_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Exponentially smoothed weight trend; `weights` are { date, kg }
+export const smoothWeights = (weights) => {
+  const sorted = [...weights].sort((a, b) => new Date(a.date) - new Date(b.date));
+  let trend = null;
+  return sorted.map(({ date, kg }) => {
+    trend = trend === null ? kg : trend + TREND_SMOOTHING * (kg - trend);
+    return { date: new Date(date), kg, trend: round(trend, 2) };
+  });
+};
+
+// Least-squares slope of the trend in kg per day
+const trendSlope = (points) => {
+  const origin = points[0].date.getTime();
+  const xs = points.map(point => (point.date.getTime() - origin) / DAY_MS);
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+  const meanY = points.reduce((sum, point) => sum + point.trend, 0) / points.length;
+
+  let covariance = 0, variance = 0;
+  xs.forEach((x, i) => {
+    covariance += (x - meanX) * (points[i].trend - meanY);
+    variance += (x - meanX) ** 2;
+  });
+  return variance ? covariance / variance : 0;
+};
+
+// Confidence from how completely intake and weight were logged in the window
+const estimateConfidence = ({ loggedDays, weighIns, spanDays, windowDays }) => {
+  const score = round(
+    Math.min(1, loggedDays / windowDays) * 0.5 +
+    Math.min(1, weighIns / (windowDays / 2)) * 0.3 +
+    Math.min(1, spanDays / MIN_WINDOW_DAYS) * 0.2,
+    2
+  );
+  const level = score >= 0.75 ? 'high' : score >= 0.5 ? 'medium' : 'low';
+  return { level, score, loggedDays, weighIns };
+};
+
+// Estimated TDEE from daily intake ({ date, calories }) and weigh-ins
+// ({ date, kg }) over a window. Returns { error } without enough data.
+export const estimateTdee = ({ intake, weights, windowDays = MAX_WINDOW_DAYS }) => {
+  // Days with several entries count once; unlogged days are left out
+  const caloriesByDay = new Map();
+  for (const day of intake) {
+    if (!day.calories) continue;
+    const key = dateKey(day.date);
+    caloriesByDay.set(key, (caloriesByDay.get(key) || 0) + day.calories);
+  }
+
+  const loggedDays = caloriesByDay.size;
+  if (loggedDays < MIN_LOGGED_DAYS) {
+    return { error: `Log your food on at least ${MIN_LOGGED_DAYS} days to estimate your expenditure` };
+  }
+
+  const trend = smoothWeights(weights);
+  const spanDays = trend.length ? (trend[trend.length - 1].date - trend[0].date) / DAY_MS : 0;
+  if (trend.length < MIN_WEIGH_INS || spanDays < MIN_WEIGHT_SPAN_DAYS) {
+    return { error: `Log your weight at least ${MIN_WEIGH_INS} times over ${MIN_WEIGHT_SPAN_DAYS} days to estimate your expenditure` };
+  }
+
+  const averageIntake = [...caloriesByDay.values()].reduce((sum, calories) => sum + calories, 0) / loggedDays;
+  const kgPerDay = trendSlope(trend);
+
+  return {
+    tdee: Math.round(averageIntake - kgPerDay * KCAL_PER_KG),
+    averageIntake: Math.round(averageIntake),
+    weightTrend: {
+      startKg: trend[0].trend,
+      endKg: trend[trend.length - 1].trend,
+      kgPerWeek: round(kgPerDay * 7)
+    },
+    confidence: estimateConfidence({ loggedDays, weighIns: trend.length, spanDays, windowDays })
+  };
+};
+
+// Daily calories to stay on pace for the goal's target date from the
+// estimated TDEE, and the change from the current calorie target
+export const recommendCalories = ({ estimate, goal, gender, currentCalories, now = new Date() }) => {
+  const pace = goalCalorieAdjustment(goal, now);
+  const calories = Math.max(minimumCalories(gender), estimate.tdee + pace.calories);
+
+  return {
+    calories,
+    weeklyWeightChange: pace.kgPerWeek,
+    adjustment: currentCalories ? calories - currentCalories : null
+  };
+};
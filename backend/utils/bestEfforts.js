@@ -0,0 +1,168 @@
+// Best efforts at standard distances, pace trends and race-time prediction
+import { isWorkingSet, refId } from './sessionComparison.js';
+import { toKm, round } from './units.js';
+import { METERS_PER_UNIT } from './trackMetrics.js';
+import { weekStart } from './exerciseAnalytics.js';
+
+export const STANDARD_DISTANCES = [
+  { key: '1k', label: '1 km', km: 1 },
+  { key: '5k', label: '5 km', km: 5 },
+  { key: '10k', label: '10 km', km: 10 },
+  { key: 'half-marathon', label: 'Half marathon', km: 21.0975 }
+];
+
+// Race distances the predictor reports on
+export const PREDICTION_DISTANCES = [
+  ...STANDARD_DISTANCES,
+  { key: 'marathon', label: 'Marathon', km: 42.195 }
+];
+
+export const RIEGEL_EXPONENT = 1.06;
+
+// A logged set counts as an effort at a standard distance when it is within 2% of it
+const SET_DISTANCE_TOLERANCE = 0.02;
+
+// Fastest time (seconds) to cover `meters` anywhere in a track, interpolating
+// between samples. Samples need `time` (s) and cumulative `distance` (m).
+export const bestEffortFromSamples = (samples, meters) => {
+  const points = samples.filter(s => Number.isFinite(s.time) && Number.isFinite(s.distance));
+  if (!points.length || points[points.length - 1].distance - points[0].distance < meters) return null;
+
+  let best = null;
+  let start = 0;
+
+  for (let end = 1; end < points.length; end++) {
+    const target = points[end].distance - meters;
+    if (target < points[0].distance) continue;
+
+    while (start + 1 < end && points[start + 1].distance <= target) start++;
+
+    const a = points[start];
+    const b = points[start + 1];
+    const fraction = b.distance > a.distance ? (target - a.distance) / (b.distance - a.distance) : 0;
+    const startTime = a.time + (b.time - a.time) * fraction;
+    const seconds = points[end].time - startTime;
+
+    if (best === null || seconds < best) best = seconds;
+  }
+
+  return best === null ? null : Math.round(best);
+};
+
+// Effort a single distance/duration set gives at a standard distance, scaled
+// to the exact distance
+export const setEffort = (set, standardKm) => {
+  const km = toKm(set.distance);
+  if (!(km > 0) || !(set.duration > 0)) return null;
+  if (Math.abs(km - standardKm) / standardKm > SET_DISTANCE_TOLERANCE) return null;
+  return Math.round(set.duration * standardKm / km);
+};
+
+// Fastest efforts at each standard distance within a session's GPS track,
+// credited to the first exercise that logged a distance
+export const trackBestEfforts = (session) => {
+  const samples = session.track?.samples;
+  const trackExercise = session.actualExercises?.find(entry => entry.sets.some(set => toKm(set.distance) > 0));
+  if (!samples?.length || !trackExercise) return [];
+
+  return STANDARD_DISTANCES
+    .map(distance => ({
+      exercise: refId(trackExercise.exercise),
+      distance: distance.key,
+      km: distance.km,
+      seconds: bestEffortFromSamples(samples, distance.km * 1000)
+    }))
+    .filter(effort => effort.seconds);
+};
+
+// Best efforts at each standard distance for every distance exercise in a
+// session, from logged sets and the GPS track: [{ exercise, distance, km, seconds }]
+export const sessionBestEfforts = (session) => {
+  const efforts = new Map();
+  const record = (effort) => {
+    const key = `${effort.exercise}:${effort.distance}`;
+    const current = efforts.get(key);
+    if (!current || effort.seconds < current.seconds) efforts.set(key, effort);
+  };
+
+  for (const entry of session.actualExercises || []) {
+    for (const set of entry.sets.filter(isWorkingSet)) {
+      for (const distance of STANDARD_DISTANCES) {
+        const seconds = setEffort(set, distance.km);
+        if (seconds) record({ exercise: refId(entry.exercise), distance: distance.key, km: distance.km, seconds });
+      }
+    }
+  }
+  trackBestEfforts(session).forEach(record);
+
+  return [...efforts.values()];
+};
+
+// Riegel: T2 = T1 × (D2 / D1)^1.06
+export const predictRaceTime = (seconds, fromKm, toKm) => {
+  return Math.round(seconds * (toKm / fromKm) ** RIEGEL_EXPONENT);
+};
+
+// Predictions for each race distance from the best effort closest in distance
+export const predictRaceTimes = (bestEfforts, targets = PREDICTION_DISTANCES) => {
+  if (!bestEfforts.length) return [];
+
+  return targets.map(target => {
+    const basis = bestEfforts.reduce((closest, effort) =>
+      Math.abs(Math.log(effort.km / target.km)) < Math.abs(Math.log(closest.km / target.km)) ? effort : closest
+    );
+    const seconds = predictRaceTime(basis.seconds, basis.km, target.km);
+    return {
+      distance: target.key,
+      label: target.label,
+      km: target.km,
+      predictedSeconds: seconds,
+      pacePerKm: Math.round(seconds / target.km),
+      basedOn: { distance: basis.distance, km: basis.km, seconds: basis.seconds, date: basis.date }
+    };
+  });
+};
+
+// Average pace (seconds per km or mile) per session and per week for one
+// exercise, with a simple first-vs-last-week trend
+export const paceTrend = (sessions, exerciseId, unit = 'km') => {
+  const unitKm = METERS_PER_UNIT[unit] / 1000;
+
+  const points = sessions.map(session => {
+    const sets = session.actualExercises
+      .filter(entry => refId(entry.exercise) === exerciseId)
+      .flatMap(entry => entry.sets.filter(isWorkingSet))
+      .filter(set => toKm(set.distance) > 0 && set.duration > 0);
+
+    const km = sets.reduce((sum, set) => sum + toKm(set.distance), 0);
+    const seconds = sets.reduce((sum, set) => sum + set.duration, 0);
+    return km > 0
+      ? { session: session._id, date: session.startTime, distance: round(km / unitKm), duration: seconds, pace: Math.round(seconds / (km / unitKm)) }
+      : null;
+  }).filter(Boolean);
+
+  const weeks = new Map();
+  for (const point of points) {
+    const key = weekStart(point.date);
+    const week = weeks.get(key) || { weekStart: key, distance: 0, duration: 0, sessions: 0 };
+    week.distance += point.distance;
+    week.duration += point.duration;
+    week.sessions += 1;
+    weeks.set(key, week);
+  }
+
+  const weekly = [...weeks.values()]
+    .sort((a, b) => a.weekStart.localeCompare(b.weekStart))
+    .map(week => ({ ...week, distance: round(week.distance), pace: Math.round(week.duration / week.distance) }));
+
+  const change = weekly.length > 1 ? weekly[weekly.length - 1].pace - weekly[0].pace : 0;
+
+  return {
+    unit,
+    sessions: points,
+    weekly,
+    // A falling pace (fewer seconds per unit) means getting faster
+    trend: weekly.length < 2 ? 'insufficient-data' : change < 0 ? 'improving' : change > 0 ? 'declining' : 'stable',
+    paceChange: weekly.length > 1 ? change : null
+  };
+};
@@ -0,0 +1,27 @@
+// Lookups of the user's latest body measurements from Progress entries
+import { Progress } from '../models/index.js';
+import { toKg } from './units.js';
+
+// Most recent logged body weight in kg, or null if none has been logged
+export const latestBodyWeight = async (userId, before = new Date()) => {
+  const entry = await Progress.findOne({
+    user: userId,
+    type: 'weight',
+    'weight.value': { $exists: true },
+    date: { $lte: before }
+  }).sort({ date: -1 });
+
+  return entry ? { kg: toKg(entry.weight), date: entry.date } : null;
+};
+
+// Most recent logged body fat percentage, or null if none has been logged
+export const latestBodyFat = async (userId, before = new Date()) => {
+  const entry = await Progress.findOne({
+    user: userId,
+    type: 'body-measurement',
+    'bodyMeasurements.bodyFatPercentage': { $exists: true },
+    date: { $lte: before }
+  }).sort({ date: -1 });
+
+  return entry ? { percentage: entry.bodyMeasurements.bodyFatPercentage, date: entry.date } : null;
+};
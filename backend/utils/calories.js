@@ -0,0 +1,58 @@
+// Calorie burn estimation from MET values
+import { isWorkingSet, refId } from './sessionComparison.js';
+import { round } from './units.js';
+
+// Used when the user has never logged their weight
+export const DEFAULT_BODY_WEIGHT_KG = 70;
+
+// Moderate general exercise, used when no exercises were logged
+const FALLBACK_MET = 3.5;
+
+// kcal = MET × body weight (kg) × hours
+export const metCalories = (met, weightKg, seconds) => met * weightKg * (seconds / 3600);
+
+// Estimate calories for a session. Timed sets are counted at their own
+// exercise's MET; the rest of the session (untimed sets and rest periods) is
+// counted at the average MET of the untimed exercises, weighted by set count.
+// `metByExercise` maps exercise ids to MET values. Warm-up sets don't weight
+// the average; their time is still counted through the session duration.
+export const estimateSessionCalories = (session, metByExercise, weightKg) => {
+  const sessionSeconds = (session.totalDuration || 0) * 60;
+  let timedSeconds = 0;
+  let timedCalories = 0;
+  let untimedSets = 0;
+  let untimedMetTotal = 0;
+  let allSets = 0;
+  let allMetTotal = 0;
+
+  for (const entry of session.actualExercises) {
+    const met = metByExercise.get(refId(entry.exercise)) || FALLBACK_MET;
+
+    for (const set of entry.sets.filter(isWorkingSet)) {
+      allSets += 1;
+      allMetTotal += met;
+
+      if (set.duration > 0) {
+        timedSeconds += set.duration;
+        timedCalories += metCalories(met, weightKg, set.duration);
+      } else {
+        untimedSets += 1;
+        untimedMetTotal += met;
+      }
+    }
+  }
+
+  const remainingMet = untimedSets
+    ? untimedMetTotal / untimedSets
+    : allSets ? allMetTotal / allSets : FALLBACK_MET;
+  const remainingSeconds = Math.max(0, sessionSeconds - timedSeconds);
+  const remainingCalories = metCalories(remainingMet, weightKg, remainingSeconds);
+
+  return {
+    calories: Math.round(timedCalories + remainingCalories),
+    bodyWeightKg: round(weightKg, 1),
+    timedSeconds,
+    remainingSeconds,
+    averageMet: round(remainingMet, 1)
+  };
+};
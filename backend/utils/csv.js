@@ -0,0 +1,64 @@
+// Minimal RFC 4180 CSV parser for file imports
+
+// Pick the delimiter that splits the header line into the most columns
+const detectDelimiter = (text) => {
+  const headerLine = text.slice(0, text.indexOf('\n') === -1 ? undefined : text.indexOf('\n'));
+  return [',', ';', '\t']
+    .map(delimiter => ({ delimiter, count: headerLine.split(delimiter).length }))
+    .sort((a, b) => b.count - a.count)[0].delimiter;
+};
+
+// Parse into arrays of cells, honouring quoted fields with embedded
+// delimiters, newlines and doubled quotes
+export const parseCsvRows = (text, delimiter = detectDelimiter(text)) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+// Parse into objects keyed by the header row
+export const parseCsv = (text) => {
+  const [header = [], ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  const keys = header.map(key => key.trim());
+
+  return {
+    headers: keys,
+    rows: rows.map(cells => Object.fromEntries(keys.map((key, index) => [key, (cells[index] ?? '').trim()])))
+  };
+};
@@ -0,0 +1,48 @@
+// Equipment availability checks against the user's equipment profile
+
+// Equipment nobody needs to own
+export const ALWAYS_AVAILABLE_EQUIPMENT = ['none', 'bodyweight'];
+
+// Equipment available at a named location, the default location, or the
+// profile's general list. Returns null when the user hasn't set up a profile
+// and undefined when the named location doesn't exist.
+export const resolveAvailableEquipment = (user, location) => {
+  const profile = user.equipmentProfile;
+  if (!profile) return null;
+
+  const locations = profile.locations || [];
+  const locationName = (location || profile.defaultLocation || '').toLowerCase();
+
+  if (locationName) {
+    const match = locations.find(l => l.name === locationName);
+    if (match) return [...match.equipment];
+    if (location) return undefined;
+  }
+
+  if (!profile.equipment?.length && locations.length === 0) return null;
+  return [...(profile.equipment || [])];
+};
+
+// Filter matching items whose equipment is all available
+export const equipmentFilter = (available) => {
+  const usable = [...new Set([...available, ...ALWAYS_AVAILABLE_EQUIPMENT])];
+  return { equipment: { $not: { $elemMatch: { $nin: usable } } } };
+};
+
+export const missingEquipment = (required = [], available = []) => {
+  return required.filter(item =>
+    !available.includes(item) && !ALWAYS_AVAILABLE_EQUIPMENT.includes(item)
+  );
+};
+
+// Add hasEquipment / missingEquipment to each item
+export const flagEquipment = (items, available) => {
+  return items.map(item => {
+    const missing = missingEquipment(item.equipment, available);
+    return {
+      ...(item.toObject ? item.toObject() : item),
+      hasEquipment: missing.length === 0,
+      missingEquipment: missing
+    };
+  });
+};
@@ -0,0 +1,120 @@
+// Strength analytics computed from logged WorkoutSession sets
+import { estimateOneRepMax } from './oneRepMax.js';
+import { isWorkingSet, refId } from './sessionComparison.js';
+import { toKg, fromKg, round } from './units.js';
+
+// Intensity buckets as a percentage of the best estimated 1RM in the period
+const INTENSITY_BUCKETS = [
+  { label: '<60%', max: 60 },
+  { label: '60-70%', max: 70 },
+  { label: '70-80%', max: 80 },
+  { label: '80-90%', max: 90 },
+  { label: '90%+', max: Infinity }
+];
+
+// Monday of the week the date falls in, as YYYY-MM-DD
+export const weekStart = (date) => {
+  const d = new Date(date);
+  d.setUTCHours(0, 0, 0, 0);
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+};
+
+// Build per-exercise 1RM history, tonnage and intensity distribution plus
+// weekly working sets per muscle group. Sessions should have
+// actualExercises.exercise populated with name and muscleGroups.
+export const buildExerciseAnalytics = (sessions, { formula = 'epley', unit = 'kg' } = {}) => {
+  const exercises = new Map();
+  const weeklySets = {};
+  const convert = (kg) => round(fromKg(kg, unit));
+
+  for (const session of sessions) {
+    const week = weekStart(session.startTime);
+
+    for (const entry of session.actualExercises) {
+      const id = refId(entry.exercise);
+      const performed = entry.sets.filter(isWorkingSet);
+      if (performed.length === 0) continue;
+
+      if (!exercises.has(id)) {
+        exercises.set(id, {
+          exercise: entry.exercise,
+          tonnage: 0,
+          totalSets: 0,
+          totalReps: 0,
+          sessions: new Map(),
+          sets: []
+        });
+      }
+      const stats = exercises.get(id);
+
+      for (const set of performed) {
+        const weight = toKg(set.weight);
+        const reps = set.reps || 0;
+        const estimate = estimateOneRepMax(weight, reps, formula);
+
+        stats.tonnage += weight * reps;
+        stats.totalSets += 1;
+        stats.totalReps += reps;
+        stats.sets.push({ weight, estimate });
+
+        if (estimate) {
+          const best = stats.sessions.get(session._id?.toString());
+          if (!best || estimate > best.estimated) {
+            stats.sessions.set(session._id?.toString(), {
+              date: session.startTime,
+              session: session._id,
+              estimated: estimate,
+              weight,
+              reps
+            });
+          }
+        }
+      }
+
+      for (const muscleGroup of entry.exercise?.muscleGroups || []) {
+        weeklySets[week] = weeklySets[week] || {};
+        weeklySets[week][muscleGroup] = (weeklySets[week][muscleGroup] || 0) + performed.length;
+      }
+    }
+  }
+
+  const analytics = [...exercises.values()].map(stats => {
+    const history = [...stats.sessions.values()].sort((a, b) => a.date - b.date);
+    const bestEstimate = Math.max(0, ...history.map(h => h.estimated));
+
+    const intensityDistribution = Object.fromEntries(INTENSITY_BUCKETS.map(b => [b.label, 0]));
+    if (bestEstimate > 0) {
+      for (const set of stats.sets.filter(s => s.weight > 0)) {
+        const percentage = (set.weight / bestEstimate) * 100;
+        const bucket = INTENSITY_BUCKETS.find(b => percentage < b.max);
+        intensityDistribution[bucket.label] += 1;
+      }
+    }
+
+    return {
+      exercise: stats.exercise,
+      oneRepMax: {
+        best: bestEstimate ? convert(bestEstimate) : null,
+        history: history.map(h => ({
+          date: h.date,
+          session: h.session,
+          estimated: convert(h.estimated),
+          weight: convert(h.weight),
+          reps: h.reps
+        }))
+      },
+      tonnage: convert(stats.tonnage),
+      totalSets: stats.totalSets,
+      totalReps: stats.totalReps,
+      intensityDistribution
+    };
+  });
+
+  return {
+    exercises: analytics,
+    weeklySetsPerMuscleGroup: Object.keys(weeklySets)
+      .sort()
+      .map(week => ({ week, muscleGroups: weeklySets[week] }))
+  };
+};
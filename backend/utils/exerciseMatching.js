@@ -0,0 +1,83 @@
+// Fuzzy matching of free-text exercise names against the exercise library
+
+// Minimum similarity for an automatic match
+export const MATCH_THRESHOLD = 0.75;
+
+const EQUIPMENT_WORDS = {
+  barbell: 'barbell',
+  dumbbell: 'dumbbell',
+  dumbbells: 'dumbbell',
+  kettlebell: 'kettlebell',
+  cable: 'cable',
+  machine: 'machine',
+  band: 'resistance-band',
+  bodyweight: 'bodyweight'
+};
+
+// "Bench Press (Barbell)" and "barbell bench-press" both become "barbell bench press"
+export const normalizeExerciseName = (name = '') => {
+  const qualifiers = [...name.matchAll(/\(([^)]*)\)/g)].map(match => match[1]);
+  const base = name.replace(/\([^)]*\)/g, ' ');
+
+  const tokens = [...qualifiers, base]
+    .join(' ')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(token => token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token);
+
+  return [...new Set(tokens)].sort().join(' ');
+};
+
+const bigrams = (text) => {
+  const compact = text.replace(/\s+/g, '');
+  const grams = [];
+  for (let i = 0; i < compact.length - 1; i++) grams.push(compact.slice(i, i + 2));
+  return grams;
+};
+
+// Dice coefficient over character bigrams of the normalized names
+export const nameSimilarity = (a, b) => {
+  const left = normalizeExerciseName(a);
+  const right = normalizeExerciseName(b);
+  if (left === right) return 1;
+
+  const leftGrams = bigrams(left);
+  const rightGrams = bigrams(right);
+  if (!leftGrams.length || !rightGrams.length) return 0;
+
+  const counts = new Map();
+  leftGrams.forEach(gram => counts.set(gram, (counts.get(gram) || 0) + 1));
+
+  let shared = 0;
+  for (const gram of rightGrams) {
+    if (counts.get(gram) > 0) {
+      shared += 1;
+      counts.set(gram, counts.get(gram) - 1);
+    }
+  }
+
+  return (2 * shared) / (leftGrams.length + rightGrams.length);
+};
+
+// Best library match for a name, or null if nothing is similar enough
+export const matchExercise = (name, exercises, threshold = MATCH_THRESHOLD) => {
+  let best = null;
+
+  for (const exercise of exercises) {
+    const score = nameSimilarity(name, exercise.name);
+    if (!best || score > best.score) best = { exercise, score };
+  }
+
+  return best && best.score >= threshold
+    ? { exercise: best.exercise, score: Math.round(best.score * 100) / 100 }
+    : null;
+};
+
+// Equipment named in an exercise title, e.g. "Curl (Dumbbell)"
+export const equipmentFromName = (name = '') => {
+  const words = name.toLowerCase().split(/[^a-z]+/);
+  const equipment = words.map(word => EQUIPMENT_WORDS[word]).filter(Boolean);
+  return [...new Set(equipment)];
+};
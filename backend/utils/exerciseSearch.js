@@ -0,0 +1,65 @@
+// Exercise library search facets and substitution ranking
+
+const DIFFICULTY_LEVELS = ['beginner', 'intermediate', 'advanced'];
+
+const countBy = (field, unwind = false) => [
+  ...(unwind ? [{ $unwind: `$${field}` }] : []),
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } }
+];
+
+// $facet stage counting exercises per category, muscle group, equipment and difficulty
+export const exerciseFacetStage = () => ({
+  $facet: {
+    category: countBy('category'),
+    muscleGroups: countBy('muscleGroups', true),
+    equipment: countBy('equipment', true),
+    difficulty: countBy('difficulty')
+  }
+});
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive substring match on name and description, for searches the
+// text index can't answer (prefixes and partial words such as "bench")
+export const substringSearchFilter = (search) => {
+  const pattern = { $regex: escapeRegex(search), $options: 'i' };
+  return { $or: [{ name: pattern }, { description: pattern }] };
+};
+
+export const formatFacets = (facetResult = {}) => {
+  return Object.fromEntries(Object.entries(facetResult).map(([facet, buckets]) => [
+    facet,
+    buckets.filter(bucket => bucket._id !== null).map(bucket => ({ value: bucket._id, count: bucket.count }))
+  ]));
+};
+
+const overlap = (a = [], b = []) => {
+  const setB = new Set(b);
+  const shared = a.filter(item => setB.has(item));
+  const union = new Set([...a, ...b]);
+  return { shared, ratio: union.size ? shared.length / union.size : 0 };
+};
+
+// Score candidates by shared muscle groups, then category and difficulty
+export const rankAlternatives = (exercise, candidates, limit = 10) => {
+  const difficulty = DIFFICULTY_LEVELS.indexOf(exercise.difficulty);
+
+  return candidates
+    .map(candidate => {
+      const muscles = overlap(exercise.muscleGroups, candidate.muscleGroups);
+      const difficultyGap = Math.abs(DIFFICULTY_LEVELS.indexOf(candidate.difficulty) - difficulty);
+      const score = muscles.ratio * 0.7 +
+        (candidate.category === exercise.category ? 0.2 : 0) +
+        (difficultyGap === 0 ? 0.1 : difficultyGap === 1 ? 0.05 : 0);
+
+      return {
+        exercise: candidate,
+        score: Math.round(score * 100) / 100,
+        sharedMuscleGroups: muscles.shared
+      };
+    })
+    .filter(alternative => alternative.sharedMuscleGroups.length > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
@@ -0,0 +1,120 @@
+// Minimal decoder for Garmin FIT activity files: reads record (GPS/heart rate)
+// and sport messages and ignores everything else
+
+const FIT_EPOCH_OFFSET = 631065600; // seconds between 1970-01-01 and 1989-12-31
+const SEMICIRCLE_TO_DEGREES = 180 / 2 ** 31;
+
+const MESG_SPORT = 12;
+const MESG_RECORD = 20;
+
+// FIT sport enum values we map to names
+const SPORTS = { 0: 'generic', 1: 'running', 2: 'cycling', 5: 'swimming', 11: 'walking', 15: 'rowing', 17: 'hiking' };
+
+// Base type id -> [byte size, reader name, invalid value]
+const BASE_TYPES = {
+  0x00: [1, 'Uint8', 0xFF],
+  0x01: [1, 'Int8', 0x7F],
+  0x02: [1, 'Uint8', 0xFF],
+  0x83: [2, 'Int16', 0x7FFF],
+  0x84: [2, 'Uint16', 0xFFFF],
+  0x85: [4, 'Int32', 0x7FFFFFFF],
+  0x86: [4, 'Uint32', 0xFFFFFFFF],
+  0x88: [4, 'Float32', null],
+  0x89: [8, 'Float64', null],
+  0x0A: [1, 'Uint8', 0x00],
+  0x8B: [2, 'Uint16', 0x0000],
+  0x8C: [4, 'Uint32', 0x00000000]
+};
+
+const readField = (view, offset, size, baseType, littleEndian) => {
+  const type = BASE_TYPES[baseType];
+  // Arrays, strings and 64-bit values aren't needed for records
+  if (!type || type[0] !== size) return undefined;
+
+  const value = view[`get${type[1]}`](offset, littleEndian);
+  return value === type[2] ? undefined : value;
+};
+
+export const isFitFile = (buffer) => buffer.length > 12 && buffer.toString('ascii', 8, 12) === '.FIT';
+
+export const parseFit = (buffer) => {
+  if (!isFitFile(buffer)) {
+    throw new Error('Not a FIT file');
+  }
+
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  const headerSize = view.getUint8(0);
+  const end = Math.min(buffer.length, headerSize + view.getUint32(4, true));
+
+  const definitions = new Map();
+  const points = [];
+  let sport = null;
+  let lastTimestamp = 0;
+  let offset = headerSize;
+
+  while (offset < end) {
+    const header = view.getUint8(offset++);
+
+    // Compressed timestamp header: 5-bit offset from the last full timestamp
+    const compressed = (header & 0x80) !== 0;
+    const localType = compressed ? (header >> 5) & 0x03 : header & 0x0F;
+
+    if (!compressed && (header & 0x40)) {
+      const littleEndian = view.getUint8(offset + 1) === 0;
+      const globalNumber = view.getUint16(offset + 2, littleEndian);
+      const fieldCount = view.getUint8(offset + 4);
+      offset += 5;
+
+      const fields = [];
+      for (let i = 0; i < fieldCount; i++, offset += 3) {
+        fields.push({ number: view.getUint8(offset), size: view.getUint8(offset + 1), baseType: view.getUint8(offset + 2) });
+      }
+
+      let developerSize = 0;
+      if (header & 0x20) {
+        const developerCount = view.getUint8(offset++);
+        for (let i = 0; i < developerCount; i++, offset += 3) developerSize += view.getUint8(offset + 1);
+      }
+
+      definitions.set(localType, { globalNumber, littleEndian, fields, developerSize });
+      continue;
+    }
+
+    const definition = definitions.get(localType);
+    if (!definition) {
+      throw new Error('Malformed FIT file: data message without definition');
+    }
+
+    const values = {};
+    for (const field of definition.fields) {
+      values[field.number] = readField(view, offset, field.size, field.baseType, definition.littleEndian);
+      offset += field.size;
+    }
+    offset += definition.developerSize;
+
+    if (values[253] !== undefined) {
+      lastTimestamp = values[253];
+    } else if (compressed) {
+      const timeOffset = header & 0x1F;
+      lastTimestamp = (lastTimestamp & ~0x1F) + timeOffset + (timeOffset < (lastTimestamp & 0x1F) ? 0x20 : 0);
+    }
+
+    if (definition.globalNumber === MESG_SPORT && values[0] !== undefined) {
+      sport = SPORTS[values[0]] || 'other';
+    }
+
+    if (definition.globalNumber === MESG_RECORD && lastTimestamp) {
+      const altitude = values[78] ?? values[2];
+      points.push({
+        time: new Date((lastTimestamp + FIT_EPOCH_OFFSET) * 1000),
+        lat: values[0] !== undefined ? values[0] * SEMICIRCLE_TO_DEGREES : undefined,
+        lon: values[1] !== undefined ? values[1] * SEMICIRCLE_TO_DEGREES : undefined,
+        elevation: altitude !== undefined ? altitude / 5 - 500 : undefined,
+        heartRate: values[3],
+        distance: values[5] !== undefined ? values[5] / 100 : undefined
+      });
+    }
+  }
+
+  return { sport, points };
+};
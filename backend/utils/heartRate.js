@@ -0,0 +1,106 @@
+// Heart-rate zones, time in zone and TRIMP training load
+import { ageAt } from './userProfile.js';
+
+// Used for HR reserve and TRIMP when the user hasn't set a resting heart rate
+export const DEFAULT_RESTING_HEART_RATE = 60;
+
+// Zone boundaries as fractions of max HR or of HR reserve
+const ZONE_BOUNDS = [0.5, 0.6, 0.7, 0.8, 0.9, 1];
+const ZONE_NAMES = ['Recovery', 'Endurance', 'Tempo', 'Threshold', 'Maximum'];
+
+// Gaps longer than this (auto-pause, lost signal) aren't counted as time in zone
+const MAX_SAMPLE_GAP_SECONDS = 60;
+
+// Tanaka formula: 208 − 0.7 × age
+export const estimateMaxHeartRate = (dateOfBirth, at = new Date()) => {
+  return Math.round(208 - 0.7 * ageAt(dateOfBirth, at));
+};
+
+// Max and resting HR plus zone method for a user; null when max HR is unknown
+export const resolveHeartRateProfile = (user, at = new Date()) => {
+  const settings = user.heartRateProfile || {};
+  const maxHeartRate = settings.maxHeartRate || (user.dateOfBirth ? estimateMaxHeartRate(user.dateOfBirth, at) : null);
+  if (!maxHeartRate) return null;
+
+  return {
+    maxHeartRate,
+    maxHeartRateSource: settings.maxHeartRate ? 'manual' : 'age',
+    restingHeartRate: settings.restingHeartRate || DEFAULT_RESTING_HEART_RATE,
+    restingHeartRateSource: settings.restingHeartRate ? 'manual' : 'default',
+    method: settings.zoneMethod || 'max-hr'
+  };
+};
+
+export const heartRateZones = (profile) => {
+  const { maxHeartRate, restingHeartRate, method } = profile;
+  const bpm = (fraction) => method === 'hr-reserve'
+    ? Math.round(restingHeartRate + fraction * (maxHeartRate - restingHeartRate))
+    : Math.round(fraction * maxHeartRate);
+
+  return ZONE_NAMES.map((name, index) => ({
+    zone: index + 1,
+    name,
+    min: bpm(ZONE_BOUNDS[index]),
+    max: bpm(ZONE_BOUNDS[index + 1])
+  }));
+};
+
+// Each sample's heart rate applies until the next sample
+const intervals = (samples) => {
+  const timed = samples.filter(sample => Number.isFinite(sample.heartRate) && Number.isFinite(sample.time));
+  return timed.slice(0, -1)
+    .map((sample, index) => ({ heartRate: sample.heartRate, seconds: timed[index + 1].time - sample.time }))
+    .filter(interval => interval.seconds > 0 && interval.seconds <= MAX_SAMPLE_GAP_SECONDS);
+};
+
+// Seconds per zone; time below zone 1 is reported separately
+export const timeInZones = (samples, zones) => {
+  const result = { below: 0, zones: zones.map(zone => ({ zone: zone.zone, name: zone.name, seconds: 0 })) };
+
+  for (const { heartRate, seconds } of intervals(samples)) {
+    const index = zones.findLastIndex(zone => heartRate >= zone.min);
+    if (index === -1) result.below += seconds;
+    else result.zones[index].seconds += seconds;
+  }
+
+  return result;
+};
+
+// Banister TRIMP: minutes × HRr × 0.64·e^(1.92·HRr) (men) or 0.86·e^(1.67·HRr) (women),
+// where HRr is the fraction of heart-rate reserve
+const trimpWeight = (fraction, gender) => gender === 'female'
+  ? fraction * 0.86 * Math.exp(1.67 * fraction)
+  : fraction * 0.64 * Math.exp(1.92 * fraction);
+
+const reserveFraction = (heartRate, profile) => {
+  const fraction = (heartRate - profile.restingHeartRate) / (profile.maxHeartRate - profile.restingHeartRate);
+  return Math.min(1, Math.max(0, fraction));
+};
+
+export const sampleTrimp = (samples, profile, gender) => {
+  const trimp = intervals(samples).reduce((sum, { heartRate, seconds }) =>
+    sum + (seconds / 60) * trimpWeight(reserveFraction(heartRate, profile), gender), 0);
+  return Math.round(trimp * 10) / 10;
+};
+
+// Fallback for sessions with only an average heart rate
+export const averageTrimp = (averageHeartRate, minutes, profile, gender) => {
+  return Math.round(minutes * trimpWeight(reserveFraction(averageHeartRate, profile), gender) * 10) / 10;
+};
+
+// TRIMP for a session from its heart-rate samples, or from its average heart
+// rate and duration; null when the session has no heart-rate data
+export const sessionTrimp = (session, profile, gender) => {
+  const samples = session.track?.samples || [];
+  if (samples.some(sample => Number.isFinite(sample.heartRate))) {
+    return { trimp: sampleTrimp(samples, profile, gender), source: 'samples' };
+  }
+
+  const averageHeartRate = session.track?.averageHeartRate;
+  const minutes = session.track?.durationSeconds ? session.track.durationSeconds / 60 : session.totalDuration;
+  if (averageHeartRate && minutes) {
+    return { trimp: averageTrimp(averageHeartRate, minutes, profile, gender), source: 'average' };
+  }
+
+  return null;
+};
@@ -0,0 +1,127 @@
+// Live state of an in-progress workout session: current set, next target and rest timer
+import { isPerformedSet, refId } from './sessionComparison.js';
+import { expandPrescription } from './setPrescription.js';
+
+const secondsBetween = (from, to) => Math.max(0, Math.round((new Date(to) - new Date(from)) / 1000));
+
+// Seconds spent paused before `at`
+const pausedSeconds = (session, at) => (session.pauses || []).reduce((sum, pause) => {
+  const end = pause.endedAt && pause.endedAt < at ? pause.endedAt : at;
+  return pause.startedAt < end ? sum + secondsBetween(pause.startedAt, end) : sum;
+}, 0);
+
+// Hand out performed sets to routine entries in order, so an exercise that
+// appears twice fills its first occurrence before the second
+const allocateSets = (routine, session) => {
+  const queues = new Map();
+  for (const entry of session.actualExercises) {
+    const id = refId(entry.exercise);
+    queues.set(id, [...(queues.get(id) || []), ...entry.sets.filter(isPerformedSet)]);
+  }
+
+  return routine.exercises.map(entry => {
+    const queue = queues.get(refId(entry.exercise)) || [];
+    return queue.splice(0, entry.sets);
+  });
+};
+
+const lastLoggedSet = (session) => {
+  let last = null;
+  for (const entry of session.actualExercises) {
+    for (const set of entry.sets) {
+      if (set.loggedAt && (!last || set.loggedAt > last.set.loggedAt)) {
+        last = { exercise: entry.exercise, set };
+      }
+    }
+  }
+  return last;
+};
+
+// Rest prescribed after the given set of a routine entry. Within a superset or
+// circuit there is no rest until the block's last exercise.
+const restAfter = (routine, entryIndex, setIndex) => {
+  const entry = routine.exercises[entryIndex];
+  if (!entry) return 0;
+
+  if (entry.block) {
+    const blockEntries = routine.exercises
+      .map((e, index) => ({ e, index }))
+      .filter(({ e }) => e.block === entry.block);
+    const isLastInBlock = blockEntries[blockEntries.length - 1].index === entryIndex;
+    const block = routine.blocks?.find(b => b.key === entry.block);
+    if (!isLastInBlock) return 0;
+    if (block?.restBetweenRounds) return block.restBetweenRounds;
+  }
+
+  return entry.setPrescriptions?.[setIndex]?.restTime ?? entry.restTime ?? 0;
+};
+
+export const buildLiveState = (session, routine, trainingMaxes = [], now = new Date()) => {
+  const clock = session.status === 'paused'
+    ? session.pauses.find(pause => !pause.endedAt)?.startedAt || now
+    : now;
+
+  const allocated = allocateSets(routine, session);
+  const targets = routine.exercises.map(entry => expandPrescription(entry, trainingMaxes));
+  const totalSets = targets.reduce((sum, sets) => sum + sets.length, 0);
+  const completedSets = allocated.reduce((sum, sets, index) => sum + Math.min(sets.length, targets[index].length), 0);
+
+  // Manual cursor wins while that exercise still has sets left
+  const firstOpen = allocated.findIndex((sets, index) => sets.length < targets[index].length);
+  const cursor = session.liveState?.exerciseIndex;
+  const currentIndex = cursor !== undefined && cursor !== null && allocated[cursor]?.length < targets[cursor]?.length
+    ? cursor
+    : firstOpen;
+
+  const current = currentIndex >= 0
+    ? {
+      exerciseIndex: currentIndex,
+      exercise: routine.exercises[currentIndex].exercise,
+      block: routine.exercises[currentIndex].block,
+      setNumber: allocated[currentIndex].length + 1,
+      totalSets: targets[currentIndex].length
+    }
+    : null;
+
+  const nextSet = current ? targets[currentIndex][current.setNumber - 1] : null;
+
+  // Rest counts down from the last logged set, minus any time spent paused
+  const last = lastLoggedSet(session);
+  let rest = null;
+  if (last && current) {
+    const lastIndex = allocated.findIndex(sets => sets.includes(last.set));
+    const setIndex = lastIndex >= 0 ? allocated[lastIndex].indexOf(last.set) : 0;
+    // A manual override (skip or extend) lasts until the next set is logged
+    const override = session.liveState?.restSeconds;
+    const duration = override ?? restAfter(routine, lastIndex, setIndex);
+    const restAnchor = last.set.loggedAt;
+    const elapsed = secondsBetween(restAnchor, clock) - (pausedSeconds(session, clock) - pausedSeconds(session, restAnchor));
+
+    rest = {
+      startedAt: restAnchor,
+      duration,
+      elapsed,
+      remaining: Math.max(0, duration - elapsed),
+      isResting: elapsed < duration
+    };
+  }
+
+  return {
+    sessionId: session._id,
+    status: session.status,
+    elapsedSeconds: session.startTime
+      ? secondsBetween(session.startTime, clock) - pausedSeconds(session, clock)
+      : 0,
+    current,
+    nextSet,
+    rest,
+    progress: {
+      completedSets,
+      totalSets,
+      percentage: totalSets ? Math.round((completedSets / totalSets) * 1000) / 10 : 0,
+      isFinished: currentIndex < 0
+    },
+    updatedAt: session.liveState?.updatedAt || session.updatedAt,
+    serverTime: now
+  };
+};
@@ -0,0 +1,152 @@
+// Micronutrient catalog, per-food amounts, totals and recommended daily intakes
+import { round } from './units.js';
+import { ageAt } from './userProfile.js';
+
+// `path` is where the amount per 100 g lives under Food.nutritionPer100g
+export const MICRONUTRIENTS = [
+  { key: 'fiber', path: 'fiber', label: 'Fiber', unit: 'g' },
+  { key: 'sugar', path: 'sugar', label: 'Sugar', unit: 'g' },
+  { key: 'saturatedFat', path: 'saturatedFat', label: 'Saturated fat', unit: 'g' },
+  { key: 'transFat', path: 'transFat', label: 'Trans fat', unit: 'g' },
+  { key: 'cholesterol', path: 'cholesterol', label: 'Cholesterol', unit: 'mg' },
+  { key: 'sodium', path: 'sodium', label: 'Sodium', unit: 'mg' },
+  { key: 'potassium', path: 'potassium', label: 'Potassium', unit: 'mg' },
+  { key: 'vitaminA', path: 'vitamins.a', label: 'Vitamin A', unit: 'µg' },
+  { key: 'vitaminC', path: 'vitamins.c', label: 'Vitamin C', unit: 'mg' },
+  { key: 'vitaminD', path: 'vitamins.d', label: 'Vitamin D', unit: 'µg' },
+  { key: 'vitaminE', path: 'vitamins.e', label: 'Vitamin E', unit: 'mg' },
+  { key: 'vitaminK', path: 'vitamins.k', label: 'Vitamin K', unit: 'µg' },
+  { key: 'thiamin', path: 'vitamins.thiamin', label: 'Thiamin (B1)', unit: 'mg' },
+  { key: 'riboflavin', path: 'vitamins.riboflavin', label: 'Riboflavin (B2)', unit: 'mg' },
+  { key: 'niacin', path: 'vitamins.niacin', label: 'Niacin (B3)', unit: 'mg' },
+  { key: 'vitaminB6', path: 'vitamins.b6', label: 'Vitamin B6', unit: 'mg' },
+  { key: 'folate', path: 'vitamins.folate', label: 'Folate', unit: 'µg' },
+  { key: 'vitaminB12', path: 'vitamins.b12', label: 'Vitamin B12', unit: 'µg' },
+  { key: 'calcium', path: 'minerals.calcium', label: 'Calcium', unit: 'mg' },
+  { key: 'iron', path: 'minerals.iron', label: 'Iron', unit: 'mg' },
+  { key: 'magnesium', path: 'minerals.magnesium', label: 'Magnesium', unit: 'mg' },
+  { key: 'zinc', path: 'minerals.zinc', label: 'Zinc', unit: 'mg' },
+  { key: 'phosphorus', path: 'minerals.phosphorus', label: 'Phosphorus', unit: 'mg' },
+  { key: 'selenium', path: 'minerals.selenium', label: 'Selenium', unit: 'µg' }
+];
+
+// Recommended daily intakes (RDA or AI) as [from age, male, female] rows
+const DAILY_TARGETS = {
+  fiber: [[14, 38, 26], [19, 38, 25], [51, 30, 21]],
+  potassium: [[14, 3000, 2300], [19, 3400, 2600]],
+  vitaminA: [[14, 900, 700]],
+  vitaminC: [[14, 75, 65], [19, 90, 75]],
+  vitaminD: [[14, 15, 15], [71, 20, 20]],
+  vitaminE: [[14, 15, 15]],
+  vitaminK: [[14, 75, 75], [19, 120, 90]],
+  thiamin: [[14, 1.2, 1.0], [19, 1.2, 1.1]],
+  riboflavin: [[14, 1.3, 1.0], [19, 1.3, 1.1]],
+  niacin: [[14, 16, 14]],
+  vitaminB6: [[14, 1.3, 1.2], [19, 1.3, 1.3], [51, 1.7, 1.5]],
+  folate: [[14, 400, 400]],
+  vitaminB12: [[14, 2.4, 2.4]],
+  calcium: [[14, 1300, 1300], [19, 1000, 1000], [51, 1000, 1200], [71, 1200, 1200]],
+  iron: [[14, 11, 15], [19, 8, 18], [51, 8, 8]],
+  magnesium: [[14, 410, 360], [19, 400, 310], [31, 420, 320]],
+  zinc: [[14, 11, 9], [19, 11, 8]],
+  phosphorus: [[14, 1250, 1250], [19, 700, 700]],
+  selenium: [[14, 55, 55]]
+};
+
+// Daily upper limits; saturated and trans fat are shares of energy intake
+const SODIUM_LIMIT_MG = 2300;
+const CHOLESTEROL_LIMIT_MG = 300;
+const SATURATED_FAT_ENERGY_SHARE = 0.1;
+const TRANS_FAT_ENERGY_SHARE = 0.01;
+const DEFAULT_CALORIES = 2000;
+const DEFAULT_AGE = 30;
+
+// Share of a target below which intake is reported as low
+const LOW_INTAKE_SHARE = 0.67;
+
+const valueAt = (source, path) => path.split('.').reduce((value, key) => value?.[key], source);
+
+// Mongoose Maps and plain objects alike
+const amountsOf = (amounts) => amounts instanceof Map ? Object.fromEntries(amounts) : amounts || {};
+
+// Micronutrients in an amount of food, for the nutrients the food records
+export const foodMicronutrients = (food, grams) => {
+  const amounts = {};
+  for (const { key, path } of MICRONUTRIENTS) {
+    const per100g = valueAt(food.nutritionPer100g, path);
+    if (Number.isFinite(per100g)) amounts[key] = round(per100g * grams / 100, 2);
+  }
+  return amounts;
+};
+
+export const sumMicronutrients = (items) => {
+  const totals = {};
+  for (const item of items) {
+    for (const [key, amount] of Object.entries(amountsOf(item.micronutrients))) {
+      totals[key] = (totals[key] || 0) + amount;
+    }
+  }
+  return Object.fromEntries(Object.entries(totals).map(([key, amount]) => [key, round(amount, 2)]));
+};
+
+const targetFor = (rows, age, gender) => {
+  const row = [...rows].reverse().find(([fromAge]) => age >= fromAge) || rows[0];
+  if (gender === 'male') return row[1];
+  if (gender === 'female') return row[2];
+  return round((row[1] + row[2]) / 2, 1);
+};
+
+// Recommended daily amounts for a user: { key: { amount, type } } where type
+// is 'target' (eat at least) or 'limit' (stay below)
+export const recommendedIntakes = (user, { calories, at = new Date() } = {}) => {
+  const age = user.dateOfBirth ? ageAt(user.dateOfBirth, at) : DEFAULT_AGE;
+  const energy = calories || DEFAULT_CALORIES;
+
+  const intakes = Object.fromEntries(Object.entries(DAILY_TARGETS).map(([key, rows]) =>
+    [key, { amount: targetFor(rows, age, user.gender), type: 'target' }]
+  ));
+
+  intakes.sodium = { amount: SODIUM_LIMIT_MG, type: 'limit' };
+  intakes.cholesterol = { amount: CHOLESTEROL_LIMIT_MG, type: 'limit' };
+  intakes.saturatedFat = { amount: round(energy * SATURATED_FAT_ENERGY_SHARE / 9, 1), type: 'limit' };
+  intakes.transFat = { amount: round(energy * TRANS_FAT_ENERGY_SHARE / 9, 1), type: 'limit' };
+
+  return intakes;
+};
+
+// Average daily intake of each micronutrient against the recommendation.
+// `days` are daily totals ({ calories, micronutrients }); nutrients no logged
+// food recorded are left out. Each nutrient is averaged over the days that
+// have data for it, so days logged before it was tracked don't lower it.
+export const micronutrientReport = (days, user, options = {}) => {
+  if (!days.length) return [];
+
+  const averageCalories = days.reduce((sum, day) => sum + (day.calories || 0), 0) / days.length;
+  const intakes = recommendedIntakes(user, { ...options, calories: options.calories || averageCalories });
+  const perDay = days.map(day => amountsOf(day.micronutrients));
+
+  return MICRONUTRIENTS
+    .filter(({ key }) => perDay.some(amounts => amounts[key] !== undefined))
+    .map(({ key, label, unit }) => {
+      const recorded = perDay.filter(amounts => amounts[key] !== undefined);
+      const average = recorded.reduce((sum, amounts) => sum + amounts[key], 0) / recorded.length;
+      const recommendation = intakes[key];
+      const percent = recommendation ? Math.round(average / recommendation.amount * 100) : null;
+
+      let status = null;
+      if (recommendation?.type === 'target') status = percent < LOW_INTAKE_SHARE * 100 ? 'low' : 'adequate';
+      if (recommendation?.type === 'limit') status = percent > 100 ? 'over' : 'within';
+
+      return {
+        key,
+        label,
+        unit,
+        averageDaily: round(average, 2),
+        recommended: recommendation?.amount ?? null,
+        type: recommendation?.type ?? null,
+        percentOfRecommended: percent,
+        status,
+        daysWithData: recorded.length
+      };
+    });
+};
@@ -0,0 +1,109 @@
+// Converting logged food quantities to grams and grams to nutrition
+import { round } from './units.js';
+import { foodMicronutrients, sumMicronutrients } from './micronutrients.js';
+
+export const GRAMS_PER_OZ = 28.3495;
+export const ML_PER_CUP = 236.588;
+
+// Typical density (g/ml) for food categories, used for volume units when a
+// food has no density of its own
+export const CATEGORY_DENSITY = {
+  beverages: 1.0,
+  dairy: 1.03,
+  'fats-oils': 0.92,
+  condiments: 1.1
+};
+
+export const NUTRIENT_FIELDS = ['calories', 'protein', 'carbohydrates', 'fat'];
+
+const densityOf = (food) => food.density || CATEGORY_DENSITY[food.category] || null;
+
+// Serving names that count as one piece
+const PIECE_NAMES = ['piece', 'slice', 'item', 'each', 'unit', 'whole'];
+
+const servingName = (name) => name.trim().toLowerCase().replace(/^(1|one|a)\s+/, '').replace(/s$/, '');
+
+// Grams in one of a serving size. A serving's unit is the unit of its weight
+// (g, ml or oz); 'cup' and 'piece' servings give the weight of one cup or
+// piece in grams.
+const servingGrams = (food, serving) => {
+  if (serving.unit === 'ml') return densityOf(food) ? serving.weight * densityOf(food) : null;
+  if (serving.unit === 'oz') return serving.weight * GRAMS_PER_OZ;
+  return serving.weight;
+};
+
+// Serving that defines a unit, by its unit or by its name ("1 cup", "slices")
+const servingForUnit = (food, unit) => {
+  const names = unit === 'piece' ? PIECE_NAMES : [unit];
+  const servings = food.servingSizes || [];
+  return servings.find(serving => serving.unit === unit) ||
+    servings.find(serving => names.includes(servingName(serving.name)));
+};
+
+// Grams in one unit of a food, or null when the unit can't be resolved
+export const gramsPerUnit = (food, unit) => {
+  if (unit === 'g') return 1;
+  if (unit === 'oz') return GRAMS_PER_OZ;
+
+  if (unit === 'cup' || unit === 'piece') {
+    const serving = servingForUnit(food, unit);
+    if (serving) return servingGrams(food, serving);
+    if (unit === 'piece') return null;
+    return densityOf(food) ? ML_PER_CUP * densityOf(food) : null;
+  }
+
+  if (unit === 'ml') return densityOf(food);
+
+  return null;
+};
+
+export const unresolvedUnitMessage = (food, unit) => unit === 'piece'
+  ? `Cannot log '${food.name}' in pieces: the food has no piece serving size`
+  : `Cannot convert '${unit}' to grams for '${food.name}': the food has no matching serving size or density`;
+
+// Nutrition for an amount of food from its per-100 g values
+export const nutritionForGrams = (food, grams) => {
+  const multiplier = grams / 100;
+  return Object.fromEntries(NUTRIENT_FIELDS.map(field =>
+    [field, round((food.nutritionPer100g[field] || 0) * multiplier, 1)]
+  ));
+};
+
+// A logged food item: grams plus the nutrition it contributes, or null when
+// the unit can't be converted for this food
+export const calculateFoodItem = (food, quantity, unit) => {
+  const perUnit = gramsPerUnit(food, unit);
+  if (perUnit === null) return null;
+
+  const grams = round(quantity * perUnit, 1);
+  return {
+    food: food._id,
+    quantity,
+    unit,
+    grams,
+    ...nutritionForGrams(food, grams),
+    micronutrients: foodMicronutrients(food, grams)
+  };
+};
+
+// Meal and daily totals from calculated food items
+export const sumNutrition = (items) => {
+  const totals = Object.fromEntries(NUTRIENT_FIELDS.map(field => [field, 0]));
+  for (const item of items) {
+    NUTRIENT_FIELDS.forEach(field => { totals[field] += item[field] || 0; });
+  }
+  return Object.fromEntries(NUTRIENT_FIELDS.map(field => [field, round(totals[field], 1)]));
+};
+
+// Recompute each meal's calories and micronutrients and the day's totals of a
+// NutritionEntry
+export const applyEntryTotals = (entry) => {
+  for (const meal of entry.meals) {
+    meal.totalCalories = sumNutrition(meal.foods).calories;
+    meal.micronutrients = sumMicronutrients(meal.foods);
+  }
+
+  const foods = entry.meals.flatMap(meal => meal.foods);
+  entry.dailyTotals = { ...sumNutrition(foods), micronutrients: sumMicronutrients(foods) };
+  return entry.dailyTotals;
+};
@@ -0,0 +1,117 @@
+// Calculating logged foods against the Food collection and saving them to
+// the day's entry, shared by the nutrition routes and offline sync
+import mongoose from 'mongoose';
+import { Food, NutritionEntry } from '../models/index.js';
+import { calculateFoodItem, unresolvedUnitMessage, applyEntryTotals } from './nutritionCalculation.js';
+import { startOfDay } from './programSchedule.js';
+
+// Attempts at saving a day's entry when another device changed it meanwhile
+const MAX_SAVE_ATTEMPTS = 3;
+
+// Calculate a food item, or { status, error } when the food is missing or the
+// unit can't be converted
+export const resolveFoodItem = async (foodId, quantity, unit) => {
+  const food = await Food.findById(foodId);
+  if (!food) {
+    return { status: 400, error: `Food with ID ${foodId} not found` };
+  }
+
+  const item = calculateFoodItem(food, quantity, unit);
+  if (!item) {
+    return { status: 400, error: unresolvedUnitMessage(food, unit), food: food._id, unit };
+  }
+
+  return { item };
+};
+
+// Calculate every food of posted meals. Returns { meals }, or { status, error }
+// for the first food that can't be calculated.
+export const resolveMeals = async (meals) => {
+  const resolvedMeals = [];
+
+  for (const meal of meals) {
+    const foods = [];
+    for (const foodItem of meal.foods || []) {
+      const resolved = await resolveFoodItem(foodItem.food, foodItem.quantity, foodItem.unit || 'g');
+      if (resolved.error) return resolved;
+      foods.push(resolved.item);
+    }
+    resolvedMeals.push({ type: meal.type, foods, notes: meal.notes });
+  }
+
+  return { meals: resolvedMeals };
+};
+
+export const dayRange = (date) => {
+  const start = startOfDay(date);
+  return { $gte: start, $lt: new Date(start.getTime() + 24 * 60 * 60 * 1000) };
+};
+
+// Load the day's entry, apply `change` and save with recomputed totals.
+// `change` returns { status, error } to abort, or extra fields for the
+// response. Entries use optimistic concurrency, so when another device saved
+// the entry first the change is re-applied to a fresh copy instead of
+// overwriting the other edit. Likewise when another request created the day's
+// entry first, the change goes to that entry instead of a second one. A new
+// entry gets `id` when given.
+export const updateDayEntry = async (userId, date, { create = false, id }, change) => {
+  for (let attempt = 1; ; attempt++) {
+    let entry = await NutritionEntry.findOne({ user: userId, date: dayRange(date) });
+    if (!entry) {
+      if (!create) return { status: 404, error: 'No nutrition entry found for this date' };
+      entry = new NutritionEntry({ _id: id, user: userId, date: startOfDay(date), meals: [] });
+    }
+
+    const result = await change(entry);
+    if (result.error) return result;
+
+    applyEntryTotals(entry);
+
+    const creating = entry.isNew;
+    try {
+      await entry.save();
+      return { entry, ...result };
+    } catch (error) {
+      const raced = error instanceof mongoose.Error.VersionError || (creating && error.code === 11000);
+      if (!raced || attempt === MAX_SAVE_ATTEMPTS) throw error;
+    }
+  }
+};
+
+export const findOrAddMeal = (entry, type) => {
+  let meal = entry.meals.find(m => m.type === type);
+  if (!meal) {
+    entry.meals.push({ type, foods: [] });
+    meal = entry.meals[entry.meals.length - 1];
+  }
+  return meal;
+};
+
+// Add calculated meals to the entry's meals of the same type
+export const mergeMeals = (entry, meals) => {
+  for (const meal of meals) {
+    const target = findOrAddMeal(entry, meal.type);
+    target.foods.push(...meal.foods);
+    if (meal.notes !== undefined) target.notes = meal.notes;
+  }
+};
+
+// Fold other entries for the same day into `entry`: their foods join its meals
+// of the same type, and water logged in the same unit is added up
+export const mergeDayEntries = (entry, duplicates) => {
+  for (const duplicate of duplicates) {
+    for (const meal of duplicate.meals) {
+      const target = findOrAddMeal(entry, meal.type);
+      target.foods.push(...meal.foods.map(food => food.toObject()));
+      if (!target.notes && meal.notes) target.notes = meal.notes;
+    }
+
+    const water = duplicate.waterIntake;
+    if (!water?.amount) continue;
+    if (!entry.waterIntake?.amount) {
+      entry.waterIntake = { amount: water.amount, unit: water.unit };
+    } else if (entry.waterIntake.unit === water.unit) {
+      entry.waterIntake.amount += water.amount;
+    }
+  }
+};
@@ -0,0 +1,188 @@
+// BMR, TDEE and daily calorie and macro targets
+import { NutritionEntry } from '../models/index.js';
+import { startOfDay } from './programSchedule.js';
+import { toKg, toCm, round } from './units.js';
+import { latestBodyWeight, latestBodyFat } from './bodyMetrics.js';
+import { ageAt } from './userProfile.js';
+import { NUTRIENT_FIELDS } from './nutritionCalculation.js';
+
+export const ACTIVITY_MULTIPLIERS = {
+  sedentary: 1.2,
+  light: 1.375,
+  moderate: 1.55,
+  active: 1.725,
+  'very-active': 1.9
+};
+
+export const BMR_FORMULAS = ['auto', 'mifflin-st-jeor', 'katch-mcardle'];
+
+// Goal types that change calorie targets
+export const TARGET_GOAL_TYPES = ['weight-loss', 'weight-gain', 'muscle-gain'];
+
+// Energy in one kilogram of body weight change
+export const KCAL_PER_KG = 7700;
+
+// Default and maximum weekly weight change (kg) per goal type
+const GOAL_RATES = {
+  'weight-loss': { default: -0.5, max: -1 },
+  'weight-gain': { default: 0.3, max: 0.5 },
+  'muscle-gain': { default: 0.25, max: 0.5 }
+};
+
+// Protein in g per kg of body weight; fat as a share of calories
+const PROTEIN_PER_KG = {
+  maintenance: 1.6,
+  'weight-loss': 2.0,
+  'weight-gain': 1.8,
+  'muscle-gain': 2.0
+};
+const FAT_SHARE = 0.25;
+
+// Calorie targets never go below these
+const MIN_CALORIES = { male: 1500, female: 1200, other: 1350 };
+
+export const minimumCalories = (gender) => MIN_CALORIES[gender] || MIN_CALORIES.other;
+
+// Stored targets aren't recalculated when weight or goals change; past this
+// age clients should suggest recalculating them
+const STALE_TARGET_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Mifflin-St Jeor: 10·kg + 6.25·cm − 5·age + 5 (men) or − 161 (women);
+// other genders use the midpoint
+export const mifflinStJeor = ({ weightKg, heightCm, age, gender }) => {
+  const offset = gender === 'male' ? 5 : gender === 'female' ? -161 : -78;
+  return Math.round(10 * weightKg + 6.25 * heightCm - 5 * age + offset);
+};
+
+// Katch-McArdle: 370 + 21.6 × lean body mass (kg)
+export const katchMcArdle = ({ weightKg, bodyFatPercentage }) => {
+  return Math.round(370 + 21.6 * weightKg * (1 - bodyFatPercentage / 100));
+};
+
+// BMR with the requested formula. 'auto' prefers Katch-McArdle when body fat
+// is known. Returns { error } when the formula's inputs are missing.
+export const calculateBmr = (profile, formula = 'auto') => {
+  if (!profile.weightKg) return { error: 'Log your body weight to calculate targets' };
+
+  const useKatch = formula === 'katch-mcardle' || (formula === 'auto' && profile.bodyFatPercentage);
+  if (useKatch) {
+    if (!profile.bodyFatPercentage) return { error: 'Log your body fat percentage to use Katch-McArdle' };
+    return { bmr: katchMcArdle(profile), formula: 'katch-mcardle' };
+  }
+
+  if (!profile.heightCm || !Number.isFinite(profile.age)) {
+    return { error: 'Add your height and date of birth to your profile to calculate targets' };
+  }
+  return { bmr: mifflinStJeor(profile), formula: 'mifflin-st-jeor' };
+};
+
+// Weight (kg) a goal still has to lose or gain, or null when the goal isn't
+// measured in kg or lbs. Goals count currentValue up to targetValue, so
+// targetValue is the amount to change, not a target body weight.
+export const remainingGoalKg = (goal) => {
+  if (!['kg', 'lbs'].includes(goal.unit) || !goal.targetValue) return null;
+  return toKg({ value: Math.max(0, goal.targetValue - (goal.currentValue || 0)), unit: goal.unit });
+};
+
+// Daily calorie change for a goal: the pace needed to change the remaining
+// weight by the target date, capped at a safe rate, or the goal type's
+// default pace. A weight goal already reached needs no change.
+export const goalCalorieAdjustment = (goal, now = new Date()) => {
+  if (!goal || !GOAL_RATES[goal.type]) return { kgPerWeek: 0, calories: 0 };
+
+  const remainingKg = remainingGoalKg(goal);
+  if (remainingKg === 0) return { kgPerWeek: 0, calories: 0 };
+
+  const rates = GOAL_RATES[goal.type];
+  let kgPerWeek = rates.default;
+
+  const weeksLeft = goal.targetDate ? (new Date(goal.targetDate) - now) / (7 * DAY_MS) : null;
+
+  if (remainingKg && weeksLeft > 0) {
+    const needed = Math.sign(rates.default) * remainingKg / weeksLeft;
+    kgPerWeek = Math.abs(needed) > Math.abs(rates.max) ? rates.max : needed;
+  }
+
+  return { kgPerWeek: round(kgPerWeek), calories: Math.round(kgPerWeek * KCAL_PER_KG / 7) };
+};
+
+// Calorie and macro targets from BMR, activity level and goal
+export const calculateTargets = ({ bmr, activityLevel, weightKg, gender, goal, now }) => {
+  const tdee = Math.round(bmr * ACTIVITY_MULTIPLIERS[activityLevel]);
+  const adjustment = goalCalorieAdjustment(goal, now);
+  const calories = Math.max(minimumCalories(gender), tdee + adjustment.calories);
+
+  const protein = Math.round(weightKg * (PROTEIN_PER_KG[goal?.type] || PROTEIN_PER_KG.maintenance));
+  const fat = Math.round(calories * FAT_SHARE / 9);
+  const carbohydrates = Math.max(0, Math.round((calories - protein * 4 - fat * 9) / 4));
+
+  return {
+    bmr,
+    tdee,
+    calories,
+    protein,
+    carbohydrates,
+    fat,
+    weeklyWeightChange: adjustment.kgPerWeek
+  };
+};
+
+// The goal targets follow: the highest-priority active weight or muscle goal
+export const pickTargetGoal = (goals) => {
+  const priority = { high: 0, medium: 1, low: 2 };
+  return goals
+    .filter(goal => goal.status === 'active' && TARGET_GOAL_TYPES.includes(goal.type))
+    .sort((a, b) => priority[a.priority] - priority[b.priority] || new Date(b.createdAt) - new Date(a.createdAt))[0] || null;
+};
+
+// How long ago stored targets were calculated, or null when they never were
+export const targetsAge = (targets, now = new Date()) => {
+  if (!targets?.calculatedAt) return null;
+  const ageDays = Math.floor((now - new Date(targets.calculatedAt)) / DAY_MS);
+  return { calculatedAt: targets.calculatedAt, ageDays, stale: ageDays > STALE_TARGET_DAYS };
+};
+
+// What's left of the day's targets after what has been eaten
+export const remainingTargets = (targets, consumed) => {
+  return Object.fromEntries(NUTRIENT_FIELDS.map(field => [field, round((targets[field] || 0) - (consumed?.[field] || 0), 1)]));
+};
+
+// Measurements BMR is calculated from: profile details plus the latest
+// logged weight and body fat
+export const targetProfile = async (user, at = new Date()) => {
+  const [weight, bodyFat] = await Promise.all([
+    latestBodyWeight(user._id, at),
+    latestBodyFat(user._id, at)
+  ]);
+
+  return {
+    weightKg: weight ? round(weight.kg, 1) : null,
+    bodyFatPercentage: bodyFat?.percentage ?? null,
+    heightCm: user.height?.value ? round(toCm(user.height), 1) : null,
+    age: user.dateOfBirth ? ageAt(user.dateOfBirth, at) : null,
+    gender: user.gender
+  };
+};
+
+// Stored targets with today's intake and what remains, or null without targets
+export const dailyTargetProgress = async (user, date = new Date()) => {
+  const targets = user.nutritionTargets;
+  if (!targets?.calories) return null;
+
+  const start = startOfDay(date);
+  const entry = await NutritionEntry.findOne({
+    user: user._id,
+    date: { $gte: start, $lt: new Date(start.getTime() + DAY_MS) }
+  }).select('dailyTotals');
+
+  const consumed = Object.fromEntries(NUTRIENT_FIELDS.map(field => [field, entry?.dailyTotals?.[field] || 0]));
+
+  return {
+    date: start,
+    targets: Object.fromEntries(NUTRIENT_FIELDS.map(field => [field, targets[field]])),
+    consumed,
+    remaining: remainingTargets(targets, consumed)
+  };
+};
@@ -0,0 +1,18 @@
+// Estimated one-rep-max formulas
+
+// Estimates above this rep count are too unreliable to be useful
+export const MAX_REPS_FOR_ESTIMATE = 12;
+
+export const epley = (weight, reps) => (reps === 1 ? weight : weight * (1 + reps / 30));
+
+export const brzycki = (weight, reps) => weight * (36 / (37 - reps));
+
+export const lombardi = (weight, reps) => weight * Math.pow(reps, 0.1);
+
+export const ONE_REP_MAX_FORMULAS = { epley, brzycki, lombardi };
+
+export const estimateOneRepMax = (weight, reps, formula = 'epley') => {
+  if (!(weight > 0) || !(reps >= 1) || reps > MAX_REPS_FOR_ESTIMATE) return null;
+  const estimate = ONE_REP_MAX_FORMULAS[formula] || epley;
+  return estimate(weight, reps);
+};
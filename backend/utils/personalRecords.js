@@ -0,0 +1,274 @@
+// Personal record detection from logged workout session sets
+import { Progress, Notification, WorkoutSession } from '../models/index.js';
+import { estimateOneRepMax } from './oneRepMax.js';
+import { isWorkingSet, refId } from './sessionComparison.js';
+import { toKg, toKm, round } from './units.js';
+import { STANDARD_DISTANCES, setEffort, trackBestEfforts } from './bestEfforts.js';
+
+const METRIC_LABELS = {
+  'max-weight': 'Heaviest weight',
+  'max-reps': 'Most reps',
+  'estimated-1rm': 'Estimated 1RM',
+  distance: 'Longest distance',
+  'best-time': 'Fastest time'
+};
+
+// Metrics where a lower value is better
+const LOWER_IS_BETTER = ['best-time'];
+
+const isBetter = (metric, value, best) => {
+  return LOWER_IS_BETTER.includes(metric) ? value < best : value > best;
+};
+
+// Candidate records a single set could set, keyed by metric and reference
+export const extractSetCandidates = (set) => {
+  const candidates = [];
+  const weight = round(toKg(set.weight));
+  const distance = round(toKm(set.distance));
+  const reps = set.reps || 0;
+
+  if (weight > 0 && reps >= 1) {
+    candidates.push({ metric: 'max-weight', value: weight, unit: 'kg' });
+
+    const oneRepMax = estimateOneRepMax(weight, reps);
+    if (oneRepMax) {
+      candidates.push({ metric: 'estimated-1rm', value: round(oneRepMax), unit: 'kg' });
+    }
+  }
+
+  if (reps >= 1) {
+    // Reps are only comparable at the same load, rounded to the nearest 0.5 kg
+    candidates.push({
+      metric: 'max-reps',
+      value: reps,
+      unit: 'reps',
+      reference: { value: Math.round(weight * 2) / 2, unit: 'kg' }
+    });
+  }
+
+  if (distance > 0) {
+    candidates.push({ metric: 'distance', value: distance, unit: 'km' });
+
+    // Times are only comparable at standard distances; near misses are scaled
+    for (const standard of STANDARD_DISTANCES) {
+      const seconds = setEffort(set, standard.km);
+      if (seconds) {
+        candidates.push({
+          metric: 'best-time',
+          value: seconds,
+          unit: 'seconds',
+          reference: { value: standard.km, unit: 'km' }
+        });
+      }
+    }
+  }
+
+  return candidates;
+};
+
+const candidateKey = (exerciseId, candidate) => {
+  return [exerciseId, candidate.metric, candidate.reference?.value ?? ''].join(':');
+};
+
+// Best-time candidates from efforts found in a GPS track (see sessionBestEfforts)
+export const effortCandidates = (efforts, date) => {
+  return efforts.map(effort => ({
+    metric: 'best-time',
+    value: effort.seconds,
+    unit: 'seconds',
+    reference: { value: effort.km, unit: 'km' },
+    exercise: refId(effort.exercise),
+    date
+  }));
+};
+
+// Keep only the best candidate per exercise, metric and reference
+export const bestCandidates = (loggedSets, extraCandidates = []) => {
+  const best = new Map();
+  const consider = (candidate) => {
+    const key = candidateKey(candidate.exercise, candidate);
+    const current = best.get(key);
+    if (!current || isBetter(candidate.metric, candidate.value, current.value)) {
+      best.set(key, candidate);
+    }
+  };
+
+  for (const { exercise, set } of loggedSets) {
+    if (!isWorkingSet(set)) continue;
+    const exerciseId = refId(exercise);
+    for (const candidate of extractSetCandidates(set)) {
+      consider({ ...candidate, exercise: exerciseId, date: set.loggedAt });
+    }
+  }
+  extraCandidates.forEach(consider);
+
+  return [...best.values()];
+};
+
+// Records are only compared in the candidate's unit, so manual entries in lbs
+// or minutes neither beat nor block detected records
+export const recordFilter = (userId, candidate) => {
+  const filter = {
+    user: userId,
+    type: 'performance',
+    'performance.exercise': candidate.exercise,
+    'performance.metric': candidate.metric,
+    'performance.unit': candidate.unit
+  };
+  if (candidate.reference) {
+    filter['performance.reference.value'] = candidate.reference.value;
+  }
+  return filter;
+};
+
+// Check logged sets against the user's existing records and store any new ones
+// as performance Progress entries. Records broken again within the same session
+// update that session's entry instead of adding another one. The first record for
+// a metric is stored as a baseline without a notification.
+export const detectPersonalRecords = async ({ userId, session, loggedSets, extraCandidates = [] }) => {
+  const records = [];
+
+  for (const candidate of bestCandidates(loggedSets, extraCandidates)) {
+    const filter = recordFilter(userId, candidate);
+    const sortOrder = LOWER_IS_BETTER.includes(candidate.metric) ? 1 : -1;
+
+    const [previousBest, sessionEntry] = await Promise.all([
+      Progress.findOne({ ...filter, 'performance.session': { $ne: session._id } })
+        .sort({ 'performance.value': sortOrder }),
+      Progress.findOne({ ...filter, 'performance.session': session._id })
+    ]);
+
+    if (previousBest && !isBetter(candidate.metric, candidate.value, previousBest.performance.value)) {
+      continue;
+    }
+
+    if (sessionEntry) {
+      if (!isBetter(candidate.metric, candidate.value, sessionEntry.performance.value)) continue;
+      sessionEntry.performance.value = candidate.value;
+      sessionEntry.date = candidate.date || new Date();
+      await sessionEntry.save();
+      records.push(sessionEntry);
+      continue;
+    }
+
+    const entry = await Progress.create({
+      user: userId,
+      date: candidate.date || new Date(),
+      type: 'performance',
+      performance: {
+        exercise: candidate.exercise,
+        metric: candidate.metric,
+        value: candidate.value,
+        unit: candidate.unit,
+        reference: candidate.reference,
+        session: session._id
+      },
+      notes: 'Detected automatically from a workout session'
+    });
+    records.push(entry);
+
+    if (previousBest) {
+      await Notification.create({
+        user: userId,
+        type: 'personal-record',
+        title: 'New personal record!',
+        message: `${METRIC_LABELS[candidate.metric]}: ${candidate.value} ${candidate.unit}` +
+          (candidate.reference ? ` at ${candidate.reference.value} ${candidate.reference.unit}` : '') +
+          ` (previous best ${previousBest.performance.value} ${candidate.unit})`,
+        priority: 'normal',
+        relatedEntity: { type: 'workout', id: session._id }
+      });
+    }
+  }
+
+  return records;
+};
+
+// detectPersonalRecords for routes that log workouts: record detection must
+// never fail the request, so errors are logged and no records are returned
+export const checkPersonalRecords = async (params) => {
+  try {
+    return await detectPersonalRecords(params);
+  } catch (error) {
+    console.error('Personal record detection failed:', error);
+    return [];
+  }
+};
+
+// Match a session's stored records against the records its sets still set.
+// Records whose sets were edited down change to the new best; records no set
+// supports any more (deleted sets, corrected typos) are dropped.
+export const staleSessionRecords = (entries, candidates) => {
+  const byKey = new Map(candidates.map(candidate => [candidateKey(candidate.exercise, candidate), candidate]));
+  const changed = [];
+  const removed = [];
+
+  for (const entry of entries) {
+    const { exercise, metric, reference, unit, value } = entry.performance;
+    const candidate = byKey.get(candidateKey(refId(exercise), { metric, reference }));
+
+    if (!candidate || candidate.unit !== unit) {
+      removed.push(entry);
+    } else if (candidate.value !== value) {
+      changed.push({ entry, candidate });
+    }
+  }
+
+  return { changed, removed };
+};
+
+// Re-check the records a session set after its sets were edited or deleted.
+// A lowered record that no longer beats the best from other sessions is
+// removed. Returns the updated and removed record entries.
+export const revisitSessionRecords = async ({ userId, session }) => {
+  const entries = await Progress.find({
+    user: userId,
+    type: 'performance',
+    'performance.session': session._id
+  });
+  if (!entries.length) return { updated: [], removed: [] };
+
+  // Track efforts still count: the samples are only loaded when there is a track
+  let extraCandidates = [];
+  if (session.track?.distanceKm) {
+    const stored = await WorkoutSession.findById(session._id).select('+track.samples').lean();
+    const efforts = trackBestEfforts({ actualExercises: session.actualExercises, track: stored?.track });
+    extraCandidates = effortCandidates(efforts, session.endTime);
+  }
+
+  const { changed, removed } = staleSessionRecords(
+    entries,
+    bestCandidates(sessionLoggedSets(session), extraCandidates)
+  );
+  const updated = [];
+
+  for (const { entry, candidate } of changed) {
+    const previousBest = await Progress.findOne({
+      ...recordFilter(userId, candidate),
+      'performance.session': { $ne: session._id }
+    }).sort({ 'performance.value': LOWER_IS_BETTER.includes(candidate.metric) ? 1 : -1 });
+
+    if (previousBest && !isBetter(candidate.metric, candidate.value, previousBest.performance.value)) {
+      removed.push(entry);
+      continue;
+    }
+
+    entry.performance.value = candidate.value;
+    if (candidate.date) entry.date = candidate.date;
+    await entry.save();
+    updated.push(entry);
+  }
+
+  if (removed.length) {
+    await Progress.deleteMany({ _id: { $in: removed.map(entry => entry._id) } });
+  }
+
+  return { updated, removed: removed.map(entry => entry._id) };
+};
+
+// Flatten a session's performed sets into { exercise, set } pairs
+export const sessionLoggedSets = (session) => {
+  return session.actualExercises.flatMap(entry =>
+    entry.sets.map(set => ({ exercise: entry.exercise, set }))
+  );
+};
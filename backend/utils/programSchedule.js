@@ -0,0 +1,126 @@
+// Schedule calculations for multi-week training programs
+import { refId } from './sessionComparison.js';
+import { DAYS_OF_WEEK } from '../models/schemas/constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export { DAYS_OF_WEEK };
+
+// Calendar date as YYYY-MM-DD (UTC)
+export const dateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+export const startOfDay = (date) => {
+  const d = new Date(date);
+  d.setUTCHours(0, 0, 0, 0);
+  return d;
+};
+
+export const dayOfWeek = (date) => DAYS_OF_WEEK[(new Date(date).getUTCDay() + 6) % 7];
+
+// Program week (1-based) a date falls in, or null outside the program
+export const programWeek = (program, date) => {
+  const start = startOfDay(program.enrollment.startDate);
+  const days = Math.floor((startOfDay(date) - start) / DAY_MS);
+  if (days < 0) return null;
+  const week = Math.floor(days / 7) + 1;
+  return week <= program.durationWeeks ? week : null;
+};
+
+const weekSettings = (program, week) => {
+  const override = program.weeks.find(w => w.weekNumber === week);
+  return {
+    label: override?.label,
+    intensity: override?.intensity ?? 100,
+    days: override?.days?.length ? override.days : program.days
+  };
+};
+
+// Workouts scheduled by an enrolled program between two dates (inclusive)
+export const scheduledWorkouts = (program, from, to) => {
+  const workouts = [];
+  const end = startOfDay(to);
+
+  for (let day = startOfDay(from); day <= end; day = new Date(day.getTime() + DAY_MS)) {
+    const week = programWeek(program, day);
+    if (!week) continue;
+
+    const settings = weekSettings(program, week);
+    for (const scheduled of settings.days.filter(d => d.dayOfWeek === dayOfWeek(day))) {
+      workouts.push({
+        date: dateKey(day),
+        week,
+        weekLabel: settings.label,
+        dayOfWeek: scheduled.dayOfWeek,
+        routine: scheduled.routine,
+        intensity: settings.intensity
+      });
+    }
+  }
+
+  return workouts;
+};
+
+// Last day of an enrolled program
+const programEnd = (program) => {
+  return new Date(startOfDay(program.enrollment.startDate).getTime() + (program.durationWeeks * 7 - 1) * DAY_MS);
+};
+
+// An active enrollment counts as completed once the program's last day has
+// passed; the stored status only changes when the user enrolls or leaves
+export const enrollmentStatus = (program, today = new Date()) => {
+  const { status, startDate } = program.enrollment;
+  if (status !== 'active' || !startDate) return status;
+  return startOfDay(today) > programEnd(program) ? 'completed' : 'active';
+};
+
+// Problems with per-week overrides: week numbers must fall within the program
+// and appear once. Returns an error message, or null.
+export const invalidProgramWeeks = (weeks = [], durationWeeks) => {
+  const seen = new Set();
+  for (const week of weeks) {
+    const weekNumber = Number(week.weekNumber);
+    if (weekNumber > durationWeeks) {
+      return `Week ${weekNumber} is beyond the program's ${durationWeeks} weeks`;
+    }
+    if (seen.has(weekNumber)) {
+      return `Week ${weekNumber} is listed more than once`;
+    }
+    seen.add(weekNumber);
+  }
+  return null;
+};
+
+// Match scheduled workouts against completed sessions of the same routine on
+// the same day and summarize adherence up to and including `today`
+export const programStatus = (program, sessions, today = new Date()) => {
+  const startDate = program.enrollment.startDate;
+  const endDate = programEnd(program);
+  const lastDay = startOfDay(today) < endDate ? today : endDate;
+
+  const completed = new Set(sessions.map(session =>
+    `${dateKey(session.startTime)}:${refId(session.routine)}`
+  ));
+  const todayKey = dateKey(today);
+
+  const schedule = scheduledWorkouts(program, startDate, lastDay).map(workout => ({
+    ...workout,
+    completed: completed.has(`${workout.date}:${refId(workout.routine)}`)
+  }));
+
+  const past = schedule.filter(w => w.date < todayKey);
+  const todays = schedule.filter(w => w.date === todayKey);
+  const due = [...past, ...todays.filter(w => w.completed)];
+  const completedCount = due.filter(w => w.completed).length;
+
+  return {
+    currentWeek: programWeek(program, today),
+    isFinished: startOfDay(today) > endDate,
+    today: todays,
+    missed: past.filter(w => !w.completed),
+    adherence: {
+      scheduled: due.length,
+      completed: completedCount,
+      percentage: due.length ? Math.round((completedCount / due.length) * 1000) / 10 : null
+    }
+  };
+};
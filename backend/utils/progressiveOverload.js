@@ -0,0 +1,153 @@
+// Progressive overload targets for WorkoutRoutine exercises
+import { isWorkingSet, workingSetCount, refId } from './sessionComparison.js';
+import { toKg, fromKg, round } from './units.js';
+
+// Allow for rounding when the user logs in a different unit than prescribed
+const WEIGHT_TOLERANCE_KG = 0.1;
+
+const roundToHalf = (value) => Math.round(value * 2) / 2;
+
+// Did the logged sets meet the prescription at the given rep target?
+const meetsTarget = (sets, prescribed, targetReps) => {
+  const prescribedKg = toKg(prescribed.weight);
+  const successful = sets.filter(set =>
+    (set.reps || 0) >= targetReps &&
+    toKg(set.weight) + WEIGHT_TOLERANCE_KG >= prescribedKg
+  );
+  return successful.length >= workingSetCount(prescribed);
+};
+
+// Drop sets are meant to be lighter and shorter, so like warm-ups they
+// neither meet nor miss a target
+const countsTowardTarget = (set) => isWorkingSet(set) && set.setType !== 'drop';
+
+// Working sets for an exercise in each session, oldest first, skipping
+// sessions where the exercise wasn't done at all
+export const exerciseExposures = (sessions, exerciseId) => {
+  return sessions
+    .map(session => session.actualExercises
+      .filter(entry => refId(entry.exercise) === exerciseId)
+      .flatMap(entry => entry.sets.filter(countsTowardTarget)))
+    .filter(sets => sets.length > 0);
+};
+
+// Work out the next target for one routine exercise from the sessions logged
+// since progression was last applied
+export const nextTarget = (prescribed, sessions, settings) => {
+  const exerciseId = refId(prescribed.exercise);
+  const current = {
+    weight: prescribed.weight?.value ?? null,
+    unit: prescribed.weight?.unit || 'kg',
+    reps: prescribed.reps ?? null
+  };
+  const result = {
+    exercise: prescribed.exercise,
+    current,
+    next: { ...current },
+    consecutiveMisses: prescribed.consecutiveMisses || 0
+  };
+
+  if (!current.weight || !current.reps) {
+    return { ...result, action: 'hold', reason: 'Exercise has no prescribed weight and reps' };
+  }
+
+  const exposures = exerciseExposures(sessions, exerciseId);
+  if (exposures.length === 0) {
+    return { ...result, action: 'hold', reason: 'No sessions logged since the last update' };
+  }
+
+  const increment = round(fromKg(toKg(settings.increment), current.unit));
+  const repRange = {
+    min: settings.repRange?.min ?? current.reps,
+    max: settings.repRange?.max ?? current.reps
+  };
+
+  let misses = result.consecutiveMisses;
+  for (const sets of exposures) {
+    misses = meetsTarget(sets, prescribed, current.reps) ? 0 : misses + 1;
+  }
+  const lastSets = exposures[exposures.length - 1];
+
+  if (misses >= settings.deloadAfterMisses) {
+    const deloaded = roundToHalf(current.weight * (1 - settings.deloadPercentage / 100));
+    return {
+      ...result,
+      action: 'deload',
+      next: {
+        ...current,
+        weight: deloaded,
+        reps: settings.strategy === 'double-progression' ? repRange.min : current.reps
+      },
+      consecutiveMisses: 0,
+      reason: `Missed the target ${misses} times in a row`
+    };
+  }
+
+  if (misses > 0) {
+    return {
+      ...result,
+      action: 'hold',
+      consecutiveMisses: misses,
+      reason: 'Target missed in the last session'
+    };
+  }
+
+  if (settings.strategy === 'double-progression' && !meetsTarget(lastSets, prescribed, repRange.max)) {
+    return {
+      ...result,
+      action: 'increase-reps',
+      next: { ...current, reps: Math.min(current.reps + 1, repRange.max) },
+      consecutiveMisses: 0,
+      reason: `Hit ${current.reps} reps; working up to ${repRange.max}`
+    };
+  }
+
+  return {
+    ...result,
+    action: 'increase',
+    next: {
+      ...current,
+      weight: round(current.weight + increment),
+      reps: settings.strategy === 'double-progression' ? repRange.min : current.reps
+    },
+    consecutiveMisses: 0,
+    reason: 'Target met in the last session'
+  };
+};
+
+// Write a progression target to a routine exercise. Per-set prescriptions
+// take precedence over the exercise's weight and reps, so they move with it:
+// fixed weights are scaled by the same ratio (a back-off set stays the same
+// share of the top set) and working sets take the new reps. Warm-ups and
+// percentage-of-training-max sets are left alone; the latter follow the
+// training max instead.
+export const applyProgressionTarget = (entry, target) => {
+  const previousWeight = entry.weight?.value;
+
+  if (target.next.weight !== null) {
+    entry.weight = { value: target.next.weight, unit: target.next.unit };
+  }
+  if (target.next.reps !== null) entry.reps = target.next.reps;
+  entry.consecutiveMisses = target.consecutiveMisses;
+
+  for (const prescription of entry.setPrescriptions || []) {
+    if (prescription.setType === 'warm-up' || prescription.percentOfTrainingMax !== undefined) continue;
+
+    if (prescription.weight?.value !== undefined && previousWeight && target.next.weight !== null) {
+      prescription.weight = {
+        value: roundToHalf(prescription.weight.value * target.next.weight / previousWeight),
+        unit: prescription.weight.unit
+      };
+    }
+    if ((prescription.setType || 'working') === 'working' && prescription.reps !== undefined && target.next.reps !== null) {
+      prescription.reps = target.next.reps;
+    }
+  }
+};
+
+export const calculateProgression = (routine, sessions) => {
+  return routine.exercises.map(prescribed => ({
+    entryId: prescribed._id,
+    ...nextTarget(prescribed, sessions, routine.progression)
+  }));
+};
@@ -0,0 +1,23 @@
+// Reminder upkeep the server runs on a timer rather than in requests
+import { Reminder } from '../models/index.js';
+
+// How often reminders whose schedule has ended are switched off
+export const REMINDER_EXPIRY_INTERVAL_MS = 60 * 60 * 1000;
+
+// Recurring reminders whose series has ended
+export const deactivateExpiredReminders = (now = new Date()) => {
+  return Reminder.updateMany(
+    { isActive: true, 'schedule.endDate': { $lt: now } },
+    { isActive: false }
+  );
+};
+
+// Runs now and then every interval; the timer doesn't keep the process alive
+export const startReminderExpiry = () => {
+  const run = () => deactivateExpiredReminders().catch(error => {
+    console.error('Reminder expiry failed:', error.message);
+  });
+
+  run();
+  return setInterval(run, REMINDER_EXPIRY_INTERVAL_MS).unref();
+};
@@ -0,0 +1,139 @@
+// Planned vs. actual comparison between a WorkoutRoutine and a WorkoutSession
+import { toKg, toKm, round } from './units.js';
+
+// Works with both populated and unpopulated references
+export const refId = (ref) => (ref && ref._id ? ref._id : ref)?.toString();
+
+// A logged set counts as performed if it was ticked off or has any recorded work
+export const isPerformedSet = (set) => Boolean(
+  set.completed ||
+  set.reps > 0 ||
+  set.duration > 0 ||
+  set.distance?.value > 0
+);
+
+// Warm-ups are performed but aren't part of the prescribed work, so they are
+// left out of comparisons, records, progression and analytics
+export const isWorkingSet = (set) => isPerformedSet(set) && set.setType !== 'warm-up';
+
+// Prescribed sets excluding warm-ups listed in per-set prescriptions
+export const workingSetCount = (prescribed) => {
+  if (!prescribed.setPrescriptions?.length) return prescribed.sets;
+  return prescribed.setPrescriptions.filter(prescription => prescription.setType !== 'warm-up').length;
+};
+
+const summarizeSets = (sets) => {
+  const reps = sets.reduce((sum, set) => sum + (set.reps || 0), 0);
+  return {
+    sets: sets.length,
+    totalReps: reps,
+    averageReps: sets.length ? round(reps / sets.length, 1) : 0,
+    maxWeight: round(Math.max(0, ...sets.map(set => toKg(set.weight)))),
+    totalDuration: sets.reduce((sum, set) => sum + (set.duration || 0), 0),
+    totalDistance: round(sets.reduce((sum, set) => sum + toKm(set.distance), 0)),
+    volume: round(sets.reduce((sum, set) => sum + (set.reps || 0) * toKg(set.weight), 0))
+  };
+};
+
+const summarizePrescription = (prescribed) => {
+  const weight = toKg(prescribed.weight);
+  const sets = workingSetCount(prescribed);
+  return {
+    sets,
+    reps: prescribed.reps || 0,
+    weight: round(weight),
+    duration: (prescribed.duration || 0) * sets,
+    distance: round(toKm(prescribed.distance) * sets),
+    volume: round(sets * (prescribed.reps || 0) * weight)
+  };
+};
+
+const exerciseStatus = (plannedSets, actualSets) => {
+  if (actualSets === 0) return 'skipped';
+  if (actualSets < plannedSets) return 'partial';
+  if (actualSets > plannedSets) return 'exceeded';
+  return 'completed';
+};
+
+const percentageChange = (actual, planned) => {
+  return planned > 0 ? round(((actual - planned) / planned) * 100, 1) : null;
+};
+
+// Compare the routine's prescription with what was logged in the session.
+// Weights are reported in kg and distances in km.
+export const compareSessionToRoutine = (session, routine) => {
+  // Queue performed sets per exercise so duplicated routine entries consume them in order
+  const performedByExercise = new Map();
+  const exerciseRefs = new Map();
+  for (const entry of session.actualExercises) {
+    const id = refId(entry.exercise);
+    const performed = entry.sets.filter(isWorkingSet);
+    performedByExercise.set(id, [...(performedByExercise.get(id) || []), ...performed]);
+    exerciseRefs.set(id, entry.exercise);
+  }
+
+  const remainingOccurrences = new Map();
+  for (const prescribed of routine.exercises) {
+    const id = refId(prescribed.exercise);
+    remainingOccurrences.set(id, (remainingOccurrences.get(id) || 0) + 1);
+  }
+
+  const exercises = routine.exercises.map(prescribed => {
+    const id = refId(prescribed.exercise);
+    const queue = performedByExercise.get(id) || [];
+    const occurrencesLeft = remainingOccurrences.get(id) - 1;
+    remainingOccurrences.set(id, occurrencesLeft);
+
+    // The last occurrence of an exercise takes any sets beyond the plan
+    const planned = summarizePrescription(prescribed);
+    const taken = occurrencesLeft === 0 ? queue.splice(0) : queue.splice(0, planned.sets);
+    const actual = summarizeSets(taken);
+
+    return {
+      exercise: prescribed.exercise,
+      status: exerciseStatus(planned.sets, actual.sets),
+      planned,
+      actual,
+      deviation: {
+        sets: actual.sets - planned.sets,
+        reps: planned.reps ? round(actual.averageReps - planned.reps, 1) : null,
+        weight: planned.weight ? round(actual.maxWeight - planned.weight) : null,
+        duration: planned.duration ? actual.totalDuration - planned.duration : null,
+        distance: planned.distance ? round(actual.totalDistance - planned.distance) : null,
+        volume: round(actual.volume - planned.volume),
+        volumePercentage: percentageChange(actual.volume, planned.volume)
+      }
+    };
+  });
+
+  const plannedIds = new Set(remainingOccurrences.keys());
+  const extraExercises = [...performedByExercise.entries()]
+    .filter(([id, sets]) => !plannedIds.has(id) && sets.length > 0)
+    .map(([id, sets]) => ({ exercise: exerciseRefs.get(id), actual: summarizeSets(sets) }));
+
+  const plannedSets = exercises.reduce((sum, e) => sum + e.planned.sets, 0);
+  const completedSets = exercises.reduce((sum, e) => sum + Math.min(e.actual.sets, e.planned.sets), 0);
+  const plannedVolume = exercises.reduce((sum, e) => sum + e.planned.volume, 0);
+  const actualVolume = exercises.reduce((sum, e) => sum + e.actual.volume, 0) +
+    extraExercises.reduce((sum, e) => sum + e.actual.volume, 0);
+  const extraVolume = exercises.reduce((sum, e) => sum + Math.max(0, e.deviation.volume), 0) +
+    extraExercises.reduce((sum, e) => sum + e.actual.volume, 0);
+
+  return {
+    completionPercentage: plannedSets ? round((completedSets / plannedSets) * 100, 1) : 0,
+    summary: {
+      plannedSets,
+      completedSets,
+      extraSets: exercises.reduce((sum, e) => sum + Math.max(0, e.deviation.sets), 0) +
+        extraExercises.reduce((sum, e) => sum + e.actual.sets, 0),
+      plannedVolume: round(plannedVolume),
+      actualVolume: round(actualVolume),
+      extraVolume: round(extraVolume)
+    },
+    skippedExercises: exercises
+      .filter(e => e.status === 'skipped')
+      .map(e => e.exercise),
+    extraExercises,
+    exercises
+  };
+};
@@ -0,0 +1,18 @@
+// In-process pub/sub for live workout session updates (Server-Sent Events)
+import { EventEmitter } from 'node:events';
+
+const emitter = new EventEmitter();
+// One listener per connected client, so lift the default warning threshold
+emitter.setMaxListeners(0);
+
+const channel = (sessionId) => `session:${sessionId}`;
+
+export const publishSessionUpdate = (sessionId) => {
+  emitter.emit(channel(sessionId));
+};
+
+// Returns an unsubscribe function
+export const subscribeToSession = (sessionId, listener) => {
+  emitter.on(channel(sessionId), listener);
+  return () => emitter.off(channel(sessionId), listener);
+};
@@ -0,0 +1,165 @@
+// Workout session status transitions, pauses and set logging, and the side
+// effects of logging sets and completing sessions
+import { Exercise } from '../models/index.js';
+import { checkPersonalRecords, sessionLoggedSets } from './personalRecords.js';
+import { estimateSessionCalories, DEFAULT_BODY_WEIGHT_KG } from './calories.js';
+import { latestBodyWeight } from './bodyMetrics.js';
+
+// Allowed workout session status transitions
+export const SESSION_TRANSITIONS = {
+  planned: ['in-progress', 'cancelled'],
+  'in-progress': ['paused', 'completed', 'cancelled'],
+  paused: ['in-progress', 'completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+// Sets can only be logged or edited while the session is running
+export const EDITABLE_SESSION_STATUSES = ['in-progress', 'paused'];
+
+// Round fields a client may log or correct
+const ROUND_FIELDS = ['duration', 'reps', 'completed', 'notes'];
+
+// Set fields a client may log or edit
+const SET_FIELDS = [
+  'reps', 'weight', 'duration', 'distance', 'completed',
+  'setType', 'rpe', 'rir', 'tempo', 'block', 'round'
+];
+
+const TRANSITION_VERBS = {
+  'in-progress': 'start',
+  paused: 'pause',
+  completed: 'complete',
+  cancelled: 'cancel'
+};
+
+export const canTransition = (fromStatus, toStatus) => {
+  return (SESSION_TRANSITIONS[fromStatus] || []).includes(toStatus);
+};
+
+export const closeOpenPause = (session, at) => {
+  const openPause = session.pauses.find(pause => !pause.endedAt);
+  if (openPause) openPause.endedAt = at;
+};
+
+// Session length in minutes, excluding time spent paused
+export const calculateActiveMinutes = (session, endTime) => {
+  const pausedMs = session.pauses.reduce((sum, pause) => {
+    const pauseEnd = pause.endedAt || endTime;
+    return sum + Math.max(0, pauseEnd - pause.startedAt);
+  }, 0);
+
+  return Math.max(0, Math.round((endTime - session.startTime - pausedMs) / 1000 / 60));
+};
+
+// Move a session to a new status, keeping pauses, start and end times and the
+// active duration in step. Returns { status, error } when the transition
+// isn't allowed, otherwise null.
+export const transitionSession = (session, toStatus, at = new Date()) => {
+  if (!canTransition(session.status, toStatus)) {
+    return { status: 409, error: `Cannot ${TRANSITION_VERBS[toStatus] || 'update'} a ${session.status} session` };
+  }
+
+  if (toStatus === 'paused') {
+    session.pauses.push({ startedAt: at });
+  } else {
+    closeOpenPause(session, at);
+  }
+
+  if (toStatus === 'in-progress' && session.status === 'planned') {
+    session.startTime = at;
+  }
+  if (toStatus === 'completed') {
+    session.endTime = at;
+    session.totalDuration = calculateActiveMinutes(session, at);
+  }
+
+  session.status = toStatus;
+  return null;
+};
+
+export const pickSetFields = (data) => {
+  return SET_FIELDS.reduce((acc, field) => {
+    if (data[field] !== undefined) acc[field] = data[field];
+    return acc;
+  }, {});
+};
+
+// Log a round of a block result. Logging a round number again updates only
+// the fields sent, so a correction doesn't wipe the rest of the round.
+export const logBlockRound = (result, data, at = new Date()) => {
+  const fields = ROUND_FIELDS.reduce((acc, field) => {
+    if (data[field] !== undefined) acc[field] = data[field];
+    return acc;
+  }, {});
+  const roundNumber = data.roundNumber || result.rounds.length + 1;
+
+  const existing = result.rounds.find(round => round.roundNumber === roundNumber);
+  if (existing) {
+    Object.assign(existing, fields, { loggedAt: at });
+    return existing;
+  }
+
+  result.rounds.push({ roundNumber, ...fields, loggedAt: at });
+  result.rounds.sort((a, b) => a.roundNumber - b.roundNumber);
+  return result.rounds.find(round => round.roundNumber === roundNumber);
+};
+
+// Append a set to the session's entry for an exercise, adding the entry on
+// the first set. Returns { status, error } when the session isn't running.
+export const logSessionSet = (session, exerciseId, data, at = new Date()) => {
+  if (!EDITABLE_SESSION_STATUSES.includes(session.status)) {
+    return { status: 409, error: `Cannot log sets in a ${session.status} session` };
+  }
+
+  let entry = session.actualExercises.find(item => item.exercise.toString() === exerciseId.toString());
+  if (!entry) {
+    session.actualExercises.push({ exercise: exerciseId, sets: [] });
+    entry = session.actualExercises[session.actualExercises.length - 1];
+  }
+
+  entry.sets.push({ ...pickSetFields(data), loggedAt: at });
+  if (session.liveState) session.liveState.restSeconds = undefined;
+
+  return { entry, set: entry.sets[entry.sets.length - 1] };
+};
+
+// MET-based calorie estimate using the user's latest logged weight
+export const estimateCalories = async (userId, session) => {
+  const exerciseIds = session.actualExercises.map(entry => entry.exercise);
+  const [exercises, bodyWeight] = await Promise.all([
+    Exercise.find({ _id: { $in: exerciseIds } }).select('category met'),
+    latestBodyWeight(userId, session.endTime)
+  ]);
+
+  const metByExercise = new Map(exercises.map(exercise => [exercise._id.toString(), exercise.met]));
+  const estimate = estimateSessionCalories(
+    session,
+    metByExercise,
+    bodyWeight?.kg || DEFAULT_BODY_WEIGHT_KG
+  );
+
+  return { ...estimate, bodyWeightSource: bodyWeight ? 'progress' : 'default' };
+};
+
+// Call before saving a session that was just completed. Calories the client
+// reported are kept as manual; otherwise they're estimated, and the estimate
+// is returned.
+export const recordSessionCalories = async (userId, session, caloriesBurned) => {
+  if (caloriesBurned !== undefined) {
+    session.caloriesBurned = caloriesBurned;
+    session.caloriesSource = 'manual';
+    return null;
+  }
+
+  const estimate = await estimateCalories(userId, session);
+  session.caloriesBurned = estimate.calories;
+  session.caloriesSource = 'estimated';
+  return estimate;
+};
+
+// Call after saving logged sets, or a completed session (every set it holds).
+// Never throws; returns the personal records set.
+export const detectSessionRecords = (userId, session, loggedSets = sessionLoggedSets(session)) => {
+  return checkPersonalRecords({ userId, session, loggedSets });
+};
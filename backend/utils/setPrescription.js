@@ -0,0 +1,68 @@
+// Per-set prescriptions: set types, RPE/RIR targets, tempo and training max percentages
+import { refId } from './sessionComparison.js';
+
+export const SET_TYPES = ['warm-up', 'working', 'drop', 'failure'];
+
+// Eccentric-pause-concentric-pause, e.g. 3-1-X-0 or 31X0
+export const TEMPO_PATTERN = /^[0-9X](-?[0-9X]){3}$/i;
+
+// Smallest practical plate jump per unit
+const LOAD_INCREMENT = { kg: 2.5, lbs: 5 };
+
+export const roundToIncrement = (value, unit = 'kg') => {
+  const increment = LOAD_INCREMENT[unit] || LOAD_INCREMENT.kg;
+  return Math.round(value / increment) * increment;
+};
+
+export const findTrainingMax = (trainingMaxes = [], exerciseId) => {
+  return trainingMaxes.find(max => refId(max.exercise) === refId(exerciseId)) || null;
+};
+
+// Expand a routine exercise into one target per set. Explicit set
+// prescriptions win; otherwise the exercise's sets/reps/weight are repeated.
+// Percentages are resolved against the user's training max for the exercise.
+export const expandPrescription = (entry, trainingMaxes = []) => {
+  const trainingMax = findTrainingMax(trainingMaxes, entry.exercise);
+  const prescriptions = entry.setPrescriptions?.length
+    ? entry.setPrescriptions
+    : Array.from({ length: entry.sets }, () => ({ setType: 'working' }));
+
+  return prescriptions.map((prescription, index) => {
+    let weight = prescription.weight?.value !== undefined ? prescription.weight : entry.weight;
+    let missingTrainingMax = false;
+
+    if (prescription.percentOfTrainingMax !== undefined) {
+      if (trainingMax) {
+        weight = {
+          value: roundToIncrement(trainingMax.value * prescription.percentOfTrainingMax / 100, trainingMax.unit),
+          unit: trainingMax.unit
+        };
+      } else {
+        weight = undefined;
+        missingTrainingMax = true;
+      }
+    }
+
+    return {
+      setNumber: index + 1,
+      setType: prescription.setType || 'working',
+      reps: prescription.reps ?? entry.reps,
+      weight: weight?.value !== undefined ? { value: weight.value, unit: weight.unit || 'kg' } : undefined,
+      percentOfTrainingMax: prescription.percentOfTrainingMax,
+      targetRpe: prescription.targetRpe,
+      targetRir: prescription.targetRir,
+      tempo: prescription.tempo,
+      restTime: prescription.restTime ?? entry.restTime,
+      ...(missingTrainingMax && { missingTrainingMax })
+    };
+  });
+};
+
+// Expanded targets for every exercise in a routine
+export const routinePrescription = (routine, trainingMaxes = []) => {
+  return routine.exercises.map(entry => ({
+    exercise: entry.exercise,
+    block: entry.block,
+    sets: expandPrescription(entry, trainingMaxes)
+  }));
+};
@@ -0,0 +1,102 @@
+// Offline sync helpers: sync tokens, conflict checks and deletion tombstones
+import mongoose from 'mongoose';
+import { SyncTombstone } from '../models/index.js';
+import { SYNC_TOMBSTONE_TTL_SECONDS } from '../models/schemas/constants.js';
+import { EDITABLE_SESSION_STATUSES, transitionSession } from './sessionLifecycle.js';
+
+export const SYNC_ENTITY_TYPES = ['workout-session', 'nutrition-entry', 'progress'];
+export const SYNC_OPERATIONS = ['create', 'add-set', 'edit', 'delete'];
+
+// Fields clients may never set directly
+const PROTECTED_FIELDS = ['_id', 'user', 'createdAt', 'updatedAt', '__v'];
+
+// Session fields kept in step by status transitions rather than set directly
+const SESSION_LIFECYCLE_FIELDS = ['status', 'startTime', 'endTime', 'totalDuration', 'pauses'];
+
+// A reserved operation whose request never finished can be taken over after this
+export const PENDING_OPERATION_TIMEOUT_MS = 5 * 60 * 1000;
+
+const omit = (data, fields) => Object.fromEntries(Object.entries(data).filter(([key]) => !fields.includes(key)));
+
+export const sanitizeSyncData = (data = {}) => {
+  return Object.fromEntries(Object.entries(data).filter(([key]) => !PROTECTED_FIELDS.includes(key)));
+};
+
+// Sync tokens are opaque to clients; they wrap the server time of the last sync
+export const encodeSyncToken = (date) => {
+  return Buffer.from(JSON.stringify({ v: 1, t: new Date(date).getTime() })).toString('base64url');
+};
+
+// Returns the token's date, or null if the token is malformed
+export const decodeSyncToken = (token) => {
+  try {
+    const { v, t } = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    return v === 1 && Number.isFinite(t) ? new Date(t) : null;
+  } catch {
+    return null;
+  }
+};
+
+// Deletions older than the tombstone TTL are gone, so a delta from a token
+// this old would miss them
+export const isSyncTokenExpired = (since, now = new Date()) => {
+  return now - since > SYNC_TOMBSTONE_TTL_SECONDS * 1000;
+};
+
+// An edit or delete conflicts when the server copy changed after the version
+// the client last saw (baseUpdatedAt), or after the client made the change
+export const hasConflict = (doc, operation) => {
+  if (operation.force || !doc.updatedAt) return false;
+  const clientVersion = new Date(operation.baseUpdatedAt || operation.timestamp);
+  return doc.updatedAt > clientVersion;
+};
+
+export const recordDeletion = (userId, entityType, entityId) => {
+  return SyncTombstone.create({ user: userId, entityType, entityId });
+};
+
+// Errors that fail the same way on every retry, so their result can be
+// remembered. Anything else (timeouts, lost connections) is left for the
+// client to retry.
+export const isPermanentFailure = (error) => {
+  return error instanceof mongoose.Error.ValidationError ||
+    error instanceof mongoose.Error.CastError ||
+    error.code === 11000;
+};
+
+export const isStalePending = (record, now = new Date()) => {
+  return record.status === 'pending' && now - record.updatedAt > PENDING_OPERATION_TIMEOUT_MS;
+};
+
+// A session created offline starts when it was created, as with POST
+// /sessions/start; a planned session keeps its scheduled start. Any other
+// status goes through the usual transitions. Returns { status, error } when
+// the status can't be reached, otherwise null.
+export const applySessionCreate = (session, data, at) => {
+  Object.assign(session, omit(data, SESSION_LIFECYCLE_FIELDS));
+
+  if (data.status === 'planned') {
+    session.status = 'planned';
+    session.startTime = data.startTime || at;
+    return null;
+  }
+
+  session.status = 'in-progress';
+  session.startTime = at;
+  if (!data.status || data.status === 'in-progress') return null;
+  return transitionSession(session, data.status, at);
+};
+
+// Apply a synced edit to a workout session. Logged sets only change while the
+// session is running, and a new status goes through the same transitions as
+// the REST routes. Returns { status, error } when rejected, otherwise null.
+export const applySessionEdit = (session, data, at) => {
+  if (data.actualExercises !== undefined && !EDITABLE_SESSION_STATUSES.includes(session.status)) {
+    return { status: 409, error: `Cannot edit sets in a ${session.status} session` };
+  }
+
+  Object.assign(session, omit(data, SESSION_LIFECYCLE_FIELDS));
+
+  if (data.status === undefined || data.status === session.status) return null;
+  return transitionSession(session, data.status, at);
+};
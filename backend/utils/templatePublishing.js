@@ -0,0 +1,176 @@
+// Publishing routines as community templates: metadata derived from the
+// routine's exercises, version snapshots and changelog diffs
+import { refId } from './sessionComparison.js';
+
+const DIFFICULTY_ORDER = ['beginner', 'intermediate', 'advanced'];
+const MAX_DERIVED_TAGS = 10;
+const TEMPLATE_NOTES_MAX = 200;
+
+// Template categories routines share; the rest become 'other'
+const ROUTINE_CATEGORIES = ['strength', 'cardio', 'flexibility', 'mixed'];
+
+// Fields compared between versions of a template exercise or block
+const EXERCISE_FIELDS = ['sets', 'reps', 'duration', 'restTime', 'notes', 'block'];
+const BLOCK_FIELDS = ['type', 'name', 'rounds', 'workSeconds', 'restSeconds', 'timeCapSeconds', 'restBetweenRounds'];
+
+const templateCategory = (categories) => {
+  const unique = [...new Set(categories)];
+  if (unique.length === 1) {
+    if (unique[0] === 'sports') return 'sport-specific';
+    if (['strength', 'cardio', 'flexibility'].includes(unique[0])) return unique[0];
+  }
+  if (unique.length && unique.every(category => ['flexibility', 'balance'].includes(category))) {
+    return 'flexibility';
+  }
+  return 'mixed';
+};
+
+// Category, difficulty, equipment and tags from a routine's populated exercises.
+// Difficulty is that of the hardest exercise; tags are the muscle groups
+// trained, most frequent first, after any tags the routine already has.
+export const deriveTemplateMetadata = (routine) => {
+  const exercises = routine.exercises.map(entry => entry.exercise).filter(Boolean);
+
+  const difficulties = exercises.map(exercise => exercise.difficulty).filter(Boolean);
+  const difficulty = difficulties.length
+    ? DIFFICULTY_ORDER[Math.max(...difficulties.map(d => DIFFICULTY_ORDER.indexOf(d)))]
+    : routine.difficulty || 'beginner';
+
+  const muscleCounts = new Map();
+  exercises.flatMap(exercise => exercise.muscleGroups || []).forEach(group => {
+    muscleCounts.set(group, (muscleCounts.get(group) || 0) + 1);
+  });
+  const muscleTags = [...muscleCounts.entries()].sort((a, b) => b[1] - a[1]).map(([group]) => group);
+
+  return {
+    category: templateCategory(exercises.map(exercise => exercise.category)),
+    difficulty,
+    equipment: [...new Set(exercises.flatMap(exercise => exercise.equipment || []))],
+    tags: [...new Set([...(routine.tags || []), ...muscleTags])].slice(0, MAX_DERIVED_TAGS)
+  };
+};
+
+// Rough length in minutes when the routine doesn't have one: 3 s per rep or
+// the set duration, plus rest between sets
+export const estimateRoutineMinutes = (routine) => {
+  const seconds = routine.exercises.reduce((sum, entry) => {
+    const work = entry.duration || (entry.reps || 10) * 3;
+    return sum + entry.sets * (work + (entry.restTime ?? 60));
+  }, 0);
+  return Math.min(600, Math.max(5, Math.round(seconds / 60)));
+};
+
+// Exercises and blocks of a routine in template form
+export const templateContent = (routine) => ({
+  exercises: routine.exercises.map(entry => ({
+    exercise: refId(entry.exercise),
+    sets: entry.sets,
+    reps: entry.reps ?? entry.setPrescriptions?.find(set => set.reps)?.reps,
+    duration: entry.duration,
+    restTime: entry.restTime,
+    notes: entry.notes?.slice(0, TEMPLATE_NOTES_MAX),
+    block: entry.block
+  })),
+  blocks: routine.blocks.map(block => {
+    const { _id, ...fields } = block.toObject ? block.toObject() : block;
+    return fields;
+  })
+});
+
+// Custom exercises in a routine, which only their creator can see. Public
+// templates can't use them, since downloaders couldn't load the exercises.
+export const customExercises = (routine) => {
+  return routine.exercises.map(entry => entry.exercise).filter(exercise => exercise?.isCustom);
+};
+
+// New private routine for a user with a template's exercises and blocks
+export const routineFromTemplate = (template, userId, at = new Date()) => ({
+  user: userId,
+  name: template.name,
+  description: template.description,
+  exercises: template.exercises.map(entry => ({
+    exercise: entry.exercise,
+    sets: entry.sets,
+    reps: entry.reps,
+    duration: entry.duration,
+    restTime: entry.restTime,
+    notes: entry.notes,
+    block: entry.block
+  })),
+  blocks: template.blocks.map(block => {
+    const { _id, ...fields } = block.toObject ? block.toObject() : block;
+    return fields;
+  }),
+  category: ROUTINE_CATEGORIES.includes(template.category) ? template.category : 'other',
+  tags: template.tags,
+  estimatedDuration: template.estimatedDuration,
+  difficulty: template.difficulty,
+  sourceTemplate: { template: template._id, version: template.version, copiedAt: at }
+});
+
+const fieldChanges = (from, to, fields) => {
+  const changes = {};
+  for (const field of fields) {
+    if ((from[field] ?? null) !== (to[field] ?? null)) {
+      changes[field] = { from: from[field] ?? null, to: to[field] ?? null };
+    }
+  }
+  return changes;
+};
+
+// Exercises present in both versions are paired by exercise, in order, so a
+// repeated exercise pairs with its own occurrence
+const pairExercises = (fromList, toList) => {
+  const unmatched = fromList.map((entry, position) => ({ entry, position }));
+  const pairs = [];
+  const added = [];
+
+  toList.forEach((entry, position) => {
+    const index = unmatched.findIndex(candidate => refId(candidate.entry.exercise) === refId(entry.exercise));
+    if (index === -1) {
+      added.push({ exercise: refId(entry.exercise), position });
+    } else {
+      pairs.push({ from: unmatched[index], to: { entry, position } });
+      unmatched.splice(index, 1);
+    }
+  });
+
+  return {
+    pairs,
+    added,
+    removed: unmatched.map(({ entry, position }) => ({ exercise: refId(entry.exercise), position }))
+  };
+};
+
+// Differences between two template versions ({ name, description, exercises, blocks })
+export const diffTemplateVersions = (from, to) => {
+  const { pairs, added, removed } = pairExercises(from.exercises || [], to.exercises || []);
+
+  const changed = pairs
+    .map(({ from: before, to: after }) => ({
+      exercise: refId(after.entry.exercise),
+      position: after.position,
+      previousPosition: before.position,
+      changes: fieldChanges(before.entry, after.entry, EXERCISE_FIELDS)
+    }))
+    .filter(change => Object.keys(change.changes).length);
+
+  const fromBlocks = new Map((from.blocks || []).map(block => [block.key, block]));
+  const toBlocks = new Map((to.blocks || []).map(block => [block.key, block]));
+
+  const blocks = {
+    added: [...toBlocks.keys()].filter(key => !fromBlocks.has(key)),
+    removed: [...fromBlocks.keys()].filter(key => !toBlocks.has(key)),
+    changed: [...toBlocks.keys()]
+      .filter(key => fromBlocks.has(key))
+      .map(key => ({ key, changes: fieldChanges(fromBlocks.get(key), toBlocks.get(key), BLOCK_FIELDS) }))
+      .filter(change => Object.keys(change.changes).length)
+  };
+
+  const details = fieldChanges(from, to, ['name', 'description']);
+  const hasChanges = added.length > 0 || removed.length > 0 || changed.length > 0 ||
+    blocks.added.length > 0 || blocks.removed.length > 0 || blocks.changed.length > 0 ||
+    Object.keys(details).length > 0;
+
+  return { hasChanges, details, exercises: { added, removed, changed }, blocks };
+};
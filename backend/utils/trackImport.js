@@ -0,0 +1,89 @@
+// Parsing of GPX, TCX and FIT activity files into a list of track points:
+// { sport, points: [{ time, lat, lon, elevation, heartRate, distance }] }
+import { isFitFile, parseFit } from './fit.js';
+
+export const TRACK_FORMATS = ['gpx', 'tcx', 'fit'];
+
+const tagValue = (xml, tag) => {
+  const match = new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>([^<]*)</(?:\\w+:)?${tag}>`).exec(xml);
+  return match ? match[1].trim() : undefined;
+};
+
+const attrValue = (tag, name) => {
+  const match = new RegExp(`\\b${name}="([^"]*)"`).exec(tag);
+  return match ? match[1] : undefined;
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+const toDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : undefined;
+};
+
+export const parseGpx = (xml) => {
+  const points = [];
+  for (const [, attributes, body] of xml.matchAll(/<trkpt\b([^>]*)>([\s\S]*?)<\/trkpt>/g)) {
+    points.push({
+      time: toDate(tagValue(body, 'time')),
+      lat: toNumber(attrValue(attributes, 'lat')),
+      lon: toNumber(attrValue(attributes, 'lon')),
+      elevation: toNumber(tagValue(body, 'ele')),
+      heartRate: toNumber(tagValue(body, 'hr'))
+    });
+  }
+
+  const trk = /<trk\b[^>]*>([\s\S]*?)<trkseg/.exec(xml);
+  return { sport: trk ? tagValue(trk[1], 'type')?.toLowerCase() || null : null, points };
+};
+
+export const parseTcx = (xml) => {
+  const points = [];
+  for (const [, body] of xml.matchAll(/<Trackpoint>([\s\S]*?)<\/Trackpoint>/g)) {
+    const heartRate = /<HeartRateBpm[^>]*>\s*<Value>([^<]*)<\/Value>/.exec(body);
+    points.push({
+      time: toDate(tagValue(body, 'Time')),
+      lat: toNumber(tagValue(body, 'LatitudeDegrees')),
+      lon: toNumber(tagValue(body, 'LongitudeDegrees')),
+      elevation: toNumber(tagValue(body, 'AltitudeMeters')),
+      heartRate: heartRate ? toNumber(heartRate[1]) : undefined,
+      distance: toNumber(tagValue(body, 'DistanceMeters'))
+    });
+  }
+
+  const sport = /<Activity\b[^>]*Sport="([^"]*)"/.exec(xml);
+  return { sport: sport ? sport[1].toLowerCase() : null, points };
+};
+
+export const detectTrackFormat = (buffer, filename = '') => {
+  if (isFitFile(buffer)) return 'fit';
+  const head = buffer.toString('utf8', 0, 2000);
+  if (/<gpx\b/i.test(head)) return 'gpx';
+  if (/<TrainingCenterDatabase\b/i.test(head)) return 'tcx';
+
+  const extension = filename.toLowerCase().split('.').pop();
+  return TRACK_FORMATS.includes(extension) ? extension : null;
+};
+
+// Parse an uploaded activity file; points without a time are dropped and the
+// rest are sorted chronologically
+export const parseTrackFile = (buffer, filename) => {
+  const format = detectTrackFormat(buffer, filename);
+  if (!format) {
+    throw new Error('Unrecognized file format; expected GPX, TCX or FIT');
+  }
+
+  const parsed = format === 'fit'
+    ? parseFit(buffer)
+    : format === 'gpx' ? parseGpx(buffer.toString('utf8')) : parseTcx(buffer.toString('utf8'));
+
+  const points = parsed.points
+    .filter(point => point.time)
+    .sort((a, b) => a.time - b.time);
+
+  return { format, sport: parsed.sport, points };
+};
@@ -0,0 +1,235 @@
+// Distance, elevation, pace, heart rate and split calculations for GPS tracks
+import { round } from './units.js';
+
+const EARTH_RADIUS_M = 6371000;
+export const METERS_PER_UNIT = { km: 1000, miles: 1609.344 };
+
+// Ignore elevation noise smaller than this when counting climbs
+const ELEVATION_THRESHOLD_M = 3;
+
+const MAX_SAMPLES = 1000;
+const MAX_POLYLINE_POINTS = 5000;
+
+const hasPosition = (point) => Number.isFinite(point.lat) && Number.isFinite(point.lon);
+
+export const haversine = (a, b) => {
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+};
+
+// Every nth item so that at most `max` remain, always keeping the last one
+const downsample = (items, max) => {
+  if (items.length <= max) return items;
+  const step = Math.ceil(items.length / max);
+  const sampled = items.filter((item, index) => index % step === 0);
+  if (sampled[sampled.length - 1] !== items[items.length - 1]) sampled.push(items[items.length - 1]);
+  return sampled;
+};
+
+// Google encoded polyline (precision 5)
+export const encodePolyline = (coordinates) => {
+  let lastLat = 0;
+  let lastLon = 0;
+  let encoded = '';
+
+  const encodeValue = (value) => {
+    let v = value < 0 ? ~(value << 1) : value << 1;
+    let chunk = '';
+    while (v >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+      v >>= 5;
+    }
+    return chunk + String.fromCharCode(v + 63);
+  };
+
+  for (const [lat, lon] of coordinates) {
+    const latE5 = Math.round(lat * 1e5);
+    const lonE5 = Math.round(lon * 1e5);
+    encoded += encodeValue(latE5 - lastLat) + encodeValue(lonE5 - lastLon);
+    lastLat = latE5;
+    lastLon = lonE5;
+  }
+
+  return encoded;
+};
+
+export const decodePolyline = (encoded = '') => {
+  const coordinates = [];
+  let index = 0;
+  let lat = 0;
+  let lon = 0;
+
+  const decodeValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    lat += decodeValue();
+    lon += decodeValue();
+    coordinates.push([lat / 1e5, lon / 1e5]);
+  }
+
+  return coordinates;
+};
+
+// Cumulative distance in metres for each point. Device-recorded distances are
+// preferred; otherwise it's measured between GPS positions.
+const cumulativeDistances = (points) => {
+  const useDevice = points.length > 0 && points.filter(p => Number.isFinite(p.distance)).length >= points.length / 2;
+  const distances = [];
+  let total = 0;
+  let lastPositioned = null;
+
+  for (const point of points) {
+    if (useDevice) {
+      if (Number.isFinite(point.distance)) total = Math.max(total, point.distance);
+    } else if (hasPosition(point)) {
+      if (lastPositioned) total += haversine(lastPositioned, point);
+      lastPositioned = point;
+    }
+    distances.push(total);
+  }
+
+  return distances;
+};
+
+const elevationChange = (points) => {
+  let gain = 0;
+  let loss = 0;
+  let reference = null;
+
+  for (const { elevation } of points) {
+    if (!Number.isFinite(elevation)) continue;
+    if (reference === null) {
+      reference = elevation;
+    } else if (elevation - reference >= ELEVATION_THRESHOLD_M) {
+      gain += elevation - reference;
+      reference = elevation;
+    } else if (reference - elevation >= ELEVATION_THRESHOLD_M) {
+      loss += reference - elevation;
+      reference = elevation;
+    }
+  }
+
+  return { gain, loss };
+};
+
+const average = (values) => values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+
+// Seconds per km or mile
+const pace = (seconds, meters, unit) => meters > 0 ? Math.round(seconds / (meters / METERS_PER_UNIT[unit])) : null;
+
+// Time at which the track reaches `target` metres, interpolated between points
+const timeAtDistance = (points, distances, index, target) => {
+  const d0 = distances[index - 1];
+  const d1 = distances[index];
+  const t0 = points[index - 1].time.getTime();
+  const t1 = points[index].time.getTime();
+  const fraction = d1 > d0 ? (target - d0) / (d1 - d0) : 0;
+  return t0 + (t1 - t0) * fraction;
+};
+
+const buildSplits = (points, distances, unit) => {
+  const unitMeters = METERS_PER_UNIT[unit];
+  const splits = [];
+  let splitStartIndex = 0;
+  let splitStartTime = points[0].time.getTime();
+  let splitStartDistance = 0;
+
+  const closeSplit = (endIndex, endTime, endDistance) => {
+    const slice = points.slice(splitStartIndex, endIndex + 1);
+    const heartRates = slice.map(p => p.heartRate).filter(Number.isFinite);
+    const meters = endDistance - splitStartDistance;
+    const seconds = (endTime - splitStartTime) / 1000;
+
+    splits.push({
+      number: splits.length + 1,
+      distance: round(meters / unitMeters, 3),
+      duration: Math.round(seconds),
+      pace: pace(seconds, meters, unit),
+      elevationGain: round(elevationChange(slice).gain, 1),
+      averageHeartRate: heartRates.length ? Math.round(average(heartRates)) : null
+    });
+  };
+
+  for (let i = 1; i < points.length; i++) {
+    while (distances[i] >= splitStartDistance + unitMeters) {
+      const target = splitStartDistance + unitMeters;
+      const time = timeAtDistance(points, distances, i, target);
+      closeSplit(i, time, target);
+      splitStartIndex = i;
+      splitStartTime = time;
+      splitStartDistance = target;
+    }
+  }
+
+  const last = points.length - 1;
+  if (distances[last] - splitStartDistance > 1) {
+    closeSplit(last, points[last].time.getTime(), distances[last]);
+  }
+
+  return splits;
+};
+
+// Summary, splits, downsampled series and polyline for a list of track points
+export const summarizeTrack = (points, { splitUnit = 'km' } = {}) => {
+  if (points.length < 2) {
+    throw new Error('Track needs at least two timed points');
+  }
+
+  const distances = cumulativeDistances(points);
+  const totalMeters = distances[distances.length - 1];
+  const start = points[0].time;
+  const end = points[points.length - 1].time;
+  const durationSeconds = Math.round((end - start) / 1000);
+  const heartRates = points.map(p => p.heartRate).filter(Number.isFinite);
+  const elevation = elevationChange(points);
+  const unitMeters = METERS_PER_UNIT[splitUnit];
+
+  const indexed = points.map((point, index) => ({ point, distance: distances[index] }));
+  const samples = downsample(indexed, MAX_SAMPLES).map(({ point, distance }, index, all) => {
+    const previous = all[index - 1];
+    const meters = previous ? distance - previous.distance : 0;
+    const seconds = previous ? (point.time - previous.point.time) / 1000 : 0;
+    return {
+      time: Math.round((point.time - start) / 1000),
+      distance: Math.round(distance),
+      lat: point.lat,
+      lon: point.lon,
+      elevation: Number.isFinite(point.elevation) ? round(point.elevation, 1) : undefined,
+      heartRate: point.heartRate,
+      pace: meters >= 1 ? Math.round(seconds / (meters / unitMeters)) : null
+    };
+  });
+
+  const positioned = points.filter(hasPosition);
+
+  return {
+    startTime: start,
+    endTime: end,
+    distanceKm: round(totalMeters / 1000, 3),
+    durationSeconds,
+    elevationGain: round(elevation.gain, 1),
+    elevationLoss: round(elevation.loss, 1),
+    averagePace: pace(durationSeconds, totalMeters, splitUnit),
+    averageHeartRate: heartRates.length ? Math.round(average(heartRates)) : null,
+    maxHeartRate: heartRates.length ? Math.max(...heartRates) : null,
+    splitUnit,
+    splits: buildSplits(points, distances, splitUnit),
+    samples,
+    polyline: positioned.length > 1
+      ? encodePolyline(downsample(positioned, MAX_POLYLINE_POINTS).map(p => [p.lat, p.lon]))
+      : undefined
+  };
+};
@@ -0,0 +1,98 @@
+// Weekly load, acute:chronic workload ratio and fitness/fatigue trend from
+// per-session training loads ({ date, load })
+import { dateKey } from './programSchedule.js';
+import { weekStart } from './exerciseAnalytics.js';
+import { round } from './units.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Time constants (days) of the fitness and fatigue moving averages
+const FITNESS_DAYS = 42;
+const FATIGUE_DAYS = 7;
+
+const acwrStatus = (ratio) => {
+  if (ratio === null) return 'insufficient-data';
+  if (ratio < 0.8) return 'undertraining';
+  if (ratio <= 1.3) return 'optimal';
+  if (ratio <= 1.5) return 'caution';
+  return 'high-risk';
+};
+
+const dailyTotals = (loads) => {
+  const totals = new Map();
+  for (const { date, load } of loads) {
+    const key = dateKey(date);
+    totals.set(key, (totals.get(key) || 0) + load);
+  }
+  return totals;
+};
+
+// Acute load is the last 7 days; chronic is the weekly average of the last 28
+export const acuteChronicRatio = (loads, today = new Date()) => {
+  const end = new Date(dateKey(today)).getTime() + DAY_MS;
+  const sumSince = (days) => loads
+    .filter(({ date }) => new Date(date).getTime() >= end - days * DAY_MS && new Date(date).getTime() < end)
+    .reduce((sum, { load }) => sum + load, 0);
+
+  const acute = sumSince(7);
+  const chronic = sumSince(28) / 4;
+  const ratio = chronic > 0 ? round(acute / chronic) : null;
+
+  return { acute: round(acute, 1), chronic: round(chronic, 1), ratio, status: acwrStatus(ratio) };
+};
+
+export const weeklyLoad = (loads) => {
+  const weeks = new Map();
+  for (const { date, load } of loads) {
+    const key = weekStart(date);
+    const week = weeks.get(key) || { weekStart: key, load: 0, sessions: 0 };
+    week.load += load;
+    week.sessions += 1;
+    weeks.set(key, week);
+  }
+  return [...weeks.values()]
+    .map(week => ({ ...week, load: round(week.load, 1) }))
+    .sort((a, b) => a.weekStart.localeCompare(b.weekStart));
+};
+
+// Exponentially weighted fitness (chronic) and fatigue (acute) load per day;
+// form = fitness − fatigue, positive when fresh. Loads before `from` only warm
+// up the averages.
+export const readinessTrend = (loads, from, to = new Date()) => {
+  const totals = dailyTotals(loads);
+  const firstLoad = loads.length
+    ? Math.min(...loads.map(({ date }) => new Date(dateKey(date)).getTime()))
+    : new Date(dateKey(from)).getTime();
+  const start = Math.min(firstLoad, new Date(dateKey(from)).getTime());
+  const end = new Date(dateKey(to)).getTime();
+  const fromKey = dateKey(from);
+
+  const fitnessDecay = Math.exp(-1 / FITNESS_DAYS);
+  const fatigueDecay = Math.exp(-1 / FATIGUE_DAYS);
+  let fitness = 0;
+  let fatigue = 0;
+  const trend = [];
+
+  for (let day = start; day <= end; day += DAY_MS) {
+    const key = dateKey(day);
+    const load = totals.get(key) || 0;
+    fitness = fitness * fitnessDecay + load * (1 - fitnessDecay);
+    fatigue = fatigue * fatigueDecay + load * (1 - fatigueDecay);
+
+    if (key >= fromKey) {
+      trend.push({ date: key, load: round(load, 1), fitness: round(fitness, 1), fatigue: round(fatigue, 1), form: round(fitness - fatigue, 1) });
+    }
+  }
+
+  return trend;
+};
+
+// Readiness label from today's form relative to fitness
+export const readinessStatus = (latest) => {
+  if (!latest || latest.fitness === 0) return 'insufficient-data';
+  const relative = latest.form / latest.fitness;
+  if (relative > 0.1) return 'fresh';
+  if (relative >= -0.1) return 'neutral';
+  if (relative >= -0.3) return 'productive-fatigue';
+  return 'overreaching';
+};
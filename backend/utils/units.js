@@ -0,0 +1,38 @@
+// Unit conversion helpers shared by workout and progress calculations
+
+const KG_PER_LB = 0.45359237;
+
+const KM_PER_UNIT = {
+  km: 1,
+  m: 0.001,
+  miles: 1.609344,
+  ft: 0.0003048
+};
+
+// Convert a { value, unit } weight to kilograms
+export const toKg = (weight) => {
+  if (!weight || typeof weight.value !== 'number') return 0;
+  return weight.unit === 'lbs' ? weight.value * KG_PER_LB : weight.value;
+};
+
+// Convert kilograms back to the requested unit
+export const fromKg = (kg, unit = 'kg') => {
+  return unit === 'lbs' ? kg / KG_PER_LB : kg;
+};
+
+// Convert a { value, unit } height to centimetres
+export const toCm = (height) => {
+  if (!height || typeof height.value !== 'number') return 0;
+  return height.unit === 'feet' ? height.value * 30.48 : height.value;
+};
+
+// Convert a { value, unit } distance to kilometres
+export const toKm = (distance) => {
+  if (!distance || typeof distance.value !== 'number') return 0;
+  return distance.value * (KM_PER_UNIT[distance.unit] ?? 1);
+};
+
+export const round = (value, decimals = 2) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
@@ -0,0 +1,10 @@
+// Details derived from a user's profile for estimates and recommendations
+
+// Age in whole years on a given date
+export const ageAt = (dateOfBirth, at = new Date()) => {
+  const birth = new Date(dateOfBirth);
+  let age = at.getUTCFullYear() - birth.getUTCFullYear();
+  const hadBirthday = at.getUTCMonth() > birth.getUTCMonth() ||
+    (at.getUTCMonth() === birth.getUTCMonth() && at.getUTCDate() >= birth.getUTCDate());
+  return hadBirthday ? age : age - 1;
+};
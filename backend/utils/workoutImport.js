@@ -0,0 +1,158 @@
+// Parsing of workout history exported by other trackers into a common shape:
+// [{ name, startTime, endTime, notes, exercises: [{ name, notes, sets: [...] }] }]
+import { parseCsv } from './csv.js';
+
+export const IMPORT_FORMATS = ['strong', 'hevy'];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const STRONG_SET_TYPES = { w: 'warm-up', d: 'drop', f: 'failure' };
+const HEVY_SET_TYPES = { warmup: 'warm-up', normal: 'working', dropset: 'drop', failure: 'failure' };
+
+export const detectImportFormat = (headers) => {
+  if (headers.includes('exercise_title') && headers.includes('start_time')) return 'hevy';
+  if (headers.includes('Exercise Name') && headers.includes('Set Order')) return 'strong';
+  return null;
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(String(value).replace(',', '.'));
+  return Number.isFinite(number) ? number : undefined;
+};
+
+// Exports carry wall-clock times without a zone; `utcOffset` is the user's
+// offset in minutes east of UTC
+const toUtc = (year, month, day, hours, minutes, seconds, utcOffset) => {
+  const date = new Date(Date.UTC(year, month, day, hours, minutes, seconds));
+  return new Date(date.getTime() - utcOffset * 60000);
+};
+
+// "2021-03-15 07:30:00"
+export const parseStrongDate = (value, utcOffset = 0) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?/.exec(value || '');
+  if (!match) return null;
+  const [, y, mo, d, h, mi, s = '0'] = match;
+  return toUtc(+y, +mo - 1, +d, +h, +mi, +s, utcOffset);
+};
+
+// "15 Mar 2021, 07:30"
+export const parseHevyDate = (value, utcOffset = 0) => {
+  const match = /^(\d{1,2}) ([A-Za-z]{3})\w* (\d{4}),? (\d{1,2}):(\d{2})/.exec(value || '');
+  if (!match) return null;
+  const [, d, mon, y, h, mi] = match;
+  const month = MONTHS.indexOf(mon.toLowerCase());
+  return month === -1 ? null : toUtc(+y, month, +d, +h, +mi, 0, utcOffset);
+};
+
+// "1h 5m", "45m" or "30s" in seconds
+export const parseDurationText = (value = '') => {
+  const parts = { h: 3600, m: 60, s: 1 };
+  let seconds = 0;
+  for (const [, amount, unit] of value.matchAll(/(\d+(?:\.\d+)?)\s*([hms])/gi)) {
+    seconds += Number(amount) * parts[unit.toLowerCase()];
+  }
+  return seconds;
+};
+
+const buildSet = ({ reps, weight, weightUnit, distance, distanceUnit, seconds, rpe, setType }) => {
+  const set = { completed: true, setType };
+  if (reps !== undefined) set.reps = reps;
+  if (weight !== undefined && weight > 0) set.weight = { value: weight, unit: weightUnit };
+  if (distance !== undefined && distance > 0) set.distance = { value: distance, unit: distanceUnit };
+  if (seconds !== undefined && seconds > 0) set.duration = seconds;
+  if (rpe !== undefined && rpe >= 1 && rpe <= 10) set.rpe = rpe;
+  return set;
+};
+
+// Group rows into workouts and exercises, keeping file order
+const groupRows = (rows, keyOf, toWorkout, toExercise, toSet) => {
+  const workouts = new Map();
+
+  for (const row of rows) {
+    const key = keyOf(row);
+    if (!key) continue;
+
+    if (!workouts.has(key)) workouts.set(key, { ...toWorkout(row), exercises: [] });
+    const workout = workouts.get(key);
+
+    const exerciseName = toExercise(row).name;
+    if (!exerciseName) continue;
+
+    let exercise = workout.exercises[workout.exercises.length - 1];
+    if (!exercise || exercise.name !== exerciseName) {
+      exercise = { ...toExercise(row), sets: [] };
+      workout.exercises.push(exercise);
+    }
+    exercise.sets.push(toSet(row));
+  }
+
+  return [...workouts.values()].filter(workout => workout.startTime);
+};
+
+const parseStrong = (rows, { weightUnit, distanceUnit, utcOffset }) => groupRows(
+  rows,
+  row => row['Date'] && `${row['Date']}|${row['Workout Name']}`,
+  row => {
+    const startTime = parseStrongDate(row['Date'], utcOffset);
+    const seconds = parseDurationText(row['Duration']);
+    return {
+      name: row['Workout Name'] || 'Imported workout',
+      startTime,
+      endTime: startTime && seconds ? new Date(startTime.getTime() + seconds * 1000) : undefined,
+      notes: row['Workout Notes'] || undefined
+    };
+  },
+  row => ({ name: row['Exercise Name'], notes: row['Notes'] || undefined }),
+  row => buildSet({
+    reps: toNumber(row['Reps']),
+    weight: toNumber(row['Weight']),
+    weightUnit,
+    distance: toNumber(row['Distance']),
+    distanceUnit,
+    seconds: toNumber(row['Seconds']),
+    rpe: toNumber(row['RPE']),
+    setType: STRONG_SET_TYPES[String(row['Set Order']).toLowerCase()] || 'working'
+  })
+);
+
+const parseHevy = (rows, { utcOffset }) => groupRows(
+  rows,
+  row => row.start_time && `${row.start_time}|${row.title}`,
+  row => ({
+    name: row.title || 'Imported workout',
+    startTime: parseHevyDate(row.start_time, utcOffset),
+    endTime: parseHevyDate(row.end_time, utcOffset) || undefined,
+    notes: row.description || undefined
+  }),
+  row => ({ name: row.exercise_title, notes: row.exercise_notes || undefined }),
+  row => buildSet({
+    reps: toNumber(row.reps),
+    weight: toNumber(row.weight_kg ?? row.weight_lbs),
+    weightUnit: row.weight_kg !== undefined ? 'kg' : 'lbs',
+    distance: toNumber(row.distance_km ?? row.distance_miles),
+    distanceUnit: row.distance_km !== undefined ? 'km' : 'miles',
+    seconds: toNumber(row.duration_seconds),
+    rpe: toNumber(row.rpe),
+    setType: HEVY_SET_TYPES[row.set_type] || 'working'
+  })
+);
+
+// Parse an export, detecting the format from its headers unless given
+export const parseWorkoutCsv = (text, options = {}) => {
+  const { headers, rows } = parseCsv(text);
+  const format = options.format && options.format !== 'auto' ? options.format : detectImportFormat(headers);
+
+  if (!format) {
+    throw new Error('Unrecognized CSV format; expected a Strong or Hevy export');
+  }
+
+  const settings = {
+    weightUnit: options.weightUnit || 'kg',
+    distanceUnit: options.distanceUnit || 'km',
+    utcOffset: options.utcOffset || 0
+  };
+
+  const workouts = format === 'hevy' ? parseHevy(rows, settings) : parseStrong(rows, settings);
+  return { format, workouts };
+};
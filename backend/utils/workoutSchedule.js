@@ -0,0 +1,47 @@
+// Dates and reminder schedules for planned workout sessions
+import { dayOfWeek, startOfDay } from './programSchedule.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upper bound for a single scheduling request
+export const MAX_SCHEDULED_SESSIONS = 100;
+
+export const formatTime = (date) => new Date(date).toISOString().slice(11, 16);
+
+// The given day at an HH:MM time (UTC)
+export const dateAtTime = (date, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const at = startOfDay(date);
+  at.setUTCHours(hours, minutes);
+  return at;
+};
+
+// Dates between start and end falling on the given weekdays, at `time` (UTC).
+// Stops one past the limit so callers can tell the range was too long.
+export const recurringDates = (daysOfWeek, startDate, endDate, time = '00:00') => {
+  const dates = [];
+  const end = startOfDay(endDate);
+
+  for (let day = startOfDay(startDate); day <= end; day = new Date(day.getTime() + DAY_MS)) {
+    if (!daysOfWeek.includes(dayOfWeek(day))) continue;
+    dates.push(dateAtTime(day, time));
+    if (dates.length > MAX_SCHEDULED_SESSIONS) break;
+  }
+
+  return dates;
+};
+
+// Session dates for a schedule request: one date, or recurring weekdays.
+// A time applies to both; a single date without one keeps its own time.
+export const scheduledDates = ({ date, daysOfWeek, startDate, endDate, time }, now = new Date()) => {
+  if (date) return [time ? dateAtTime(date, time) : new Date(date)];
+  return recurringDates(daysOfWeek, startDate || now, endDate, time);
+};
+
+// Reminder schedule for scheduled sessions. Weekly reminders end with the
+// last session of the series.
+export const reminderSchedule = (dates, daysOfWeek) => {
+  return daysOfWeek
+    ? { frequency: 'weekly', time: formatTime(dates[0]), daysOfWeek, endDate: dates[dates.length - 1] }
+    : { frequency: 'once', time: formatTime(dates[0]), customDates: dates };
+};